@@ -0,0 +1,133 @@
+// src/admin-utils.js
+import fs from 'fs/promises';
+import { createHash, timingSafeEqual } from 'crypto';
+import { getContourOptions } from './config-utils.js';
+import {
+  requestsTotal,
+  tileGenerationSeconds,
+  tileCacheRequestsTotal,
+  demFetchSeconds,
+  demFetchFailuresTotal,
+  blankTilesTotal,
+} from './metrics-utils.js';
+
+// Source names end up in URLs and tile cache paths, so the admin API only accepts plain ones
+const SOURCE_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+/**
+ * Express middleware only letting requests with the admin bearer token through. The token is read
+ * on each request so a reloaded configuration takes effect, and without a token the admin API
+ * answers 404 as if it didn't exist.
+ * @param {() => string | undefined} getToken - Returns the current token, from `getAdminSettings`.
+ * @returns {import('express').RequestHandler} The middleware.
+ */
+export function requireAdminToken(getToken) {
+  // Comparing digests keeps the comparison constant time whatever the length of the tokens
+  const digest = (value) => createHash('sha256').update(value).digest();
+
+  return (req, res, next) => {
+    const token = getToken();
+    if (!token) {
+      return res.status(404).json({ error: 'The admin API is disabled, set admin.token or ADMIN_TOKEN to enable it' });
+    }
+    const [scheme, credentials] = (req.get('Authorization') ?? '').split(' ');
+    if (scheme?.toLowerCase() !== 'bearer' || !credentials || !timingSafeEqual(digest(credentials), digest(token))) {
+      res.set('WWW-Authenticate', 'Bearer realm="admin"');
+      return res.status(401).json({ error: 'A valid admin bearer token is required' });
+    }
+    next();
+  };
+}
+
+/**
+ * Checks that a source name can be used for a source added through the admin API.
+ * @param {string} name - The source name.
+ * @returns {boolean} True if the name is valid.
+ */
+export function isValidSourceName(name) {
+  return SOURCE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Applies a JSON merge patch (RFC 7396): objects are merged recursively, null removes a key and
+ * any other value, arrays included, replaces it.
+ * @param {any} target - The value to patch, left unchanged.
+ * @param {any} patch - The patch.
+ * @returns {any} The patched value.
+ */
+export function applyMergePatch(target, patch) {
+  if (typeof patch !== 'object' || patch === null || Array.isArray(patch)) {
+    return patch;
+  }
+  const result = typeof target === 'object' && target !== null && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Describes a source with live statistics for the admin API. DEM statistics are those of the DEM,
+ * so they include the requests of the sources sharing it.
+ * @param {string} name - The source name.
+ * @param {object} sourceData - The entry from `contourSources`.
+ * @returns {object} The source description.
+ */
+export function getSourceStats(name, sourceData) {
+  const { sourceConfig, manager, tileCache, demName = name } = sourceData;
+  const demManagers = [manager, ...(sourceData.demChain ?? []).map((dem) => dem.manager)];
+  const countCached = (cache) => demManagers.reduce((total, demManager) => total + demManager[cache].size(), 0);
+
+  return {
+    name,
+    backend: sourceData.backend,
+    tiles: sourceConfig.tiles,
+    ...(demName !== name && { sharesDemWith: demName }),
+    contours: getContourOptions(sourceConfig),
+    config: sourceConfig,
+    stats: {
+      requests: requestsTotal.sum({ source: name }),
+      generatedTiles: tileGenerationSeconds.sum({ source: name, type: 'contours' }),
+      tileCache: tileCache
+        ? {
+          dir: tileCache.dir,
+          hits: tileCacheRequestsTotal.sum({ source: name, result: 'hit' }),
+          misses: tileCacheRequestsTotal.sum({ source: name, result: 'miss' }),
+        }
+        : null,
+      demCache: {
+        tiles: countCached('tileCache'),
+        decodedTiles: countCached('parsedCache'),
+        contourTiles: countCached('contourCache'),
+      },
+      demFetches: demFetchSeconds.sum({ source: name }),
+      demFetchFailures: demFetchFailuresTotal.sum({ source: name }),
+      blankDemTiles: blankTilesTotal.sum({ source: name }),
+    },
+  };
+}
+
+/**
+ * Writes the configuration of one source back to the config file, leaving the rest of the file
+ * as it is. The file is replaced at once, so a reload never reads it half written.
+ * @param {string} configPath - The config file.
+ * @param {string} name - The source name.
+ * @param {object} [sourceConfig] - The source configuration, or undefined to remove the source.
+ */
+export async function saveSourceConfig(configPath, name, sourceConfig) {
+  const fileConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  fileConfig.sources ??= {};
+  if (sourceConfig === undefined) {
+    delete fileConfig.sources[name];
+  } else {
+    fileConfig.sources[name] = sourceConfig;
+  }
+
+  const tempPath = `${configPath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(fileConfig, null, 2)}\n`);
+  await fs.rename(tempPath, configPath);
+}
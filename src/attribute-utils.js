@@ -0,0 +1,121 @@
+// src/attribute-utils.js
+import { addVectorTileProperties } from './mvt-utils.js';
+
+// Length of the elevation units in metres
+export const ELEVATION_UNITS = { m: 1, ft: 0.3048 };
+
+/**
+ * Resolves the `label` and `index` settings of a source's `attributes`, which may be `true` for the defaults.
+ * @param {object} attributes - The `attributes` of the source.
+ * @returns {{label?: {key: string, unit: string, round: number, suffix: string}, index?: {key: string, every: number}}}
+ */
+export function getAttributeSettings(attributes) {
+  const unit = attributes.unit ?? 'm';
+  const label = attributes.label === true ? {} : attributes.label;
+  const index = attributes.index === true ? {} : attributes.index;
+  return {
+    label: label && {
+      key: label.key ?? 'label',
+      unit: label.unit ?? unit,
+      round: label.round ?? 1,
+      suffix: label.suffix ?? ` ${label.unit ?? unit}`,
+    },
+    index: index && { key: index.key ?? 'index', every: index.every ?? 5 },
+  };
+}
+
+/**
+ * Gets the factor turning contour elevations generated with a `multiplier` override into
+ * elevations in `attributes.unit`, which is the unit after the multiplier of the source.
+ * @param {object} tileOptions - The options the contours were generated with, from `getTileOptions`.
+ * @param {number} [sourceMultiplier] - The `multiplier` of the source contour options.
+ * @returns {number} The factor, `1` without an override.
+ */
+export function getAttributeScale(tileOptions, sourceMultiplier = 1) {
+  return sourceMultiplier / (tileOptions.multiplier ?? 1);
+}
+
+/**
+ * Gets the extra properties of a contour line from the `attributes` of its source.
+ * @param {number} ele - The contour elevation.
+ * @param {number} interval - The smallest contour interval of the tile, `levels[0]`.
+ * @param {object} attributes - The `attributes` of the source.
+ * @param {number} [scale] - Factor turning `ele` into `attributes.unit`, from `getAttributeScale`.
+ * @returns {object} The properties: static properties, elevations in other units, the label and the index flag.
+ */
+export function getContourAttributes(ele, interval, attributes, scale = 1) {
+  const { label, index } = getAttributeSettings(attributes);
+  const metres = ele * scale * ELEVATION_UNITS[attributes.unit ?? 'm'];
+  const properties = { ...attributes.properties };
+
+  for (const [key, unit] of Object.entries(attributes.elevations ?? {})) {
+    properties[key] = Math.round(metres / ELEVATION_UNITS[unit]);
+  }
+  if (label) {
+    const value = Math.round(metres / ELEVATION_UNITS[label.unit] / label.round) * label.round;
+    properties[label.key] = `${value}${label.suffix}`;
+  }
+  if (index) {
+    // Every Nth line of the smallest interval, counted from 0
+    properties[index.key] = Math.round(ele / interval) % index.every === 0;
+  }
+  return properties;
+}
+
+/**
+ * Adds the `attributes` of a source to the contour lines of an encoded tile.
+ * @param {ArrayBuffer} arrayBuffer - The encoded (uncompressed) tile from `renderContourTile`.
+ * @param {object} tileOptions - The options the tile was generated with, from `getTileOptions`.
+ * @param {object} [attributes] - The `attributes` of the source.
+ * @param {number} [sourceMultiplier] - The `multiplier` of the source contour options.
+ * @returns {ArrayBuffer} The tile with the attributes, or the same tile without attributes.
+ */
+export function applyContourAttributes(arrayBuffer, tileOptions, attributes, sourceMultiplier) {
+  if (!attributes || arrayBuffer.byteLength === 0) {
+    return arrayBuffer;
+  }
+  const { contourLayer = 'contours', elevationKey = 'ele', levels } = tileOptions;
+  const scale = getAttributeScale(tileOptions, sourceMultiplier);
+  return addVectorTileProperties(
+    arrayBuffer,
+    contourLayer,
+    (properties) => getContourAttributes(properties[elevationKey], levels[0], attributes, scale)
+  ).buffer;
+}
+
+/**
+ * Lists the fields the `attributes` of a source add to its contour lines.
+ * @param {object} [attributes] - The `attributes` of the source.
+ * @returns {{[field: string]: string}} The type of each field: `Number`, `String` or `Boolean`.
+ */
+export function getAttributeFields(attributes) {
+  const fields = {};
+  if (!attributes) {
+    return fields;
+  }
+
+  const { label, index } = getAttributeSettings(attributes);
+  for (const [key, value] of Object.entries(attributes.properties ?? {})) {
+    fields[key] = typeof value === 'string' ? 'String' : typeof value === 'number' ? 'Number' : 'Boolean';
+  }
+  for (const key of Object.keys(attributes.elevations ?? {})) {
+    fields[key] = 'Number';
+  }
+  if (label) fields[label.key] = 'String';
+  if (index) fields[index.key] = 'Boolean';
+  return fields;
+}
+
+/**
+ * Lists the fields of the contour lines of a source, as in the `vector_layers` of TileJSON.
+ * @param {object} contourOptions - The merged contour options of the source.
+ * @param {object} [attributes] - The `attributes` of the source.
+ * @returns {{[field: string]: string}} The type of each field: `Number`, `String` or `Boolean`.
+ */
+export function getContourFields(contourOptions, attributes) {
+  return {
+    [contourOptions.elevationKey]: 'Number',
+    [contourOptions.levelKey]: 'Number',
+    ...getAttributeFields(attributes),
+  };
+}
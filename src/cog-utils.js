@@ -0,0 +1,206 @@
+// src/cog-utils.js
+import { fromFile, fromUrl } from 'geotiff';
+import { httpTester } from './pmtiles-utils.js';
+
+export const cogTester = /^cog:\/\//i;
+
+const EARTH_RADIUS = 6378137;
+const MERCATOR_EXTENT = Math.PI * EARTH_RADIUS;
+const WEB_MERCATOR_CODES = [3857, 900913, 3785, 102100, 102113];
+const GEOGRAPHIC_CODES = [4326];
+
+// Gets the EPSG code of the coordinate reference system of a GeoTIFF image
+function getEpsgCode(image) {
+  const geoKeys = image.getGeoKeys() || {};
+  if (geoKeys.GTModelTypeGeoKey === 2) {
+    return geoKeys.GeographicTypeGeoKey ?? 4326;
+  }
+  return geoKeys.ProjectedCSTypeGeoKey;
+}
+
+/**
+ * Opens a Cloud-Optimized GeoTIFF and reads the layout of its full resolution image and overviews.
+ * @param {string} pathOrUrl - Local path or http(s) URL of the file, without the `cog://` prefix.
+ * @returns {Promise<object>} The opened COG.
+ */
+export async function openCOG(pathOrUrl) {
+  const tiff = httpTester.test(pathOrUrl) ? await fromUrl(pathOrUrl) : await fromFile(pathOrUrl);
+  const image = await tiff.getImage(0);
+
+  const epsg = getEpsgCode(image);
+  let crs;
+  if (WEB_MERCATOR_CODES.includes(epsg)) {
+    crs = 'EPSG:3857';
+  } else if (GEOGRAPHIC_CODES.includes(epsg)) {
+    crs = 'EPSG:4326';
+  } else {
+    await tiff.close?.();
+    throw new Error(`Unsupported COG coordinate reference system EPSG:${epsg} in ${pathOrUrl}. Only EPSG:4326 and EPSG:3857 are supported`);
+  }
+
+  // Full resolution image first, then the reduced resolution overviews (mask images are skipped)
+  const images = [image];
+  const imageCount = await tiff.getImageCount();
+  for (let i = 1; i < imageCount; i++) {
+    const overview = await tiff.getImage(i);
+    const newSubfileType = overview.fileDirectory.getValue('NewSubfileType') || 0;
+    if ((newSubfileType & 1) && !(newSubfileType & 4)) {
+      images.push(overview);
+    }
+  }
+  images.sort((a, b) => b.getWidth() - a.getWidth());
+
+  const [originX, originY] = image.getOrigin();
+  const levels = images.map((img) => {
+    const [resX, resY] = img.getResolution(image);
+    return { image: img, width: img.getWidth(), height: img.getHeight(), resX, resY: Math.abs(resY) };
+  });
+
+  return {
+    tiff,
+    crs,
+    originX,
+    originY,
+    bbox: image.getBoundingBox(),
+    nodata: image.getGDALNoData(),
+    levels,
+  };
+}
+
+/**
+ * Closes the file handle of a COG.
+ * @param {object} cog - The COG returned by `openCOG`.
+ */
+export async function closeCOG(cog) {
+  await cog?.tiff.close?.();
+}
+
+// Converts web mercator metres to the coordinate reference system of the COG
+function fromMercator(cog, mx, my) {
+  if (cog.crs === 'EPSG:3857') {
+    return [mx, my];
+  }
+  return [
+    (mx / EARTH_RADIUS) * (180 / Math.PI),
+    Math.atan(Math.sinh(my / EARTH_RADIUS)) * (180 / Math.PI),
+  ];
+}
+
+function toLonLat(cog, [x, y]) {
+  return cog.crs === 'EPSG:4326' ? [x, y] : fromMercator({ crs: 'EPSG:4326' }, x, y);
+}
+
+/**
+ * Gets the bounds and native zoom of a COG, in the same shape as the PMTiles and MBTiles metadata.
+ * @param {object} cog - The COG returned by `openCOG`.
+ * @param {number} tileSize - The DEM tile size the COG is read into.
+ * @returns {{bounds: number[], minzoom: number, maxzoom: number, center: number[]}} The metadata.
+ */
+export function getCOGMetadata(cog, tileSize) {
+  const [minX, minY, maxX, maxY] = cog.bbox;
+  const [west, south] = toLonLat(cog, [minX, minY]);
+  const [east, north] = toLonLat(cog, [maxX, maxY]);
+  const bounds = [Math.max(-180, west), Math.max(-85.051129, south), Math.min(180, east), Math.min(85.051129, north)];
+
+  // Zoom whose tile pixels are at least as fine as the full resolution pixels, at the centre of the file
+  const { resX } = cog.levels[0];
+  const centerLat = (bounds[1] + bounds[3]) / 2;
+  const metresPerPixel = cog.crs === 'EPSG:3857'
+    ? resX
+    : resX * (Math.PI / 180) * EARTH_RADIUS;
+  const mercatorPixel = metresPerPixel / Math.cos((centerLat * Math.PI) / 180);
+  const maxzoom = Math.max(0, Math.ceil(Math.log2((2 * MERCATOR_EXTENT) / (tileSize * mercatorPixel))));
+
+  return {
+    bounds,
+    minzoom: 0,
+    maxzoom,
+    center: [(bounds[0] + bounds[2]) / 2, centerLat],
+  };
+}
+
+/**
+ * Reads the elevations of a web mercator tile from a COG. The overview closest to the tile
+ * resolution is read and resampled bilinearly to the tile grid.
+ * @param {object} cog - The COG returned by `openCOG`.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {number} tileSize - Width and height of the tile in pixels.
+ * @param {AbortSignal} [signal] - Signal to cancel the read.
+ * @returns {Promise<import('maplibre-contour').DemTile>} The tile, with NaN where the COG has no data.
+ */
+export async function readCOGTile(cog, z, x, y, tileSize, signal) {
+  const data = new Float32Array(tileSize * tileSize).fill(NaN);
+  const demTile = { width: tileSize, height: tileSize, data };
+
+  // Tile bounds in web mercator metres, and the positions of its pixel centres in the COG CRS
+  const tileExtent = (2 * MERCATOR_EXTENT) / (1 << z);
+  const left = -MERCATOR_EXTENT + x * tileExtent;
+  const top = MERCATOR_EXTENT - y * tileExtent;
+  const pixelExtent = tileExtent / tileSize;
+  const columns = [];
+  const rows = [];
+  for (let i = 0; i < tileSize; i++) {
+    columns.push(fromMercator(cog, left + (i + 0.5) * pixelExtent, 0)[0]);
+    rows.push(fromMercator(cog, 0, top - (i + 0.5) * pixelExtent)[1]);
+  }
+
+  // Coarsest overview that is still at least as fine as the tile
+  const neededRes = Math.abs(columns[tileSize - 1] - columns[0]) / (tileSize - 1);
+  let level = cog.levels[0];
+  for (const candidate of cog.levels) {
+    if (candidate.resX <= neededRes) level = candidate;
+  }
+
+  // Source pixel window covering the tile, with one pixel of margin for interpolation
+  const toPixelX = (cx) => (cx - cog.originX) / level.resX;
+  const toPixelY = (cy) => (cog.originY - cy) / level.resY;
+  const window = [
+    Math.max(0, Math.floor(toPixelX(columns[0])) - 1),
+    Math.max(0, Math.floor(toPixelY(rows[0])) - 1),
+    Math.min(level.width, Math.ceil(toPixelX(columns[tileSize - 1])) + 2),
+    Math.min(level.height, Math.ceil(toPixelY(rows[tileSize - 1])) + 2),
+  ];
+  if (window[0] >= window[2] || window[1] >= window[3]) {
+    return demTile; // the tile is outside the COG
+  }
+
+  const raster = await level.image.readRasters({ window, samples: [0], interleave: true, signal });
+  const windowWidth = window[2] - window[0];
+  const windowHeight = window[3] - window[1];
+  const { nodata } = cog;
+  const get = (px, py) => {
+    if (px < 0 || py < 0 || px >= windowWidth || py >= windowHeight) return NaN;
+    const value = raster[py * windowWidth + px];
+    return value === nodata || !Number.isFinite(value) ? NaN : value;
+  };
+
+  for (let row = 0; row < tileSize; row++) {
+    const fy = toPixelY(rows[row]) - window[1] - 0.5;
+    const y0 = Math.floor(fy);
+    const ty = fy - y0;
+    for (let column = 0; column < tileSize; column++) {
+      const fx = toPixelX(columns[column]) - window[0] - 0.5;
+      const x0 = Math.floor(fx);
+      const tx = fx - x0;
+
+      // Bilinear interpolation that ignores neighbours without data
+      const values = [get(x0, y0), get(x0 + 1, y0), get(x0, y0 + 1), get(x0 + 1, y0 + 1)];
+      const weights = [(1 - tx) * (1 - ty), tx * (1 - ty), (1 - tx) * ty, tx * ty];
+      let sum = 0;
+      let weightSum = 0;
+      for (let i = 0; i < 4; i++) {
+        if (!Number.isNaN(values[i]) && weights[i] > 0) {
+          sum += values[i] * weights[i];
+          weightSum += weights[i];
+        }
+      }
+      if (weightSum > 0) {
+        data[row * tileSize + column] = sum / weightSum;
+      }
+    }
+  }
+
+  return demTile;
+}
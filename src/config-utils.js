@@ -0,0 +1,931 @@
+// src/config-utils.js
+import fs from 'fs';
+import os from 'os';
+import { pmtilesTester, httpTester } from './pmtiles-utils.js';
+import { mbtilesTester } from './mbtiles-utils.js';
+import { cogTester } from './cog-utils.js';
+import { parseHexColor } from './hillshade-utils.js';
+import { interpolateEnv } from './fetch-utils.js';
+import { DEM_ENCODINGS, CUSTOM_ENCODING_KEYS, MAX_TILE_ZOOM, parseBbox } from './mlcontour-utils.js';
+import { hashOptions } from './tilecache-utils.js';
+import { ELEVATION_UNITS, getAttributeFields } from './attribute-utils.js';
+import { SMOOTHING_METHODS, MAX_SMOOTH_ITERATIONS } from './geometry-utils.js';
+import { DEFAULT_BAND_OPTIONS, MAX_BAND_BREAKS } from './isoband-utils.js';
+import { DEFAULT_PEAK_OPTIONS, MAX_PEAK_ISOLATION } from './peak-utils.js';
+
+// Default contour options
+export const DEFAULT_CONTOUR_OPTIONS = {
+  multiplier: 1,
+  contourLayer: 'contours',
+  elevationKey: 'ele',
+  levelKey: 'level',
+  extent: 4096,
+  buffer: 1,
+  thresholds: {
+    1: [600, 3000],
+    4: [300, 1500],
+    8: [150, 750],
+    9: [80, 400],
+    10: [40, 200],
+    11: [20, 100],
+    12: [10, 50],
+    14: [5, 25],
+    16: [1, 5],
+  }
+};
+
+// Options a DEM of a fallback chain inherits from its source
+const INHERITED_DEM_KEYS = ['encoding', ...CUSTOM_ENCODING_KEYS, 'maxzoom', 'tileSize', 'timeoutMs', 'cacheSize', 'http'];
+
+// Options that define the DEM of a source, together with its upstream HTTP and blank tile settings
+const DEM_IDENTITY_KEYS = ['tiles', ...INHERITED_DEM_KEYS.filter((key) => key !== 'http'), 'nodata', 'blend'];
+
+// Default settings of the requests to HTTP DEMs and remote PMTiles archives
+export const DEFAULT_HTTP_SETTINGS = {
+  headers: {},
+  query: {},
+  retries: 3,
+  retryDelay: 500,
+  maxRetryDelay: 30000,
+  maxConcurrencyPerHost: 16,
+};
+
+// Most retries of a failed upstream request
+const MAX_HTTP_RETRIES = 10;
+
+// Default size of the worker pool generating contours: one thread per CPU, leaving one for the server
+export const DEFAULT_WORKER_SETTINGS = {
+  threads: Math.max(1, (os.availableParallelism?.() ?? os.cpus().length) - 1),
+  maxQueue: 256,
+};
+
+// Default glyphs and font of the labels of generated styles
+export const DEFAULT_STYLE_SETTINGS = {
+  glyphs: 'https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf',
+  font: ['Open Sans Semibold'],
+};
+
+// Default time a tile request may take before it is canceled
+export const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+// Largest blend distance between the DEMs of a fallback chain, in pixels
+export const MAX_DEM_BLEND = 64;
+
+// Helper function to check if a path is a local file path (Unix or Windows)
+export function isLocalPath(pathStr) {
+  // Check for Unix absolute path
+  if (pathStr.startsWith('/')) {
+    return true;
+  }
+  // Check for Windows absolute path (e.g., C:/, C://, C:\, etc.)
+  if (/^[a-zA-Z]:[\\/]/.test(pathStr)) {
+    return true;
+  }
+  return false;
+}
+
+// Load and validate configuration, exiting the process if it is invalid
+export function loadConfig(configPath) {
+  try {
+    return parseConfig(configPath);
+  } catch (error) {
+    console.error('Error loading config:', error.message);
+    process.exit(1);
+  }
+}
+
+// Load and validate configuration, throwing if it is invalid
+export function parseConfig(configPath) {
+  const configFile = fs.readFileSync(configPath, 'utf8');
+  return validateConfig(JSON.parse(configFile));
+}
+
+// Validate a parsed configuration, normalizing its sources in place. Throws if it is invalid.
+export function validateConfig(parsedConfig) {
+  if (!parsedConfig.sources || Object.keys(parsedConfig.sources).length === 0) {
+    throw new Error('Config must contain at least one source');
+  }
+
+  validateTileCacheConfig('tileCache', parsedConfig.tileCache);
+
+  validateCacheControl('cacheControl', parsedConfig.cacheControl);
+
+  validateHttpConfig('http', parsedConfig.http);
+  if (parsedConfig.http?.maxConcurrencyPerHost !== undefined && !(Number.isInteger(parsedConfig.http.maxConcurrencyPerHost) && parsedConfig.http.maxConcurrencyPerHost > 0)) {
+    throw new Error('http maxConcurrencyPerHost must be a positive integer');
+  }
+
+  if (parsedConfig.server?.requestTimeoutMs !== undefined && !(Number.isInteger(parsedConfig.server.requestTimeoutMs) && parsedConfig.server.requestTimeoutMs > 0)) {
+    throw new Error('server requestTimeoutMs must be a positive integer');
+  }
+
+  validateWorkersConfig(parsedConfig.workers);
+
+  validateAdminConfig(parsedConfig.admin);
+
+  validateStylesConfig(parsedConfig.styles);
+
+  if (parsedConfig.geojsonMaxTiles !== undefined && !(Number.isInteger(parsedConfig.geojsonMaxTiles) && parsedConfig.geojsonMaxTiles > 0)) {
+    throw new Error('geojsonMaxTiles must be a positive integer');
+  }
+  
+  for (const [name, source] of Object.entries(parsedConfig.sources)) {
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+      throw new Error(`Source "${name}" must be an object`);
+    }
+
+    // Normalize tiles: a single URL is kept as a string, several DEMs become a fallback chain
+    if (Array.isArray(source.tiles)) {
+      if (source.tiles.length === 0) {
+        throw new Error(`Source "${name}" must have a non-empty tiles value`);
+      }
+      if (source.tiles.length === 1 && typeof source.tiles[0] === 'string') {
+        source.tiles = source.tiles[0];
+      } else {
+        source.tiles = source.tiles.map((dem) => (typeof dem === 'string' ? { tiles: dem } : dem));
+      }
+    } else if (typeof source.tiles !== 'string') {
+      throw new Error(`Source "${name}" tiles must be a string or array`);
+    }
+
+    const demChain = getDemChain(source);
+    if (demChain) {
+      demChain.forEach((dem, i) => validateDemConfig(`Source "${name}" tiles[${i}]`, dem));
+      if (source.blend !== undefined && !(Number.isInteger(source.blend) && source.blend >= 0 && source.blend <= MAX_DEM_BLEND)) {
+        throw new Error(`Source "${name}" blend must be an integer between 0 and ${MAX_DEM_BLEND}`);
+      }
+      if (source.tileSize !== undefined && ![256, 512].includes(source.tileSize)) {
+        throw new Error(`Source "${name}" tileSize must be 256 or 512`);
+      }
+    } else {
+      validateDemConfig(`Source "${name}"`, source);
+    }
+    
+    if (source.contours) {
+      if (source.contours.levels && source.contours.thresholds) {
+        throw new Error(`Source "${name}" cannot specify both levels and thresholds`);
+      }
+      validateGeometryConfig(name, source.contours.geometry);
+    }
+
+    // Coverage of the DEM, overriding the one read from PMTiles, MBTiles or COG sources
+    if (source.bounds !== undefined) {
+      const bounds = Array.isArray(source.bounds) && parseBbox(source.bounds);
+      if (!bounds) {
+        throw new Error(`Source "${name}" bounds must be [minLon, minLat, maxLon, maxLat]`);
+      }
+      source.bounds = bounds;
+    }
+    if (source.minzoom !== undefined && !(Number.isInteger(source.minzoom) && source.minzoom >= 0 && source.minzoom <= MAX_TILE_ZOOM)) {
+      throw new Error(`Source "${name}" minzoom must be an integer between 0 and ${MAX_TILE_ZOOM}`);
+    }
+
+    validateTileCacheConfig(`Source "${name}" tileCache`, source.tileCache);
+    validateCacheControl(`Source "${name}" cacheControl`, source.cacheControl);
+    validateOverridesConfig(name, source.overrides);
+    validateHillshadeConfig(name, source.hillshade);
+    validateAttributesConfig(name, source);
+    validateBandsConfig(name, source);
+    validatePeaksConfig(name, source);
+
+    // Validate blank tile format if specified at source level
+    if (source.blankTileFormat && !['png', 'webp', 'jpeg'].includes(source.blankTileFormat)) {
+      throw new Error(`Source "${name}" has an invalid blankTileFormat: "${source.blankTileFormat}". Must be 'png', 'webp', or 'jpeg'.`);
+    }
+  }
+
+  validateCompositesConfig(parsedConfig);
+  
+  return parsedConfig;
+}
+
+// Validate the composite sources, whose tiles combine the layers of several sources
+function validateCompositesConfig(parsedConfig) {
+  const { composites, sources } = parsedConfig;
+  if (composites === undefined) {
+    return;
+  }
+  if (typeof composites !== 'object' || composites === null || Array.isArray(composites)) {
+    throw new Error('composites must be an object');
+  }
+
+  for (const [name, composite] of Object.entries(composites)) {
+    if (sources[name]) {
+      throw new Error(`Composite "${name}" has the same name as a source`);
+    }
+    if (typeof composite !== 'object' || composite === null || Array.isArray(composite)) {
+      throw new Error(`Composite "${name}" must be an object`);
+    }
+    for (const key of Object.keys(composite)) {
+      if (!['sources', 'cacheControl'].includes(key)) {
+        throw new Error(`Composite "${name}" has an unknown option "${key}"`);
+      }
+    }
+    if (!Array.isArray(composite.sources) || composite.sources.length === 0) {
+      throw new Error(`Composite "${name}" sources must be a non-empty array of source names`);
+    }
+
+    // Each layer of the tile must come from a single source
+    const layerSources = new Map();
+    for (const [i, member] of composite.sources.entries()) {
+      if (typeof member !== 'string' || !sources[member]) {
+        throw new Error(`Composite "${name}" references an unknown source "${member}"`);
+      }
+      if (composite.sources.indexOf(member) !== i) {
+        throw new Error(`Composite "${name}" lists source "${member}" more than once`);
+      }
+      for (const layer of getSourceLayers(sources[member])) {
+        if (layerSources.has(layer)) {
+          throw new Error(`Composite "${name}" has layer "${layer}" in both sources "${layerSources.get(layer)}" and "${member}"`);
+        }
+        layerSources.set(layer, member);
+      }
+    }
+    validateCacheControl(`Composite "${name}" cacheControl`, composite.cacheControl);
+  }
+}
+
+// The names of the vector tile layers of a source: its contours, and its bands and peaks if any
+function getSourceLayers(source) {
+  return [getContourOptions(source).contourLayer, getBandOptions(source)?.layer, getPeakOptions(source)?.layer]
+    .filter(Boolean);
+}
+
+// Validate a global or source level tileCache block
+function validateTileCacheConfig(label, tileCache) {
+  if (tileCache === undefined || tileCache === false) {
+    return;
+  }
+  if (typeof tileCache !== 'object' || tileCache === null) {
+    throw new Error(`${label} must be an object or false`);
+  }
+  if (tileCache.path !== undefined && typeof tileCache.path !== 'string') {
+    throw new Error(`${label} path must be a string`);
+  }
+  for (const key of ['maxAge', 'maxSize', 'pruneInterval']) {
+    if (tileCache[key] !== undefined && !(typeof tileCache[key] === 'number' && tileCache[key] >= 0)) {
+      throw new Error(`${label} ${key} must be a non-negative number`);
+    }
+  }
+}
+
+// Validate the URL, encoding and options of a single DEM: a source, or one DEM of its fallback chain
+function validateDemConfig(label, dem) {
+  const demUrl = dem.tiles;
+  if (typeof demUrl !== 'string') {
+    throw new Error(`${label} tiles must be a string`);
+  }
+
+  // COG sources are read as elevations, so they have no RGB encoding
+  if (!dem.encoding && !cogTester.test(demUrl)) {
+    throw new Error(`${label} must specify encoding (e.g., "terrarium" or "mapbox")`);
+  }
+  validateEncodingConfig(label, dem);
+
+  if (pmtilesTester.test(demUrl)) {
+    const actualPathOrUrl = demUrl.replace(pmtilesTester, "");
+    if (!isLocalPath(actualPathOrUrl) && !httpTester.test(actualPathOrUrl)) {
+      throw new Error(`Invalid PMTiles URL for ${label}: ${demUrl}. Must be 'pmtiles:///local/path', 'pmtiles://C://path' (Windows), or 'pmtiles://http(s)://url'`);
+    }
+  } else if (mbtilesTester.test(demUrl)) {
+    const actualPath = demUrl.replace(mbtilesTester, "");
+    if (!isLocalPath(actualPath)) {
+      throw new Error(`Invalid MBTiles URL for ${label}: ${demUrl}. Must be 'mbtiles:///local/path' or 'mbtiles://C://path' (Windows)`);
+    }
+    if (!fs.existsSync(actualPath)) {
+      throw new Error(`MBTiles file not found for ${label}: ${actualPath}`);
+    }
+  } else if (cogTester.test(demUrl)) {
+    const actualPathOrUrl = demUrl.replace(cogTester, "");
+    if (!isLocalPath(actualPathOrUrl) && !httpTester.test(actualPathOrUrl)) {
+      throw new Error(`Invalid COG URL for ${label}: ${demUrl}. Must be 'cog:///local/path', 'cog://C://path' (Windows), or 'cog://http(s)://url'`);
+    }
+    if (isLocalPath(actualPathOrUrl) && !fs.existsSync(actualPathOrUrl)) {
+      throw new Error(`COG file not found for ${label}: ${actualPathOrUrl}`);
+    }
+    if (dem.tileSize !== undefined && ![256, 512].includes(dem.tileSize)) {
+      throw new Error(`${label} tileSize must be 256 or 512`);
+    }
+  } else if (!httpTester.test(demUrl)) {
+    throw new Error(`Invalid DEM URL for ${label}: ${demUrl}. Must start with 'pmtiles://', 'mbtiles://', 'cog://', 'http://', or 'https://'`);
+  }
+
+  if (dem.maxzoom !== undefined && !(Number.isInteger(dem.maxzoom) && dem.maxzoom >= 0 && dem.maxzoom <= MAX_TILE_ZOOM)) {
+    throw new Error(`${label} maxzoom must be an integer between 0 and ${MAX_TILE_ZOOM}`);
+  }
+  if (dem.nodata !== undefined && !(typeof dem.nodata === 'number' && Number.isFinite(dem.nodata))) {
+    throw new Error(`${label} nodata must be a number`);
+  }
+
+  validateHttpConfig(`${label} http`, dem.http);
+  if (dem.http?.maxConcurrencyPerHost !== undefined) {
+    throw new Error(`${label} http maxConcurrencyPerHost can only be set globally, as the limit is shared by all sources`);
+  }
+}
+
+// Validate a global or source level upstream HTTP configuration
+function validateHttpConfig(label, httpConfig) {
+  if (httpConfig === undefined) {
+    return;
+  }
+  if (typeof httpConfig !== 'object' || httpConfig === null || Array.isArray(httpConfig)) {
+    throw new Error(`${label} must be an object`);
+  }
+  for (const key of ['headers', 'query']) {
+    const values = httpConfig[key];
+    if (values === undefined) {
+      continue;
+    }
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+      throw new Error(`${label} ${key} must be an object of strings`);
+    }
+    for (const [name, value] of Object.entries(values)) {
+      if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+        throw new Error(`${label} ${key} "${name}" must be a single line string`);
+      }
+      // Fail on load rather than on the first tile when a referenced variable is missing
+      try {
+        interpolateEnv(value);
+      } catch (error) {
+        throw new Error(`${label} ${key} "${name}": ${error.message}`);
+      }
+    }
+  }
+  if (httpConfig.retries !== undefined && !(Number.isInteger(httpConfig.retries) && httpConfig.retries >= 0 && httpConfig.retries <= MAX_HTTP_RETRIES)) {
+    throw new Error(`${label} retries must be an integer between 0 and ${MAX_HTTP_RETRIES}`);
+  }
+  for (const key of ['retryDelay', 'maxRetryDelay']) {
+    if (httpConfig[key] !== undefined && !(typeof httpConfig[key] === 'number' && httpConfig[key] >= 0)) {
+      throw new Error(`${label} ${key} must be a non-negative number`);
+    }
+  }
+}
+
+// Validate the worker pool configuration
+function validateWorkersConfig(workersConfig) {
+  if (workersConfig === undefined) {
+    return;
+  }
+  if (typeof workersConfig !== 'object' || workersConfig === null || Array.isArray(workersConfig)) {
+    throw new Error('workers must be an object');
+  }
+  if (workersConfig.threads !== undefined && !(Number.isInteger(workersConfig.threads) && workersConfig.threads > 0)) {
+    throw new Error('workers threads must be a positive integer');
+  }
+  if (workersConfig.maxQueue !== undefined && !(Number.isInteger(workersConfig.maxQueue) && workersConfig.maxQueue >= 0)) {
+    throw new Error('workers maxQueue must be a non-negative integer');
+  }
+}
+
+// Validate the admin block: the bearer token of the admin API and whether its changes are saved
+function validateAdminConfig(adminConfig) {
+  if (adminConfig === undefined) {
+    return;
+  }
+  if (typeof adminConfig !== 'object' || adminConfig === null || Array.isArray(adminConfig)) {
+    throw new Error('admin must be an object');
+  }
+  if (adminConfig.token !== undefined) {
+    if (typeof adminConfig.token !== 'string' || adminConfig.token.length === 0) {
+      throw new Error('admin token must be a non-empty string');
+    }
+    // Fail now rather than on the first admin request if an environment variable is missing
+    interpolateEnv(adminConfig.token);
+  }
+  if (adminConfig.persist !== undefined && typeof adminConfig.persist !== 'boolean') {
+    throw new Error('admin persist must be a boolean');
+  }
+}
+
+// Validate the styles block: the glyphs and font of the labels of generated styles
+function validateStylesConfig(stylesConfig) {
+  if (stylesConfig === undefined) {
+    return;
+  }
+  if (typeof stylesConfig !== 'object' || stylesConfig === null || Array.isArray(stylesConfig)) {
+    throw new Error('styles must be an object');
+  }
+  const { glyphs, font } = stylesConfig;
+  if (glyphs !== undefined && !(typeof glyphs === 'string' && glyphs.includes('{fontstack}') && glyphs.includes('{range}'))) {
+    throw new Error('styles glyphs must be a URL with {fontstack} and {range}');
+  }
+  if (font !== undefined && !(Array.isArray(font) && font.length > 0 && font.every((name) => typeof name === 'string' && name.length > 0))) {
+    throw new Error('styles font must be a non-empty array of font names');
+  }
+}
+
+// Validate the encoding of a DEM and the factors of a custom encoding
+function validateEncodingConfig(label, dem) {
+  if (dem.encoding !== undefined && !DEM_ENCODINGS.includes(dem.encoding)) {
+    throw new Error(`${label} has an invalid encoding: "${dem.encoding}". Must be one of ${DEM_ENCODINGS.map((e) => `'${e}'`).join(', ')}.`);
+  }
+  for (const key of CUSTOM_ENCODING_KEYS) {
+    if (dem[key] === undefined) {
+      continue;
+    }
+    if (dem.encoding !== 'custom') {
+      throw new Error(`${label} ${key} can only be used with the "custom" encoding`);
+    }
+    if (typeof dem[key] !== 'number' || !Number.isFinite(dem[key])) {
+      throw new Error(`${label} ${key} must be a number`);
+    }
+  }
+  if (dem.encoding === 'custom' && dem.interval !== undefined && dem.interval <= 0) {
+    throw new Error(`${label} interval must be greater than 0`);
+  }
+}
+
+// Validate a global or source level Cache-Control header value
+function validateCacheControl(label, cacheControl) {
+  if (cacheControl !== undefined && (typeof cacheControl !== 'string' || /[\r\n]/.test(cacheControl))) {
+    throw new Error(`${label} must be a single line string`);
+  }
+}
+
+// Limits applied to query string overrides when a source allows a key with `true` instead of an object
+const DEFAULT_OVERRIDE_LIMITS = {
+  levels: { min: 1, maxCount: 4 },
+  multiplier: { min: 0.001, max: 1000 },
+  extent: { min: 256, max: 8192 },
+  buffer: { min: 0, max: 64 },
+};
+const STRING_OVERRIDE_KEYS = ['contourLayer', 'elevationKey', 'levelKey'];
+const OVERRIDE_KEYS = [...Object.keys(DEFAULT_OVERRIDE_LIMITS), ...STRING_OVERRIDE_KEYS];
+const OVERRIDE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]{0,63}$/;
+
+// Validate the allowlist of contour options a source lets clients override
+function validateOverridesConfig(name, overrides) {
+  if (overrides === undefined) {
+    return;
+  }
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    throw new Error(`Source "${name}" overrides must be an object`);
+  }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!OVERRIDE_KEYS.includes(key)) {
+      throw new Error(`Source "${name}" overrides has an unknown key "${key}". Allowed keys: ${OVERRIDE_KEYS.join(', ')}`);
+    }
+    if (typeof value === 'boolean') {
+      continue;
+    }
+    if (STRING_OVERRIDE_KEYS.includes(key) || typeof value !== 'object' || value === null) {
+      throw new Error(`Source "${name}" overrides.${key} must be ${STRING_OVERRIDE_KEYS.includes(key) ? 'a boolean' : 'a boolean or an object with limits'}`);
+    }
+    for (const [limit, limitValue] of Object.entries(value)) {
+      if (!(limit in DEFAULT_OVERRIDE_LIMITS[key]) || typeof limitValue !== 'number') {
+        throw new Error(`Source "${name}" overrides.${key}.${limit} is not a valid numeric limit`);
+      }
+    }
+  }
+}
+
+// Validate the names given as overrides, which must not replace another layer of the tiles
+// or another field of the contours
+function validateOverrideNames(overrides, source) {
+  const { contourLayer } = overrides;
+  if (contourLayer !== undefined && contourLayer === getBandOptions(source)?.layer) {
+    throw new Error(`"contourLayer" "${contourLayer}" is already the bands layer`);
+  }
+  if (contourLayer !== undefined && contourLayer === getPeakOptions(source)?.layer) {
+    throw new Error(`"contourLayer" "${contourLayer}" is already the peaks layer`);
+  }
+
+  const { elevationKey, levelKey } = { ...getContourOptions(source), ...overrides };
+  if (elevationKey === levelKey) {
+    throw new Error('"elevationKey" and "levelKey" must be different');
+  }
+  const attributeFields = Object.keys(getAttributeFields(source.attributes));
+  for (const key of ['elevationKey', 'levelKey']) {
+    if (overrides[key] !== undefined && attributeFields.includes(overrides[key])) {
+      throw new Error(`"${key}" "${overrides[key]}" is already a field of the contours`);
+    }
+  }
+}
+
+/**
+ * Parses per-request contour option overrides from a query string, validated against the
+ * `overrides` allowlist of the source.
+ * @param {object} query - The parsed query string (`req.query`).
+ * @param {object} [allowedOverrides] - The `overrides` block of the source config.
+ * @param {object} [source] - The source config, to check overridden names against its other layers and fields.
+ * @returns {object} The overrides to merge on top of the tile options (empty if none were given).
+ * @throws {Error} If an override is not allowed, out of its limits or clashes with another name.
+ */
+export function parseContourOverrides(query, allowedOverrides = {}, source) {
+  const overrides = {};
+
+  for (const key of OVERRIDE_KEYS) {
+    const rawValue = query[key];
+    if (rawValue === undefined) {
+      continue;
+    }
+    if (!allowedOverrides[key]) {
+      throw new Error(`Overriding "${key}" is not allowed for this source`);
+    }
+    if (typeof rawValue !== 'string') {
+      throw new Error(`"${key}" must be given once`);
+    }
+
+    if (STRING_OVERRIDE_KEYS.includes(key)) {
+      if (!OVERRIDE_NAME_PATTERN.test(rawValue)) {
+        throw new Error(`"${key}" must start with a letter or underscore and contain at most 64 letters, digits, "_" or "-"`);
+      }
+      overrides[key] = rawValue;
+      continue;
+    }
+
+    const limits = {
+      ...DEFAULT_OVERRIDE_LIMITS[key],
+      ...(typeof allowedOverrides[key] === 'object' ? allowedOverrides[key] : {}),
+    };
+
+    if (key === 'levels') {
+      const levels = rawValue.split(',').map(Number);
+      if (levels.length > limits.maxCount) {
+        throw new Error(`"levels" can have at most ${limits.maxCount} values`);
+      }
+      if (levels.some((level) => !Number.isFinite(level) || level < limits.min)) {
+        throw new Error(`"levels" must be numbers of at least ${limits.min}`);
+      }
+      overrides.levels = levels;
+      continue;
+    }
+
+    const value = Number(rawValue);
+    const mustBeInteger = key === 'extent' || key === 'buffer';
+    if (!Number.isFinite(value) || (mustBeInteger && !Number.isInteger(value)) || value < limits.min || value > limits.max) {
+      throw new Error(`"${key}" must be ${mustBeInteger ? 'an integer' : 'a number'} between ${limits.min} and ${limits.max}`);
+    }
+    overrides[key] = value;
+  }
+
+  if (source) {
+    validateOverrideNames(overrides, source);
+  }
+  return overrides;
+}
+
+// Validate the smoothing, simplification and filtering options of the contour lines, by zoom
+function validateGeometryConfig(name, geometry) {
+  if (geometry === undefined) {
+    return;
+  }
+  if (typeof geometry !== 'object' || geometry === null || Array.isArray(geometry)) {
+    throw new Error(`Source "${name}" contours.geometry must be an object of options by zoom`);
+  }
+  for (const [zoom, options] of Object.entries(geometry)) {
+    const label = `Source "${name}" contours.geometry.${zoom}`;
+    if (!/^\d+$/.test(zoom) || Number(zoom) > MAX_TILE_ZOOM) {
+      throw new Error(`Source "${name}" contours.geometry keys must be zoom levels between 0 and ${MAX_TILE_ZOOM}`);
+    }
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+      throw new Error(`${label} must be an object`);
+    }
+    for (const key of Object.keys(options)) {
+      if (!['smooth', 'smoothIterations', 'simplify', 'minLength'].includes(key)) {
+        throw new Error(`${label} has an unknown option "${key}"`);
+      }
+    }
+    if (options.smooth !== undefined && options.smooth !== 'none' && !SMOOTHING_METHODS.includes(options.smooth)) {
+      throw new Error(`${label}.smooth must be one of 'none', ${SMOOTHING_METHODS.map((m) => `'${m}'`).join(', ')}`);
+    }
+    if (options.smoothIterations !== undefined && !(Number.isInteger(options.smoothIterations) && options.smoothIterations >= 1 && options.smoothIterations <= MAX_SMOOTH_ITERATIONS)) {
+      throw new Error(`${label}.smoothIterations must be an integer between 1 and ${MAX_SMOOTH_ITERATIONS}`);
+    }
+    for (const key of ['simplify', 'minLength']) {
+      if (options[key] !== undefined && !(typeof options[key] === 'number' && options[key] >= 0)) {
+        throw new Error(`${label}.${key} must be a non-negative number of tile units`);
+      }
+    }
+  }
+}
+
+// Validate the extra feature attributes of a source
+function validateAttributesConfig(name, source) {
+  const { attributes } = source;
+  if (attributes === undefined) {
+    return;
+  }
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+  const units = Object.keys(ELEVATION_UNITS);
+  const validateUnit = (label, unit) => {
+    if (unit !== undefined && !units.includes(unit)) {
+      throw new Error(`Source "${name}" attributes.${label} must be one of ${units.map((u) => `'${u}'`).join(', ')}`);
+    }
+  };
+  if (!isObject(attributes)) {
+    throw new Error(`Source "${name}" attributes must be an object`);
+  }
+  validateUnit('unit', attributes.unit);
+
+  // Every attribute adds a field, which must not replace another one
+  const { elevationKey, levelKey } = getContourOptions(source);
+  const fields = [elevationKey, levelKey];
+  const addField = (label, key) => {
+    if (typeof key !== 'string' || !OVERRIDE_NAME_PATTERN.test(key)) {
+      throw new Error(`Source "${name}" attributes.${label} must be a valid field name`);
+    }
+    if (fields.includes(key)) {
+      throw new Error(`Source "${name}" attributes.${label} "${key}" is already a field of the contours`);
+    }
+    fields.push(key);
+  };
+
+  if (attributes.properties !== undefined) {
+    if (!isObject(attributes.properties)) {
+      throw new Error(`Source "${name}" attributes.properties must be an object`);
+    }
+    for (const [key, value] of Object.entries(attributes.properties)) {
+      addField(`properties.${key}`, key);
+      if (!['string', 'number', 'boolean'].includes(typeof value) || (typeof value === 'number' && !Number.isFinite(value))) {
+        throw new Error(`Source "${name}" attributes.properties.${key} must be a string, number or boolean`);
+      }
+    }
+  }
+
+  if (attributes.elevations !== undefined) {
+    if (!isObject(attributes.elevations)) {
+      throw new Error(`Source "${name}" attributes.elevations must be an object of field names and units`);
+    }
+    for (const [key, unit] of Object.entries(attributes.elevations)) {
+      addField(`elevations.${key}`, key);
+      validateUnit(`elevations.${key}`, unit);
+    }
+  }
+
+  if (attributes.label !== undefined && attributes.label !== true) {
+    const { label } = attributes;
+    if (!isObject(label)) {
+      throw new Error(`Source "${name}" attributes.label must be true or an object`);
+    }
+    validateUnit('label.unit', label.unit);
+    if (label.round !== undefined && !(typeof label.round === 'number' && label.round > 0)) {
+      throw new Error(`Source "${name}" attributes.label.round must be a positive number`);
+    }
+    if (label.suffix !== undefined && typeof label.suffix !== 'string') {
+      throw new Error(`Source "${name}" attributes.label.suffix must be a string`);
+    }
+  }
+  if (attributes.label !== undefined) {
+    addField('label.key', attributes.label.key ?? 'label');
+  }
+
+  if (attributes.index !== undefined && attributes.index !== true) {
+    const { index } = attributes;
+    if (!isObject(index)) {
+      throw new Error(`Source "${name}" attributes.index must be true or an object`);
+    }
+    if (index.every !== undefined && !(Number.isInteger(index.every) && index.every > 0)) {
+      throw new Error(`Source "${name}" attributes.index.every must be a positive integer`);
+    }
+  }
+  if (attributes.index !== undefined) {
+    addField('index.key', attributes.index.key ?? 'index');
+  }
+}
+
+// Validate the elevation band layer of a source
+function validateBandsConfig(name, source) {
+  const { bands } = source;
+  if (bands === undefined) {
+    return;
+  }
+  if (typeof bands !== 'object' || bands === null || Array.isArray(bands)) {
+    throw new Error(`Source "${name}" bands must be an object`);
+  }
+  for (const key of Object.keys(bands)) {
+    if (!['breaks', ...Object.keys(DEFAULT_BAND_OPTIONS)].includes(key)) {
+      throw new Error(`Source "${name}" bands has an unknown option "${key}"`);
+    }
+  }
+
+  const validateBreaks = (label, breaks) => {
+    const isIncreasing = Array.isArray(breaks)
+      && breaks.every((value, i) => typeof value === 'number' && Number.isFinite(value) && (i === 0 || value > breaks[i - 1]));
+    if (!isIncreasing || breaks.length < 2 || breaks.length > MAX_BAND_BREAKS) {
+      throw new Error(`Source "${name}" ${label} must be an array of 2 to ${MAX_BAND_BREAKS} increasing numbers`);
+    }
+  };
+  if (Array.isArray(bands.breaks)) {
+    validateBreaks('bands.breaks', bands.breaks);
+  } else if (typeof bands.breaks === 'object' && bands.breaks !== null) {
+    for (const [zoom, breaks] of Object.entries(bands.breaks)) {
+      if (!/^\d+$/.test(zoom) || Number(zoom) > MAX_TILE_ZOOM) {
+        throw new Error(`Source "${name}" bands.breaks keys must be zoom levels between 0 and ${MAX_TILE_ZOOM}`);
+      }
+      validateBreaks(`bands.breaks.${zoom}`, breaks);
+    }
+  } else {
+    throw new Error(`Source "${name}" bands.breaks must be an array of elevations, or arrays of elevations by zoom`);
+  }
+
+  const { layer, minKey, maxKey } = { ...DEFAULT_BAND_OPTIONS, ...bands };
+  for (const [key, value] of Object.entries({ layer, minKey, maxKey })) {
+    if (typeof value !== 'string' || !OVERRIDE_NAME_PATTERN.test(value)) {
+      throw new Error(`Source "${name}" bands.${key} must be a valid ${key === 'layer' ? 'layer' : 'field'} name`);
+    }
+  }
+  if (minKey === maxKey) {
+    throw new Error(`Source "${name}" bands.minKey and bands.maxKey must be different`);
+  }
+  if (layer === getContourOptions(source).contourLayer) {
+    throw new Error(`Source "${name}" bands.layer "${layer}" is already the contour layer`);
+  }
+}
+
+// Validate the peak layer of a source
+function validatePeaksConfig(name, source) {
+  const { peaks } = source;
+  if (peaks === undefined) {
+    return;
+  }
+  if (typeof peaks !== 'object' || peaks === null || Array.isArray(peaks)) {
+    throw new Error(`Source "${name}" peaks must be an object`);
+  }
+  for (const key of Object.keys(peaks)) {
+    if (!['prominence', 'elevationKey', ...Object.keys(DEFAULT_PEAK_OPTIONS)].includes(key)) {
+      throw new Error(`Source "${name}" peaks has an unknown option "${key}"`);
+    }
+  }
+
+  const isProminence = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  if (typeof peaks.prominence === 'object' && peaks.prominence !== null && !Array.isArray(peaks.prominence)) {
+    if (Object.keys(peaks.prominence).length === 0) {
+      throw new Error(`Source "${name}" peaks.prominence must not be empty`);
+    }
+    for (const [zoom, prominence] of Object.entries(peaks.prominence)) {
+      if (!/^\d+$/.test(zoom) || Number(zoom) > MAX_TILE_ZOOM) {
+        throw new Error(`Source "${name}" peaks.prominence keys must be zoom levels between 0 and ${MAX_TILE_ZOOM}`);
+      }
+      if (!isProminence(prominence)) {
+        throw new Error(`Source "${name}" peaks.prominence.${zoom} must be a non-negative number`);
+      }
+    }
+  } else if (!isProminence(peaks.prominence)) {
+    throw new Error(`Source "${name}" peaks.prominence must be a non-negative number, or numbers by zoom`);
+  }
+
+  const { layer, elevationKey, isolation, round } = getPeakOptions(source);
+  for (const [key, value] of Object.entries({ layer, elevationKey })) {
+    if (typeof value !== 'string' || !OVERRIDE_NAME_PATTERN.test(value)) {
+      throw new Error(`Source "${name}" peaks.${key} must be a valid ${key === 'layer' ? 'layer' : 'field'} name`);
+    }
+  }
+  if (!(typeof isolation === 'number' && isolation > 0 && isolation <= MAX_PEAK_ISOLATION)) {
+    throw new Error(`Source "${name}" peaks.isolation must be a number of pixels between 0 and ${MAX_PEAK_ISOLATION}`);
+  }
+  if (!(typeof round === 'number' && Number.isFinite(round) && round > 0)) {
+    throw new Error(`Source "${name}" peaks.round must be a positive number`);
+  }
+  if (layer === getContourOptions(source).contourLayer) {
+    throw new Error(`Source "${name}" peaks.layer "${layer}" is already the contour layer`);
+  }
+  if (layer === getBandOptions(source)?.layer) {
+    throw new Error(`Source "${name}" peaks.layer "${layer}" is already the bands layer`);
+  }
+}
+
+// Validate the hillshade block of a source
+function validateHillshadeConfig(name, hillshade) {
+  if (hillshade === undefined) {
+    return;
+  }
+  if (typeof hillshade !== 'object' || hillshade === null) {
+    throw new Error(`Source "${name}" hillshade must be an object`);
+  }
+  const ranges = {
+    azimuth: [0, 360],
+    altitude: [0, 90],
+    zFactor: [0, 1000],
+    opacity: [0, 1],
+  };
+  for (const [key, [min, max]] of Object.entries(ranges)) {
+    const value = hillshade[key];
+    if (value !== undefined && !(typeof value === 'number' && value >= min && value <= max)) {
+      throw new Error(`Source "${name}" hillshade.${key} must be a number between ${min} and ${max}`);
+    }
+  }
+  for (const key of ['shadowColor', 'highlightColor']) {
+    if (hillshade[key] !== undefined && !parseHexColor(hillshade[key])) {
+      throw new Error(`Source "${name}" hillshade.${key} must be a "#rrggbb" colour`);
+    }
+  }
+  if (hillshade.tileSize !== undefined && ![256, 512].includes(hillshade.tileSize)) {
+    throw new Error(`Source "${name}" hillshade.tileSize must be 256 or 512`);
+  }
+}
+
+// Resolve the settings of the worker pool, falling back to the defaults
+export function getWorkerSettings(currentConfig) {
+  return { ...DEFAULT_WORKER_SETTINGS, ...currentConfig.workers };
+}
+
+// Resolve the glyphs and font of generated styles, falling back to the defaults
+export function getStyleSettings(currentConfig) {
+  return { ...DEFAULT_STYLE_SETTINGS, ...currentConfig.styles };
+}
+
+// Settings of the admin API: the token from the config (with `${VAR}` references) or the
+// ADMIN_TOKEN environment variable. Without a token the admin API is disabled.
+export function getAdminSettings(currentConfig) {
+  const token = currentConfig.admin?.token !== undefined
+    ? interpolateEnv(currentConfig.admin.token)
+    : process.env.ADMIN_TOKEN;
+  return {
+    token: token || undefined,
+    persist: currentConfig.admin?.persist ?? false,
+  };
+}
+
+// Merge source-specific tile cache settings with the global ones; returns undefined when caching is disabled
+export function getTileCacheSettings(source, currentConfig) {
+  if (source.tileCache === false || (source.tileCache === undefined && !currentConfig.tileCache)) {
+    return undefined;
+  }
+  const settings = { ...(currentConfig.tileCache || {}), ...(source.tileCache || {}) };
+  return settings.path ? settings : undefined;
+}
+
+// Resolve the blank tile settings of a source, falling back to the global defaults
+export function getBlankTileSettings(source, currentConfig) {
+  return {
+    blankTileNoDataValue: source.blankTileNoDataValue ?? currentConfig.blankTileNoDataValue ?? 0,
+    blankTileSize: source.blankTileSize ?? currentConfig.blankTileSize ?? 256,
+    blankTileFormat: source.blankTileFormat ?? currentConfig.blankTileFormat ?? 'png',
+  };
+}
+
+// Resolve the DEMs of a source with a fallback chain, each inheriting the DEM options it doesn't set
+// from the source; returns undefined for a source with a single DEM
+export function getDemChain(source) {
+  if (!Array.isArray(source.tiles)) {
+    return undefined;
+  }
+  const inherited = Object.fromEntries(
+    INHERITED_DEM_KEYS.filter((key) => source[key] !== undefined).map((key) => [key, source[key]])
+  );
+  // Custom factors only apply to the DEMs using the custom encoding
+  return source.tiles.map((dem) => {
+    const resolved = { ...inherited, ...dem };
+    if (resolved.encoding !== 'custom') {
+      CUSTOM_ENCODING_KEYS.forEach((key) => delete resolved[key]);
+    }
+    return resolved;
+  });
+}
+
+// Identity of the DEM of a source: sources with the same identity read the same DEM tiles the same
+// way, so they can share a DEM manager, its caches and its open file
+export function getDemIdentity(source, currentConfig) {
+  const demChain = getDemChain(source);
+  return hashOptions({
+    ...Object.fromEntries(DEM_IDENTITY_KEYS.filter((key) => source[key] !== undefined).map((key) => [key, source[key]])),
+    http: demChain ? demChain.map((dem) => getHttpSettings(dem, currentConfig)) : getHttpSettings(source, currentConfig),
+    blankTileSettings: demChain ? undefined : getBlankTileSettings(source, currentConfig),
+  });
+}
+
+// Merge the upstream HTTP settings of a source (or DEM of a chain) over the global ones and the defaults
+export function getHttpSettings(source, currentConfig) {
+  const globalHttp = currentConfig.http ?? {};
+  const sourceHttp = source.http ?? {};
+  return {
+    ...DEFAULT_HTTP_SETTINGS,
+    ...globalHttp,
+    ...sourceHttp,
+    headers: { ...globalHttp.headers, ...sourceHttp.headers },
+    query: { ...globalHttp.query, ...sourceHttp.query },
+  };
+}
+
+// Resolve the Cache-Control header of the tiles of a source, falling back to the global one
+export function getCacheControl(source, currentConfig) {
+  return source.cacheControl ?? currentConfig.cacheControl;
+}
+
+// Merge the elevation band options of a source with the defaults, or undefined without bands
+export function getBandOptions(source) {
+  return source.bands ? { ...DEFAULT_BAND_OPTIONS, ...source.bands } : undefined;
+}
+
+// Merge the peak options of a source with the defaults, or undefined without peaks
+export function getPeakOptions(source) {
+  return source.peaks
+    ? { ...DEFAULT_PEAK_OPTIONS, elevationKey: getContourOptions(source).elevationKey, ...source.peaks }
+    : undefined;
+}
+
+// Merge source-specific contour options with defaults
+export function getContourOptions(source) {
+  const options = { ...DEFAULT_CONTOUR_OPTIONS };
+  
+  if (source.contours) {
+    Object.assign(options, source.contours);
+    
+    if (source.contours.levels) {
+      delete options.thresholds;
+    }
+  }
+  
+  return options;
+}
@@ -0,0 +1,37 @@
+// src/contour-worker.js
+// Entry point of the worker threads started by `worker-utils.js`. Each message is one task.
+import { parentPort } from 'worker_threads';
+import { GetImageData } from './mlcontour-utils.js';
+import { generateIsolinesFromDems, encodeContourTileFromDems } from './isoline-utils.js';
+import { shadeHillshadeFromDems } from './hillshade-utils.js';
+
+// Task handlers, returning the result and the buffers to move back to the main thread
+const handlers = {
+  async decodeImage({ buffer, encoding }) {
+    const demTile = await GetImageData(new Blob([buffer]), encoding);
+    return [demTile, [demTile.data.buffer]];
+  },
+
+  async isolines({ dems, z, x, y, options }) {
+    return [generateIsolinesFromDems(dems, z, x, y, options), []];
+  },
+
+  async contours({ dems, z, x, y, options }) {
+    const tile = encodeContourTileFromDems(dems, z, x, y, options);
+    return [tile, [tile.arrayBuffer]];
+  },
+
+  async hillshade({ dems, z, x, y, options }) {
+    const pixels = shadeHillshadeFromDems(dems, z, x, y, options);
+    return [pixels, pixels ? [pixels.buffer] : []];
+  },
+};
+
+parentPort.on('message', async ({ name, data }) => {
+  try {
+    const [result, transfer] = await handlers[name](data);
+    parentPort.postMessage({ result }, transfer);
+  } catch (error) {
+    parentPort.postMessage({ error });
+  }
+});
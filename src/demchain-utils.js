@@ -0,0 +1,235 @@
+// src/demchain-utils.js
+import { setMaxListeners } from 'events';
+
+// Same valid elevation range maplibre-contour uses when building height tiles
+const MIN_VALID_ELEVATION = -12000;
+const MAX_VALID_ELEVATION = 9000;
+
+/**
+ * Fetches the tiles of a DEM covering a pixel window of a tile at another zoom. Tiles are fetched
+ * at `min(z, maxzoom)`, so DEMs with a lower maxzoom are overzoomed.
+ * @param {object} dem - A DEM of the chain: `{manager, maxzoom}`.
+ * @param {number} z - Zoom of the composed tile.
+ * @param {number[]} window - `[minX, minY, maxX, maxY]` in global pixels of the composed tile's zoom, exclusive of the max.
+ * @param {number} tileSize - Size of the composed tile.
+ * @param {AbortController} abortController - Controller to cancel the fetches.
+ * @returns {Promise<object | null>} The fetched tiles and the pixel scale, or null if the DEM has none of them.
+ */
+async function fetchDemWindow(dem, z, window, tileSize, abortController) {
+  const demZoom = Math.min(z, dem.maxzoom);
+  const tilesAcross = 2 ** demZoom;
+  // Width of a DEM tile in pixels of the composed zoom
+  const demTileExtent = tileSize * 2 ** (z - demZoom);
+  const fetchTile = (tx, ty) => (ty < 0 || ty >= tilesAcross)
+    ? Promise.resolve(null)
+    : dem.manager.fetchAndParseTile(demZoom, ((tx % tilesAcross) + tilesAcross) % tilesAcross, ty, abortController);
+
+  // The tile under the window centre gives the pixel size of the DEM, before fetching the others
+  const centerX = Math.floor((window[0] + window[2]) / 2 / demTileExtent);
+  const centerY = Math.floor((window[1] + window[3]) / 2 / demTileExtent);
+  const center = await fetchTile(centerX, centerY);
+  const width = center?.width ?? tileSize;
+  const scale = width / demTileExtent;
+
+  // DEM pixels the interpolation at the first and last pixel centres of the window reads
+  const toTile = (pixel) => Math.floor(pixel / width);
+  const minTileX = toTile(Math.floor((window[0] + 0.5) * scale - 0.5));
+  const minTileY = toTile(Math.floor((window[1] + 0.5) * scale - 0.5));
+  const maxTileX = toTile(Math.ceil((window[2] - 0.5) * scale - 0.5));
+  const maxTileY = toTile(Math.ceil((window[3] - 0.5) * scale - 0.5));
+
+  const rows = [];
+  for (let ty = minTileY; ty <= maxTileY; ty++) {
+    const row = [];
+    for (let tx = minTileX; tx <= maxTileX; tx++) {
+      row.push(tx === centerX && ty === centerY ? center : fetchTile(tx, ty));
+    }
+    rows.push(Promise.all(row));
+  }
+  const tiles = await Promise.all(rows);
+  if (tiles.every((row) => row.every((tile) => !tile))) {
+    return null;
+  }
+  return { tiles, minTileX, minTileY, width, scale };
+}
+
+/**
+ * Samples the elevations of a DEM on a pixel window, bilinearly and ignoring pixels without data.
+ * @param {object} dem - A DEM of the chain: `{manager, maxzoom, nodata}`.
+ * @param {number} z - Zoom of the composed tile.
+ * @param {number[]} window - `[minX, minY, maxX, maxY]` in global pixels, exclusive of the max.
+ * @param {number} tileSize - Size of the composed tile.
+ * @param {AbortController} abortController - Controller to cancel the fetches.
+ * @returns {Promise<Float32Array | null>} The elevations, NaN without data, or null if the DEM has no tile there.
+ */
+async function sampleDem(dem, z, window, tileSize, abortController) {
+  const fetched = await fetchDemWindow(dem, z, window, tileSize, abortController);
+  if (!fetched) {
+    return null;
+  }
+  const { tiles, minTileX, minTileY, width, scale } = fetched;
+
+  const get = (px, py) => {
+    const tile = tiles[Math.floor(py / width) - minTileY]?.[Math.floor(px / width) - minTileX];
+    if (!tile || tile.width !== width) return NaN;
+    const value = tile.data[(py - Math.floor(py / width) * width) * width + (px - Math.floor(px / width) * width)];
+    return value >= MIN_VALID_ELEVATION && value <= MAX_VALID_ELEVATION && value !== dem.nodata ? value : NaN;
+  };
+
+  const windowWidth = window[2] - window[0];
+  const windowHeight = window[3] - window[1];
+  const values = new Float32Array(windowWidth * windowHeight).fill(NaN);
+  for (let row = 0; row < windowHeight; row++) {
+    // Pixel centres of the composed tile in DEM pixels
+    const fy = (window[1] + row + 0.5) * scale - 0.5;
+    const y0 = Math.floor(fy);
+    const ty = fy - y0;
+    for (let column = 0; column < windowWidth; column++) {
+      const fx = (window[0] + column + 0.5) * scale - 0.5;
+      const x0 = Math.floor(fx);
+      const tx = fx - x0;
+
+      const weights = [(1 - tx) * (1 - ty), tx * (1 - ty), (1 - tx) * ty, tx * ty];
+      const neighbors = [[x0, y0], [x0 + 1, y0], [x0, y0 + 1], [x0 + 1, y0 + 1]];
+      let sum = 0;
+      let weightSum = 0;
+      for (let i = 0; i < 4; i++) {
+        if (weights[i] > 0) {
+          const value = get(...neighbors[i]);
+          if (!Number.isNaN(value)) {
+            sum += value * weights[i];
+            weightSum += weights[i];
+          }
+        }
+      }
+      if (weightSum > 0) {
+        values[row * windowWidth + column] = sum / weightSum;
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Gets the weight of each pixel of a DEM when blending it over the DEMs below it: 0 without
+ * data, rising linearly to 1 at `blend + 1` pixels from the nearest pixel without data.
+ * @param {Float32Array} values - The sampled elevations.
+ * @param {number} size - Width and height of the sampled window.
+ * @param {number} blend - The blend distance in pixels.
+ * @returns {Float32Array} The weights.
+ */
+function getBlendWeights(values, size, blend) {
+  // Two pass chessboard distance transform to the nearest pixel without data
+  const distances = new Float32Array(size * size);
+  for (let i = 0; i < values.length; i++) {
+    distances[i] = Number.isNaN(values[i]) ? 0 : Infinity;
+  }
+  const relax = (i, row, column) => {
+    if (row < 0 || row >= size || column < 0 || column >= size) return;
+    distances[i] = Math.min(distances[i], distances[row * size + column] + 1);
+  };
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const i = row * size + column;
+      relax(i, row, column - 1);
+      relax(i, row - 1, column - 1);
+      relax(i, row - 1, column);
+      relax(i, row - 1, column + 1);
+    }
+  }
+  for (let row = size - 1; row >= 0; row--) {
+    for (let column = size - 1; column >= 0; column--) {
+      const i = row * size + column;
+      relax(i, row, column + 1);
+      relax(i, row + 1, column + 1);
+      relax(i, row + 1, column);
+      relax(i, row + 1, column - 1);
+    }
+  }
+  return distances.map((distance) => Math.min(1, distance / (blend + 1)));
+}
+
+/**
+ * Composes a DEM tile from a fallback chain of DEMs. Each pixel takes its elevation from the
+ * first DEM that has data there, so lower DEMs are only fetched where the ones above them have
+ * missing tiles or nodata. With `blend`, a DEM fades into the ones below it over that many
+ * pixels from the edge of its data, so contours don't jump where the datasets meet.
+ * @param {object[]} dems - The DEMs in order of preference: `{manager, maxzoom, nodata}`.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {object} options
+ * @param {number} options.tileSize - Width and height of the composed tile in pixels.
+ * @param {number} [options.blend] - The blend distance in pixels (default: no blending).
+ * @param {AbortController} [abortController] - Controller to cancel the DEM fetches.
+ * @returns {Promise<import('maplibre-contour').DemTile>} The tile, with NaN where no DEM has data.
+ */
+export async function composeDemTile(dems, z, x, y, { tileSize, blend = 0 }, abortController = new AbortController()) {
+  // Every DEM tile fetch listens to the same signal
+  setMaxListeners(0, abortController.signal);
+
+  // Blend weights depend on the data around the tile too, so it is sampled with a margin
+  const margin = blend > 0 ? blend + 1 : 0;
+  const size = tileSize + 2 * margin;
+  const window = [x * tileSize - margin, y * tileSize - margin, (x + 1) * tileSize + margin, (y + 1) * tileSize + margin];
+
+  const data = new Float32Array(tileSize * tileSize);
+  // Share of each pixel still to be filled by the DEMs further down the chain
+  const remaining = new Float32Array(tileSize * tileSize).fill(1);
+  let unfilled = tileSize * tileSize;
+
+  for (const dem of dems) {
+    if (unfilled === 0) break;
+    const values = await sampleDem(dem, z, window, tileSize, abortController);
+    if (!values) continue;
+    const weights = margin > 0 ? getBlendWeights(values, size, blend) : null;
+
+    for (let row = 0; row < tileSize; row++) {
+      for (let column = 0; column < tileSize; column++) {
+        const i = row * tileSize + column;
+        const value = values[(row + margin) * size + column + margin];
+        if (remaining[i] === 0 || Number.isNaN(value)) continue;
+        const weight = remaining[i] * (weights ? weights[(row + margin) * size + column + margin] : 1);
+        data[i] += value * weight;
+        remaining[i] -= weight;
+        if (remaining[i] <= 0) {
+          remaining[i] = 0;
+          unfilled--;
+        }
+      }
+    }
+  }
+
+  // Pixels only partly covered, at the edge of the last DEM with data, are scaled to a full weight
+  for (let i = 0; i < data.length; i++) {
+    data[i] = remaining[i] < 1 ? data[i] / (1 - remaining[i]) : NaN;
+  }
+  return { width: tileSize, height: tileSize, data };
+}
+
+/**
+ * Merges the coverage of the DEMs of a chain into the coverage of the source.
+ * @param {(object | undefined)[]} metadata - The metadata of each DEM, undefined when unknown.
+ * @returns {{bounds?: number[], minzoom?: number, center?: number[]} | undefined} The merged metadata.
+ */
+export function mergeDemMetadata(metadata) {
+  if (metadata.some((m) => !m)) {
+    return undefined;
+  }
+  const bounds = metadata.every((m) => m.bounds)
+    ? [
+      Math.min(...metadata.map((m) => m.bounds[0])),
+      Math.min(...metadata.map((m) => m.bounds[1])),
+      Math.max(...metadata.map((m) => m.bounds[2])),
+      Math.max(...metadata.map((m) => m.bounds[3])),
+    ]
+    : undefined;
+  const minzoom = metadata.every((m) => m.minzoom !== undefined)
+    ? Math.min(...metadata.map((m) => m.minzoom))
+    : undefined;
+  return {
+    ...(bounds && { bounds }),
+    ...(minzoom !== undefined && { minzoom }),
+    ...(metadata[0].center && { center: metadata[0].center }),
+  };
+}
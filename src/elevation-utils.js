@@ -0,0 +1,214 @@
+// src/elevation-utils.js
+import { setMaxListeners } from 'events';
+import { getTileCoverage } from './source-utils.js';
+
+const EARTH_RADIUS = 6371008.8;
+const MAX_LATITUDE = 85.0511287798;
+
+// Same valid elevation range maplibre-contour uses when building height tiles
+const MIN_VALID_ELEVATION = -12000;
+const MAX_VALID_ELEVATION = 9000;
+
+/**
+ * Great-circle distance between two points.
+ * @param {number[]} a - `[lon, lat]` in degrees.
+ * @param {number[]} b - `[lon, lat]` in degrees.
+ * @returns {number} The distance in metres.
+ */
+export function haversineDistance([lon1, lat1], [lon2, lat2]) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Checks that a value is a `[lon, lat]` position inside the web mercator range.
+ * @param {any} position - The value to check.
+ * @returns {boolean} True if valid.
+ */
+export function isValidPosition(position) {
+  return Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]) &&
+    position[0] >= -180 && position[0] <= 180 &&
+    position[1] >= -MAX_LATITUDE && position[1] <= MAX_LATITUDE;
+}
+
+/**
+ * Samples elevations from the DEM of a source, reusing the decoded tiles between samples.
+ */
+export class ElevationSampler {
+  sourceData;
+  zoom;
+  abortController;
+  tiles = new Map();
+  tileSize;
+
+  /**
+   * @param {object} sourceData - The entry from `contourSources`.
+   * @param {number} zoom - The DEM zoom to sample at.
+   * @param {AbortController} [abortController] - Controller to cancel the DEM fetches.
+   */
+  constructor(sourceData, zoom, abortController = new AbortController()) {
+    this.sourceData = sourceData;
+    this.zoom = zoom;
+    this.abortController = abortController;
+    // Every DEM tile fetch of a profile listens to the same signal
+    setMaxListeners(0, abortController.signal);
+  }
+
+  getTile(x, y) {
+    const key = `${this.zoom}/${x}/${y}`;
+    if (!this.tiles.has(key)) {
+      const promise = getTileCoverage(this.sourceData, this.zoom, x, y).then(async (coverage) => {
+        // Tiles outside the coverage of the source are not fetched, nor any tile once canceled
+        if (coverage !== 'covered') {
+          return undefined;
+        }
+        this.abortController.signal.throwIfAborted();
+        const tile = await this.sourceData.manager.fetchAndParseTile(this.zoom, x, y, this.abortController);
+        this.tileSize ??= tile.width;
+        // Blank tiles generated for missing DEM tiles have no real elevations
+        return this.sourceData.blankDemTiles?.has(key) ? undefined : tile;
+      });
+      this.tiles.set(key, promise);
+    }
+    return this.tiles.get(key);
+  }
+
+  // Elevation of a pixel in the global pixel grid of the zoom level, or NaN if there is no data
+  async getPixel(px, py) {
+    const size = this.tileSize;
+    const tilesAcross = 1 << this.zoom;
+    const worldSize = tilesAcross * size;
+    const wrappedX = ((px % worldSize) + worldSize) % worldSize;
+    const clampedY = Math.min(Math.max(py, 0), worldSize - 1);
+    const tileX = Math.floor(wrappedX / size);
+    const tileY = Math.floor(clampedY / size);
+
+    const tile = await this.getTile(tileX, tileY);
+    if (!tile) {
+      return NaN;
+    }
+    const value = tile.data[(clampedY - tileY * size) * tile.width + (wrappedX - tileX * size)];
+    return value >= MIN_VALID_ELEVATION && value <= MAX_VALID_ELEVATION ? value : NaN;
+  }
+
+  /**
+   * Gets the bilinearly interpolated elevation at a position.
+   * @param {number} lon - Longitude in degrees.
+   * @param {number} lat - Latitude in degrees.
+   * @returns {Promise<number | null>} The elevation, or null where the DEM has no data.
+   */
+  async getElevation(lon, lat) {
+    const tilesAcross = 1 << this.zoom;
+    const tileXf = ((lon + 180) / 360) * tilesAcross;
+    const latRad = (lat * Math.PI) / 180;
+    const tileYf = ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * tilesAcross;
+
+    // The tile size is only known once a tile has been decoded
+    if (this.tileSize === undefined) {
+      await this.getTile(
+        Math.min(Math.floor(tileXf), tilesAcross - 1),
+        Math.min(Math.max(Math.floor(tileYf), 0), tilesAcross - 1)
+      );
+      if (this.tileSize === undefined) {
+        return null; // outside the coverage of the source
+      }
+    }
+
+    // Pixel values are taken at the pixel centres
+    const px = tileXf * this.tileSize - 0.5;
+    const py = tileYf * this.tileSize - 0.5;
+    const x0 = Math.floor(px);
+    const y0 = Math.floor(py);
+    const fx = px - x0;
+    const fy = py - y0;
+
+    const [a, b, c, d] = await Promise.all([
+      this.getPixel(x0, y0),
+      this.getPixel(x0 + 1, y0),
+      this.getPixel(x0, y0 + 1),
+      this.getPixel(x0 + 1, y0 + 1),
+    ]);
+
+    // Ignore neighbours without data, as long as at least one has data
+    const weights = [(1 - fx) * (1 - fy), fx * (1 - fy), (1 - fx) * fy, fx * fy];
+    let sum = 0;
+    let weightSum = 0;
+    [a, b, c, d].forEach((value, i) => {
+      if (!Number.isNaN(value)) {
+        sum += value * weights[i];
+        weightSum += weights[i];
+      }
+    });
+    return weightSum > 0 ? sum / weightSum : null;
+  }
+}
+
+/**
+ * Samples an elevation profile along a line.
+ * @param {ElevationSampler} sampler - The sampler for the source and zoom.
+ * @param {number[][]} coordinates - The `[lon, lat]` positions of the line.
+ * @param {number} samples - Number of equally spaced samples, including both ends.
+ * @returns {Promise<object>} The profile with total distance, ascent and descent.
+ */
+export async function getElevationProfile(sampler, coordinates, samples) {
+  const segmentLengths = [];
+  let totalDistance = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const length = haversineDistance(coordinates[i - 1], coordinates[i]);
+    segmentLengths.push(length);
+    totalDistance += length;
+  }
+
+  // Positions at equal distances along the line
+  const positions = [];
+  let segment = 0;
+  let segmentStart = 0;
+  for (let i = 0; i < samples; i++) {
+    const distance = samples === 1 ? 0 : (totalDistance * i) / (samples - 1);
+    while (segment < segmentLengths.length - 1 && segmentStart + segmentLengths[segment] < distance) {
+      segmentStart += segmentLengths[segment];
+      segment++;
+    }
+    const [lon1, lat1] = coordinates[segment];
+    const [lon2, lat2] = coordinates[segment + 1];
+    const t = segmentLengths[segment] > 0 ? Math.min(1, (distance - segmentStart) / segmentLengths[segment]) : 0;
+    positions.push({ distance, coordinates: [lon1 + (lon2 - lon1) * t, lat1 + (lat2 - lat1) * t] });
+  }
+
+  const elevations = await Promise.all(
+    positions.map(({ coordinates: [lon, lat] }) => sampler.getElevation(lon, lat))
+  );
+
+  let ascent = 0;
+  let descent = 0;
+  let previous = null;
+  for (const elevation of elevations) {
+    if (elevation === null) continue;
+    if (previous !== null) {
+      const change = elevation - previous;
+      if (change > 0) ascent += change;
+      else descent -= change;
+    }
+    previous = elevation;
+  }
+
+  const valid = elevations.filter((elevation) => elevation !== null);
+  return {
+    distance: totalDistance,
+    ascent,
+    descent,
+    minElevation: valid.length ? Math.min(...valid) : null,
+    maxElevation: valid.length ? Math.max(...valid) : null,
+    profile: positions.map(({ distance, coordinates }, i) => ({
+      distance,
+      elevation: elevations[i],
+      coordinates,
+    })),
+  };
+}
@@ -0,0 +1,289 @@
+// src/fetch-utils.js
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { setTimeout as sleep } from 'timers/promises';
+
+// Responses worth retrying: rate limiting and server errors, including those of CDNs (520-530)
+function isRetryStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Responses that can't have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+const USER_AGENT = 'contour-mvt-server';
+
+// Connections to upstream servers are reused between DEM tiles
+const keepAliveAgents = {
+  'http:': new http.Agent({ keepAlive: true }),
+  'https:': new https.Agent({ keepAlive: true }),
+};
+
+/**
+ * Replaces `${NAME}` references in a configuration value with the environment variable `NAME`,
+ * so secrets like API keys don't have to be written in the configuration file.
+ * @param {string} value - The configuration value.
+ * @returns {string} The value with the environment variables substituted.
+ */
+export function interpolateEnv(value) {
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`Environment variable ${name} is not set`);
+    }
+    return process.env[name];
+  });
+}
+
+/**
+ * Gets the proxy to reach a URL through, from the `HTTP_PROXY`, `HTTPS_PROXY` and `NO_PROXY`
+ * environment variables (or their lowercase forms).
+ * @param {URL} target - The URL to fetch.
+ * @param {object} [env] - The environment.
+ * @returns {URL | null} The proxy URL, or null to connect directly.
+ */
+export function getProxyForUrl(target, env = process.env) {
+  const proxy = target.protocol === 'https:'
+    ? env.HTTPS_PROXY ?? env.https_proxy
+    : env.HTTP_PROXY ?? env.http_proxy;
+  if (!proxy) {
+    return null;
+  }
+
+  const hostname = target.hostname.toLowerCase();
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+  const noProxy = (env.NO_PROXY ?? env.no_proxy ?? '').split(/[\s,]+/).filter(Boolean);
+  for (const entry of noProxy) {
+    if (entry === '*') {
+      return null;
+    }
+    const [, entryHost, entryPort] = entry.toLowerCase().match(/^(.*?)(?::(\d+))?$/);
+    if (entryPort && entryPort !== port) {
+      continue;
+    }
+    // `example.com`, `.example.com` and `*.example.com` all match the domain and its subdomains
+    const domain = entryHost.replace(/^\*?\./, '');
+    if (hostname === domain || hostname.endsWith(`.${domain}`)) {
+      return null;
+    }
+  }
+  return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+}
+
+// Proxy-Authorization header for credentials in the proxy URL
+function getProxyHeaders(proxy) {
+  if (!proxy.username) {
+    return {};
+  }
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+// Opens a tunnel to an https server through a proxy with CONNECT
+function connectTunnel(proxy, target, signal) {
+  const authority = `${target.hostname}:${target.port || 443}`;
+  return new Promise((resolve, reject) => {
+    const request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: authority,
+      headers: { Host: authority, ...getProxyHeaders(proxy) },
+      signal,
+    });
+    request.once('connect', (response, socket) => {
+      if (response.statusCode === 200) {
+        resolve(socket);
+      } else {
+        socket.destroy();
+        reject(new Error(`Proxy CONNECT to ${authority} failed with status ${response.statusCode}`));
+      }
+    });
+    request.once('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Sends a GET request, directly or through the proxy of the environment, and reads the whole response.
+ * @param {URL} target - The URL.
+ * @param {object} headers - The request headers.
+ * @param {AbortSignal} [signal] - Signal to cancel the request.
+ * @returns {Promise<Response>} The response.
+ */
+async function sendRequest(target, headers, signal) {
+  const proxy = getProxyForUrl(target);
+  const requestHeaders = { 'User-Agent': USER_AGENT, ...headers };
+
+  let request;
+  if (!proxy) {
+    const client = target.protocol === 'https:' ? https : http;
+    request = client.request(target, { headers: requestHeaders, agent: keepAliveAgents[target.protocol], signal });
+  } else if (target.protocol === 'https:') {
+    const socket = await connectTunnel(proxy, target, signal);
+    request = https.request(target, {
+      headers: requestHeaders,
+      createConnection: () => tls.connect({ socket, servername: target.hostname }),
+      signal,
+    });
+  } else {
+    // Plain http requests are sent to the proxy with the absolute URL
+    request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      path: target.href,
+      headers: { Host: target.host, ...requestHeaders, ...getProxyHeaders(proxy) },
+      signal,
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    request.once('error', reject);
+    request.once('response', (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.once('error', reject);
+      response.once('end', () => {
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(response.headers)) {
+          for (const item of [].concat(value)) responseHeaders.append(name, item);
+        }
+        const body = NULL_BODY_STATUSES.includes(response.statusCode) ? null : Buffer.concat(chunks);
+        resolve(new Response(body, {
+          status: response.statusCode,
+          statusText: response.statusMessage,
+          headers: responseHeaders,
+        }));
+      });
+    });
+    request.end();
+  });
+}
+
+/**
+ * Limits the number of requests in flight to each upstream host. Requests over the limit
+ * wait in order for a slot.
+ */
+class HostLimiter {
+  active = 0;
+  waiting = [];
+
+  /**
+   * Runs a request once a slot is free.
+   * @param {() => Promise<any>} task - The request.
+   * @param {number} maxConcurrency - The number of requests allowed in flight.
+   * @param {AbortSignal} [signal] - Signal to stop waiting for a slot.
+   * @returns {Promise<any>} The result of the request.
+   */
+  async run(task, maxConcurrency, signal) {
+    signal?.throwIfAborted();
+    if (this.active >= maxConcurrency) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          this.waiting.splice(this.waiting.indexOf(wake), 1);
+          reject(signal.reason);
+        };
+        const wake = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        this.waiting.push(wake);
+      });
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      // The slot is handed over to the next request, or freed
+      const next = this.waiting.shift();
+      if (next) next();
+      else this.active--;
+    }
+  }
+}
+
+const hostLimiters = new Map();
+
+function getHostLimiter(host) {
+  if (!hostLimiters.has(host)) {
+    hostLimiters.set(host, new HostLimiter());
+  }
+  return hostLimiters.get(host);
+}
+
+/**
+ * Parses a `Retry-After` header.
+ * @param {string | null} value - The header, in seconds or as an HTTP date.
+ * @returns {number | undefined} The delay in milliseconds, or undefined if absent or invalid.
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Creates the function a source fetches upstream URLs with: DEM tiles of HTTP sources and the
+ * byte ranges of remote PMTiles archives. It adds the configured headers and query parameters,
+ * retries rate limited and failed requests with exponential backoff (or after `Retry-After`),
+ * limits the requests in flight per host and goes through the `HTTP(S)_PROXY` of the environment.
+ * @param {object} settings - The settings from `getHttpSettings`.
+ * @param {string} label - Name used in log messages, e.g. the source name.
+ * @returns {(url: string, options?: {headers?: object, signal?: AbortSignal}) => Promise<Response>} The fetch function.
+ */
+export function createUpstreamFetcher(settings, label) {
+  const { retries, retryDelay, maxRetryDelay, maxConcurrencyPerHost } = settings;
+  const interpolate = (values) => Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [name, interpolateEnv(value)])
+  );
+  const headers = interpolate(settings.headers);
+  const query = interpolate(settings.query);
+
+  return async function fetchUpstream(url, { headers: requestHeaders = {}, signal } = {}) {
+    const target = new URL(url);
+    for (const [name, value] of Object.entries(query)) {
+      target.searchParams.set(name, value);
+    }
+    // Query parameters may hold tokens, so they are left out of the logs
+    const loggedUrl = `${target.origin}${target.pathname}`;
+    const limiter = getHostLimiter(target.host);
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let error;
+      try {
+        response = await limiter.run(
+          () => sendRequest(target, { ...headers, ...requestHeaders }, signal),
+          maxConcurrencyPerHost,
+          signal
+        );
+      } catch (requestError) {
+        if (signal?.aborted) throw requestError;
+        error = requestError;
+      }
+
+      if ((response && !isRetryStatus(response.status)) || attempt >= retries) {
+        if (error) throw error;
+        return response;
+      }
+
+      let delay = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+      const retryAfter = parseRetryAfter(response?.headers.get('Retry-After'));
+      if (retryAfter !== undefined) {
+        // Waiting less than asked would only be rejected again
+        if (retryAfter > maxRetryDelay) return response;
+        delay = retryAfter;
+      }
+      console.warn(`${label}: ${error ? error.message : `HTTP ${response.status}`} from ${loggedUrl}, retry ${attempt + 1} of ${retries} in ${delay}ms`);
+      await sleep(delay, undefined, { signal });
+    }
+  };
+}
@@ -0,0 +1,232 @@
+// src/geojson-utils.js
+import { getTileRangeForBbox } from './mlcontour-utils.js';
+import { generateTileIsolines, getContourLevel } from './isoline-utils.js';
+import { getContourAttributes, getAttributeScale } from './attribute-utils.js';
+import { processContourLine, hasGeometryProcessing } from './geometry-utils.js';
+
+const MAX_LATITUDE = 85.0511287798;
+const COORDINATE_PRECISION = 1e7;
+const TILE_CONCURRENCY = 4;
+
+// Converts lon/lat to world coordinates, where the whole world spans `worldSize` units
+function toWorld([lon, lat], worldSize) {
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const rad = (clamped * Math.PI) / 180;
+  return [
+    ((lon + 180) / 360) * worldSize,
+    ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * worldSize,
+  ];
+}
+
+function toLonLat([wx, wy], worldSize) {
+  const lon = (wx / worldSize) * 360 - 180;
+  const lat = (Math.atan(Math.sinh(Math.PI * (1 - (2 * wy) / worldSize))) * 180) / Math.PI;
+  return [
+    Math.round(lon * COORDINATE_PRECISION) / COORDINATE_PRECISION,
+    Math.round(lat * COORDINATE_PRECISION) / COORDINATE_PRECISION,
+  ];
+}
+
+/**
+ * Gets the number of tiles an export of a bounding box needs at a zoom.
+ * @param {number[]} bbox - `[minLon, minLat, maxLon, maxLat]`.
+ * @param {number} zoom - The zoom the contours are generated at.
+ * @returns {number} The tile count.
+ */
+export function countExportTiles(bbox, zoom) {
+  const { minX, minY, maxX, maxY } = getTileRangeForBbox(bbox, zoom);
+  return (maxX - minX + 1) * (maxY - minY + 1);
+}
+
+/**
+ * Joins lines whose end points touch, so contours split at tile boundaries become continuous.
+ * Contour lines keep the higher ground on the same side, so a line is only ever joined
+ * end-to-start with another one.
+ * @param {number[][][]} lines - Lines as arrays of `[x, y]` integer world coordinates.
+ * @returns {number[][][]} The merged lines.
+ */
+export function mergeLines(lines) {
+  const key = ([x, y]) => `${x},${y}`;
+  const byStart = new Map();
+  const byEnd = new Map();
+  // Lines are tracked apart from the maps, which only keep one of the lines sharing an end point
+  const open = new Set();
+  const rings = [];
+
+  for (let line of lines) {
+    // Attach to a line ending where this one starts
+    const before = byEnd.get(key(line[0]));
+    if (before) {
+      byEnd.delete(key(line[0]));
+      byStart.delete(key(before[0]));
+      open.delete(before);
+      line = before.concat(line.slice(1));
+    }
+    // Attach a line starting where this one ends, unless that closes a ring
+    const after = byStart.get(key(line[line.length - 1]));
+    if (after && after !== line) {
+      byStart.delete(key(after[0]));
+      byEnd.delete(key(after[after.length - 1]));
+      open.delete(after);
+      line = line.concat(after.slice(1));
+    }
+    if (key(line[0]) === key(line[line.length - 1])) {
+      rings.push(line);
+      continue;
+    }
+    byStart.set(key(line[0]), line);
+    byEnd.set(key(line[line.length - 1]), line);
+    open.add(line);
+  }
+
+  return [...open, ...rings];
+}
+
+/**
+ * Clips a line to a rectangle, splitting it where it leaves and re-enters the rectangle.
+ * @param {number[][]} line - The `[x, y]` positions.
+ * @param {number[]} rect - `[minX, minY, maxX, maxY]`.
+ * @returns {number[][][]} The parts of the line inside the rectangle.
+ */
+export function clipLine(line, [minX, minY, maxX, maxY]) {
+  const parts = [];
+  let current = [];
+  const push = (point) => {
+    const last = current[current.length - 1];
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      current.push(point);
+    }
+  };
+
+  for (let i = 1; i < line.length; i++) {
+    const [x0, y0] = line[i - 1];
+    const [x1, y1] = line[i];
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+
+    // Liang-Barsky clipping of the segment
+    let t0 = 0;
+    let t1 = 1;
+    const edges = [[-dx, x0 - minX], [dx, maxX - x0], [-dy, y0 - minY], [dy, maxY - y0]];
+    let visible = true;
+    for (const [p, q] of edges) {
+      if (p === 0) {
+        if (q < 0) visible = false;
+      } else {
+        const t = q / p;
+        if (p < 0) t0 = Math.max(t0, t);
+        else t1 = Math.min(t1, t);
+      }
+    }
+    if (!visible || t0 > t1) {
+      if (current.length > 1) parts.push(current);
+      current = [];
+      continue;
+    }
+
+    push([x0 + t0 * dx, y0 + t0 * dy]);
+    push([x0 + t1 * dx, y0 + t1 * dy]);
+    if (t1 < 1) {
+      if (current.length > 1) parts.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 1) parts.push(current);
+  return parts;
+}
+
+/**
+ * Generates the contour lines of a bounding box as GeoJSON features. The tiles covering the
+ * bounding box are generated without a buffer, the lines split at tile boundaries are joined,
+ * processed by the geometry options of the zoom and clipped to the bounding box.
+ * @param {object} sourceData - The entry from `contourSources`.
+ * @param {number[]} bbox - `[minLon, minLat, maxLon, maxLat]`.
+ * @param {number} zoom - The zoom to generate the contours at.
+ * @param {object} tileOptions - The options from `getTileOptions`.
+ * @param {AbortController} [abortController] - Controller to cancel the generation.
+ * @returns {Promise<object[]>} The LineString features, ordered by elevation.
+ */
+export async function generateContourFeatures(sourceData, bbox, zoom, tileOptions, abortController = new AbortController()) {
+  const { levels, extent = 4096, elevationKey = 'ele', levelKey = 'level' } = tileOptions;
+  const { attributes } = sourceData.sourceConfig;
+  const attributeScale = getAttributeScale(tileOptions, sourceData.contourOptions.multiplier);
+  if (!levels || levels.length === 0) {
+    return [];
+  }
+
+  const { minX, minY, maxX, maxY } = getTileRangeForBbox(bbox, zoom);
+  const tiles = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      tiles.push({ x, y });
+    }
+  }
+
+  // Lines of every tile in world coordinates, grouped by elevation. Tile coordinates are
+  // integers, so the end points of a line cut at a tile edge match exactly across tiles.
+  const linesByElevation = new Map();
+  const options = { ...tileOptions, buffer: 0 };
+  const { signal } = abortController;
+  const worker = async () => {
+    for (let tile = tiles.shift(); tile; tile = tiles.shift()) {
+      // Each tile gets its own controller for its DEM fetches, chained to the one of the request,
+      // so the listeners of all tiles don't pile up on one signal
+      signal.throwIfAborted();
+      const tileAbortController = new AbortController();
+      const onAbort = () => tileAbortController.abort(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      let isolines;
+      try {
+        isolines = await generateTileIsolines(sourceData.manager, zoom, tile.x, tile.y, options, tileAbortController);
+      } finally {
+        signal.removeEventListener('abort', onAbort);
+      }
+      for (const [eleString, geometries] of Object.entries(isolines)) {
+        const ele = Number(eleString);
+        if (!linesByElevation.has(ele)) linesByElevation.set(ele, []);
+        for (const geometry of geometries) {
+          const line = [];
+          for (let i = 0; i < geometry.length; i += 2) {
+            line.push([tile.x * extent + geometry[i], tile.y * extent + geometry[i + 1]]);
+          }
+          linesByElevation.get(ele).push(line);
+        }
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: TILE_CONCURRENCY }, worker));
+
+  const worldSize = extent * (1 << zoom);
+  const [left, bottom] = toWorld([bbox[0], bbox[1]], worldSize);
+  const [right, top] = toWorld([bbox[2], bbox[3]], worldSize);
+  const rect = [left, top, right, bottom];
+
+  const features = [];
+  for (const ele of [...linesByElevation.keys()].sort((a, b) => a - b)) {
+    const properties = {
+      [elevationKey]: ele,
+      [levelKey]: getContourLevel(ele, levels),
+      ...(attributes && getContourAttributes(ele, levels[0], attributes, attributeScale)),
+    };
+    for (let line of mergeLines(linesByElevation.get(ele))) {
+      // World coordinates are in tile units, so the geometry options apply as they do to tiles
+      if (hasGeometryProcessing(tileOptions)) {
+        const processed = processContourLine(line.flat(), tileOptions);
+        if (!processed) continue;
+        line = [];
+        for (let i = 0; i < processed.length; i += 2) line.push([processed[i], processed[i + 1]]);
+      }
+      for (const part of clipLine(line, rect)) {
+        features.push({
+          type: 'Feature',
+          properties,
+          geometry: {
+            type: 'LineString',
+            coordinates: part.map((point) => toLonLat(point, worldSize)),
+          },
+        });
+      }
+    }
+  }
+  return features;
+}
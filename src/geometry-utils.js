@@ -0,0 +1,232 @@
+// src/geometry-utils.js
+
+// Smoothing methods of contour lines
+export const SMOOTHING_METHODS = ['chaikin', 'bezier'];
+
+// Most subdivisions of each segment when smoothing, as a power of 2
+export const MAX_SMOOTH_ITERATIONS = 5;
+
+/**
+ * Resolves the geometry options of a zoom from the `geometry` of a source's contour options: like
+ * `thresholds`, each entry applies from its zoom up to the next one.
+ * @param {{[zoom: string]: object} | undefined} geometry - The geometry options by zoom.
+ * @param {number} zoom - The tile zoom.
+ * @returns {{smooth?: string, smoothIterations?: number, simplify?: number, minLength?: number}} The options of the zoom.
+ */
+export function getGeometryOptionsForZoom(geometry, zoom) {
+  let options = {};
+  let maxLessThanOrEqualTo = -Infinity;
+  for (const [zString, value] of Object.entries(geometry ?? {})) {
+    const z = Number(zString);
+    if (z <= zoom && z > maxLessThanOrEqualTo) {
+      maxLessThanOrEqualTo = z;
+      options = value;
+    }
+  }
+  return options;
+}
+
+// Whether a line ends where it starts
+function isClosed(line) {
+  return line.length >= 6 && line[0] === line[line.length - 2] && line[1] === line[line.length - 1];
+}
+
+function getLength(line) {
+  let length = 0;
+  for (let i = 2; i < line.length; i += 2) {
+    length += Math.hypot(line[i] - line[i - 2], line[i + 1] - line[i - 1]);
+  }
+  return length;
+}
+
+/**
+ * Simplifies a line with the Douglas-Peucker algorithm, keeping its end points.
+ * @param {number[]} line - `[x1, y1, x2, y2, ...]`.
+ * @param {number} tolerance - Largest distance of a removed point from the simplified line.
+ * @returns {number[]} The simplified line.
+ */
+function simplifyLine(line, tolerance) {
+  const count = line.length / 2;
+  if (count <= 2) {
+    return line;
+  }
+  const keep = new Uint8Array(count);
+  keep[0] = 1;
+  keep[count - 1] = 1;
+  const squaredTolerance = tolerance * tolerance;
+
+  const stack = [[0, count - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const ax = line[first * 2];
+    const ay = line[first * 2 + 1];
+    const dx = line[last * 2] - ax;
+    const dy = line[last * 2 + 1] - ay;
+    const squaredLength = dx * dx + dy * dy;
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      let px = line[i * 2] - ax;
+      let py = line[i * 2 + 1] - ay;
+      // Distance to the segment, or to its start when it is a point (a closed ring)
+      if (squaredLength > 0) {
+        const t = Math.max(0, Math.min(1, (px * dx + py * dy) / squaredLength));
+        px -= t * dx;
+        py -= t * dy;
+      }
+      const distance = px * px + py * py;
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (maxDistance > squaredTolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  const simplified = [];
+  for (let i = 0; i < count; i++) {
+    if (keep[i]) simplified.push(line[i * 2], line[i * 2 + 1]);
+  }
+  return simplified;
+}
+
+/**
+ * Smooths a line by Chaikin corner cutting: each pass replaces every segment by points at 1/4
+ * and 3/4 of it. Open lines keep their end points, closed rings stay closed.
+ * @param {number[]} line - `[x1, y1, x2, y2, ...]`.
+ * @param {number} iterations - The number of passes.
+ * @returns {number[]} The smoothed line.
+ */
+function smoothChaikin(line, iterations) {
+  const closed = isClosed(line);
+  let points = line;
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const count = points.length / 2;
+    const smoothed = closed ? [] : [points[0], points[1]];
+    for (let i = 0; i < count - 1; i++) {
+      const [x0, y0, x1, y1] = [points[i * 2], points[i * 2 + 1], points[i * 2 + 2], points[i * 2 + 3]];
+      smoothed.push(0.75 * x0 + 0.25 * x1, 0.75 * y0 + 0.25 * y1, 0.25 * x0 + 0.75 * x1, 0.25 * y0 + 0.75 * y1);
+    }
+    if (closed) {
+      smoothed.push(smoothed[0], smoothed[1]);
+    } else {
+      smoothed.push(points[points.length - 2], points[points.length - 1]);
+    }
+    points = smoothed;
+  }
+  return points;
+}
+
+/**
+ * Smooths a line with a Catmull-Rom spline drawn as cubic Bezier curves, which go through every
+ * point of the line. Each segment is divided into `2 ** iterations` parts.
+ * @param {number[]} line - `[x1, y1, x2, y2, ...]`.
+ * @param {number} iterations - Subdivisions of each segment, as a power of 2.
+ * @returns {number[]} The smoothed line.
+ */
+function smoothBezier(line, iterations) {
+  const closed = isClosed(line);
+  const count = line.length / 2;
+  // Neighbouring point, wrapping around closed rings (whose last point repeats the first)
+  const point = (i) => {
+    if (closed) i = ((i % (count - 1)) + (count - 1)) % (count - 1);
+    else i = Math.max(0, Math.min(count - 1, i));
+    return [line[i * 2], line[i * 2 + 1]];
+  };
+  const steps = 2 ** iterations;
+
+  const smoothed = [line[0], line[1]];
+  for (let i = 0; i < count - 1; i++) {
+    const [p0, p1, p2, p3] = [point(i - 1), point(i), point(i + 1), point(i + 2)];
+    const c1 = [p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6];
+    const c2 = [p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6];
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      const u = 1 - t;
+      const a = u * u * u;
+      const b = 3 * u * u * t;
+      const c = 3 * u * t * t;
+      const d = t * t * t;
+      smoothed.push(a * p1[0] + b * c1[0] + c * c2[0] + d * p2[0], a * p1[1] + b * c1[1] + c * c2[1] + d * p2[1]);
+    }
+  }
+  return smoothed;
+}
+
+// Round a line to integer tile coordinates, dropping the repeated points that leaves
+function roundLine(line) {
+  const rounded = [];
+  for (let i = 0; i < line.length; i += 2) {
+    const x = Math.round(line[i]);
+    const y = Math.round(line[i + 1]);
+    if (rounded.length === 0 || x !== rounded[rounded.length - 2] || y !== rounded[rounded.length - 1]) {
+      rounded.push(x, y);
+    }
+  }
+  return rounded;
+}
+
+/**
+ * Filters, simplifies and smooths a contour line. Lines shorter than `minLength` are dropped,
+ * except open lines ending outside the `[0, extent]` square: those are cut by the tile edge and
+ * continue in the neighbouring tile.
+ * @param {number[]} line - `[x1, y1, x2, y2, ...]` in tile coordinates.
+ * @param {object} options - Geometry options from `getGeometryOptionsForZoom`.
+ * @param {string} [options.smooth] - `chaikin` or `bezier`.
+ * @param {number} [options.smoothIterations] - Smoothing passes, or subdivisions as a power of 2 (default: 2).
+ * @param {number} [options.simplify] - Douglas-Peucker tolerance in tile units.
+ * @param {number} [options.minLength] - Shortest line kept, in tile units.
+ * @param {number} [extent] - The tile extent, or undefined when the line is not cut at tile edges.
+ * @returns {number[] | null} The processed line, or null if it is dropped.
+ */
+export function processContourLine(line, { smooth, smoothIterations = 2, simplify, minLength }, extent) {
+  if (minLength > 0 && getLength(line) < minLength) {
+    const outside = (i) => line[i] <= 0 || line[i + 1] <= 0 || line[i] >= extent || line[i + 1] >= extent;
+    const cut = extent !== undefined && !isClosed(line) && (outside(0) || outside(line.length - 2));
+    if (!cut) return null;
+  }
+
+  let processed = line;
+  if (simplify > 0) {
+    processed = simplifyLine(processed, simplify);
+  }
+  if (smooth === 'chaikin') {
+    processed = smoothChaikin(processed, smoothIterations);
+  } else if (smooth === 'bezier') {
+    processed = smoothBezier(processed, smoothIterations);
+  }
+  processed = roundLine(processed);
+  // A ring simplified down to a single segment no longer encloses anything
+  if (processed.length < 4 || (isClosed(line) && processed.length < 8)) {
+    return null;
+  }
+  return processed;
+}
+
+/**
+ * Applies the geometry options of a tile to its contour lines.
+ * @param {{[ele: number]: number[][]}} isolines - The lines in tile coordinates by elevation.
+ * @param {object} options - Geometry options from `getGeometryOptionsForZoom`.
+ * @param {number} extent - The tile extent.
+ * @returns {{[ele: number]: number[][]}} The processed lines, without elevations left with no line.
+ */
+export function processContourLines(isolines, options, extent) {
+  const processed = {};
+  for (const [ele, lines] of Object.entries(isolines)) {
+    const kept = lines.map((line) => processContourLine(line, options, extent)).filter(Boolean);
+    if (kept.length > 0) processed[ele] = kept;
+  }
+  return processed;
+}
+
+/**
+ * Checks whether geometry options change the lines at all.
+ * @param {object} options - Geometry options from `getGeometryOptionsForZoom`.
+ * @returns {boolean} True if lines are smoothed, simplified or filtered.
+ */
+export function hasGeometryProcessing({ smooth, simplify, minLength }) {
+  return SMOOTHING_METHODS.includes(smooth) || simplify > 0 || minLength > 0;
+}
@@ -0,0 +1,168 @@
+// src/hillshade-utils.js
+import { setMaxListeners } from 'events';
+import sharp from 'sharp';
+import { abortable, runWorkerTask } from './worker-utils.js';
+import { fetchContourDems, getCombinedTile } from './isoline-utils.js';
+
+const EARTH_CIRCUMFERENCE = 40075016.686;
+
+// Default hillshade options
+export const DEFAULT_HILLSHADE_OPTIONS = {
+  azimuth: 315,
+  altitude: 45,
+  zFactor: 1,
+  shadowColor: '#000000',
+  highlightColor: '#ffffff',
+  opacity: 0.5,
+  tileSize: 256,
+};
+
+/**
+ * Parses a `#rrggbb` colour.
+ * @param {string} color - The colour string.
+ * @returns {number[] | null} The `[r, g, b]` components, or null if invalid.
+ */
+export function parseHexColor(color) {
+  const match = /^#([0-9a-f]{6})$/i.exec(color ?? '');
+  if (!match) {
+    return null;
+  }
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Shades the pixels of a hillshade tile from its DEM tiles. This is the CPU heavy part, run on a worker thread.
+ * @param {{tiles: object[], neighbors: object[]}} dems - The DEM tiles of the tile and its 8 neighbours
+ *   from `fetchContourDems`, so pixels at the tile edges are shaded using the terrain across the edge.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {object} options - Hillshade options, merged with `DEFAULT_HILLSHADE_OPTIONS`.
+ * @returns {Uint8Array | null} The RGBA pixels of the tile, or null if there is no DEM for the tile.
+ */
+export function shadeHillshadeFromDems(dems, z, x, y, options) {
+  const { azimuth, altitude, zFactor, shadowColor, highlightColor, opacity, tileSize } = {
+    ...DEFAULT_HILLSHADE_OPTIONS,
+    ...options,
+  };
+
+  const dem = getCombinedTile(dems, z, x, y);
+  if (!dem) {
+    return null;
+  }
+
+  // Bilinear sampling of the DEM at output pixel centres; the combined tile
+  // also answers for coordinates just outside the tile, so there are no seams.
+  const scale = dem.width / tileSize;
+  const sample = (px, py) => {
+    const fx = (px + 0.5) * scale - 0.5;
+    const fy = (py + 0.5) * scale - 0.5;
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const a = dem.get(x0, y0);
+    const b = dem.get(x0 + 1, y0);
+    const c = dem.get(x0, y0 + 1);
+    const d = dem.get(x0 + 1, y0 + 1);
+    return (a * (1 - tx) + b * tx) * (1 - ty) + (c * (1 - tx) + d * tx) * ty;
+  };
+
+  // Sample one extra pixel on each side for the 3x3 slope kernel
+  const stride = tileSize + 2;
+  const heights = new Float32Array(stride * stride);
+  for (let py = -1; py <= tileSize; py++) {
+    for (let px = -1; px <= tileSize; px++) {
+      heights[(py + 1) * stride + px + 1] = sample(px, py);
+    }
+  }
+
+  // Ground size of an output pixel at the latitude of the tile centre
+  const n = Math.PI - (2 * Math.PI * (y + 0.5)) / (1 << z);
+  const latitude = Math.atan(Math.sinh(n));
+  const cellSize = (EARTH_CIRCUMFERENCE * Math.cos(latitude)) / ((1 << z) * tileSize);
+
+  const zenith = ((90 - altitude) * Math.PI) / 180;
+  const azimuthRad = (((360 - azimuth + 90) % 360) * Math.PI) / 180;
+  const flat = Math.cos(zenith);
+  const shadow = parseHexColor(shadowColor);
+  const highlight = parseHexColor(highlightColor);
+
+  const pixels = new Uint8Array(tileSize * tileSize * 4);
+  for (let py = 0; py < tileSize; py++) {
+    for (let px = 0; px < tileSize; px++) {
+      const i = (py + 1) * stride + px + 1;
+      const a = heights[i - stride - 1], b = heights[i - stride], c = heights[i - stride + 1];
+      const d = heights[i - 1], f = heights[i + 1];
+      const g = heights[i + stride - 1], h = heights[i + stride], k = heights[i + stride + 1];
+      if ([a, b, c, d, f, g, h, k].some(Number.isNaN)) {
+        continue; // no data: leave transparent
+      }
+
+      // Horn's method
+      const dzdx = ((c + 2 * f + k) - (a + 2 * d + g)) / (8 * cellSize);
+      const dzdy = ((g + 2 * h + k) - (a + 2 * b + c)) / (8 * cellSize);
+      const slope = Math.atan(zFactor * Math.sqrt(dzdx * dzdx + dzdy * dzdy));
+      let aspect = 0;
+      if (dzdx !== 0) {
+        aspect = Math.atan2(dzdy, -dzdx);
+        if (aspect < 0) aspect += 2 * Math.PI;
+      } else if (dzdy > 0) {
+        aspect = Math.PI / 2;
+      } else if (dzdy < 0) {
+        aspect = (3 * Math.PI) / 2;
+      }
+
+      const shade = Math.max(0,
+        Math.cos(zenith) * Math.cos(slope) +
+        Math.sin(zenith) * Math.sin(slope) * Math.cos(azimuthRad - aspect)
+      );
+
+      // Darker than flat terrain is drawn with the shadow colour, brighter with the highlight colour
+      const o = (py * tileSize + px) * 4;
+      let color, alpha;
+      if (shade < flat) {
+        color = shadow;
+        alpha = (flat - shade) / flat;
+      } else {
+        color = highlight;
+        alpha = flat < 1 ? (shade - flat) / (1 - flat) : 0;
+      }
+      pixels[o] = color[0];
+      pixels[o + 1] = color[1];
+      pixels[o + 2] = color[2];
+      pixels[o + 3] = Math.round(Math.min(1, alpha) * opacity * 255);
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Renders a hillshade tile from the DEM of a source, shading it on the worker pool.
+ * @param {import('maplibre-contour').LocalDemManager} manager - The DEM manager of the source.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {object} options - Hillshade options, merged with `DEFAULT_HILLSHADE_OPTIONS`.
+ * @param {'png' | 'webp'} format - The output image format.
+ * @param {AbortController} [abortController] - Controller to cancel the DEM fetches and the shading.
+ * @returns {Promise<Buffer | undefined>} The encoded image, or undefined if there is no DEM for the tile.
+ */
+export async function renderHillshadeTile(manager, z, x, y, options, format, abortController = new AbortController()) {
+  const { signal } = abortController;
+  // The fetches of the tile and its 8 neighbours and the shading all listen to the same signal
+  setMaxListeners(0, signal);
+  const dems = await abortable(fetchContourDems(manager, z, x, y, {}, abortController), signal);
+  const pixels = await runWorkerTask('hillshade', { dems, z, x, y, options }, { signal });
+  if (!pixels) {
+    return undefined;
+  }
+
+  const tileSize = options?.tileSize ?? DEFAULT_HILLSHADE_OPTIONS.tileSize;
+  const image = sharp(pixels, { raw: { width: tileSize, height: tileSize, channels: 4 } });
+  if (format === 'webp') {
+    return image.webp({ lossless: true }).toBuffer();
+  }
+  return image.png().toBuffer();
+}
@@ -0,0 +1,156 @@
+// src/http-utils.js
+import { createHash } from 'crypto';
+import { promisify } from 'util';
+import { brotliCompress, gunzip, constants as zlibConstants } from 'zlib';
+
+const brotliCompressP = promisify(brotliCompress);
+const gunzipP = promisify(gunzip);
+
+// Content codings the server can produce, in order of preference when the client rates them equally
+const SUPPORTED_ENCODINGS = ['br', 'gzip', 'identity'];
+
+// Brotli quality used for tiles; higher levels cost much more CPU for little gain on small tiles
+const BROTLI_QUALITY = 5;
+
+/**
+ * Picks the content coding of a response from the `Accept-Encoding` request header.
+ * Without the header, the response is sent uncompressed.
+ * @param {string | undefined} acceptEncoding - The `Accept-Encoding` header.
+ * @returns {'br' | 'gzip' | 'identity' | null} The coding, or null if none is acceptable.
+ */
+export function negotiateEncoding(acceptEncoding) {
+  if (acceptEncoding === undefined) {
+    return 'identity';
+  }
+
+  const qualities = new Map();
+  for (const part of acceptEncoding.split(',')) {
+    const [coding, ...params] = part.trim().toLowerCase().split(';');
+    if (!coding) continue;
+    const qParam = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    qualities.set(coding, Number.isFinite(q) ? q : 0);
+  }
+
+  let best = null;
+  let bestQuality = 0;
+  for (const coding of SUPPORTED_ENCODINGS) {
+    // identity is acceptable unless it, or `*` without it, is explicitly refused
+    const q = qualities.get(coding) ?? qualities.get('*') ?? (coding === 'identity' ? 1 : 0);
+    if (q > bestQuality) {
+      best = coding;
+      bestQuality = q;
+    }
+  }
+  return best;
+}
+
+/**
+ * Creates a strong ETag for a tile representation.
+ * @param {string} optionsKey - Hash of the source and options the tile was generated with.
+ * @param {Buffer} content - The tile content (as stored, e.g. gzipped).
+ * @param {string} [encoding] - The content coding of the representation.
+ * @returns {string} The quoted ETag.
+ */
+export function createETag(optionsKey, content, encoding = 'identity') {
+  const hash = createHash('sha256').update(optionsKey).update(content).digest('hex').slice(0, 24);
+  return `"${hash}-${encoding}"`;
+}
+
+/**
+ * Checks an `If-None-Match` header against the ETag of the selected representation.
+ * @param {string | undefined} ifNoneMatch - The `If-None-Match` header.
+ * @param {string} etag - The quoted ETag.
+ * @returns {boolean} True if the client copy is current and a 304 can be sent.
+ */
+export function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) {
+    return false;
+  }
+  if (ifNoneMatch.trim() === '*') {
+    return true;
+  }
+  // If-None-Match uses the weak comparison
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some((tag) => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Converts a gzipped body to the negotiated content coding.
+ * @param {Buffer} gzipped - The gzipped body.
+ * @param {'br' | 'gzip' | 'identity'} encoding - The negotiated coding.
+ * @returns {Promise<Buffer>} The body to send.
+ */
+export async function encodeGzippedBody(gzipped, encoding) {
+  if (encoding === 'gzip') {
+    return gzipped;
+  }
+  const raw = await gunzipP(gzipped);
+  if (encoding === 'br') {
+    return brotliCompressP(raw, {
+      params: {
+        [zlibConstants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+        [zlibConstants.BROTLI_PARAM_SIZE_HINT]: raw.length,
+      },
+    });
+  }
+  return raw;
+}
+
+/**
+ * Sends a tile with caching headers, answering conditional requests with 304 and
+ * compressed bodies in the content coding the client accepts.
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @param {object} tile
+ * @param {Buffer} tile.data - The tile, gzipped if `gzipped` is set.
+ * @param {boolean} [tile.gzipped] - Whether the data is gzipped and may be re-encoded.
+ * @param {string} tile.contentType - The content type.
+ * @param {string} tile.optionsKey - Hash of the source and options, part of the ETag.
+ * @param {string} [tile.cacheControl] - The `Cache-Control` header to send.
+ */
+export async function sendTile(req, res, { data, gzipped = false, contentType, optionsKey, cacheControl }) {
+  let encoding = 'identity';
+  if (gzipped) {
+    res.vary('Accept-Encoding');
+    encoding = negotiateEncoding(req.get('Accept-Encoding'));
+    if (!encoding) {
+      return res.status(406).json({ error: 'None of br, gzip or identity is acceptable' });
+    }
+  }
+
+  if (cacheControl) {
+    res.set('Cache-Control', cacheControl);
+  }
+
+  const etag = createETag(optionsKey, data, encoding);
+  res.set('ETag', etag);
+  if (etagMatches(req.get('If-None-Match'), etag)) {
+    return res.status(304).end();
+  }
+
+  const body = gzipped ? await encodeGzippedBody(data, encoding) : data;
+  res.set('Content-Type', contentType);
+  if (encoding !== 'identity') {
+    res.set('Content-Encoding', encoding);
+  }
+  res.set('Content-Length', body.length.toString());
+  res.send(body);
+}
+
+/**
+ * Sends the response for an empty tile, with the same caching headers as a tile.
+ * @param {import('express').Response} res - The response.
+ * @param {object} [options]
+ * @param {string} [options.cacheControl] - The `Cache-Control` header to send.
+ * @param {boolean} [options.vary] - Whether the tile would be negotiated on `Accept-Encoding`.
+ */
+export function sendEmptyTile(res, { cacheControl, vary = false } = {}) {
+  if (cacheControl) {
+    res.set('Cache-Control', cacheControl);
+  }
+  if (vary) {
+    res.vary('Accept-Encoding');
+  }
+  res.status(204).end();
+}
@@ -0,0 +1,284 @@
+// src/isoband-utils.js
+
+// Default options of the elevation band layer of a source
+export const DEFAULT_BAND_OPTIONS = {
+  layer: 'bands',
+  minKey: 'min_ele',
+  maxKey: 'max_ele',
+};
+
+// Most breaks of the bands of a zoom
+export const MAX_BAND_BREAKS = 100;
+
+// Packing of the tile coordinates of a point in one number, for coordinates within +-2^19
+const POINT_FACTOR = 2 ** 20;
+const POINT_OFFSET = 2 ** 19;
+
+// Segments of the boundary of the area above a threshold in a grid cell, by marching squares case
+// (`tl << 3 | tr << 2 | br << 1 | bl` for the corners above it). Points are `[x, y]` in half cells
+// from the top left corner, and segments keep the area above on their right, so that it is
+// enclosed clockwise (with y down) as MVT exterior rings are. Saddles keep the corners above apart,
+// as the contour lines of maplibre-contour do, so that bands and lines meet exactly.
+const CASES = [
+  [],
+  [[[0, 1], [1, 2]]],
+  [[[1, 2], [2, 1]]],
+  [[[0, 1], [2, 1]]],
+  [[[2, 1], [1, 0]]],
+  [[[0, 1], [1, 2]], [[2, 1], [1, 0]]],
+  [[[1, 2], [1, 0]]],
+  [[[0, 1], [1, 0]]],
+  [[[1, 0], [0, 1]]],
+  [[[1, 0], [1, 2]]],
+  [[[1, 0], [0, 1]], [[1, 2], [2, 1]]],
+  [[[1, 0], [2, 1]]],
+  [[[2, 1], [0, 1]]],
+  [[[2, 1], [1, 2]]],
+  [[[1, 2], [0, 1]]],
+  [],
+];
+
+/**
+ * Resolves the band options of a zoom: `breaks` is either one list for every zoom or, like
+ * `thresholds`, lists by zoom that apply from their zoom up to the next one.
+ * @param {object | undefined} bandOptions - The merged `bands` options of the source.
+ * @param {number} zoom - The tile zoom.
+ * @returns {{breaks: number[], layer: string, minKey: string, maxKey: string} | undefined} The
+ *   options of the zoom, or undefined if the zoom has no bands.
+ */
+export function getBandOptionsForZoom(bandOptions, zoom) {
+  if (!bandOptions) {
+    return undefined;
+  }
+  const { breaks: breaksByZoom, ...rest } = bandOptions;
+  let breaks = Array.isArray(breaksByZoom) ? breaksByZoom : [];
+  if (!Array.isArray(breaksByZoom)) {
+    let maxLessThanOrEqualTo = -Infinity;
+    for (const [zString, value] of Object.entries(breaksByZoom)) {
+      const z = Number(zString);
+      if (z <= zoom && z > maxLessThanOrEqualTo) {
+        maxLessThanOrEqualTo = z;
+        breaks = value;
+      }
+    }
+  }
+  return breaks.length >= 2 ? { ...rest, breaks } : undefined;
+}
+
+/**
+ * Generates the polygons of the elevation bands between consecutive breaks, in tile coordinates
+ * and clipped to the buffer of the tile. The band from `breaks[i]` to `breaks[i + 1]` covers the
+ * area above the first and not above the second, so its edges are the contour lines of the breaks.
+ *
+ * The area above each break is traced with marching squares in a single pass over the grid. A band
+ * is enclosed by the lines of its lower break, those of its upper break reversed and the parts of
+ * the buffer edge within the band, linked end to end into rings.
+ * @param {number[]} breaks - The band limits, in increasing order.
+ * @param {import('maplibre-contour').HeightTile} tile - The elevations, with the values of the tile
+ *   buffer, where each value is at the top left of its pixel.
+ * @param {number} extent - The vector tile extent.
+ * @param {number} buffer - Pixels of the neighbouring tiles to include.
+ * @returns {number[][][]} For each band, its rings: each exterior ring followed by its holes.
+ */
+export function generateIsobands(breaks, tile, extent, buffer) {
+  const multiplier = extent / (tile.width - 1);
+  const min = -buffer;
+  const size = tile.width + 2 * buffer;
+  const max = min + size - 1;
+  // Missing data is below every break
+  const values = new Float64Array(size * size);
+  for (let y = min; y <= max; y++) {
+    for (let x = min; x <= max; x++) {
+      const value = tile.get(x, y);
+      values[(y - min) * size + x - min] = Number.isNaN(value) ? -Infinity : value;
+    }
+  }
+  const get = (x, y) => values[(y - min) * size + x - min];
+
+  // Points are numbered by their position in half pixels, and crossings by the break of the band
+  // they are on: 0 for the lower one and 1 for the upper one
+  const stride = 2 * size - 1;
+  const getKey = (hx, hy, upper) => ((hy - 2 * min) * stride + hx - 2 * min) * 2 + upper;
+
+  // Points are kept as their tile coordinates packed in one number
+  const packPoint = (x, y) => (Math.round(x * multiplier) + POINT_OFFSET) * POINT_FACTOR + Math.round(y * multiplier) + POINT_OFFSET;
+
+  // Position of the crossing of a break on the pixel edge at `hx, hy` half pixels. An edge with
+  // missing data is crossed at its other end.
+  const getCrossing = (hx, hy, threshold) => {
+    const horizontal = hx % 2 !== 0;
+    const x0 = horizontal ? (hx - 1) / 2 : hx / 2;
+    const y0 = horizontal ? hy / 2 : (hy - 1) / 2;
+    const a = get(x0, y0);
+    const b = horizontal ? get(x0 + 1, y0) : get(x0, y0 + 1);
+    const ratio = a === -Infinity ? 1 : b === -Infinity ? 0 : (threshold - a) / (b - a);
+    return horizontal ? packPoint(x0 + ratio, y0) : packPoint(x0, y0 + ratio);
+  };
+
+  // Segments of the boundary of each band, from the key of their start to the key of their end
+  const bands = breaks.slice(1).map(() => ({ next: new Map(), points: new Map() }));
+  const addSegment = (band, startKey, start, endKey, end) => {
+    band.next.set(startKey, endKey);
+    band.points.set(startKey, start);
+    band.points.set(endKey, end);
+  };
+
+  // Lines of each break, as the lower edge of the band above it and reversed as the upper edge of
+  // the band below it
+  for (let y = min + 1; y <= max; y++) {
+    for (let x = min + 1; x <= max; x++) {
+      const tl = get(x - 1, y - 1);
+      const tr = get(x, y - 1);
+      const br = get(x, y);
+      const bl = get(x - 1, y);
+      const low = Math.min(tl, tr, br, bl);
+      const high = Math.max(tl, tr, br, bl);
+      for (let i = 0; i < breaks.length && breaks[i] < high; i++) {
+        const threshold = breaks[i];
+        if (threshold < low) continue;
+        const index = (tl > threshold ? 8 : 0) | (tr > threshold ? 4 : 0) | (br > threshold ? 2 : 0) | (bl > threshold ? 1 : 0);
+        for (const [start, end] of CASES[index]) {
+          const sx = 2 * (x - 1) + start[0];
+          const sy = 2 * (y - 1) + start[1];
+          const ex = 2 * (x - 1) + end[0];
+          const ey = 2 * (y - 1) + end[1];
+          const startPoint = getCrossing(sx, sy, threshold);
+          const endPoint = getCrossing(ex, ey, threshold);
+          if (i < bands.length) {
+            addSegment(bands[i], getKey(sx, sy, 0), startPoint, getKey(ex, ey, 0), endPoint);
+          }
+          if (i > 0) {
+            addSegment(bands[i - 1], getKey(ex, ey, 1), endPoint, getKey(sx, sy, 1), startPoint);
+          }
+        }
+      }
+    }
+  }
+
+  // Corners of the buffer edge, clockwise from the top left
+  const edgeCorners = [];
+  for (let x = min; x < max; x++) edgeCorners.push([x, min]);
+  for (let y = min; y < max; y++) edgeCorners.push([max, y]);
+  for (let x = max; x > min; x--) edgeCorners.push([x, max]);
+  for (let y = max; y > min; y--) edgeCorners.push([min, y]);
+
+  // Parts of the buffer edge within each band, from where the band starts along each pixel edge
+  // (its first corner or a crossing) to where it ends
+  for (const [i, band] of bands.entries()) {
+    const lower = breaks[i];
+    const upper = breaks[i + 1];
+    const inBand = (value) => value > lower && value <= upper;
+    for (let j = 0; j < edgeCorners.length; j++) {
+      const [ax, ay] = edgeCorners[j];
+      const [bx, by] = edgeCorners[(j + 1) % edgeCorners.length];
+      const a = get(ax, ay);
+      const b = get(bx, by);
+      const hx = ax + bx;
+      const hy = ay + by;
+      let start;
+      let end;
+      if (inBand(a)) start = [getKey(2 * ax, 2 * ay, 0), packPoint(ax, ay)];
+      else if (a <= lower && b > lower) start = [getKey(hx, hy, 0), getCrossing(hx, hy, lower)];
+      else if (a > upper && b <= upper) start = [getKey(hx, hy, 1), getCrossing(hx, hy, upper)];
+      if (inBand(b)) end = [getKey(2 * bx, 2 * by, 0), packPoint(bx, by)];
+      else if (a > lower && b <= lower) end = [getKey(hx, hy, 0), getCrossing(hx, hy, lower)];
+      else if (a <= upper && b > upper) end = [getKey(hx, hy, 1), getCrossing(hx, hy, upper)];
+      if (start && end) {
+        addSegment(band, start[0], start[1], end[0], end[1]);
+      }
+    }
+  }
+
+  return bands.map(({ next, points }) => {
+    const rings = [];
+    for (const first of next.keys()) {
+      const ring = [];
+      let key = first;
+      do {
+        const point = points.get(key);
+        ring.push(Math.floor(point / POINT_FACTOR) - POINT_OFFSET, (point % POINT_FACTOR) - POINT_OFFSET);
+        const nextKey = next.get(key);
+        next.delete(key);
+        key = nextKey;
+      } while (key !== first && key !== undefined);
+      const cleaned = key === first && cleanRing(ring);
+      if (cleaned) rings.push(cleaned);
+    }
+    return nestRings(rings);
+  });
+}
+
+// Twice the signed area of a ring, positive when it is clockwise with y down
+function getRingArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 2; i += 2) {
+    area += ring[i] * ring[i + 3] - ring[i + 2] * ring[i + 1];
+  }
+  return area;
+}
+
+// Remove the repeated and collinear points of an open ring of integer points, and close it.
+// Returns null if nothing is left of it.
+function cleanRing(ring) {
+  const cleaned = [];
+  const isCollinear = (ax, ay, bx, by, cx, cy) => (bx - ax) * (cy - by) - (by - ay) * (cx - bx) === 0;
+  for (let i = 0; i < ring.length; i += 2) {
+    const x = ring[i];
+    const y = ring[i + 1];
+    let n = cleaned.length;
+    while (n >= 4 && isCollinear(cleaned[n - 4], cleaned[n - 3], cleaned[n - 2], cleaned[n - 1], x, y)) {
+      cleaned.length = n -= 2;
+    }
+    if (n < 2 || x !== cleaned[n - 2] || y !== cleaned[n - 1]) {
+      cleaned.push(x, y);
+    }
+  }
+  // The same around the start of the ring
+  let changed = true;
+  while (changed && cleaned.length >= 6) {
+    const n = cleaned.length;
+    changed = false;
+    if (isCollinear(cleaned[n - 4], cleaned[n - 3], cleaned[n - 2], cleaned[n - 1], cleaned[0], cleaned[1])) {
+      cleaned.length -= 2;
+      changed = true;
+    } else if (isCollinear(cleaned[n - 2], cleaned[n - 1], cleaned[0], cleaned[1], cleaned[2], cleaned[3])) {
+      cleaned.splice(0, 2);
+      changed = true;
+    }
+  }
+  if (cleaned.length < 6) {
+    return null;
+  }
+  cleaned.push(cleaned[0], cleaned[1]);
+  return getRingArea(cleaned) !== 0 ? cleaned : null;
+}
+
+// Whether a point is inside a closed ring, by the even-odd rule
+function isInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 4; i < ring.length - 2; j = i, i += 2) {
+    const [xi, yi, xj, yj] = [ring[i], ring[i + 1], ring[j], ring[j + 1]];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Order the rings of a band as MVT polygons: each exterior (clockwise) ring followed by the holes
+// (counter-clockwise rings) of the smallest exterior ring around them
+function nestRings(rings) {
+  const exteriors = [];
+  const holes = [];
+  for (const ring of rings) {
+    const area = getRingArea(ring);
+    (area > 0 ? exteriors : holes).push({ ring, area: Math.abs(area), holes: [] });
+  }
+  exteriors.sort((a, b) => a.area - b.area);
+  for (const hole of holes) {
+    const [x, y] = hole.ring;
+    const exterior = exteriors.find((candidate) => candidate.area > hole.area && isInRing(x, y, candidate.ring));
+    exterior?.holes.push(hole.ring);
+  }
+  return exteriors.flatMap((exterior) => [exterior.ring, ...exterior.holes]);
+}
@@ -0,0 +1,233 @@
+// src/isoline-utils.js
+import mlcontour from 'maplibre-contour';
+import { runWorkerTask } from './worker-utils.js';
+import { encodeVectorTile, GEOM_TYPES } from './mvt-utils.js';
+import { processContourLines, hasGeometryProcessing } from './geometry-utils.js';
+import { generateIsobands } from './isoband-utils.js';
+import { findPeaks } from './peak-utils.js';
+
+/**
+ * Fetches the decoded DEM tiles a contour tile is generated from: the tile and its 8 neighbours,
+ * overzoomed the way `LocalDemManager.fetchDem` does. Neighbours of the same overzoomed DEM tile
+ * share it, so it is only sent to a worker once.
+ * @param {import('maplibre-contour').LocalDemManager} manager - The DEM manager of the source.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {import('maplibre-contour').IndividualContourTileOptions} options - The tile options from `getTileOptions`.
+ * @param {AbortController} abortController - Controller to cancel the DEM fetches.
+ * @returns {Promise<{tiles: object[], neighbors: object[]}>} The DEM tiles, and for each neighbour
+ *   `{x, y, tile, subZ, subX, subY}` with the index of its DEM tile and the part of it to use.
+ */
+export async function fetchContourDems(manager, z, x, y, options, abortController) {
+  const demZoom = Math.min(z - (options.overzoom || 0), manager.maxzoom);
+  const subZ = z - demZoom;
+  const div = 1 << subZ;
+  const max = 1 << z;
+
+  const neighborPromises = [];
+  for (let iy = y - 1; iy <= y + 1; iy++) {
+    if (iy < 0 || iy >= max) continue;
+    for (let ix = x - 1; ix <= x + 1; ix++) {
+      const nx = (ix + max) % max;
+      neighborPromises.push(
+        manager.fetchAndParseTile(demZoom, Math.floor(nx / div), Math.floor(iy / div), abortController)
+          .then((tile) => ({ x: nx, y: iy, tile, subZ, subX: nx % div, subY: iy % div }))
+      );
+    }
+  }
+  const neighbors = await Promise.all(neighborPromises);
+
+  const tiles = [];
+  for (const neighbor of neighbors) {
+    if (!tiles.includes(neighbor.tile)) tiles.push(neighbor.tile);
+    neighbor.tile = tiles.indexOf(neighbor.tile);
+  }
+  return { tiles, neighbors };
+}
+
+// Height tiles of the neighbours of a tile by `x/y`, as `LocalDemManager.fetchDem` would return them
+function getNeighborHeightTiles({ tiles, neighbors }) {
+  return new Map(neighbors.map((neighbor) => [
+    `${neighbor.x}/${neighbor.y}`,
+    mlcontour.HeightTile.fromRawDem(tiles[neighbor.tile]).split(neighbor.subZ, neighbor.subX, neighbor.subY),
+  ]));
+}
+
+/**
+ * Combines a tile with its 8 neighbours into one height tile reaching a tile width past each edge.
+ * @param {{tiles: object[], neighbors: object[]}} dems - The DEM tiles from `fetchContourDems`.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @returns {import('maplibre-contour').HeightTile | null} The combined tile, or null when the tile has no DEM data.
+ */
+export function getCombinedTile(dems, z, x, y) {
+  const heightTiles = getNeighborHeightTiles(dems);
+  const max = 1 << z;
+  const neighbors = [];
+  for (let iy = y - 1; iy <= y + 1; iy++) {
+    for (let ix = x - 1; ix <= x + 1; ix++) {
+      neighbors.push(heightTiles.get(`${(ix + max) % max}/${iy}`));
+    }
+  }
+  return mlcontour.HeightTile.combineNeighbors(neighbors) ?? null;
+}
+
+// Build the elevation grid of a tile and its buffer the way `LocalDemManager.fetchContourTile`
+// does, or return null when the tile has no DEM data
+function getVirtualTile(combinedTile, options) {
+  const { multiplier = 1, subsampleBelow = 100 } = options;
+  if (!combinedTile) {
+    return null;
+  }
+
+  let virtualTile = combinedTile;
+  if (virtualTile.width >= subsampleBelow) {
+    virtualTile = virtualTile.materialize(2);
+  } else {
+    while (virtualTile.width < subsampleBelow) {
+      virtualTile = virtualTile.subsamplePixelCenters(2).materialize(2);
+    }
+  }
+  return virtualTile
+    .averagePixelCentersToGrid()
+    .scaleElevation(multiplier)
+    .materialize(1);
+}
+
+/**
+ * Generates the contour lines of a tile from its DEM tiles, the same way maplibre-contour does
+ * for its vector tiles. This is the CPU heavy part, run on a worker thread.
+ * @param {{tiles: object[], neighbors: object[]}} dems - The DEM tiles from `fetchContourDems`.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {import('maplibre-contour').IndividualContourTileOptions} options - The tile options.
+ * @returns {{[ele: number]: number[][]}} The `[x1, y1, x2, y2, ...]` lines in tile coordinates by elevation.
+ */
+export function generateIsolinesFromDems(dems, z, x, y, options) {
+  const { levels, buffer = 1, extent = 4096 } = options;
+  const virtualTile = getVirtualTile(getCombinedTile(dems, z, x, y), options);
+  return virtualTile ? mlcontour.generateIsolines(levels[0], virtualTile, extent, buffer) : {};
+}
+
+/**
+ * Generates and encodes a contour vector tile from its DEM tiles, like maplibre-contour does but
+ * with the lines smoothed, simplified and filtered by the geometry options of the tile first, and
+ * with the elevation band polygons of `options.bands` and the summits of `options.peaks` in their own layers.
+ * This is the CPU heavy part, run on a worker thread.
+ * @param {{tiles: object[], neighbors: object[]}} dems - The DEM tiles from `fetchContourDems`.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {object} options - The tile options, with the geometry, band and peak options of its zoom.
+ * @returns {{arrayBuffer: ArrayBuffer, unprocessedSize?: number}} The encoded (uncompressed) tile,
+ *   and when the geometry options changed the lines, the size the tile would have had without them.
+ */
+export function encodeContourTileFromDems(dems, z, x, y, options) {
+  const {
+    levels = [],
+    bands,
+    peaks,
+    buffer = 1,
+    extent = 4096,
+    contourLayer = 'contours',
+    elevationKey = 'ele',
+    levelKey = 'level',
+  } = options;
+  const combinedTile = getCombinedTile(dems, z, x, y);
+  const virtualTile = getVirtualTile(combinedTile, options);
+  if (!virtualTile) {
+    return { arrayBuffer: new ArrayBuffer(0) };
+  }
+  const isolines = levels.length > 0 ? mlcontour.generateIsolines(levels[0], virtualTile, extent, buffer) : {};
+
+  // Layers with the same name would replace each other. The contour layer comes first, its lines
+  // are added when encoding.
+  const layers = {};
+  const addLayer = (name, layer) => {
+    if (Object.hasOwn(layers, name)) {
+      throw new Error(`The tile has more than one layer named "${name}"`);
+    }
+    layers[name] = layer;
+  };
+  addLayer(contourLayer, null);
+  if (bands) {
+    const { breaks, layer, minKey, maxKey } = bands;
+    addLayer(layer, {
+      features: generateIsobands(breaks, virtualTile, extent, buffer)
+        .map((geometry, i) => ({
+          type: GEOM_TYPES.POLYGON,
+          geometry,
+          properties: { [minKey]: breaks[i], [maxKey]: breaks[i + 1] },
+        }))
+        .filter((feature) => feature.geometry.length > 0),
+    });
+  }
+  if (peaks) {
+    const { layer, elevationKey: peakElevationKey = elevationKey, round } = peaks;
+    addLayer(layer, {
+      features: findPeaks(combinedTile, { ...peaks, multiplier: options.multiplier }, extent).map((peak) => ({
+        type: GEOM_TYPES.POINT,
+        geometry: [[peak.x, peak.y]],
+        properties: { [peakElevationKey]: Math.round(peak.ele / round) * round },
+      })),
+    });
+  }
+  const encode = (lines) => encodeVectorTile({
+    extent,
+    layers: {
+      ...layers,
+      [contourLayer]: {
+        features: Object.entries(lines).map(([eleString, geometry]) => {
+          const ele = Number(eleString);
+          return {
+            type: GEOM_TYPES.LINESTRING,
+            geometry,
+            properties: { [elevationKey]: ele, [levelKey]: getContourLevel(ele, levels) },
+          };
+        }),
+      },
+    },
+  }).buffer;
+
+  if (!hasGeometryProcessing(options)) {
+    return { arrayBuffer: encode(isolines) };
+  }
+  return {
+    arrayBuffer: encode(processContourLines(isolines, options, extent)),
+    unprocessedSize: encode(isolines).byteLength,
+  };
+}
+
+/**
+ * Generates the contour lines of a tile, the same way maplibre-contour does for its vector tiles,
+ * but returns the raw lines instead of an encoded tile.
+ * @param {import('maplibre-contour').LocalDemManager} manager - The DEM manager of the source.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {import('maplibre-contour').IndividualContourTileOptions} options - The tile options from `getTileOptions`.
+ * @param {AbortController} [abortController] - Controller to cancel the DEM fetches and the generation.
+ * @returns {Promise<{[ele: number]: number[][]}>} The `[x1, y1, x2, y2, ...]` lines in tile coordinates by elevation.
+ */
+export async function generateTileIsolines(manager, z, x, y, options, abortController = new AbortController()) {
+  const { levels } = options;
+  if (!levels || levels.length === 0) {
+    return {};
+  }
+
+  const dems = await fetchContourDems(manager, z, x, y, options, abortController);
+  return runWorkerTask('isolines', { dems, z, x, y, options }, { signal: abortController.signal });
+}
+
+/**
+ * Gets the `level` attribute of a contour: the index of the largest interval in `levels` it is a multiple of.
+ * @param {number} ele - The contour elevation.
+ * @param {number[]} levels - The contour intervals.
+ * @returns {number} The level index.
+ */
+export function getContourLevel(ele, levels) {
+  return Math.max(...levels.map((l, i) => (ele % l === 0 ? i : 0)));
+}
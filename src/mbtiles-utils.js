@@ -1,6 +1,7 @@
 // src/mbtiles-utils.js
 import MBTiles from "@mapbox/mbtiles";
 import { existsSync } from "node:fs";
+import fsp from "node:fs/promises";
 import path from "node:path";
 
 export const mbtilesTester = /^mbtiles:\/\//i;
@@ -51,12 +52,34 @@ export async function openMBTiles(mbtilesUri) {
           );
         }
 
+        // Coverage information, used for TileJSON and bounds checks
+        if (info) {
+          metadata = {
+            ...metadata,
+            bounds: Array.isArray(info.bounds) ? info.bounds : undefined,
+            minzoom: Number.isFinite(info.minzoom) ? info.minzoom : undefined,
+            maxzoom: Number.isFinite(info.maxzoom) ? info.maxzoom : undefined,
+            center: Array.isArray(info.center) ? info.center : undefined,
+          };
+        }
+
         resolve({ handle: mbtilesHandle, metadata });
       });
     });
   });
 }
 
+/**
+ * Closes an MBTiles handle opened with `openMBTiles`.
+ * @param {MBTiles} mbtilesHandle - The handle to close.
+ * @returns {Promise<void>}
+ */
+export async function closeMBTiles(mbtilesHandle) {
+  return new Promise((resolve, reject) => {
+    mbtilesHandle.close((err) => (err ? reject(err) : resolve()));
+  });
+}
+
 export async function getMBTilesTile(
   mbtilesHandle,
   z,
@@ -89,3 +112,123 @@ export async function getMBTilesTile(
     });
   });
 }
+
+/**
+ * Writes gzipped vector tiles into an MBTiles file.
+ *
+ * Tiles already in the file are treated as done, so an interrupted run can be resumed.
+ * Empty tiles are not stored in MBTiles, so they are recorded in a `<out>.journal` file instead.
+ */
+export class MBTilesWriter {
+  outPath;
+  journalPath;
+  handle;
+  emptyTiles = new Set();
+  journalHandle;
+
+  constructor(outPath) {
+    this.outPath = outPath;
+    this.journalPath = `${outPath}.journal`;
+  }
+
+  /**
+   * Opens (or creates) the MBTiles file for writing.
+   * @param {string} outPath - The MBTiles file to write.
+   * @param {{overwrite?: boolean}} [options] - Set `overwrite` to discard the existing file.
+   * @returns {Promise<MBTilesWriter>} The writer.
+   */
+  static async open(outPath, { overwrite = false } = {}) {
+    const writer = new MBTilesWriter(outPath);
+    if (overwrite) {
+      await fsp.rm(outPath, { force: true });
+      await fsp.rm(writer.journalPath, { force: true });
+    }
+
+    try {
+      const journal = await fsp.readFile(writer.journalPath, "utf8");
+      for (const line of journal.split("\n")) {
+        if (line) writer.emptyTiles.add(line);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    writer.handle = await new Promise((resolve, reject) => {
+      new MBTiles(`${path.resolve(outPath)}?mode=rwc&batch=100`, (err, handle) =>
+        err ? reject(err) : resolve(handle),
+      );
+    });
+    await new Promise((resolve, reject) =>
+      writer.handle.startWriting((err) => (err ? reject(err) : resolve())),
+    );
+    writer.journalHandle = await fsp.open(writer.journalPath, "a");
+    return writer;
+  }
+
+  get resumedTiles() {
+    return this.emptyTiles.size;
+  }
+
+  async has(z, x, y) {
+    if (this.emptyTiles.has(`${z}/${x}/${y}`)) {
+      return true;
+    }
+    const { data } = await getMBTilesTile(this.handle, z, x, y);
+    return data !== undefined;
+  }
+
+  /**
+   * Adds a tile.
+   * @param {Buffer} data - The gzipped tile, or an empty buffer to record an empty tile as done.
+   */
+  async putTile(z, x, y, data) {
+    if (data.length === 0) {
+      this.emptyTiles.add(`${z}/${x}/${y}`);
+      await this.journalHandle.appendFile(`${z}/${x}/${y}\n`);
+      return;
+    }
+    await new Promise((resolve, reject) =>
+      this.handle.putTile(z, x, y, data, (err) => (err ? reject(err) : resolve())),
+    );
+  }
+
+  /**
+   * Writes the metadata, commits all tiles and closes the file.
+   * @param {object} params
+   * @param {number[]} params.bounds - `[minLon, minLat, maxLon, maxLat]`.
+   * @param {number} params.minzoom - Lowest zoom.
+   * @param {number} params.maxzoom - Highest zoom.
+   * @param {object} params.metadata - Additional metadata (name, vector_layers, ...).
+   */
+  async finalize({ bounds, minzoom, maxzoom, metadata }) {
+    const info = {
+      ...metadata,
+      format: "pbf",
+      type: "overlay",
+      bounds: bounds.join(","),
+      center: `${(bounds[0] + bounds[2]) / 2},${(bounds[1] + bounds[3]) / 2},${minzoom}`,
+      minzoom,
+      maxzoom,
+    };
+    await new Promise((resolve, reject) =>
+      this.handle.putInfo(info, (err) => (err ? reject(err) : resolve())),
+    );
+    await this.close();
+    await fsp.rm(this.journalPath, { force: true });
+  }
+
+  /**
+   * Commits pending tiles and closes the file, keeping the journal so the run can be resumed.
+   */
+  async close() {
+    if (!this.handle) return;
+    await new Promise((resolve, reject) =>
+      this.handle.stopWriting((err) => (err ? reject(err) : resolve())),
+    );
+    await new Promise((resolve, reject) =>
+      this.handle.close((err) => (err ? reject(err) : resolve())),
+    );
+    await this.journalHandle.close();
+    this.handle = undefined;
+  }
+}
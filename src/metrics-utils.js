@@ -0,0 +1,318 @@
+// src/metrics-utils.js
+
+const METRIC_PREFIX = 'contour_server_';
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const SIZE_BUCKETS = [256, 1024, 4096, 16384, 65536, 262144, 1048576];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base of the metric types: a named metric with one series per combination of label values.
+ */
+class Metric {
+  name;
+  help;
+  type;
+  labelNames;
+  collect;
+  series = new Map();
+
+  /**
+   * @param {string} name - The metric name.
+   * @param {string} help - The help text.
+   * @param {string} type - The Prometheus metric type.
+   * @param {string[]} [labelNames] - The label names.
+   * @param {() => void} [collect] - Called before rendering, to update values that are read on demand.
+   */
+  constructor(name, help, type, labelNames = [], collect = undefined) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    registry.push(this);
+  }
+
+  getSeries(labels, create) {
+    const values = this.labelNames.map((name) => labels[name] ?? '');
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])),
+        ...create(),
+      });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Adds up the series matching some label values: their values, or their counts for histograms.
+   * @param {object} [labels] - The label values to match, other labels are summed over.
+   * @returns {number} The total.
+   */
+  sum(labels = {}) {
+    let total = 0;
+    for (const series of this.series.values()) {
+      if (Object.entries(labels).every(([name, value]) => String(series.labels[name]) === String(value))) {
+        total += series.count ?? series.value;
+      }
+    }
+    return total;
+  }
+
+  render() {
+    this.collect?.();
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+/** A value that only goes up. */
+export class Counter extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super(name, help, 'counter', labelNames, collect);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/** A value that can go up and down. */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super(name, help, 'gauge', labelNames, collect);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+/** Distribution of observed values in cumulative buckets. */
+export class Histogram extends Metric {
+  buckets;
+
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, 'histogram', labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }));
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Starts a timer that observes the elapsed seconds when called.
+   * @param {object} labels - The labels of the observation.
+   * @returns {() => number} Function that stops the timer and returns the seconds.
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    const lines = this.buckets.map((bucket, i) =>
+      `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bucket) })} ${counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    return lines;
+  }
+}
+
+export const requestsTotal = new Counter(
+  `${METRIC_PREFIX}requests_total`,
+  'Requests by source, endpoint and HTTP status.',
+  ['source', 'endpoint', 'status'],
+);
+
+export const requestsInFlight = new Gauge(
+  `${METRIC_PREFIX}requests_in_flight`,
+  'Requests currently being handled.',
+  ['endpoint'],
+);
+
+export const tileGenerationSeconds = new Histogram(
+  `${METRIC_PREFIX}tile_generation_seconds`,
+  'Time to generate a tile that was not in the tile cache.',
+  ['source', 'type'],
+  LATENCY_BUCKETS,
+);
+
+export const tileSizeBytes = new Histogram(
+  `${METRIC_PREFIX}tile_size_bytes`,
+  'Size of generated (compressed) tiles.',
+  ['source', 'type'],
+  SIZE_BUCKETS,
+);
+
+export const tileCacheRequestsTotal = new Counter(
+  `${METRIC_PREFIX}tile_cache_requests_total`,
+  'Tile cache lookups by result (hit or miss).',
+  ['source', 'result'],
+);
+
+export const demFetchSeconds = new Histogram(
+  `${METRIC_PREFIX}dem_fetch_seconds`,
+  'Time to fetch a DEM tile from the source backend.',
+  ['source', 'backend'],
+  LATENCY_BUCKETS,
+);
+
+export const demFetchFailuresTotal = new Counter(
+  `${METRIC_PREFIX}dem_fetch_failures_total`,
+  'DEM tile fetches that failed, by source backend.',
+  ['source', 'backend'],
+);
+
+export const blankTilesTotal = new Counter(
+  `${METRIC_PREFIX}blank_dem_tiles_total`,
+  'Missing DEM tiles replaced by a blank tile.',
+  ['source', 'backend'],
+);
+
+export const workerRequestsInProgress = new Gauge(
+  `${METRIC_PREFIX}worker_requests_in_progress`,
+  'Tile requests admitted to the worker pool, being worked on or waiting.',
+);
+
+export const workerQueueTasks = new Gauge(
+  `${METRIC_PREFIX}worker_queue_tasks`,
+  'Tasks waiting for a worker thread.',
+);
+
+export const workerBusyThreads = new Gauge(
+  `${METRIC_PREFIX}worker_busy_threads`,
+  'Worker threads running a task.',
+);
+
+export const rejectedRequestsTotal = new Counter(
+  `${METRIC_PREFIX}rejected_requests_total`,
+  'Requests answered without a tile because the request queue was full or the request timed out.',
+  ['endpoint', 'reason'],
+);
+
+export const contourGeometryBytesTotal = new Counter(
+  `${METRIC_PREFIX}contour_geometry_bytes_total`,
+  'Uncompressed size of the contour tiles whose lines were smoothed, simplified or filtered, before and after.',
+  ['source', 'stage'],
+);
+
+const processStartTime = Date.now() / 1000 - process.uptime();
+
+new Gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds.', [], function () {
+  this.set({}, processStartTime);
+});
+
+new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', [], function () {
+  this.set({}, process.memoryUsage().rss);
+});
+
+new Gauge('nodejs_heap_used_bytes', 'Used size of the V8 heap in bytes.', [], function () {
+  this.set({}, process.memoryUsage().heapUsed);
+});
+
+new Counter('process_cpu_seconds_total', 'Total user and system CPU time spent in seconds.', [], function () {
+  const { user, system } = process.cpuUsage();
+  this.getSeries({}, () => ({ value: 0 })).value = (user + system) / 1e6;
+});
+
+/**
+ * Express middleware counting the requests to an endpoint by source and status,
+ * and tracking the requests in flight.
+ * @param {string} endpoint - The endpoint label, e.g. `contours`.
+ * @returns {import('express').RequestHandler} The middleware.
+ */
+export function trackRequests(endpoint) {
+  return (req, res, next) => {
+    const source = req.params.source ?? '';
+    requestsInFlight.inc({ endpoint });
+    res.once('finish', () => {
+      // Unknown source names are not used as labels, so they can't grow the number of series
+      requestsTotal.inc({ source: res.statusCode === 404 ? '' : source, endpoint, status: res.statusCode });
+    });
+    res.once('close', () => requestsInFlight.dec({ endpoint }));
+    next();
+  };
+}
+
+/**
+ * Wraps the `getTile` function of a DEM manager to record fetch latencies and failures. A DEM
+ * shared by several sources fetches each tile once for all of them, and every one of them is
+ * credited with the fetch.
+ * @param {import('maplibre-contour').LocalDemManager} manager - The DEM manager.
+ * @param {() => Iterable<string>} getSources - Gets the names of the sources reading the DEM.
+ * @param {string} backend - The source backend: `http`, `pmtiles`, `mbtiles` or `cog`.
+ */
+export function instrumentDemManager(manager, getSources, backend) {
+  const getTile = manager.getTile;
+  manager.getTile = async (url, abortController) => {
+    const sources = [...getSources()];
+    const stopTimers = sources.map((source) => demFetchSeconds.startTimer({ source, backend }));
+    try {
+      return await getTile(url, abortController);
+    } catch (error) {
+      if (!abortController?.signal?.aborted) {
+        for (const source of sources) demFetchFailuresTotal.inc({ source, backend });
+      }
+      throw error;
+    } finally {
+      for (const stopTimer of stopTimers) stopTimer();
+    }
+  };
+}
+
+/**
+ * Renders all metrics in the Prometheus text exposition format.
+ * @returns {string} The metrics.
+ */
+export function renderMetrics() {
+  return `${registry.map((metric) => metric.render()).join('\n')}\n`;
+}
@@ -1,16 +1,86 @@
 import sharp from 'sharp';
-import mlcontour from 'maplibre-contour';
 
-// Constants for Encoding (moved from server.js)
-const TERRARIUM_MULT = 256;
-const TERRARIUM_OFFSET = 32768;
-const MAPBOX_INTERVAL_DEFAULT = 0.1;
-const MAPBOX_OFFSET_DEFAULT = -10000;
+// RGB encodings as MapLibre raster-dem factors:
+// elevation = r * redFactor + g * greenFactor + b * blueFactor - baseShift
+export const RGB_ENCODINGS = {
+  terrarium: { redFactor: 256, greenFactor: 1, blueFactor: 1 / 256, baseShift: 32768 },
+  mapbox: { redFactor: 6553.6, greenFactor: 25.6, blueFactor: 0.1, baseShift: 10000 },
+};
+
+// Encodings a source can use: the RGB presets, `custom` RGB factors and raw little-endian float32 tiles
+export const DEM_ENCODINGS = [...Object.keys(RGB_ENCODINGS), 'custom', 'float32'];
+
+// Source options of the `custom` encoding
+export const CUSTOM_ENCODING_KEYS = ['baseShift', 'interval', 'redFactor', 'greenFactor', 'blueFactor'];
+
+/**
+ * Resolves the encoding of a source to the factors used to decode and encode its DEM tiles.
+ * For `custom`, the factors default to those of an RGB value counting `interval` metres per step
+ * (like `mapbox`, which is `interval: 0.1, baseShift: 10000`).
+ * @param {object} source - The source config, with `encoding` and the custom encoding options.
+ * @returns {{type: 'rgb', redFactor: number, greenFactor: number, blueFactor: number, baseShift: number} | {type: 'float32'}} The encoding.
+ */
+export function getDemEncoding(source) {
+  if (source.encoding === 'float32') {
+    return { type: 'float32' };
+  }
+  if (source.encoding === 'custom') {
+    const interval = source.interval ?? 1;
+    return {
+      type: 'rgb',
+      redFactor: source.redFactor ?? 65536 * interval,
+      greenFactor: source.greenFactor ?? 256 * interval,
+      blueFactor: source.blueFactor ?? interval,
+      baseShift: source.baseShift ?? 0,
+    };
+  }
+  return { type: 'rgb', ...(RGB_ENCODINGS[source.encoding] ?? RGB_ENCODINGS.terrarium) };
+}
+
+// Accept both an encoding name and a resolved encoding
+function resolveEncoding(encoding) {
+  return typeof encoding === 'string' ? getDemEncoding({ encoding }) : encoding;
+}
+
+/**
+ * Decodes a raw little-endian float32 DEM tile. Tiles are square, so the size follows from the length.
+ * @param {ArrayBuffer} buffer - The tile data.
+ * @returns {import('maplibre-contour').DemTile} The decoded DEM tile data.
+ */
+export function decodeFloat32Tile(buffer) {
+  const count = buffer.byteLength / 4;
+  const size = Math.round(Math.sqrt(count));
+  if (!Number.isInteger(count) || size * size !== count) {
+    throw new Error(`Invalid float32 DEM tile of ${buffer.byteLength} bytes, expected a square grid of 4 byte values`);
+  }
+  const view = new DataView(buffer);
+  const data = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    data[i] = view.getFloat32(i * 4, true);
+  }
+  return { width: size, height: size, data };
+}
+
+/**
+ * Encodes an elevation as RGB, the inverse of decoding with the encoding factors.
+ * @param {number} elevation - The elevation.
+ * @param {object} encoding - An RGB encoding from `getDemEncoding`.
+ * @returns {number[]} The `[r, g, b]` values.
+ */
+export function encodeElevationRGB(elevation, { redFactor, greenFactor, blueFactor, baseShift }) {
+  let rest = elevation + baseShift;
+  const r = Math.max(0, Math.min(255, Math.floor(rest / redFactor + 1e-9)));
+  rest -= r * redFactor;
+  const g = Math.max(0, Math.min(255, Math.floor(rest / greenFactor + 1e-9)));
+  rest -= g * greenFactor;
+  const b = Math.max(0, Math.min(255, Math.round(rest / blueFactor)));
+  return [r, g, b];
+}
 
 /**
  * Image decoder using sharp for mlcontour.
  * @param {Blob} blob - The image blob to decode.
- * @param {import('maplibre-contour').Encoding} encoding - The DEM encoding ('mapbox' or 'terrarium').
+ * @param {import('maplibre-contour').Encoding | object} encoding - The DEM encoding name, or an encoding from `getDemEncoding`.
  * @param {AbortController} [abortController] - An AbortController to signal early termination.
  * @returns {Promise<import('maplibre-contour').DemTile>} The decoded DEM tile data.
  */
@@ -20,6 +90,11 @@ export async function GetImageData(blob, encoding, abortController) {
   }
   try {
     const buffer = await blob.arrayBuffer();
+    const demEncoding = resolveEncoding(encoding);
+    if (demEncoding.type === 'float32') {
+      return decodeFloat32Tile(buffer);
+    }
+
     const image = sharp(Buffer.from(buffer));
 
     if (abortController?.signal?.aborted) {
@@ -34,13 +109,13 @@ export async function GetImageData(blob, encoding, abortController) {
     if (abortController?.signal?.aborted) {
       throw new Error('Image processing was aborted.');
     }
-    
-    const parsed = mlcontour.decodeParsedImage(
-      info.width,
-      info.height,
-      encoding,
-      data
-    );
+
+    const { redFactor, greenFactor, blueFactor, baseShift } = demEncoding;
+    const elevations = new Float32Array(info.width * info.height);
+    for (let i = 0; i < elevations.length; i++) {
+      elevations[i] = data[i * 4] * redFactor + data[i * 4 + 1] * greenFactor + data[i * 4 + 2] * blueFactor - baseShift;
+    }
+    const parsed = { width: info.width, height: info.height, data: elevations };
     
     if (abortController?.signal?.aborted) {
       throw new Error('Image processing was aborted.');
@@ -61,9 +136,9 @@ export async function GetImageData(blob, encoding, abortController) {
  * @param {number} width - Tile width.
  * @param {number} height - Tile height.
  * @param {number} elevationValue - The elevation value to encode for the blank tile.
- * @param {import('maplibre-contour').Encoding} encoding - The DEM encoding ('mapbox' or 'terrarium').
- * @param {'png' | 'webp' | 'jpeg'} outputFormat - The desired output image format.
- * @returns {Promise<Buffer>} The image buffer.
+ * @param {import('maplibre-contour').Encoding | object} encoding - The DEM encoding name, or an encoding from `getDemEncoding`.
+ * @param {'png' | 'webp' | 'jpeg'} outputFormat - The desired output image format (ignored for float32 tiles).
+ * @returns {Promise<Buffer>} The image buffer, or the raw tile for the float32 encoding.
  */
 export async function createBlankTileImage(
   width,
@@ -72,28 +147,18 @@ export async function createBlankTileImage(
   encoding,
   outputFormat,
 ) {
-  const rgbData = new Uint8Array(width * height * 3);
-
-  let r = 0, g = 0, b = 0;
-
-  if (encoding === "terrarium") {
-    const scaledValue = Math.round(
-      (elevationValue + TERRARIUM_OFFSET) * TERRARIUM_MULT,
-    );
-    const clampedValue = Math.max(0, Math.min(0xffffff, scaledValue));
-    r = (clampedValue >> 16) & 0xff;
-    g = (clampedValue >> 8) & 0xff;
-    b = clampedValue & 0xff;
-  } else { // 'mapbox' encoding
-    const rgbIntValue = Math.round(
-      (elevationValue + MAPBOX_OFFSET_DEFAULT) * (1 / MAPBOX_INTERVAL_DEFAULT),
-    );
-    const clampedRgbIntValue = Math.max(0, Math.min(0xffffff, rgbIntValue));
-    r = (clampedRgbIntValue >> 16) & 0xff;
-    g = (clampedRgbIntValue >> 8) & 0xff;
-    b = clampedRgbIntValue & 0xff;
+  const demEncoding = resolveEncoding(encoding);
+  if (demEncoding.type === 'float32') {
+    const tile = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      tile.writeFloatLE(elevationValue, i * 4);
+    }
+    return tile;
   }
 
+  const rgbData = new Uint8Array(width * height * 3);
+  const [r, g, b] = encodeElevationRGB(elevationValue, demEncoding);
+
   for (let i = 0; i < width * height; i++) {
     rgbData[i * 3] = r;
     rgbData[i * 3 + 1] = g;
@@ -116,6 +181,41 @@ export async function createBlankTileImage(
   }
 }
 
+// Highest zoom level accepted for tile requests
+export const MAX_TILE_ZOOM = 30;
+
+/**
+ * Parses tile coordinates from route parameters and checks they exist at their zoom.
+ * @param {string} z - Tile zoom.
+ * @param {string} x - Tile x.
+ * @param {string} y - Tile y.
+ * @returns {{z: number, x: number, y: number} | null} The coordinates, or null if invalid.
+ */
+export function parseTileCoordinates(z, x, y) {
+  const [zoom, tileX, tileY] = [z, x, y].map((value) => (/^\d+$/.test(value) ? Number(value) : NaN));
+  if (!Number.isInteger(zoom) || !Number.isInteger(tileX) || !Number.isInteger(tileY) || zoom > MAX_TILE_ZOOM) {
+    return null;
+  }
+  const tiles = 2 ** zoom;
+  if (tileX >= tiles || tileY >= tiles) {
+    return null;
+  }
+  return { z: zoom, x: tileX, y: tileY };
+}
+
+/**
+ * Gets the bounding box of a tile.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @returns {number[]} `[west, south, east, north]` in degrees.
+ */
+export function getTileBounds(z, x, y) {
+  const tiles = 2 ** z;
+  const toLat = (ty) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / tiles))) * 180) / Math.PI;
+  return [(x / tiles) * 360 - 180, toLat(y + 1), ((x + 1) / tiles) * 360 - 180, toLat(y)];
+}
+
 /**
  * Helper to parse ZXY from a simple path (e.g., '/z/x/y').
  * @param {string} url - The URL string.
@@ -164,3 +264,48 @@ export function getOptionsForZoom(options, zoom) {
     ...rest,
   };
 }
+
+/**
+ * Parses a `minLon,minLat,maxLon,maxLat` bounding box string or array.
+ * @param {string | number[]} value - The bounding box.
+ * @returns {number[] | null} The parsed bounding box, or null if invalid.
+ */
+export function parseBbox(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  if (parts.length !== 4) {
+    return null;
+  }
+  const bbox = parts.map(Number);
+  if (bbox.some((v) => !Number.isFinite(v))) {
+    return null;
+  }
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  if (minLon > maxLon || minLat > maxLat || minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90) {
+    return null;
+  }
+  return bbox;
+}
+
+/**
+ * Gets the range of tiles at a zoom level that cover a bounding box.
+ * @param {number[]} bbox - The bounding box as `[minLon, minLat, maxLon, maxLat]`.
+ * @param {number} zoom - The zoom level.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The inclusive tile range.
+ */
+export function getTileRangeForBbox(bbox, zoom) {
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const max = (1 << zoom) - 1;
+  const toTileX = (lon) => Math.min(max, Math.max(0, Math.floor(((lon + 180) / 360) * (1 << zoom))));
+  const toTileY = (lat) => {
+    const clamped = Math.max(-85.0511287798, Math.min(85.0511287798, lat));
+    const rad = (clamped * Math.PI) / 180;
+    const y = ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * (1 << zoom);
+    return Math.min(max, Math.max(0, Math.floor(y)));
+  };
+  return {
+    minX: toTileX(minLon),
+    maxX: toTileX(maxLon),
+    minY: toTileY(maxLat),
+    maxY: toTileY(minLat),
+  };
+}
@@ -0,0 +1,389 @@
+// src/mvt-utils.js
+
+const textDecoder = new TextDecoder();
+const textEncoder = new TextEncoder();
+
+// Geometry types of vector tile features
+export const GEOM_TYPES = { POINT: 1, LINESTRING: 2, POLYGON: 3 };
+
+/**
+ * Reads a protobuf varint.
+ * @param {Uint8Array} bytes - The buffer.
+ * @param {number} pos - Position to read from.
+ * @returns {[number, number]} The value and the position after it.
+ */
+function readVarint(bytes, pos) {
+  let value = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    if (pos >= bytes.length) {
+      throw new Error("Unexpected end of vector tile");
+    }
+    byte = bytes[pos++];
+    value += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte & 0x80);
+  return [value, pos];
+}
+
+/**
+ * Iterates the fields of a protobuf message, calling `onField` with the field number, the start
+ * and end position of its payload (the varint or fixed bytes, or the length-delimited data) and
+ * its wire type.
+ */
+function forEachField(bytes, start, end, onField) {
+  let pos = start;
+  while (pos < end) {
+    let tag;
+    [tag, pos] = readVarint(bytes, pos);
+    const field = Math.floor(tag / 8);
+    const type = tag & 0x7;
+    switch (type) {
+      case 0: {
+        const valueStart = pos;
+        [, pos] = readVarint(bytes, pos);
+        onField(field, valueStart, pos, type);
+        break;
+      }
+      case 1:
+        onField(field, pos, pos + 8, type);
+        pos += 8;
+        break;
+      case 2: {
+        let length;
+        [length, pos] = readVarint(bytes, pos);
+        onField(field, pos, pos + length, type);
+        pos += length;
+        break;
+      }
+      case 5:
+        onField(field, pos, pos + 4, type);
+        pos += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${type}`);
+    }
+  }
+}
+
+/**
+ * Growable buffer protobuf messages are written to.
+ */
+class ProtobufWriter {
+  bytes = new Uint8Array(1024);
+  length = 0;
+
+  reserve(size) {
+    if (this.length + size <= this.bytes.length) return;
+    const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+  }
+
+  writeVarint(value) {
+    this.reserve(10);
+    while (value >= 0x80) {
+      this.bytes[this.length++] = (value % 0x80) | 0x80;
+      value = Math.floor(value / 0x80);
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  writeBytes(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  writeTag(field, type) {
+    this.writeVarint(field * 8 + type);
+  }
+
+  // A length-delimited field
+  writeMessage(field, bytes) {
+    this.writeTag(field, 2);
+    this.writeVarint(bytes.length);
+    this.writeBytes(bytes);
+  }
+
+  // A field read by `forEachField`, copied as it is
+  copyField(bytes, field, start, end, type) {
+    if (type === 2) {
+      this.writeMessage(field, bytes.subarray(start, end));
+    } else {
+      this.writeTag(field, type);
+      this.writeBytes(bytes.subarray(start, end));
+    }
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+// Decode a `Value` message of a vector tile layer
+function decodeValue(bytes, start, end) {
+  let value = null;
+  forEachField(bytes, start, end, (field, valueStart, valueEnd) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + valueStart, valueEnd - valueStart);
+    switch (field) {
+      case 1: value = textDecoder.decode(bytes.subarray(valueStart, valueEnd)); break;
+      case 2: value = view.getFloat32(0, true); break;
+      case 3: value = view.getFloat64(0, true); break;
+      case 4:
+      case 5: [value] = readVarint(bytes, valueStart); break;
+      case 6: {
+        const [zigzag] = readVarint(bytes, valueStart);
+        value = zigzag % 2 === 1 ? -(zigzag + 1) / 2 : zigzag / 2;
+        break;
+      }
+      case 7: value = readVarint(bytes, valueStart)[0] !== 0; break;
+    }
+  });
+  return value;
+}
+
+// Encode a `Value` message the way maplibre-contour does
+function encodeValue(value) {
+  const writer = new ProtobufWriter();
+  if (typeof value === 'string') {
+    writer.writeMessage(1, textEncoder.encode(value));
+  } else if (typeof value === 'boolean') {
+    writer.writeTag(7, 0);
+    writer.writeVarint(value ? 1 : 0);
+  } else if (value % 1 !== 0) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value, true);
+    writer.writeTag(3, 1);
+    writer.writeBytes(bytes);
+  } else if (value < 0) {
+    writer.writeTag(6, 0);
+    writer.writeVarint(-2 * value - 1);
+  } else {
+    writer.writeTag(5, 0);
+    writer.writeVarint(value);
+  }
+  return writer.finish();
+}
+
+/**
+ * Counts the features in an encoded Mapbox Vector Tile without decoding their geometry.
+ * @param {ArrayBuffer | Uint8Array} tile - The encoded (uncompressed) tile.
+ * @returns {number} The number of features across all layers.
+ */
+export function countVectorTileFeatures(tile) {
+  const bytes = tile instanceof Uint8Array ? tile : new Uint8Array(tile);
+  let features = 0;
+  forEachField(bytes, 0, bytes.length, (field, start, end) => {
+    if (field !== 3) return; // layers
+    forEachField(bytes, start, end, (layerField) => {
+      if (layerField === 2) features++; // features
+    });
+  });
+  return features;
+}
+
+/**
+ * Checks whether an encoded vector tile has no features.
+ * @param {ArrayBuffer | Uint8Array | undefined} tile - The encoded (uncompressed) tile.
+ * @returns {boolean} True if the tile is missing, empty or only contains empty layers.
+ */
+export function isEmptyVectorTile(tile) {
+  if (!tile || tile.byteLength === 0) {
+    return true;
+  }
+  return countVectorTileFeatures(tile) === 0;
+}
+
+/**
+ * Merges encoded vector tiles into one tile with the layers of all of them. An encoded tile is
+ * only a list of layers, so the tiles are concatenated: their layer names must be distinct.
+ * @param {(ArrayBuffer | Uint8Array)[]} tiles - The encoded (uncompressed) tiles.
+ * @returns {Uint8Array} The merged tile.
+ */
+export function mergeVectorTiles(tiles) {
+  const merged = new Uint8Array(tiles.reduce((size, tile) => size + tile.byteLength, 0));
+  let offset = 0;
+  for (const tile of tiles) {
+    merged.set(tile instanceof Uint8Array ? tile : new Uint8Array(tile), offset);
+    offset += tile.byteLength;
+  }
+  return merged;
+}
+
+// Create the function encoding the properties of features as the tags of a layer, adding their
+// keys and values to the layer's `keys` and `values`. Null and undefined properties are skipped.
+function createTagWriter(keys, values) {
+  const keyIndexes = new Map(keys.map((key, i) => [key, i]));
+  const valueIndexes = new Map(values.map((value, i) => [`${typeof value}:${value}`, i]));
+  const getIndex = (indexes, list, id, item) => {
+    if (!indexes.has(id)) {
+      indexes.set(id, list.length);
+      list.push(item);
+    }
+    return indexes.get(id);
+  };
+
+  return (properties) => {
+    const tags = new ProtobufWriter();
+    for (const [key, value] of Object.entries(properties)) {
+      if (value === null || value === undefined) continue;
+      tags.writeVarint(getIndex(keyIndexes, keys, key, key));
+      tags.writeVarint(getIndex(valueIndexes, values, `${typeof value}:${value}`, value));
+    }
+    return tags.finish();
+  };
+}
+
+function writeKeysAndValues(writer, keys, values) {
+  for (const key of keys) {
+    writer.writeMessage(3, textEncoder.encode(key));
+  }
+  for (const value of values) {
+    writer.writeMessage(4, encodeValue(value));
+  }
+}
+
+// Encode the geometry of a feature: moveto, lineto and closepath commands with zigzag encoded
+// deltas. Polygon rings repeat their first point at the end, which is written as a closepath.
+function encodeGeometry(type, geometry) {
+  const writer = new ProtobufWriter();
+  const zigzag = (value) => (value < 0 ? -2 * value - 1 : 2 * value);
+  let x = 0;
+  let y = 0;
+  for (const ring of geometry) {
+    const length = ring.length / 2;
+    writer.writeVarint(((type === GEOM_TYPES.POINT ? length : 1) << 3) + 1); // moveto
+    const lineCount = type === GEOM_TYPES.POLYGON ? length - 1 : length;
+    for (let i = 0; i < lineCount; i++) {
+      if (i === 1 && type !== GEOM_TYPES.POINT) {
+        writer.writeVarint(((lineCount - 1) << 3) + 2); // lineto
+      }
+      writer.writeVarint(zigzag(ring[i * 2] - x));
+      writer.writeVarint(zigzag(ring[i * 2 + 1] - y));
+      x = ring[i * 2];
+      y = ring[i * 2 + 1];
+    }
+    if (type === GEOM_TYPES.POLYGON) {
+      writer.writeVarint((1 << 3) + 7); // closepath
+    }
+  }
+  return writer.finish();
+}
+
+/**
+ * Encodes a Mapbox Vector Tile, byte for byte the way maplibre-contour encodes its contour tiles.
+ * @param {object} tile
+ * @param {number} tile.extent - The tile extent.
+ * @param {{[name: string]: {features: object[]}}} tile.layers - The layers by name. Each feature
+ *   has a `type` from `GEOM_TYPES`, a `geometry` of `[x1, y1, x2, y2, ...]` integer arrays (one per
+ *   line, ring or point group) and `properties`.
+ * @returns {Uint8Array} The encoded (uncompressed) tile.
+ */
+export function encodeVectorTile({ extent, layers }) {
+  const writer = new ProtobufWriter();
+  for (const [name, layer] of Object.entries(layers)) {
+    const layerWriter = new ProtobufWriter();
+    const keys = [];
+    const values = [];
+    const tagWriter = createTagWriter(keys, values);
+    layerWriter.writeMessage(1, textEncoder.encode(name));
+    for (const { type, geometry, properties } of layer.features) {
+      const feature = new ProtobufWriter();
+      feature.writeMessage(2, tagWriter(properties));
+      feature.writeTag(3, 0);
+      feature.writeVarint(type);
+      feature.writeMessage(4, encodeGeometry(type, geometry));
+      layerWriter.writeMessage(2, feature.finish());
+    }
+    writeKeysAndValues(layerWriter, keys, values);
+    layerWriter.writeTag(5, 0);
+    layerWriter.writeVarint(layer.extent ?? extent);
+    layerWriter.writeTag(15, 0);
+    layerWriter.writeVarint(2);
+    writer.writeMessage(3, layerWriter.finish());
+  }
+  return writer.finish();
+}
+
+/**
+ * Adds properties to the features of a layer of an encoded vector tile. Geometries and the other
+ * layers are copied as they are, and the layer is written in the field order maplibre-contour uses.
+ * @param {ArrayBuffer | Uint8Array} tile - The encoded (uncompressed) tile.
+ * @param {string} layerName - The layer whose features get the properties.
+ * @param {(properties: object) => object} getProperties - Gets the properties to add to a feature
+ *   from its current ones. Properties with the same name are replaced, null or undefined ones skipped.
+ * @returns {Uint8Array} The encoded tile.
+ */
+export function addVectorTileProperties(tile, layerName, getProperties) {
+  const bytes = tile instanceof Uint8Array ? tile : new Uint8Array(tile);
+  const writer = new ProtobufWriter();
+  forEachField(bytes, 0, bytes.length, (field, start, end, type) => {
+    if (field === 3) {
+      writer.writeMessage(3, rewriteLayer(bytes, start, end, layerName, getProperties));
+    } else {
+      writer.copyField(bytes, field, start, end, type);
+    }
+  });
+  return writer.finish();
+}
+
+// Re-encode a layer with the properties from `getProperties` added to its features, or copy it
+// unchanged if it is another layer
+function rewriteLayer(bytes, start, end, layerName, getProperties) {
+  let name;
+  const keys = [];
+  const values = [];
+  const features = [];
+  const otherFields = [];
+  forEachField(bytes, start, end, (field, fieldStart, fieldEnd, type) => {
+    if (field === 1) name = textDecoder.decode(bytes.subarray(fieldStart, fieldEnd));
+    else if (field === 2) features.push([fieldStart, fieldEnd]);
+    else if (field === 3) keys.push(textDecoder.decode(bytes.subarray(fieldStart, fieldEnd)));
+    else if (field === 4) values.push(decodeValue(bytes, fieldStart, fieldEnd));
+    else otherFields.push([field, fieldStart, fieldEnd, type]);
+  });
+  if (name !== layerName) {
+    return bytes.slice(start, end);
+  }
+
+  const tagWriter = createTagWriter(keys, values);
+  const writer = new ProtobufWriter();
+  writer.writeMessage(1, textEncoder.encode(name));
+  for (const [featureStart, featureEnd] of features) {
+    const properties = {};
+    const featureFields = [];
+    forEachField(bytes, featureStart, featureEnd, (field, fieldStart, fieldEnd, type) => {
+      if (field !== 2) {
+        featureFields.push([field, fieldStart, fieldEnd, type]);
+        return;
+      }
+      for (let pos = fieldStart; pos < fieldEnd;) {
+        let keyIndex;
+        let valueIndex;
+        [keyIndex, pos] = readVarint(bytes, pos);
+        [valueIndex, pos] = readVarint(bytes, pos);
+        properties[keys[keyIndex]] = values[valueIndex];
+      }
+    });
+
+    const tags = tagWriter({ ...properties, ...getProperties(properties) });
+
+    // The feature id stays first, the tags go before the type and geometry like maplibre-contour writes them
+    const feature = new ProtobufWriter();
+    for (const [field, fieldStart, fieldEnd, type] of featureFields.filter(([field]) => field === 1)) {
+      feature.copyField(bytes, field, fieldStart, fieldEnd, type);
+    }
+    feature.writeMessage(2, tags);
+    for (const [field, fieldStart, fieldEnd, type] of featureFields.filter(([field]) => field !== 1)) {
+      feature.copyField(bytes, field, fieldStart, fieldEnd, type);
+    }
+    writer.writeMessage(2, feature.finish());
+  }
+  writeKeysAndValues(writer, keys, values);
+  for (const [field, fieldStart, fieldEnd, type] of otherFields) {
+    writer.copyField(bytes, field, fieldStart, fieldEnd, type);
+  }
+  return writer.finish();
+}
@@ -0,0 +1,132 @@
+// src/peak-utils.js
+
+// Default options of the peak layer of a source. `elevationKey` defaults to the one of the contours.
+export const DEFAULT_PEAK_OPTIONS = {
+  layer: 'peaks',
+  isolation: 32,
+  round: 1,
+};
+
+// Largest isolation of peaks, in pixels of a 256 pixel tile: the neighbouring DEM tiles must cover it
+export const MAX_PEAK_ISOLATION = 256;
+
+/**
+ * Resolves the peak options of a zoom: `prominence` is either one value for every zoom or, like
+ * `thresholds`, values by zoom that apply from their zoom up to the next one.
+ * @param {object | undefined} peakOptions - The merged `peaks` options of the source.
+ * @param {number} zoom - The tile zoom.
+ * @returns {{layer: string, elevationKey: string, prominence: number, isolation: number, round: number} | undefined}
+ *   The options of the zoom, or undefined if the zoom has no peaks.
+ */
+export function getPeakOptionsForZoom(peakOptions, zoom) {
+  if (!peakOptions) {
+    return undefined;
+  }
+  const { prominence: prominenceByZoom, ...rest } = peakOptions;
+  let prominence = typeof prominenceByZoom === 'number' ? prominenceByZoom : undefined;
+  if (typeof prominenceByZoom === 'object') {
+    let maxLessThanOrEqualTo = -Infinity;
+    for (const [zString, value] of Object.entries(prominenceByZoom)) {
+      const z = Number(zString);
+      if (z <= zoom && z > maxLessThanOrEqualTo) {
+        maxLessThanOrEqualTo = z;
+        prominence = value;
+      }
+    }
+  }
+  return prominence !== undefined ? { ...rest, prominence } : undefined;
+}
+
+/**
+ * Finds the summits of a tile: DEM pixels higher than every other pixel within `isolation`, that
+ * rise at least `prominence` above the highest col linking them to higher ground. A summit is only
+ * decided from the pixels around it, up to a tile width away, so the neighbouring tiles find the
+ * same summits. Higher ground further away is not looked for, so prominence is capped there.
+ * Pixels of equal elevation are ordered by their position, the first one wins.
+ * @param {import('maplibre-contour').HeightTile} tile - The elevations at the pixel centres of the
+ *   tile, with the 8 neighbouring tiles around it as `HeightTile.combineNeighbors` returns them.
+ * @param {object} options - Peak options from `getPeakOptionsForZoom`.
+ * @param {number} options.prominence - Smallest prominence of a summit, in elevation units.
+ * @param {number} options.isolation - Smallest distance to higher ground, in pixels of a 256 pixel tile.
+ * @param {number} [options.multiplier] - Elevation multiplier (default: `1`).
+ * @param {number} extent - The vector tile extent.
+ * @returns {{x: number, y: number, ele: number}[]} The summits in tile coordinates, highest first,
+ *   with their elevation after the multiplier.
+ */
+export function findPeaks(tile, { prominence, isolation, multiplier = 1 }, extent) {
+  const size = tile.width;
+  const radius = Math.min(size, Math.max(1, Math.round((isolation * size) / 256)));
+
+  // Elevations of the tile and its neighbours, where missing data is below everything
+  const stride = 3 * size;
+  const values = new Float64Array(stride * stride);
+  for (let y = -size; y < 2 * size; y++) {
+    for (let x = -size; x < 2 * size; x++) {
+      const value = tile.get(x, y) * multiplier;
+      values[(y + size) * stride + x + size] = Number.isNaN(value) ? -Infinity : value;
+    }
+  }
+  const indexOf = (x, y) => (y + size) * stride + x + size;
+  // Whether the pixel at `other` is above the one at `index`, which it is when they are equal and it comes first
+  const isAbove = (other, index) => values[other] > values[index] || (values[other] === values[index] && other < index);
+
+  const adjacent = [-stride - 1, -stride, -stride + 1, -1, 1, stride - 1, stride, stride + 1];
+  const isIsolated = (x, y) => {
+    const index = indexOf(x, y);
+    // Most pixels have higher ground right next to them
+    for (const offset of adjacent) {
+      if (isAbove(index + offset, index)) return false;
+    }
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy <= radius * radius && isAbove(indexOf(x + dx, y + dy), index)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  // Flood the ground above the peak minus `prominence`: reaching higher ground means the col to it is too high
+  const visited = new Int32Array(values.length);
+  const queue = new Int32Array(values.length);
+  let stamp = 0;
+  const isProminent = (x, y) => {
+    const index = indexOf(x, y);
+    const floor = values[index] - prominence;
+    stamp++;
+    visited[index] = stamp;
+    queue[0] = index;
+    let head = 0;
+    let tail = 1;
+    while (head < tail) {
+      const current = queue[head++];
+      const cx = (current % stride) - size;
+      const cy = Math.floor(current / stride) - size;
+      for (let ny = Math.max(cy - 1, y - size); ny <= Math.min(cy + 1, y + size); ny++) {
+        for (let nx = Math.max(cx - 1, x - size); nx <= Math.min(cx + 1, x + size); nx++) {
+          const neighbor = indexOf(nx, ny);
+          if (visited[neighbor] === stamp || values[neighbor] <= floor) continue;
+          if (isAbove(neighbor, index)) return false;
+          visited[neighbor] = stamp;
+          queue[tail++] = neighbor;
+        }
+      }
+    }
+    return true;
+  };
+
+  const peaks = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const ele = values[indexOf(x, y)];
+      if (ele === -Infinity || !isIsolated(x, y) || !isProminent(x, y)) continue;
+      peaks.push({
+        x: Math.round(((x + 0.5) * extent) / size),
+        y: Math.round(((y + 0.5) * extent) / size),
+        ele,
+      });
+    }
+  }
+  return peaks.sort((a, b) => b.ele - a.ele);
+}
@@ -1,6 +1,10 @@
 // pmtiles-utils.js
 import fs from "node:fs";
-import { PMTiles, FetchSource } from "pmtiles";
+import fsp from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { pipeline } from "node:stream/promises";
+import { gzipSync } from "node:zlib";
+import { PMTiles, EtagMismatch, zxyToTileId } from "pmtiles";
 // path is no longer needed in this module, as server.js handles full path resolution
 // import path from "node:path"; 
 
@@ -20,16 +24,18 @@ export class PMTilesFileSource {
     length,
   ) {
     const buffer = Buffer.alloc(length);
-    await readFileBytes(this.fd, buffer, offset);
+    const bytesRead = await readFileBytes(this.fd, buffer, offset);
     return {
       data: buffer.buffer.slice(
         buffer.byteOffset,
-        buffer.byteOffset + buffer.byteLength,
+        buffer.byteOffset + bytesRead,
       ),
     };
   }
 }
 
+// Reads up to `buffer.length` bytes. The pmtiles library reads the first 16 KB of an archive at
+// once, so reads past the end of a smaller archive return the bytes up to its end.
 async function readFileBytes(
   fd,
   buffer,
@@ -38,15 +44,69 @@ async function readFileBytes(
   return new Promise((resolve, reject) => {
     fs.read(fd, buffer, 0, buffer.length, offset, (err, bytesRead, _buff) => {
       if (err) return reject(err);
-      if (bytesRead !== buffer.length)
-        return reject(
-          new Error(`Failed to read ${buffer.length} bytes, got ${bytesRead}`),
-        );
-      resolve();
+      resolve(bytesRead);
     });
   });
 }
 
+/**
+ * Reads a remote PMTiles archive with HTTP range requests made through the upstream fetch
+ * function of its source, so the archive gets the headers, retries and proxy of the source.
+ */
+export class PMTilesUpstreamSource {
+  url;
+  fetchUpstream;
+  constructor(url, fetchUpstream) {
+    this.url = url;
+    this.fetchUpstream = fetchUpstream;
+  }
+  getKey() {
+    return this.url;
+  }
+  async getBytes(offset, length, signal, etag) {
+    let response = await this.fetchUpstream(this.url, {
+      headers: { Range: `bytes=${offset}-${offset + length - 1}` },
+      signal,
+    });
+
+    // The first read asks for more than the header, which is past the end of small archives
+    if (offset === 0 && response.status === 416) {
+      const contentRange = response.headers.get("Content-Range");
+      if (!contentRange || !contentRange.startsWith("bytes */")) {
+        throw new Error("Missing content-length on 416 response");
+      }
+      const size = Number(contentRange.slice(8));
+      response = await this.fetchUpstream(this.url, {
+        headers: { Range: `bytes=0-${size - 1}` },
+        signal,
+      });
+    }
+    if (response.status >= 300) {
+      throw new Error(`Bad response code: ${response.status} for ${this.url}`);
+    }
+
+    // Weak ETags can't tell whether the archive changed
+    let responseEtag = response.headers.get("ETag");
+    if (responseEtag?.startsWith("W/")) {
+      responseEtag = null;
+    }
+    if (etag && responseEtag && responseEtag !== etag) {
+      throw new EtagMismatch(`Server returned non-matching ETag ${responseEtag} for ${this.url}, the archive changed`);
+    }
+
+    const data = await response.arrayBuffer();
+    if (response.status === 200 && data.byteLength > length) {
+      throw new Error(`Server returned the whole archive instead of a byte range for ${this.url}. Check that it supports HTTP range requests.`);
+    }
+    return {
+      data,
+      etag: responseEtag || undefined,
+      cacheControl: response.headers.get("Cache-Control") || undefined,
+      expires: response.headers.get("Expires") || undefined,
+    };
+  }
+}
+
 function getPmtilesMimeTypeFromTypeNum(tileTypeNum) {
   switch (tileTypeNum) {
     case 1:
@@ -69,14 +129,15 @@ function getPmtilesMimeTypeFromTypeNum(tileTypeNum) {
  * Assumes the input `pmtilesPathOrUrl` is already stripped of `pmtiles://`
  * and is either a local absolute file path or an http(s) URL.
  * @param {string} pmtilesPathOrUrl - The full local path to the PMTiles file or its http(s) URL.
+ * @param {Function} [fetchUpstream] - Fetch function for remote archives, from `createUpstreamFetcher` (default: `fetch`).
  * @returns {PMTiles} An opened PMTiles instance.
  */
-export function openPMtiles(pmtilesPathOrUrl) {
+export function openPMtiles(pmtilesPathOrUrl, fetchUpstream = fetch) {
   let pmtiles;
 
   try {
     if (httpTester.test(pmtilesPathOrUrl)) { // Check if it's an http(s) URL
-      const source = new FetchSource(pmtilesPathOrUrl);
+      const source = new PMTilesUpstreamSource(pmtilesPathOrUrl, fetchUpstream);
       pmtiles = new PMTiles(source);
     } else { // Assume it's a local file path
       // Server.js should ensure this path exists before calling openPMtiles
@@ -93,6 +154,39 @@ export function openPMtiles(pmtilesPathOrUrl) {
   }
 }
 
+/**
+ * Closes the file descriptor of a local PMTiles archive. Remote archives hold no resources.
+ * @param {PMTiles} pmtiles - An opened PMTiles instance.
+ * @returns {Promise<void>}
+ */
+export async function closePMtiles(pmtiles) {
+  if (pmtiles.source instanceof PMTilesFileSource) {
+    await new Promise((resolve, reject) =>
+      fs.close(pmtiles.source.fd, (err) => (err ? reject(err) : resolve())),
+    );
+  }
+}
+
+/**
+ * Reads the coverage information stored in a PMTiles header.
+ * @param {PMTiles} pmtiles - An opened PMTiles instance.
+ * @returns {Promise<{bounds: number[], minzoom: number, maxzoom: number, center: number[]} | undefined>} The archive bounds and zoom range, or undefined if the header could not be read.
+ */
+export async function getPMtilesMetadata(pmtiles) {
+  try {
+    const header = await pmtiles.getHeader();
+    return {
+      bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+      minzoom: header.minZoom,
+      maxzoom: header.maxZoom,
+      center: [header.centerLon, header.centerLat, header.centerZoom],
+    };
+  } catch (error) {
+    console.warn(`Could not read PMTiles header: ${error.message}`);
+    return undefined;
+  }
+}
+
 export async function getPMtilesTile(
   pmtiles,
   z,
@@ -118,3 +212,318 @@ export async function getPMtilesTile(
     return { data: undefined, mimeType: undefined };
   }
 }
+
+const PMTILES_HEADER_LENGTH = 127;
+const PMTILES_MAX_ROOT_DIRECTORY_LENGTH = 16384 - PMTILES_HEADER_LENGTH;
+const PMTILES_COMPRESSION_GZIP = 2;
+const PMTILES_TILE_TYPE_MVT = 1;
+
+function writeVarint(bytes, value) {
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+/**
+ * Serializes and gzips a PMTiles v3 directory.
+ * @param {{tileId: number, offset: number, length: number, runLength: number}[]} entries - Entries sorted by tileId.
+ * @returns {Buffer} The compressed directory.
+ */
+function serializePMtilesDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+  let lastId = 0;
+  for (const entry of entries) {
+    writeVarint(bytes, entry.tileId - lastId);
+    lastId = entry.tileId;
+  }
+  for (const entry of entries) writeVarint(bytes, entry.runLength);
+  for (const entry of entries) writeVarint(bytes, entry.length);
+  entries.forEach((entry, i) => {
+    const previous = entries[i - 1];
+    if (i > 0 && entry.offset === previous.offset + previous.length) {
+      writeVarint(bytes, 0);
+    } else {
+      writeVarint(bytes, entry.offset + 1);
+    }
+  });
+  return gzipSync(Buffer.from(bytes));
+}
+
+/**
+ * Builds the root directory and, if it would not fit in the first 16KB, leaf directories.
+ * @returns {{rootDirectory: Buffer, leafDirectories: Buffer}}
+ */
+function buildPMtilesDirectories(entries) {
+  const rootDirectory = serializePMtilesDirectory(entries);
+  if (rootDirectory.length <= PMTILES_MAX_ROOT_DIRECTORY_LENGTH) {
+    return { rootDirectory, leafDirectories: Buffer.alloc(0) };
+  }
+
+  for (let leafSize = 4096; ; leafSize *= 2) {
+    const rootEntries = [];
+    const leaves = [];
+    let leavesLength = 0;
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = serializePMtilesDirectory(entries.slice(i, i + leafSize));
+      rootEntries.push({ tileId: entries[i].tileId, offset: leavesLength, length: leaf.length, runLength: 0 });
+      leaves.push(leaf);
+      leavesLength += leaf.length;
+    }
+    const root = serializePMtilesDirectory(rootEntries);
+    if (root.length <= PMTILES_MAX_ROOT_DIRECTORY_LENGTH) {
+      return { rootDirectory: root, leafDirectories: Buffer.concat(leaves) };
+    }
+  }
+}
+
+function writePMtilesHeader(header) {
+  const buffer = Buffer.alloc(PMTILES_HEADER_LENGTH);
+  buffer.write("PMTiles", 0, "ascii");
+  buffer.writeUInt8(3, 7);
+  const u64Fields = [
+    header.rootDirectoryOffset,
+    header.rootDirectoryLength,
+    header.jsonMetadataOffset,
+    header.jsonMetadataLength,
+    header.leafDirectoryOffset,
+    header.leafDirectoryLength,
+    header.tileDataOffset,
+    header.tileDataLength,
+    header.numAddressedTiles,
+    header.numTileEntries,
+    header.numTileContents,
+  ];
+  u64Fields.forEach((value, i) => buffer.writeBigUInt64LE(BigInt(value), 8 + i * 8));
+  buffer.writeUInt8(header.clustered ? 1 : 0, 96);
+  buffer.writeUInt8(header.internalCompression, 97);
+  buffer.writeUInt8(header.tileCompression, 98);
+  buffer.writeUInt8(header.tileType, 99);
+  buffer.writeUInt8(header.minZoom, 100);
+  buffer.writeUInt8(header.maxZoom, 101);
+  buffer.writeInt32LE(Math.round(header.minLon * 1e7), 102);
+  buffer.writeInt32LE(Math.round(header.minLat * 1e7), 106);
+  buffer.writeInt32LE(Math.round(header.maxLon * 1e7), 110);
+  buffer.writeInt32LE(Math.round(header.maxLat * 1e7), 114);
+  buffer.writeUInt8(header.centerZoom, 118);
+  buffer.writeInt32LE(Math.round(header.centerLon * 1e7), 119);
+  buffer.writeInt32LE(Math.round(header.centerLat * 1e7), 123);
+  return buffer;
+}
+
+/**
+ * Writes gzipped vector tiles into a PMTiles v3 archive.
+ *
+ * Tiles are appended to a `<out>.tiles.tmp` file and recorded in a `<out>.journal` file as they
+ * arrive, so an interrupted run can be resumed. `finalize` writes the archive with the tiles
+ * clustered in tile id order and removes the temporary files.
+ */
+export class PMTilesWriter {
+  outPath;
+  dataPath;
+  journalPath;
+  entries = new Map(); // tileId -> { offset, length } (length 0 = empty tile)
+  contents = new Map(); // content hash -> { offset, length }
+  dataHandle;
+  journalHandle;
+  dataLength = 0;
+  queue = Promise.resolve();
+
+  constructor(outPath) {
+    this.outPath = outPath;
+    this.dataPath = `${outPath}.tiles.tmp`;
+    this.journalPath = `${outPath}.journal`;
+  }
+
+  /**
+   * Opens the writer, resuming from the journal of a previous run if one exists.
+   * @param {string} outPath - The archive to write.
+   * @param {{overwrite?: boolean}} [options] - Set `overwrite` to discard a previous partial run.
+   * @returns {Promise<PMTilesWriter>} The writer.
+   */
+  static async open(outPath, { overwrite = false } = {}) {
+    const writer = new PMTilesWriter(outPath);
+    if (overwrite) {
+      await fsp.rm(writer.dataPath, { force: true });
+      await fsp.rm(writer.journalPath, { force: true });
+    }
+
+    let journal = "";
+    try {
+      journal = await fsp.readFile(writer.journalPath, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    for (const line of journal.split("\n")) {
+      const [tileId, offset, length] = line.split(" ").map(Number);
+      if (!Number.isFinite(length)) continue; // skip a partially written last line
+      writer.entries.set(tileId, { offset, length });
+      writer.dataLength = Math.max(writer.dataLength, offset + length);
+    }
+
+    try {
+      writer.dataHandle = await fsp.open(writer.dataPath, "r+");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      // Without the tile data the journal is useless, start over
+      writer.entries.clear();
+      writer.dataLength = 0;
+      await fsp.writeFile(writer.journalPath, "");
+      writer.dataHandle = await fsp.open(writer.dataPath, "w+");
+    }
+    // Data written after the last journal entry of an interrupted run is discarded
+    await writer.dataHandle.truncate(writer.dataLength);
+    writer.journalHandle = await fsp.open(writer.journalPath, "a");
+    return writer;
+  }
+
+  get resumedTiles() {
+    return this.entries.size;
+  }
+
+  has(z, x, y) {
+    return this.entries.has(zxyToTileId(z, x, y));
+  }
+
+  /**
+   * Adds a tile. Identical tile contents are only stored once. Tiles are written one at a time,
+   * and a failed write only rejects its own call.
+   * @param {Buffer} data - The gzipped tile, or an empty buffer to record an empty tile as done.
+   */
+  putTile(z, x, y, data) {
+    const tileId = zxyToTileId(z, x, y);
+    const result = this.queue.then(async () => {
+      let entry = { offset: 0, length: 0 };
+      if (data.length > 0) {
+        const hash = createHash("sha1").update(data).digest("hex");
+        entry = this.contents.get(hash);
+        if (!entry) {
+          entry = { offset: this.dataLength, length: data.length };
+          await this.dataHandle.write(data, 0, data.length, entry.offset);
+          this.dataLength += data.length;
+          this.contents.set(hash, entry);
+        }
+      }
+      await this.journalHandle.appendFile(`${tileId} ${entry.offset} ${entry.length}\n`);
+      this.entries.set(tileId, entry);
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Writes the final archive.
+   * @param {object} params
+   * @param {number[]} params.bounds - `[minLon, minLat, maxLon, maxLat]`.
+   * @param {number} params.minzoom - Lowest zoom.
+   * @param {number} params.maxzoom - Highest zoom.
+   * @param {object} params.metadata - JSON metadata (name, vector_layers, ...).
+   * @returns {Promise<{addressedTiles: number, tileContents: number}>} Archive statistics.
+   */
+  async finalize({ bounds, minzoom, maxzoom, metadata }) {
+    await this.queue;
+
+    // Copy tiles into the archive in tile id order, so the archive is clustered
+    const sorted = [...this.entries.entries()]
+      .filter(([, entry]) => entry.length > 0)
+      .sort(([a], [b]) => a - b);
+
+    const tmpPath = `${this.outPath}.tmp`;
+    const out = await fsp.open(tmpPath, "w");
+    const directoryEntries = [];
+    const newOffsets = new Map(); // old offset -> new offset
+    let tileDataLength = 0;
+
+    try {
+      const metadataBuffer = gzipSync(Buffer.from(JSON.stringify(metadata)));
+
+      // Tile data is written after a placeholder for the header, directories and metadata,
+      // and moved into place once their size is known.
+      const tileDataPath = `${this.outPath}.data.tmp`;
+      const tileData = await fsp.open(tileDataPath, "w");
+      try {
+        for (const [tileId, { offset, length }] of sorted) {
+          let newOffset = newOffsets.get(offset);
+          if (newOffset === undefined) {
+            const buffer = Buffer.alloc(length);
+            await this.dataHandle.read(buffer, 0, length, offset);
+            await tileData.write(buffer, 0, length, tileDataLength);
+            newOffset = tileDataLength;
+            newOffsets.set(offset, newOffset);
+            tileDataLength += length;
+          }
+
+          const last = directoryEntries[directoryEntries.length - 1];
+          if (last && last.offset === newOffset && last.tileId + last.runLength === tileId) {
+            last.runLength++;
+          } else {
+            directoryEntries.push({ tileId, offset: newOffset, length, runLength: 1 });
+          }
+        }
+      } finally {
+        await tileData.close();
+      }
+
+      const { rootDirectory, leafDirectories } = buildPMtilesDirectories(directoryEntries);
+      const rootDirectoryOffset = PMTILES_HEADER_LENGTH;
+      const jsonMetadataOffset = rootDirectoryOffset + rootDirectory.length;
+      const leafDirectoryOffset = jsonMetadataOffset + metadataBuffer.length;
+      const tileDataOffset = leafDirectoryOffset + leafDirectories.length;
+
+      const header = writePMtilesHeader({
+        rootDirectoryOffset,
+        rootDirectoryLength: rootDirectory.length,
+        jsonMetadataOffset,
+        jsonMetadataLength: metadataBuffer.length,
+        leafDirectoryOffset,
+        leafDirectoryLength: leafDirectories.length,
+        tileDataOffset,
+        tileDataLength,
+        numAddressedTiles: sorted.length,
+        numTileEntries: directoryEntries.length,
+        numTileContents: newOffsets.size,
+        clustered: true,
+        internalCompression: PMTILES_COMPRESSION_GZIP,
+        tileCompression: PMTILES_COMPRESSION_GZIP,
+        tileType: PMTILES_TILE_TYPE_MVT,
+        minZoom: minzoom,
+        maxZoom: maxzoom,
+        minLon: bounds[0],
+        minLat: bounds[1],
+        maxLon: bounds[2],
+        maxLat: bounds[3],
+        centerZoom: minzoom,
+        centerLon: (bounds[0] + bounds[2]) / 2,
+        centerLat: (bounds[1] + bounds[3]) / 2,
+      });
+
+      await out.write(Buffer.concat([header, rootDirectory, metadataBuffer, leafDirectories]));
+      await out.close();
+      await pipeline(fs.createReadStream(tileDataPath), fs.createWriteStream(tmpPath, { flags: "a" }));
+      await fsp.rm(tileDataPath, { force: true });
+    } catch (error) {
+      await out.close().catch(() => {});
+      throw error;
+    }
+
+    await this.close();
+    await fsp.rename(tmpPath, this.outPath);
+    await fsp.rm(this.dataPath, { force: true });
+    await fsp.rm(this.journalPath, { force: true });
+
+    return { addressedTiles: sorted.length, tileContents: newOffsets.size };
+  }
+
+  /**
+   * Closes the temporary files, keeping them so the run can be resumed.
+   */
+  async close() {
+    await this.queue;
+    await this.dataHandle?.close();
+    await this.journalHandle?.close();
+    this.dataHandle = undefined;
+    this.journalHandle = undefined;
+  }
+}
@@ -0,0 +1,172 @@
+// src/preview/assets/preview.js
+// Preview of the contour tiles of a source, served at `/` and `/preview/:source`. URLs are relative
+// to the server root, which is the <base> of the page, so it also works behind a path prefix.
+
+// Basemap shown under the contours when enabled. It is the only part of the page that needs a network.
+const OSM_BASEMAP = {
+  type: 'raster',
+  tiles: ['https://tile.openstreetmap.org/{z}/{x}/{y}.png'],
+  tileSize: 256,
+  maxzoom: 19,
+  attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+};
+
+const elements = Object.fromEntries(
+  ['source', 'scheme', 'basemap', 'hillshade', 'grid', 'zoom', 'options', 'inspector', 'features', 'close-inspector']
+    .map((id) => [id, document.getElementById(id)])
+);
+
+let sourceName = document.body.dataset.source;
+let zoomOptions;
+let map;
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+  return response.json();
+}
+
+function getStyleUrl() {
+  const query = new URLSearchParams({ scheme: elements.scheme.value, hillshade: elements.hillshade.checked });
+  return `styles/${encodeURIComponent(sourceName)}.json?${query}`;
+}
+
+// Add the basemap under the layers of the style, or remove it
+function updateBasemap() {
+  if (!elements.basemap.checked) {
+    if (map.getLayer('basemap')) map.removeLayer('basemap');
+    if (map.getSource('basemap')) map.removeSource('basemap');
+    return;
+  }
+  if (map.getSource('basemap')) {
+    return;
+  }
+  map.addSource('basemap', OSM_BASEMAP);
+  const firstLayer = map.getStyle().layers.find((layer) => layer.type !== 'background');
+  map.addLayer({ id: 'basemap', type: 'raster', source: 'basemap' }, firstLayer?.id);
+}
+
+// Build a two-column table, with values shown as text
+function createTable(caption, rows) {
+  const table = document.createElement('table');
+  if (caption) {
+    table.createCaption().textContent = caption;
+  }
+  for (const [key, value] of rows) {
+    const row = table.insertRow();
+    const th = document.createElement('th');
+    th.textContent = key;
+    row.appendChild(th);
+    row.insertCell().textContent = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  return table;
+}
+
+// Show the effective options of the tiles drawn at the current zoom, as `getTileOptions` resolves them
+function updateOptionsPanel() {
+  const zoom = map.getZoom();
+  const tileZoom = Math.min(Math.floor(zoom), zoomOptions.maxzoom);
+  elements.zoom.textContent = `${zoom.toFixed(2)}, tiles ${tileZoom}`;
+
+  elements.options.replaceChildren();
+  const options = zoomOptions.zooms[tileZoom];
+  if (tileZoom < zoomOptions.minzoom || !options) {
+    elements.options.textContent = `No contour tiles below zoom ${zoomOptions.minzoom}`;
+    return;
+  }
+
+  const { levels = [], bands, peaks, smooth, smoothIterations, simplify, minLength } = options;
+  const rows = [['levels', levels.length > 0 ? levels.join(', ') : 'none']];
+  if (levels.length > 0) {
+    rows.push(['minor', `every ${levels[0]} (level 0)`]);
+  }
+  for (const [i, level] of levels.slice(1).entries()) {
+    rows.push([`major ${i + 1}`, `every ${level} (level ${i + 1})`]);
+  }
+  if (bands) rows.push(['band breaks', bands.breaks.join(', ')]);
+  if (peaks) rows.push(['peak prominence', peaks.prominence]);
+  if (smooth) rows.push(['smooth', `${smooth} × ${smoothIterations ?? 2}`]);
+  if (simplify) rows.push(['simplify', simplify]);
+  if (minLength) rows.push(['minLength', minLength]);
+  elements.options.appendChild(createTable(null, rows));
+}
+
+// List the properties of the features of the source under the clicked point
+function inspectFeatures(event) {
+  const { x, y } = event.point;
+  const features = map.queryRenderedFeatures([[x - 4, y - 4], [x + 4, y + 4]])
+    .filter((feature) => feature.source === sourceName);
+
+  elements.features.replaceChildren();
+  if (features.length === 0) {
+    elements.inspector.hidden = true;
+    return;
+  }
+  const seen = new Set();
+  for (const feature of features) {
+    // Labels and lines of the same feature are listed once
+    const key = `${feature.sourceLayer}/${JSON.stringify(feature.properties)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    elements.features.appendChild(createTable(feature.sourceLayer, Object.entries(feature.properties)));
+  }
+  elements.inspector.hidden = false;
+}
+
+async function init() {
+  const sources = await fetchJSON('sources');
+  const names = Object.keys(sources).filter((name) => sources[name].type !== 'composite');
+  for (const name of names) {
+    elements.source.add(new Option(name, name));
+  }
+  sourceName ||= names[0];
+  if (!sourceName) {
+    document.getElementById('map').textContent = 'No sources configured';
+    return;
+  }
+  elements.source.value = sourceName;
+
+  const [tileJSON, options] = await Promise.all([
+    fetchJSON(`contours/${encodeURIComponent(sourceName)}.json`),
+    fetchJSON(`preview/${encodeURIComponent(sourceName)}/options.json`),
+  ]);
+  zoomOptions = options;
+
+  map = new maplibregl.Map({ container: 'map', style: getStyleUrl(), hash: true });
+  map.addControl(new maplibregl.NavigationControl());
+  map.addControl(new maplibregl.ScaleControl());
+  if (!window.location.hash) {
+    map.fitBounds(tileJSON.bounds, { animate: false, padding: 20 });
+  }
+
+  map.on('style.load', updateBasemap);
+  map.on('zoom', updateOptionsPanel);
+  map.on('click', inspectFeatures);
+  map.on('mousemove', (event) => {
+    const { x, y } = event.point;
+    const hovered = map.queryRenderedFeatures([[x - 4, y - 4], [x + 4, y + 4]])
+      .some((feature) => feature.source === sourceName);
+    map.getCanvas().style.cursor = hovered ? 'pointer' : '';
+  });
+  updateOptionsPanel();
+
+  elements.source.addEventListener('change', () => {
+    window.location.href = `preview/${encodeURIComponent(elements.source.value)}${window.location.hash}`;
+  });
+  for (const input of [elements.scheme, elements.hillshade]) {
+    input.addEventListener('change', () => map.setStyle(getStyleUrl(), { diff: false }));
+  }
+  elements.basemap.addEventListener('change', updateBasemap);
+  elements.grid.addEventListener('change', () => {
+    map.showTileBoundaries = elements.grid.checked;
+  });
+  elements['close-inspector'].addEventListener('click', () => {
+    elements.inspector.hidden = true;
+  });
+}
+
+init().catch((error) => {
+  document.getElementById('map').textContent = `Could not load the preview: ${error.message}`;
+});
@@ -0,0 +1,285 @@
+// src/seed-utils.js
+import os from 'os';
+import path from 'path';
+import { parseArgs, promisify } from 'util';
+import { gzip } from 'zlib';
+import { loadConfig, getWorkerSettings } from './config-utils.js';
+import { configureWorkerPool } from './worker-utils.js';
+import {
+  setupContourEndpoints,
+  getTileOptions,
+  getTileCoverage,
+  renderContourTile,
+} from './source-utils.js';
+import { parseBbox, getTileRangeForBbox } from './mlcontour-utils.js';
+import { isEmptyVectorTile } from './mvt-utils.js';
+import { applyContourAttributes } from './attribute-utils.js';
+import { getContourVectorLayers } from './tilejson-utils.js';
+import { PMTilesWriter } from './pmtiles-utils.js';
+import { MBTilesWriter } from './mbtiles-utils.js';
+
+const gzipP = promisify(gzip);
+
+const USAGE = `Usage: contour-mvt-server seed <config.json> --source <name> --out <file.pmtiles|file.mbtiles> [options]
+
+Options:
+  --source <name>       Source from the config to render (required)
+  --out <file>          Output archive, .pmtiles or .mbtiles (required)
+  --bbox <bbox>         minLon,minLat,maxLon,maxLat (default: whole world)
+  --minzoom <z>         Lowest zoom to render (default: 0)
+  --maxzoom <z>         Highest zoom to render (default: source maxzoom)
+  --concurrency <n>     Tiles rendered in parallel (default: number of CPUs)
+  --overwrite           Start over instead of resuming a previous run
+  --help                Show this help`;
+
+/**
+ * Yields the coordinates of every tile covering a bbox between two zooms.
+ * @param {number[]} bbox - `[minLon, minLat, maxLon, maxLat]`.
+ * @param {number} minzoom - Lowest zoom.
+ * @param {number} maxzoom - Highest zoom.
+ */
+function* iterateTiles(bbox, minzoom, maxzoom) {
+  for (let z = minzoom; z <= maxzoom; z++) {
+    const { minX, minY, maxX, maxY } = getTileRangeForBbox(bbox, z);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        yield { z, x, y };
+      }
+    }
+  }
+}
+
+function countTiles(bbox, minzoom, maxzoom) {
+  let count = 0;
+  for (let z = minzoom; z <= maxzoom; z++) {
+    const { minX, minY, maxX, maxY } = getTileRangeForBbox(bbox, z);
+    count += (maxX - minX + 1) * (maxY - minY + 1);
+  }
+  return count;
+}
+
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) return '?';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  return h > 0 ? `${h}h${String(m).padStart(2, '0')}m` : `${m}m${String(s).padStart(2, '0')}s`;
+}
+
+/**
+ * Parses and validates the seed command line.
+ * @param {string[]} args - The arguments after `seed`.
+ * @returns {object} The seed options.
+ */
+function parseSeedArgs(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      source: { type: 'string' },
+      out: { type: 'string' },
+      bbox: { type: 'string' },
+      minzoom: { type: 'string' },
+      maxzoom: { type: 'string' },
+      concurrency: { type: 'string' },
+      overwrite: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.length !== 1) {
+    throw new Error('Expected exactly one config file');
+  }
+  if (!values.source) {
+    throw new Error('--source is required');
+  }
+  if (!values.out) {
+    throw new Error('--out is required');
+  }
+
+  const format = path.extname(values.out).toLowerCase().slice(1);
+  if (!['pmtiles', 'mbtiles'].includes(format)) {
+    throw new Error('--out must end in .pmtiles or .mbtiles');
+  }
+
+  const bbox = parseBbox(values.bbox ?? '-180,-85.051129,180,85.051129');
+  if (!bbox) {
+    throw new Error(`Invalid --bbox "${values.bbox}", expected minLon,minLat,maxLon,maxLat`);
+  }
+
+  const parseInteger = (name, value, min, max) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`--${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+  };
+
+  return {
+    configPath: positionals[0],
+    sourceName: values.source,
+    out: values.out,
+    format,
+    bbox,
+    minzoom: parseInteger('minzoom', values.minzoom, 0, 30) ?? 0,
+    maxzoom: parseInteger('maxzoom', values.maxzoom, 0, 30),
+    concurrency: parseInteger('concurrency', values.concurrency, 1, 1024) ?? os.cpus().length,
+    overwrite: values.overwrite,
+  };
+}
+
+/**
+ * Renders the contours of a source into a PMTiles or MBTiles archive.
+ * @param {string[]} args - The command line arguments after `seed`.
+ * @returns {Promise<number>} The process exit code.
+ */
+export async function runSeedCommand(args) {
+  let options;
+  try {
+    options = parseSeedArgs(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const { configPath, sourceName, out, format, bbox, minzoom, concurrency, overwrite } = options;
+
+  console.log(`Loading configuration from: ${configPath}`);
+  const config = loadConfig(configPath);
+  const source = config.sources[sourceName];
+  if (!source) {
+    console.error(`Error: Source "${sourceName}" not found. Available: ${Object.keys(config.sources).join(', ')}`);
+    return 1;
+  }
+
+  const maxzoom = options.maxzoom ?? source.maxzoom ?? 14;
+  if (minzoom > maxzoom) {
+    console.error(`Error: --minzoom (${minzoom}) is greater than --maxzoom (${maxzoom})`);
+    return 1;
+  }
+
+  // Seeding waits for the workers instead of shedding load, so the queue is unbounded
+  configureWorkerPool({ ...getWorkerSettings(config), maxQueue: Infinity });
+
+  // Only set up the source being seeded, without the tile cache of the server
+  const contourSources = await setupContourEndpoints({
+    ...config,
+    sources: { [sourceName]: { ...source, tileCache: false } },
+  });
+  const sourceData = contourSources[sourceName];
+
+  const writer = format === 'pmtiles'
+    ? await PMTilesWriter.open(out, { overwrite })
+    : await MBTilesWriter.open(out, { overwrite });
+  if (writer.resumedTiles > 0) {
+    console.log(`Resuming previous run of ${out} (${writer.resumedTiles} tiles recorded)`);
+  }
+
+  const total = countTiles(bbox, minzoom, maxzoom);
+  console.log(`Seeding ${total} tiles of ${sourceName} (z${minzoom}-z${maxzoom}, bbox ${bbox.join(',')}) into ${out} with concurrency ${concurrency}`);
+
+  let interrupted = false;
+  const onSignal = (signal) => {
+    if (interrupted) process.exit(1);
+    interrupted = true;
+    console.log(`\n${signal} received, finishing tiles in progress. Run the same command again to resume.`);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  const stats = { done: 0, written: 0, empty: 0, skipped: 0, failed: 0 };
+  const startTime = Date.now();
+  let lastProgress = 0;
+  const logProgress = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastProgress < 2000) return;
+    lastProgress = now;
+    const rendered = stats.done - stats.skipped;
+    const elapsed = (now - startTime) / 1000;
+    const rate = rendered / Math.max(elapsed, 0.001);
+    const eta = (total - stats.done) / rate;
+    console.log(
+      `[${((stats.done / total) * 100).toFixed(1)}%] ${stats.done}/${total} tiles ` +
+      `(${stats.written} written, ${stats.empty} empty, ${stats.skipped} resumed, ${stats.failed} failed) ` +
+      `${rate.toFixed(1)} tiles/s, ETA ${formatDuration(eta)}`
+    );
+  };
+
+  const tiles = iterateTiles(bbox, minzoom, maxzoom);
+  const worker = async () => {
+    for (const { z, x, y } of tiles) {
+      if (interrupted) return;
+      try {
+        if (await writer.has(z, x, y)) {
+          stats.skipped++;
+        } else if (await getTileCoverage(sourceData, z, x, y) !== 'covered') {
+          // Outside the coverage of the DEM, nothing to fetch
+          await writer.putTile(z, x, y, Buffer.alloc(0));
+          stats.empty++;
+        } else {
+          const tileOptions = getTileOptions(sourceData, z);
+          const tile = await renderContourTile(sourceData, z, x, y, tileOptions);
+          const arrayBuffer = applyContourAttributes(
+            tile.arrayBuffer, tileOptions, sourceData.sourceConfig.attributes, sourceData.contourOptions.multiplier
+          );
+          if (isEmptyVectorTile(arrayBuffer)) {
+            await writer.putTile(z, x, y, Buffer.alloc(0));
+            stats.empty++;
+          } else {
+            await writer.putTile(z, x, y, await gzipP(Buffer.from(arrayBuffer)));
+            stats.written++;
+          }
+        }
+      } catch (error) {
+        // Failed tiles are not recorded, so a resumed run retries them
+        console.error(`Error generating contour tile ${sourceName}/${z}/${x}/${y}:`, error.message);
+        stats.failed++;
+      }
+      stats.done++;
+      logProgress();
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  logProgress(true);
+
+  if (interrupted || stats.failed > 0) {
+    await writer.close();
+    console.log(interrupted
+      ? `Seeding interrupted, rerun the same command to resume.`
+      : `${stats.failed} tiles failed, rerun the same command to retry them.`);
+    return 1;
+  }
+
+  await writer.finalize({
+    bounds: bbox,
+    minzoom,
+    maxzoom,
+    metadata: {
+      name: sourceName,
+      description: `Contour lines generated from ${sourceName}`,
+      vector_layers: getContourVectorLayers(
+        sourceName,
+        {
+          contourOptions: sourceData.contourOptions,
+          bandOptions: sourceData.bandOptions,
+          peakOptions: sourceData.peakOptions,
+          attributes: sourceData.sourceConfig.attributes,
+        },
+        minzoom,
+        maxzoom
+      ),
+    },
+  });
+
+  console.log(`✓ Wrote ${out} in ${formatDuration((Date.now() - startTime) / 1000)}`);
+  return 0;
+}
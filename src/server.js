@@ -4,276 +4,163 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
 import { promisify } from 'util';
-import { gzip } from 'zlib';
-import mlcontour from 'maplibre-contour';
+import { gzip, gunzip } from 'zlib';
 import cors from 'cors';
+import { parseBbox, parseTileCoordinates } from './mlcontour-utils.js';
+import { hashOptions } from './tilecache-utils.js';
+import { renderHillshadeTile } from './hillshade-utils.js';
+import { applyContourAttributes, getContourFields } from './attribute-utils.js';
+import { countExportTiles, generateContourFeatures } from './geojson-utils.js';
+import { mergeVectorTiles } from './mvt-utils.js';
+import { parseStyleOptions, getRasterDemSource, createContourStyle } from './style-utils.js';
 import {
-  openPMtiles,
-  getPMtilesTile,
-  pmtilesTester,
-  httpTester
-} from './pmtiles-utils.js';
+  renderMetrics,
+  trackRequests,
+  tileGenerationSeconds,
+  tileSizeBytes,
+  tileCacheRequestsTotal,
+  rejectedRequestsTotal,
+  contourGeometryBytesTotal,
+} from './metrics-utils.js';
+import { configureWorkerPool, admitRequest, coalesceRequest, abortable, QueueFullError } from './worker-utils.js';
+import { sendTile, sendEmptyTile } from './http-utils.js';
 import {
-  openMBTiles,
-  getMBTilesTile,
-  mbtilesTester,
-} from './mbtiles-utils.js';
+  ElevationSampler,
+  getElevationProfile,
+  isValidPosition,
+} from './elevation-utils.js';
 import {
-  GetImageData,
-  createBlankTileImage,
-  parseZXYFromUrl,
-  getOptionsForZoom,
-} from './mlcontour-utils.js';
+  getPublicBaseUrl,
+  getContourZoomRange,
+  createContourTileJSON,
+  createCompositeTileJSON,
+} from './tilejson-utils.js';
+import {
+  loadConfig,
+  parseConfig,
+  validateConfig,
+  parseContourOverrides,
+  getContourOptions,
+  getBlankTileSettings,
+  getCacheControl,
+  getWorkerSettings,
+  getAdminSettings,
+  getStyleSettings,
+  getHttpSettings,
+  DEFAULT_REQUEST_TIMEOUT_MS,
+} from './config-utils.js';
+import {
+  setupContourEndpoints,
+  closeContourSource,
+  getTileOptions,
+  getTileCoverage,
+  renderContourTile,
+  flushDemCache,
+} from './source-utils.js';
+import {
+  requireAdminToken,
+  isValidSourceName,
+  applyMergePatch,
+  getSourceStats,
+  saveSourceConfig,
+} from './admin-utils.js';
 
 const gzipP = promisify(gzip);
+const gunzipP = promisify(gunzip);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
-// Default contour options (from your current server.js)
-const DEFAULT_CONTOUR_OPTIONS = {
-  multiplier: 1,
-  contourLayer: 'contours',
-  elevationKey: 'ele',
-  levelKey: 'level',
-  extent: 4096,
-  buffer: 1,
-  thresholds: {
-    1: [600, 3000],
-    4: [300, 1500],
-    8: [150, 750],
-    9: [80, 400],
-    10: [40, 200],
-    11: [20, 100],
-    12: [10, 50],
-    14: [5, 25],
-    16: [1, 5],
-  }
-};
-
-// Helper function to check if a path is a local file path (Unix or Windows)
-function isLocalPath(pathStr) {
-  // Check for Unix absolute path
-  if (pathStr.startsWith('/')) {
-    return true;
-  }
-  // Check for Windows absolute path (e.g., C:/, C://, C:\, etc.)
-  if (/^[a-zA-Z]:[\\/]/.test(pathStr)) {
-    return true;
-  }
-  return false;
+const DEFAULT_PROFILE_SAMPLES = 100;
+const MAX_PROFILE_SAMPLES = 2000;
+const MAX_PROFILE_COORDINATES = 10000;
+const DEFAULT_GEOJSON_MAX_TILES = 64;
+
+const PREVIEW_DIR = path.join(__dirname, 'preview');
+const MAPLIBRE_DIST = path.dirname(createRequire(import.meta.url).resolve('maplibre-gl'));
+const previewPage = fs.readFileSync(path.join(PREVIEW_DIR, 'index.html'), 'utf8');
+const MAX_GEOJSON_ZOOM = 22;
+
+// Seeding runs instead of the server when the first argument is "seed"
+if (process.argv[2] === 'seed') {
+  const { runSeedCommand } = await import('./seed-utils.js');
+  process.exit(await runSeedCommand(process.argv.slice(3)));
 }
 
 // --- Global variables for parsed config and contour sources ---
 let config = {};
 let contourSources = {};
-let GLOBAL_BLANK_TILE_SETTINGS = {}; // New global variable for blank tile settings
 
-// Load and validate configuration
-function loadConfig(configPath) {
-  try {
-    const configFile = fs.readFileSync(configPath, 'utf8');
-    const parsedConfig = JSON.parse(configFile);
-    
-    if (!parsedConfig.sources || Object.keys(parsedConfig.sources).length === 0) {
-      throw new Error('Config must contain at least one source');
-    }
+// Main initialization
+const configPath = process.argv[2] || './config.json';
+console.log(`Loading configuration from: ${configPath}`);
 
-    // Set global blank tile defaults
-    GLOBAL_BLANK_TILE_SETTINGS = {
-      blankTileNoDataValue: parsedConfig.blankTileNoDataValue ?? 0,
-      blankTileSize: parsedConfig.blankTileSize ?? 256,
-      blankTileFormat: parsedConfig.blankTileFormat ?? 'png'
-    };
-    
-    for (const [name, source] of Object.entries(parsedConfig.sources)) {
-      // Normalize tiles to always be a string (accept both string and array)
-      if (Array.isArray(source.tiles)) {
-        if (source.tiles.length === 0) {
-          throw new Error(`Source "${name}" must have a non-empty tiles value`);
-        }
-        source.tiles = source.tiles[0]; // Use first element if array
-      } else if (typeof source.tiles !== 'string') {
-        throw new Error(`Source "${name}" tiles must be a string or array`);
-      }
-      
-      if (!source.encoding) {
-        throw new Error(`Source "${name}" must specify encoding (e.g., "terrarium" or "mapbox")`);
-      }
-      
-      const demUrl = source.tiles;
+config = loadConfig(configPath); // Assign to global config
+configureWorkerPool(getWorkerSettings(config));
+contourSources = await setupContourEndpoints(config); // Assign to global contourSources
 
-      if (pmtilesTester.test(demUrl)) {
-        const actualPathOrUrl = demUrl.replace(pmtilesTester, "");
-        if (!isLocalPath(actualPathOrUrl) && !httpTester.test(actualPathOrUrl)) {
-          throw new Error(`Invalid PMTiles URL for source "${name}": ${demUrl}. Must be 'pmtiles:///local/path', 'pmtiles://C://path' (Windows), or 'pmtiles://http(s)://url'`);
-        }
-      } else if (mbtilesTester.test(demUrl)) {
-        const actualPath = demUrl.replace(mbtilesTester, "");
-        if (!isLocalPath(actualPath)) {
-          throw new Error(`Invalid MBTiles URL for source "${name}": ${demUrl}. Must be 'mbtiles:///local/path' or 'mbtiles://C://path' (Windows)`);
-        }
-        if (!fs.existsSync(actualPath)) {
-          throw new Error(`MBTiles file not found for source "${name}": ${actualPath}`);
-        }
-      } else if (!httpTester.test(demUrl)) {
-        throw new Error(`Invalid DEM URL for source "${name}": ${demUrl}. Must start with 'pmtiles://', 'mbtiles://', 'http://', or 'https://'`);
-      }
-      
-      if (source.contours) {
-        if (source.contours.levels && source.contours.thresholds) {
-          throw new Error(`Source "${name}" cannot specify both levels and thresholds`);
-        }
-      }
+// Timeouts of the requests in progress, by their abort controller
+const requestTimeouts = new WeakMap();
 
-      // Validate blank tile format if specified at source level
-      if (source.blankTileFormat && !['png', 'webp', 'jpeg'].includes(source.blankTileFormat)) {
-        throw new Error(`Source "${name}" has an invalid blankTileFormat: "${source.blankTileFormat}". Must be 'png', 'webp', or 'jpeg'.`);
-      }
-    }
-    
-    return parsedConfig;
-  } catch (error) {
-    console.error('Error loading config:', error.message);
-    process.exit(1);
-  }
+// Abort controller of the work of a request. It is aborted when the client goes away,
+// and with a TimeoutError when the request takes longer than `server.requestTimeoutMs`.
+function createRequestAbortController(res) {
+  const abortController = new AbortController();
+  const timeout = setTimeout(
+    () => abortController.abort(new DOMException('The request timed out', 'TimeoutError')),
+    config.server?.requestTimeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS
+  );
+  requestTimeouts.set(abortController, timeout);
+  res.once('close', () => {
+    clearTimeout(timeout);
+    if (!res.writableFinished) abortController.abort();
+  });
+  return abortController;
 }
 
-// Merge source-specific contour options with defaults
-function getContourOptions(source) {
-  const options = { ...DEFAULT_CONTOUR_OPTIONS };
-  
-  if (source.contours) {
-    Object.assign(options, source.contours);
-    
-    if (source.contours.levels) {
-      delete options.thresholds;
-    }
-  }
-  
-  return options;
+// Stop the timeout of a request, e.g. once its response is being streamed: a slow client then
+// only aborts it by going away
+function clearRequestTimeout(abortController) {
+  clearTimeout(requestTimeouts.get(abortController));
 }
 
-// Cache for opened PMTiles/MBTiles files
-const pmtilesCache = new Map();
-const mbtilesCache = new Map();
-
-// Initialize DEM managers for each source
-async function setupContourEndpoints(currentConfig) {
-  const currentContourSources = {};
-  
-  for (const [sourceName, source] of Object.entries(currentConfig.sources)) {
-    const contourOptions = getContourOptions(source);
-    const demUrl = source.tiles; // Now always a string
-    
-    let demManagerOptions = {
-      cacheSize: source.cacheSize || 100,
-      encoding: source.encoding,
-      maxzoom: source.maxzoom || 14,
-      timeoutMs: source.timeoutMs || 10000,
-      decodeImage: GetImageData,
-    };
-
-    let pmtilesInstance = undefined;
-    let mbtilesHandle = undefined;
-
-    // Determine blank tile settings for this specific source, falling back to global defaults
-    const sourceBlankTileNoDataValue = source.blankTileNoDataValue ?? GLOBAL_BLANK_TILE_SETTINGS.blankTileNoDataValue;
-    const sourceBlankTileSize = source.blankTileSize ?? GLOBAL_BLANK_TILE_SETTINGS.blankTileSize;
-    const sourceBlankTileFormat = source.blankTileFormat ?? GLOBAL_BLANK_TILE_SETTINGS.blankTileFormat;
-
-
-    if (pmtilesTester.test(demUrl)) {
-      const pmtilesActualPathOrUrl = demUrl.replace(pmtilesTester, "");
-      pmtilesInstance = openPMtiles(pmtilesActualPathOrUrl);
-      pmtilesCache.set(sourceName, pmtilesInstance); 
-
-      demManagerOptions.getTile = async (url, abortController) => {
-        const zxy = parseZXYFromUrl(url); 
-        if (!zxy) {
-          throw new Error(`Could not extract ZXY from DEM URL for PMTiles: ${url}`);
-        }
-        const { data, mimeType } = await getPMtilesTile(pmtilesInstance, zxy.z, zxy.x, zxy.y);
-        
-        if (!data) {
-          console.warn(`PMTiles tile not found for ${sourceName} (${zxy.z}/${zxy.x}/${zxy.y}). Generating blank tile.`);
-          const blankTileBuffer = await createBlankTileImage(
-            sourceBlankTileSize,
-            sourceBlankTileSize,
-            sourceBlankTileNoDataValue,
-            source.encoding,
-            sourceBlankTileFormat,
-          );
-          return { data: new Blob([blankTileBuffer], { type: mimeType || `image/${sourceBlankTileFormat}` }), mimeType: mimeType || `image/${sourceBlankTileFormat}` };
-        }
-        return { data: new Blob([data], { type: mimeType || 'application/octet-stream' }), mimeType: mimeType };
-      };
-      demManagerOptions.demUrlPattern = '/{z}/{x}/{y}'; 
-      
-      console.log(`✓ Configured PMTiles terrain source: ${sourceName} from ${pmtilesActualPathOrUrl}`);
-
-    } else if (mbtilesTester.test(demUrl)) {
-      const mbtilesActualPath = demUrl.replace(mbtilesTester, "");
-      mbtilesHandle = (await openMBTiles(demUrl)).handle;
-      mbtilesCache.set(sourceName, mbtilesHandle); 
-
-      demManagerOptions.getTile = async (url, abortController) => {
-        const zxy = parseZXYFromUrl(url);
-        if (!zxy) {
-          throw new Error(`Could not extract ZXY from DEM URL for MBTiles: ${url}`);
-        }
-        const { data, contentType } = await getMBTilesTile(mbtilesHandle, zxy.z, zxy.x, zxy.y);
-        
-        if (!data) {
-          console.warn(`MBTiles tile not found for ${sourceName} (${zxy.z}/${zxy.x}/${zxy.y}). Generating blank tile.`);
-          const blankTileBuffer = await createBlankTileImage(
-            sourceBlankTileSize,
-            sourceBlankTileSize,
-            sourceBlankTileNoDataValue,
-            source.encoding,
-            sourceBlankTileFormat,
-          );
-          return { data: new Blob([blankTileBuffer], { type: contentType || `image/${sourceBlankTileFormat}` }), mimeType: contentType || `image/${sourceBlankTileFormat}` };
-        }
-        return { data: new Blob([data], { type: contentType || 'application/octet-stream' }), mimeType: contentType };
-      };
-      demManagerOptions.demUrlPattern = '/{z}/{x}/{y}'; 
-
-      console.log(`✓ Configured MBTiles terrain source: ${sourceName} from ${mbtilesActualPath}`);
-
-    } else {
-      // Default HTTP DEM tile fetching (URLs starting with http(s)://)
-      demManagerOptions.demUrlPattern = demUrl;
-      console.log(`✓ Configured HTTP DEM terrain source: ${sourceName} from ${demUrl}`);
+// Answer a request that failed because the request queue is full (503 with Retry-After) or that
+// was aborted (504 on timeout, nothing when the client went away). Returns false for other errors.
+function sendRejectedRequest(res, endpoint, error, abortController) {
+  if (error instanceof QueueFullError) {
+    rejectedRequestsTotal.inc({ endpoint, reason: 'queue_full' });
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(503).json({ error: 'The server is busy, retry later' });
+    return true;
+  }
+  if (abortController?.signal.aborted) {
+    if (abortController.signal.reason?.name === 'TimeoutError') {
+      rejectedRequestsTotal.inc({ endpoint, reason: 'timeout' });
+      res.status(504).json({ error: 'The request timed out' });
     }
-    
-    // Always create a LocalDemManager
-    const manager = new mlcontour.LocalDemManager(demManagerOptions);
-    
-    currentContourSources[sourceName] = {
-      type: 'contour', 
-      manager,
-      contourOptions,
-      sourceConfig: source, 
-    };
+    return true;
   }
-  
-  return currentContourSources;
+  return false;
 }
 
-// Main initialization
-const configPath = process.argv[2] || './config.json';
-console.log(`Loading configuration from: ${configPath}`);
-
-config = loadConfig(configPath); // Assign to global config
-contourSources = await setupContourEndpoints(config); // Assign to global contourSources
+// Answer the errors of middleware, like a request body that is not valid JSON or too large, with JSON
+function sendMiddlewareError(error, req, res, next) {
+  res.status(error.status || 500).json({ error: error.message });
+}
 
 // CORS middleware
 app.use(cors());
 
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -284,82 +171,886 @@ app.get('/health', (req, res) => {
 });
 
 // List available sources
-app.get('/sources', (req, res) => {
+app.get('/sources', async (req, res) => {
   const sourcesInfo = {};
   for (const [name, sourceData] of Object.entries(contourSources)) {
+    const blankTileSettings = getBlankTileSettings(sourceData.sourceConfig, config);
+    let demMetadata;
+    try {
+      demMetadata = await sourceData.getDemMetadata();
+    } catch (error) {
+      console.warn(`Could not read DEM metadata of ${name}:`, error.message);
+    }
     sourcesInfo[name] = {
       type: sourceData.type,
       tiles: sourceData.sourceConfig.tiles,
       encoding: sourceData.sourceConfig.encoding,
-      maxzoom: sourceData.sourceConfig.maxzoom || 14,
+      // The same zoom range as the TileJSON of the source
+      ...getContourZoomRange(sourceData, demMetadata),
+      bounds: demMetadata?.bounds ?? null,
       contours: getContourOptions(sourceData.sourceConfig),
+      bands: sourceData.bandOptions ?? null,
+      peaks: sourceData.peakOptions ?? null,
+      fields: getContourFields(sourceData.contourOptions, sourceData.sourceConfig.attributes),
+      overrides: sourceData.sourceConfig.overrides ?? {},
       // Include blank tile settings in the source info for debugging/API users
-      blankTileNoDataValue: sourceData.sourceConfig.blankTileNoDataValue ?? GLOBAL_BLANK_TILE_SETTINGS.blankTileNoDataValue,
-      blankTileSize: sourceData.sourceConfig.blankTileSize ?? GLOBAL_BLANK_TILE_SETTINGS.blankTileSize,
-      blankTileFormat: sourceData.sourceConfig.blankTileFormat ?? GLOBAL_BLANK_TILE_SETTINGS.blankTileFormat,
-      endpoint: `/contours/${name}/{z}/{x}/{y}.pbf`
+      ...blankTileSettings,
+      endpoint: `/contours/${name}/{z}/{x}/{y}.pbf`,
+      tilejson: `/contours/${name}.json`,
+      hillshade: `/hillshade/${name}/{z}/{x}/{y}.png`
+    };
+  }
+  for (const [name, composite] of Object.entries(config.composites ?? {})) {
+    sourcesInfo[name] = {
+      type: 'composite',
+      sources: composite.sources,
+      endpoint: `/contours/${name}/{z}/{x}/{y}.pbf`,
+      tilejson: `/contours/${name}.json`,
     };
   }
   res.json(sourcesInfo);
 });
 
+// TileJSON document for a contour source
+app.get('/contours/:source.json', trackRequests('tilejson'), async (req, res) => {
+  const { source } = req.params;
+
+  const sourceData = contourSources[source];
+  const composite = config.composites?.[source];
+  if (!sourceData && !composite) {
+    return res.status(404).json({
+      error: `Source "${source}" not found`,
+      available: [...Object.keys(contourSources), ...Object.keys(config.composites ?? {})]
+    });
+  }
+
+  let overrides;
+  try {
+    overrides = parseContourOverrides(req.query, sourceData?.sourceConfig.overrides, sourceData?.sourceConfig);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (composite) {
+    try {
+      const members = await Promise.all(composite.sources.map(async (member) => ({
+        name: member,
+        sourceData: contourSources[member],
+        demMetadata: await contourSources[member].getDemMetadata(),
+      })));
+      return res.json(createCompositeTileJSON({ name: source, members, baseUrl: getPublicBaseUrl(req) }));
+    } catch (error) {
+      console.error(`Error generating TileJSON for ${source}:`, error);
+      return res.status(500).json({ error: 'Error generating TileJSON' });
+    }
+  }
+
+  try {
+    const demMetadata = await sourceData.getDemMetadata();
+    res.json(createContourTileJSON({
+      name: source,
+      sourceData,
+      demMetadata,
+      baseUrl: getPublicBaseUrl(req),
+      overrides,
+    }));
+  } catch (error) {
+    console.error(`Error generating TileJSON for ${source}:`, error);
+    res.status(500).json({ error: 'Error generating TileJSON' });
+  }
+});
+
+// MapLibre style for the contour tiles of a source
+app.get('/styles/:source.json', trackRequests('style'), async (req, res) => {
+  const { source } = req.params;
+
+  const sourceData = contourSources[source];
+  if (!sourceData) {
+    return res.status(404).json({
+      error: `Source "${source}" not found`,
+      available: Object.keys(contourSources)
+    });
+  }
+
+  let options;
+  try {
+    options = parseStyleOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const baseUrl = getPublicBaseUrl(req);
+    const demMetadata = await sourceData.getDemMetadata();
+    const tileJSON = createContourTileJSON({ name: source, sourceData, demMetadata, baseUrl });
+    res.json(createContourStyle({
+      name: source,
+      sourceData,
+      tileJSON,
+      baseUrl,
+      options,
+      styleSettings: getStyleSettings(config),
+      rasterDemSource: getRasterDemSource(
+        sourceData.sourceConfig,
+        getHttpSettings(sourceData.sourceConfig, config),
+        sourceData.manager.maxzoom
+      ),
+    }));
+  } catch (error) {
+    console.error(`Error generating style for ${source}:`, error);
+    res.status(500).json({ error: 'Error generating style' });
+  }
+});
+
+// Preview page of a source, with its URLs relative to the server root so it works behind a path prefix.
+// At `/` the page shows the first source.
+function sendPreviewPage(req, res, source) {
+  const depth = req.path.split('/').length - 2;
+  const escapeHtml = (value) => value.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+  res.type('html').send(previewPage
+    .replace('%BASE%', depth > 0 ? '../'.repeat(depth) : './')
+    .replace('%SOURCE%', escapeHtml(source)));
+}
+
+// The page itself, and the MapLibre GL JS build it uses, served locally so the preview works offline
+app.use('/preview/assets/maplibre-gl', express.static(MAPLIBRE_DIST));
+app.use('/preview/assets', express.static(path.join(PREVIEW_DIR, 'assets')));
+
+app.get('/', (req, res) => sendPreviewPage(req, res, ''));
+
+app.get('/preview/:source', (req, res) => {
+  const { source } = req.params;
+  if (!contourSources[source]) {
+    return res.status(404).json({
+      error: `Source "${source}" not found`,
+      available: Object.keys(contourSources)
+    });
+  }
+  sendPreviewPage(req, res, source);
+});
+
+// Effective options of the contour tiles of a source at each zoom, shown by the preview page
+app.get('/preview/:source/options.json', async (req, res) => {
+  const { source } = req.params;
+
+  const sourceData = contourSources[source];
+  if (!sourceData) {
+    return res.status(404).json({
+      error: `Source "${source}" not found`,
+      available: Object.keys(contourSources)
+    });
+  }
+
+  try {
+    const demMetadata = await sourceData.getDemMetadata();
+    const { minzoom, maxzoom } = getContourZoomRange(sourceData, demMetadata);
+    const zooms = {};
+    for (let zoom = minzoom; zoom <= maxzoom; zoom++) {
+      zooms[zoom] = getTileOptions(sourceData, zoom);
+    }
+    res.json({ source, minzoom, maxzoom, zooms });
+  } catch (error) {
+    console.error(`Error getting the options of ${source}:`, error);
+    res.status(500).json({ error: 'Error getting the options' });
+  }
+});
+
+// GeoJSON export of the contours of a bounding box
+app.get('/contours/:source/geojson', trackRequests('geojson'), async (req, res) => {
+  const { source } = req.params;
+
+  const sourceData = contourSources[source];
+  if (!sourceData) {
+    return res.status(404).json({
+      error: `Source "${source}" not found`,
+      available: Object.keys(contourSources)
+    });
+  }
+
+  const bbox = req.query.bbox !== undefined ? parseBbox(req.query.bbox) : null;
+  if (!bbox) {
+    return res.status(400).json({ error: 'bbox is required as minLon,minLat,maxLon,maxLat' });
+  }
+  const zoom = req.query.zoom !== undefined ? Number(req.query.zoom) : sourceData.manager.maxzoom;
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_GEOJSON_ZOOM) {
+    return res.status(400).json({ error: `zoom must be an integer between 0 and ${MAX_GEOJSON_ZOOM}` });
+  }
+
+  // `levels` is always accepted here, within the limits of the source overrides if it has any
+  let overrides;
+  try {
+    overrides = parseContourOverrides(
+      { levels: req.query.levels },
+      { levels: sourceData.sourceConfig.overrides?.levels ?? true }
+    );
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const maxTiles = config.geojsonMaxTiles ?? DEFAULT_GEOJSON_MAX_TILES;
+  const tileCount = countExportTiles(bbox, zoom);
+  if (tileCount > maxTiles) {
+    return res.status(400).json({
+      error: `The bbox covers ${tileCount} tiles at zoom ${zoom}, the maximum is ${maxTiles}. Use a smaller bbox or a lower zoom.`
+    });
+  }
+
+  const abortController = createRequestAbortController(res);
+
+  let features;
+  try {
+    const tileOptions = getTileOptions(sourceData, zoom, overrides);
+    features = await admitRequest(() => abortable(
+      generateContourFeatures(sourceData, bbox, zoom, tileOptions, abortController),
+      abortController.signal
+    ));
+  } catch (error) {
+    if (sendRejectedRequest(res, 'geojson', error, abortController)) return;
+    console.error(`Error generating GeoJSON contours for ${source}:`, error);
+    return res.status(500).json({ error: 'Error generating GeoJSON contours' });
+  }
+
+  clearRequestTimeout(abortController);
+  res.setHeader('Content-Type', 'application/geo+json');
+  res.write('{"type":"FeatureCollection","features":[');
+  for (let i = 0; i < features.length; i++) {
+    if (abortController.signal.aborted) return;
+    if (!res.write((i > 0 ? ',' : '') + JSON.stringify(features[i]))) {
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  }
+  res.end(']}');
+
+  console.log(`Generated GeoJSON contours for ${source} (bbox ${bbox.join(',')}, zoom ${zoom}, ${tileCount} tiles, ${features.length} features)`);
+});
+
+// Key of the DEM and the effective options of a contour tile of a source. Changing either
+// invalidates cached tiles, and the key is part of the ETag.
+function getContourOptionsKey(sourceData, tileOptions) {
+  const { sourceConfig } = sourceData;
+  return hashOptions({
+    tiles: sourceConfig.tiles,
+    encoding: sourceConfig.encoding,
+    // Built-in encodings keep the keys of existing caches, only custom factors are added
+    demEncoding: sourceConfig.encoding === 'custom' ? sourceData.manager.encoding : undefined,
+    attributes: sourceConfig.attributes,
+    ...tileOptions,
+  });
+}
+
+// The tile cache is best-effort: a tile that can't be read from it is generated, and one that
+// can't be written to it is still sent
+async function getCachedTile(source, tileCache, cacheKey, z, x, y) {
+  try {
+    return await tileCache.get(cacheKey, z, x, y);
+  } catch (error) {
+    console.error(`Error reading tile ${source}/${z}/${x}/${y} from the tile cache:`, error.message);
+    return undefined;
+  }
+}
+
+async function putCachedTile(source, tileCache, cacheKey, z, x, y, data) {
+  try {
+    await tileCache.put(cacheKey, z, x, y, data);
+  } catch (error) {
+    console.error(`Error writing tile ${source}/${z}/${x}/${y} to the tile cache:`, error.message);
+  }
+}
+
+// Get a gzipped contour tile of a source from its tile cache, or generate it (and cache it).
+// `data` is null for empty tiles, and `cacheHit` is undefined when the source has no tile cache.
+async function getContourTile(source, sourceData, { z, x, y }, tileOptions, optionsKey, abortController) {
+  const { sourceConfig, tileCache } = sourceData;
+  const cacheKey = tileCache && optionsKey;
+
+  if (tileCache) {
+    const cached = await getCachedTile(source, tileCache, cacheKey, z, x, y);
+    tileCacheRequestsTotal.inc({ source, result: cached ? 'hit' : 'miss' });
+    if (cached) {
+      return { data: cached.length > 0 ? cached : null, cacheHit: true };
+    }
+  }
+
+  // Concurrent requests for the same tile share one generation, and one tile cache write
+  const data = await coalesceRequest(`${source}/${optionsKey}/${z}/${x}/${y}`, (sharedAbortController) => admitRequest(async () => {
+    const stopTimer = tileGenerationSeconds.startTimer({ source, type: 'contours' });
+    let tile;
+    let gzipped;
+    try {
+      tile = await renderContourTile(sourceData, z, x, y, tileOptions, sharedAbortController);
+      const arrayBuffer = applyContourAttributes(
+        tile.arrayBuffer, tileOptions, sourceConfig.attributes, sourceData.contourOptions.multiplier
+      );
+      gzipped = arrayBuffer && await gzipP(Buffer.from(arrayBuffer));
+    } finally {
+      stopTimer();
+    }
+
+    if (!gzipped) {
+      if (tileCache) await putCachedTile(source, tileCache, cacheKey, z, x, y, Buffer.alloc(0));
+      return null;
+    }
+
+    tileSizeBytes.observe({ source, type: 'contours' }, gzipped.length);
+    if (tileCache) await putCachedTile(source, tileCache, cacheKey, z, x, y, gzipped);
+
+    let geometryReport = '';
+    if (tile.unprocessedSize !== undefined) {
+      const processedSize = tile.arrayBuffer.byteLength;
+      contourGeometryBytesTotal.inc({ source, stage: 'unprocessed' }, tile.unprocessedSize);
+      contourGeometryBytesTotal.inc({ source, stage: 'processed' }, processedSize);
+      const change = tile.unprocessedSize > 0 ? Math.round((processedSize / tile.unprocessedSize - 1) * 100) : 0;
+      geometryReport = `, geometry ${tile.unprocessedSize} -> ${processedSize} bytes (${change >= 0 ? '+' : ''}${change}%)`;
+    }
+
+    console.log(`Generated contour tile ${source}/${z}/${x}/${y}: ${gzipped.length} bytes (gzipped)${geometryReport}`);
+    return gzipped;
+  }), abortController);
+
+  return { data, cacheHit: tileCache ? false : undefined };
+}
+
+// Answer a tile request of a composite source: the tiles of its sources are generated in
+// parallel, and their layers merged into one tile
+async function sendCompositeTile(req, res, name, composite, coordinates) {
+  try {
+    parseContourOverrides(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { z, x, y } = coordinates;
+  const cacheControl = getCacheControl(composite, config);
+  const abortController = createRequestAbortController(res);
+
+  try {
+    const memberTiles = await Promise.all(composite.sources.map(async (member) => {
+      const sourceData = contourSources[member];
+      // Sources not covering the tile add no layer to it
+      const coverage = await getTileCoverage(sourceData, z, x, y);
+      if (coverage !== 'covered') {
+        return { optionsKey: coverage, data: null };
+      }
+      const tileOptions = getTileOptions(sourceData, z);
+      const optionsKey = getContourOptionsKey(sourceData, tileOptions);
+      const { data } = await getContourTile(member, sourceData, coordinates, tileOptions, optionsKey, abortController);
+      return { optionsKey, data };
+    }));
+
+    const tiles = memberTiles.filter((tile) => tile.data);
+    if (tiles.length === 0) {
+      return sendEmptyTile(res, { cacheControl, vary: true });
+    }
+    const data = tiles.length === 1
+      ? tiles[0].data
+      : await gzipP(mergeVectorTiles(await Promise.all(tiles.map((tile) => gunzipP(tile.data)))));
+
+    await sendTile(req, res, {
+      data,
+      gzipped: true,
+      contentType: 'application/x-protobuf',
+      optionsKey: hashOptions(memberTiles.map((tile) => tile.optionsKey)),
+      cacheControl,
+    });
+  } catch (error) {
+    if (sendRejectedRequest(res, 'contours', error, abortController)) return;
+    console.error(`Error generating composite tile ${name}/${z}/${x}/${y}:`, error);
+    res.status(500).json({ error: 'Error generating composite tile' });
+  }
+}
+
 // Contour tile endpoint (remains largely the same, but simplified)
-app.get('/contours/:source/:z/:x/:y.pbf', async (req, res) => {
+app.get('/contours/:source/:z/:x/:y.pbf', trackRequests('contours'), async (req, res) => {
   const { source, z, x, y } = req.params;
   
   const sourceData = contourSources[source];
-  if (!sourceData) { 
+  const composite = config.composites?.[source];
+  if (!sourceData && !composite) { 
     return res.status(404).json({
       error: `Source "${source}" not found`,
-      available: Object.keys(contourSources)
+      available: [...Object.keys(contourSources), ...Object.keys(config.composites ?? {})]
     });
   }
   
-  const zoom = parseInt(z);
-  const tileX = parseInt(x);
-  const tileY = parseInt(y);
-  
-  if (isNaN(zoom) || isNaN(tileX) || isNaN(tileY)) {
+  const coordinates = parseTileCoordinates(z, x, y);
+  if (!coordinates) {
     return res.status(400).json({ error: 'Invalid tile coordinates' });
   }
+  if (composite) {
+    return sendCompositeTile(req, res, source, composite, coordinates);
+  }
+  const { z: zoom, x: tileX, y: tileY } = coordinates;
+
+  let overrides;
+  try {
+    overrides = parseContourOverrides(req.query, sourceData.sourceConfig.overrides, sourceData.sourceConfig);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const abortController = createRequestAbortController(res);
   
   try {
-    const { manager, contourOptions } = sourceData;
-    
-    let tileOptions = contourOptions;
-    if (contourOptions.thresholds) {
-      tileOptions = getOptionsForZoom(contourOptions, zoom); 
+    const cacheControl = getCacheControl(sourceData.sourceConfig, config);
+
+    // Tiles outside the coverage of the DEM are answered without fetching it
+    const coverage = await getTileCoverage(sourceData, zoom, tileX, tileY);
+    if (coverage === 'below-minzoom') {
+      return res.status(404).json({ error: `Zoom ${zoom} is below the minzoom of source "${source}"` });
     }
-    
-    const tile = await manager.fetchContourTile(
-      zoom,
-      tileX,
-      tileY,
-      tileOptions,
-      new AbortController()
-    );
-    
-    if (!tile || !tile.arrayBuffer) {
-      return res.status(204).send();
+    if (coverage === 'outside-bounds') {
+      return sendEmptyTile(res, { cacheControl, vary: true });
     }
     
-    let data = Buffer.from(tile.arrayBuffer);
-    data = await gzipP(data);
-    
-    console.log(`Generated contour tile ${source}/${z}/${x}/${y}: ${data.length} bytes (gzipped)`);
-    
-    res.set('Content-Type', 'application/x-protobuf');
-    res.set('Content-Encoding', 'gzip');
-    res.set('Content-Length', data.length.toString());
-    //res.set('Cache-Control', 'public, max-age=86400');
-    
-    res.send(data);
+    const tileOptions = getTileOptions(sourceData, zoom, overrides);
+    const optionsKey = getContourOptionsKey(sourceData, tileOptions);
+    const { data, cacheHit } = await getContourTile(source, sourceData, coordinates, tileOptions, optionsKey, abortController);
+    if (cacheHit !== undefined) {
+      res.set('X-Tile-Cache', cacheHit ? 'HIT' : 'MISS');
+    }
+
+    if (!data) {
+      return sendEmptyTile(res, { cacheControl, vary: true });
+    }
+
+    await sendTile(req, res, {
+      data,
+      gzipped: true,
+      contentType: 'application/x-protobuf',
+      optionsKey,
+      cacheControl,
+    });
   } catch (error) {
+    if (sendRejectedRequest(res, 'contours', error, abortController)) return;
     console.error(`Error generating contour tile ${source}/${z}/${x}/${y}:`, error);
     res.status(500).json({ error: 'Error generating contour tile' });
   }
 });
 
+// Hillshade raster tile endpoint, rendered from the same DEM as the contours
+app.get('/hillshade/:source/:z/:x/:y.:format(png|webp)', trackRequests('hillshade'), async (req, res) => {
+  const { source, z, x, y, format } = req.params;
+
+  const sourceData = contourSources[source];
+  if (!sourceData) {
+    return res.status(404).json({
+      error: `Source "${source}" not found`,
+      available: Object.keys(contourSources)
+    });
+  }
+
+  const coordinates = parseTileCoordinates(z, x, y);
+  if (!coordinates) {
+    return res.status(400).json({ error: 'Invalid tile coordinates' });
+  }
+  const { z: zoom, x: tileX, y: tileY } = coordinates;
+
+  const abortController = createRequestAbortController(res);
+  try {
+    const cacheControl = getCacheControl(sourceData.sourceConfig, config);
+    const coverage = await getTileCoverage(sourceData, zoom, tileX, tileY);
+    if (coverage === 'below-minzoom') {
+      return res.status(404).json({ error: `Zoom ${zoom} is below the minzoom of source "${source}"` });
+    }
+    if (coverage === 'outside-bounds') {
+      return sendEmptyTile(res, { cacheControl, vary: true });
+    }
+
+    const stopTimer = tileGenerationSeconds.startTimer({ source, type: 'hillshade' });
+    let data;
+    try {
+      data = await admitRequest(() => renderHillshadeTile(
+        sourceData.manager,
+        zoom,
+        tileX,
+        tileY,
+        sourceData.sourceConfig.hillshade,
+        format,
+        abortController
+      ));
+    } finally {
+      stopTimer();
+    }
+
+    if (!data) {
+      return sendEmptyTile(res, { cacheControl, vary: true });
+    }
+
+    tileSizeBytes.observe({ source, type: 'hillshade' }, data.length);
+    await sendTile(req, res, {
+      data,
+      contentType: `image/${format}`,
+      optionsKey: hashOptions({ tiles: sourceData.sourceConfig.tiles, hillshade: sourceData.sourceConfig.hillshade }),
+      cacheControl,
+    });
+  } catch (error) {
+    if (sendRejectedRequest(res, 'hillshade', error, abortController)) return;
+    console.error(`Error generating hillshade tile ${source}/${z}/${x}/${y}:`, error);
+    res.status(500).json({ error: 'Error generating hillshade tile' });
+  }
+});
+
+// Parse the optional `z` query parameter of the elevation endpoints, capped at the source maxzoom
+function getElevationZoom(req, sourceData) {
+  const maxzoom = sourceData.manager.maxzoom;
+  if (req.query.z === undefined) {
+    return maxzoom;
+  }
+  const zoom = Number(req.query.z);
+  if (!Number.isInteger(zoom) || zoom < 0) {
+    return undefined;
+  }
+  return Math.min(zoom, maxzoom);
+}
+
+// Point elevation endpoint
+app.get('/elevation/:source', trackRequests('elevation'), async (req, res) => {
+  const { source } = req.params;
+
+  const sourceData = contourSources[source];
+  if (!sourceData) {
+    return res.status(404).json({
+      error: `Source "${source}" not found`,
+      available: Object.keys(contourSources)
+    });
+  }
+
+  const lon = Number(req.query.lon);
+  const lat = Number(req.query.lat);
+  if (req.query.lon === undefined || req.query.lat === undefined || !isValidPosition([lon, lat])) {
+    return res.status(400).json({ error: 'lon and lat must be valid coordinates' });
+  }
+  const zoom = getElevationZoom(req, sourceData);
+  if (zoom === undefined) {
+    return res.status(400).json({ error: 'z must be a non-negative integer' });
+  }
+
+  const abortController = createRequestAbortController(res);
+  try {
+    const sampler = new ElevationSampler(sourceData, zoom, abortController);
+    const elevation = await admitRequest(() => abortable(sampler.getElevation(lon, lat), abortController.signal));
+    res.json({ source, lon, lat, zoom, elevation });
+  } catch (error) {
+    if (sendRejectedRequest(res, 'elevation', error, abortController)) return;
+    console.error(`Error getting elevation for ${source} at ${lon},${lat}:`, error);
+    res.status(500).json({ error: 'Error getting elevation' });
+  }
+});
+
+// Elevation profile along a GeoJSON LineString
+app.post('/profile/:source', trackRequests('profile'), express.json({ limit: '2mb' }), async (req, res) => {
+  const { source } = req.params;
+
+  const sourceData = contourSources[source];
+  if (!sourceData) {
+    return res.status(404).json({
+      error: `Source "${source}" not found`,
+      available: Object.keys(contourSources)
+    });
+  }
+
+  const geometry = req.body?.type === 'Feature' ? req.body.geometry : req.body;
+  if (geometry?.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+    return res.status(400).json({ error: 'Body must be a GeoJSON LineString geometry or Feature' });
+  }
+  const { coordinates } = geometry;
+  if (coordinates.length < 2 || coordinates.length > MAX_PROFILE_COORDINATES || !coordinates.every(isValidPosition)) {
+    return res.status(400).json({ error: `LineString must have between 2 and ${MAX_PROFILE_COORDINATES} valid coordinates` });
+  }
+
+  const samples = req.query.samples !== undefined ? Number(req.query.samples) : DEFAULT_PROFILE_SAMPLES;
+  if (!Number.isInteger(samples) || samples < 2 || samples > MAX_PROFILE_SAMPLES) {
+    return res.status(400).json({ error: `samples must be an integer between 2 and ${MAX_PROFILE_SAMPLES}` });
+  }
+  const zoom = getElevationZoom(req, sourceData);
+  if (zoom === undefined) {
+    return res.status(400).json({ error: 'z must be a non-negative integer' });
+  }
+
+  const abortController = createRequestAbortController(res);
+  try {
+    const sampler = new ElevationSampler(sourceData, zoom, abortController);
+    const profile = await admitRequest(() => abortable(getElevationProfile(sampler, coordinates, samples), abortController.signal));
+    res.json({ source, zoom, ...profile });
+  } catch (error) {
+    if (sendRejectedRequest(res, 'profile', error, abortController)) return;
+    console.error(`Error getting elevation profile for ${source}:`, error);
+    res.status(500).json({ error: 'Error getting elevation profile' });
+  }
+}, sendMiddlewareError);
+
+// --- Hot reload of the configuration ---
+let reloadPromise = undefined;
+let reloadPending = false;
+let configChanges = Promise.resolve();
+
+// Run reloads and admin API changes of the configuration one at a time
+function queueConfigChange(change) {
+  const result = configChanges.then(change);
+  configChanges = result.catch(() => {});
+  return result;
+}
+
+// Set up the sources of a new configuration and swap them in, keeping unchanged sources as they are.
+// Throws (leaving the current configuration in place) if the new configuration can't be set up.
+async function applyConfig(newConfig) {
+  const previousSources = contourSources;
+  const newContourSources = await setupContourEndpoints(newConfig, previousSources);
+
+  config = newConfig;
+  contourSources = newContourSources;
+  configureWorkerPool(getWorkerSettings(newConfig));
+
+  for (const [name, sourceData] of Object.entries(previousSources)) {
+    if (contourSources[name] === sourceData) {
+      continue;
+    }
+    console.log(`${contourSources[name] ? '↻ Replaced' : '✗ Removed'} source: ${name}`);
+    // Give requests still using the old source time to finish before closing its files
+    setTimeout(
+      () => closeContourSource(name, sourceData),
+      sourceData.sourceConfig.timeoutMs || 10000
+    ).unref();
+  }
+  for (const name of Object.keys(contourSources)) {
+    if (!previousSources[name]) {
+      console.log(`+ Added source: ${name}`);
+    }
+  }
+}
+
+// Re-read the config file. Reloads requested while one is running are done once it finishes.
+function reloadConfig(reason) {
+  if (reloadPromise) {
+    reloadPending = true;
+    return reloadPromise;
+  }
+
+  reloadPromise = queueConfigChange(async () => {
+    do {
+      reloadPending = false;
+      console.log(`\nReloading configuration from ${configPath} (${reason})...`);
+      try {
+        const newConfig = parseConfig(configPath);
+        const previousPort = config.server?.port || 3000;
+        await applyConfig(newConfig);
+        if ((newConfig.server?.port || 3000) !== previousPort) {
+          console.warn('server.port changed, restart the server to listen on the new port');
+        }
+        console.log('✓ Configuration reloaded');
+      } catch (error) {
+        console.error('Error reloading config, keeping the current configuration:', error.message);
+      }
+    } while (reloadPending);
+  }).finally(() => {
+    reloadPromise = undefined;
+  });
+
+  return reloadPromise;
+}
+
+// Watch the directory rather than the file, so editors that replace the file are also noticed
+function watchConfigFile() {
+  const resolvedPath = path.resolve(configPath);
+  let debounceTimer;
+  try {
+    const watcher = fs.watch(path.dirname(resolvedPath), (eventType, filename) => {
+      if (filename !== path.basename(resolvedPath)) {
+        return;
+      }
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => reloadConfig('file changed'), 500);
+    });
+    watcher.on('error', (error) => console.error('Error watching config file:', error.message));
+    watcher.unref();
+  } catch (error) {
+    console.error('Could not watch config file for changes:', error.message);
+  }
+}
+
+process.on('SIGHUP', () => reloadConfig('SIGHUP'));
+if (config.server?.watchConfig !== false) {
+  watchConfigFile();
+}
+
+// --- Admin API ---
+
+// Error of an admin request that can't be applied, answered with its status
+class AdminRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Change a source through the admin API. The new configuration is validated like the config file
+// and applied like a reload; with admin.persist the source is also saved to the config file.
+function changeSource(name, change) {
+  return queueConfigChange(async () => {
+    const newConfig = structuredClone(config);
+    change(newConfig.sources);
+    try {
+      validateConfig(newConfig);
+    } catch (error) {
+      throw new AdminRequestError(400, error.message);
+    }
+    try {
+      await applyConfig(newConfig);
+    } catch (error) {
+      throw new AdminRequestError(400, `Could not set up source "${name}": ${error.message}`);
+    }
+
+    let persisted = false;
+    if (getAdminSettings(newConfig).persist) {
+      try {
+        await saveSourceConfig(configPath, name, newConfig.sources[name]);
+        persisted = true;
+      } catch (error) {
+        console.error(`Error saving source ${name} to ${configPath}:`, error.message);
+      }
+    }
+    return persisted;
+  });
+}
+
+// Answer an admin request, or its error
+async function sendAdminResult(res, name, getResult) {
+  try {
+    res.json(await getResult());
+  } catch (error) {
+    if (error instanceof AdminRequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Error changing source ${name} through the admin API:`, error);
+    res.status(500).json({ error: 'Error changing source' });
+  }
+}
+
+const admin = express.Router();
+admin.use(requireAdminToken(() => getAdminSettings(config).token));
+admin.use(express.json({ limit: '1mb', type: ['application/json', 'application/merge-patch+json'] }));
+
+// List the sources with live statistics
+admin.get('/sources', (req, res) => {
+  res.json(Object.entries(contourSources).map(([name, sourceData]) => getSourceStats(name, sourceData)));
+});
+
+admin.get('/sources/:source', (req, res) => {
+  const { source } = req.params;
+  if (!contourSources[source]) {
+    return res.status(404).json({ error: `Source "${source}" not found` });
+  }
+  res.json(getSourceStats(source, contourSources[source]));
+});
+
+// Add a source, from the same JSON as a source of the config file
+admin.post('/sources/:source', (req, res) => {
+  const { source } = req.params;
+  if (!isValidSourceName(source)) {
+    return res.status(400).json({ error: 'Source names may only contain letters, digits, "_", "-" and "."' });
+  }
+  sendAdminResult(res, source, async () => {
+    const persisted = await changeSource(source, (sources) => {
+      if (sources[source]) {
+        throw new AdminRequestError(409, `Source "${source}" already exists`);
+      }
+      sources[source] = req.body;
+    });
+    console.log(`Admin API added source ${source}`);
+    res.status(201);
+    return { ...getSourceStats(source, contourSources[source]), persisted };
+  });
+});
+
+// Update a source with a JSON merge patch, e.g. {"contours": {"levels": [10, 50]}}
+admin.patch('/sources/:source', (req, res) => {
+  const { source } = req.params;
+  sendAdminResult(res, source, async () => {
+    const persisted = await changeSource(source, (sources) => {
+      if (!sources[source]) {
+        throw new AdminRequestError(404, `Source "${source}" not found`);
+      }
+      sources[source] = applyMergePatch(sources[source], req.body);
+    });
+    console.log(`Admin API updated source ${source}`);
+    return { ...getSourceStats(source, contourSources[source]), persisted };
+  });
+});
+
+// Remove a source. Its files are closed once the requests still using it had time to finish.
+admin.delete('/sources/:source', (req, res) => {
+  const { source } = req.params;
+  sendAdminResult(res, source, async () => {
+    const persisted = await changeSource(source, (sources) => {
+      if (!sources[source]) {
+        throw new AdminRequestError(404, `Source "${source}" not found`);
+      }
+      delete sources[source];
+    });
+    console.log(`Admin API removed source ${source}`);
+    return { source, removed: true, persisted };
+  });
+});
+
+// Flush the in-memory DEM caches of a source
+admin.delete('/sources/:source/dem-cache', (req, res) => {
+  const { source } = req.params;
+  const sourceData = contourSources[source];
+  if (!sourceData) {
+    return res.status(404).json({ error: `Source "${source}" not found` });
+  }
+  const flushed = flushDemCache(sourceData);
+  console.log(`Flushed ${flushed} cached DEM tiles for ${source}`);
+  res.json({ source, flushed });
+});
+
+// Purge the persistent tile cache of a source, optionally limited to a bbox and zoom range
+admin.delete('/sources/:source/tile-cache', async (req, res) => {
+  const { source } = req.params;
+
+  const sourceData = contourSources[source];
+  if (!sourceData) {
+    return res.status(404).json({ error: `Source "${source}" not found` });
+  }
+  if (!sourceData.tileCache) {
+    return res.status(404).json({ error: `Source "${source}" has no tile cache configured` });
+  }
+
+  let bbox;
+  if (req.query.bbox !== undefined) {
+    bbox = parseBbox(req.query.bbox);
+    if (!bbox) {
+      return res.status(400).json({ error: 'Invalid bbox, expected minLon,minLat,maxLon,maxLat' });
+    }
+  }
+  const minzoom = req.query.minzoom !== undefined ? parseInt(req.query.minzoom) : undefined;
+  const maxzoom = req.query.maxzoom !== undefined ? parseInt(req.query.maxzoom) : undefined;
+  if (Number.isNaN(minzoom) || Number.isNaN(maxzoom)) {
+    return res.status(400).json({ error: 'Invalid minzoom or maxzoom' });
+  }
+
+  try {
+    const deleted = await sourceData.tileCache.purge({ bbox, minzoom, maxzoom });
+    console.log(`Purged ${deleted} cached tiles for ${source}`);
+    res.json({ source, deleted });
+  } catch (error) {
+    console.error(`Error purging tile cache for ${source}:`, error);
+    res.status(500).json({ error: 'Error purging tile cache' });
+  }
+});
+
+// Malformed JSON bodies
+admin.use(sendMiddlewareError);
+
+app.use('/admin', admin);
 
 // Graceful shutdown handler
 let server;
@@ -392,10 +1083,19 @@ server = app.listen(port, () => {
   console.log(`\n🗺️  Contour Server running on port ${port}`);
   console.log(`   Health check: http://localhost:${port}/health`);
   console.log(`   Sources list: http://localhost:${port}/sources`);
+  console.log(`   Preview: http://localhost:${port}/`);
+  if (getAdminSettings(config).token) {
+    console.log(`   Admin API: http://localhost:${port}/admin/sources`);
+  }
   console.log('\nConfigured contour endpoints:');
   Object.keys(config.sources).forEach(name => {
     console.log(`   -> ${name}: http://localhost:${port}/contours/${name}/{z}/{x}/{y}.pbf`);
+    console.log(`      TileJSON: http://localhost:${port}/contours/${name}.json`);
   });
+  for (const [name, composite] of Object.entries(config.composites ?? {})) {
+    console.log(`   -> ${name} (${composite.sources.join(' + ')}): http://localhost:${port}/contours/${name}/{z}/{x}/{y}.pbf`);
+    console.log(`      TileJSON: http://localhost:${port}/contours/${name}.json`);
+  }
 });
 
 export default app;
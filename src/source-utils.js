@@ -0,0 +1,558 @@
+// src/source-utils.js
+import path from 'path';
+import mlcontour from 'maplibre-contour';
+import {
+  openPMtiles,
+  closePMtiles,
+  getPMtilesTile,
+  getPMtilesMetadata,
+  pmtilesTester,
+} from './pmtiles-utils.js';
+import {
+  openMBTiles,
+  closeMBTiles,
+  getMBTilesTile,
+  mbtilesTester,
+} from './mbtiles-utils.js';
+import {
+  openCOG,
+  closeCOG,
+  readCOGTile,
+  getCOGMetadata,
+  cogTester,
+} from './cog-utils.js';
+import {
+  createBlankTileImage,
+  getDemEncoding,
+  parseZXYFromUrl,
+  getOptionsForZoom,
+  getTileBounds,
+} from './mlcontour-utils.js';
+import { composeDemTile, mergeDemMetadata } from './demchain-utils.js';
+import { getGeometryOptionsForZoom } from './geometry-utils.js';
+import { getBandOptionsForZoom } from './isoband-utils.js';
+import { getPeakOptionsForZoom } from './peak-utils.js';
+import { DiskTileCache, hashOptions } from './tilecache-utils.js';
+import { blankTilesTotal, instrumentDemManager } from './metrics-utils.js';
+import {
+  getContourOptions,
+  getBandOptions,
+  getPeakOptions,
+  getTileCacheSettings,
+  getBlankTileSettings,
+  getDemChain,
+  getHttpSettings,
+  getDemIdentity,
+} from './config-utils.js';
+import { createUpstreamFetcher } from './fetch-utils.js';
+import { fetchContourDems } from './isoline-utils.js';
+import { runWorkerTask, decodeImageInWorker, abortable } from './worker-utils.js';
+
+// Number of blank DEM tile substitutions remembered per source
+const MAX_TRACKED_BLANK_TILES = 10000;
+
+// Cache for opened PMTiles/MBTiles files
+export const pmtilesCache = new Map();
+export const mbtilesCache = new Map();
+
+// DEMs opened for the sources by `getDemIdentity`, shared by the sources reading the same DEM:
+// `{name, users, dem}` where `name` is the first source using it, `users` the names of the sources
+// using it (once per acquisition, as a reload may hold two of the same name) and `dem` resolves to its manager
+const sharedDems = new Map();
+
+/**
+ * Releases the file handles and timers held by a contour source.
+ * @param {string} sourceName - The source name.
+ * @param {object} sourceData - The entry from `contourSources`.
+ */
+export async function closeContourSource(sourceName, sourceData) {
+  const { demIdentity, tileCache } = sourceData;
+  try {
+    await releaseDem(demIdentity, sourceName);
+    tileCache?.close();
+  } catch (error) {
+    console.error(`Error closing source ${sourceName}:`, error.message);
+  }
+}
+
+// Get the DEM of a source, opening it unless another source already uses the same one
+async function acquireDem(sourceName, source, currentConfig) {
+  const identity = getDemIdentity(source, currentConfig);
+  let shared = sharedDems.get(identity);
+  if (shared) {
+    console.log(`✓ ${sourceName} shares the DEM of ${shared.name}`);
+  } else {
+    const users = [];
+    const getSources = () => new Set(users);
+    shared = {
+      name: sourceName,
+      users,
+      dem: getDemChain(source)
+        ? setupDemChain(sourceName, source, currentConfig, getSources)
+        : setupSingleDem(sourceName, source, currentConfig, getSources),
+    };
+    sharedDems.set(identity, shared);
+  }
+
+  shared.users.push(sourceName);
+  try {
+    return { ...await shared.dem, demIdentity: identity, demName: shared.name };
+  } catch (error) {
+    removeDemUser(shared, sourceName);
+    if (shared.users.length === 0 && sharedDems.get(identity) === shared) {
+      sharedDems.delete(identity);
+    }
+    throw error;
+  }
+}
+
+// Remove one acquisition of a shared DEM by a source
+function removeDemUser(shared, sourceName) {
+  const index = shared.users.indexOf(sourceName);
+  if (index !== -1) shared.users.splice(index, 1);
+}
+
+// Release the DEM of a source, closing its files once no source uses it
+async function releaseDem(identity, sourceName) {
+  const shared = sharedDems.get(identity);
+  if (!shared) {
+    return;
+  }
+  removeDemUser(shared, sourceName);
+  if (shared.users.length > 0) {
+    return;
+  }
+  sharedDems.delete(identity);
+  const dem = await shared.dem;
+  await closeDemBackend(shared.name, dem);
+  for (const [i, chainDem] of (dem.demChain ?? []).entries()) {
+    await closeDemBackend(`${shared.name}/${i}`, chainDem);
+  }
+}
+
+/**
+ * Empties the in-memory caches of the DEM of a source: the fetched, decoded and contour tiles of
+ * its manager and of the DEMs of its fallback chain. Sources sharing the DEM are flushed with it.
+ * @param {object} sourceData - The entry from `contourSources`.
+ * @returns {number} The number of cached tiles removed.
+ */
+export function flushDemCache(sourceData) {
+  const managers = [sourceData.manager, ...(sourceData.demChain ?? []).map((dem) => dem.manager)];
+  let flushed = 0;
+  for (const manager of managers) {
+    for (const cache of [manager.tileCache, manager.parsedCache, manager.contourCache]) {
+      flushed += cache.size();
+      cache.clear();
+    }
+  }
+  sourceData.blankDemTiles?.clear();
+  return flushed;
+}
+
+// Close the file opened for a DEM, removing it from the PMTiles/MBTiles caches where it is under `cacheKey`
+async function closeDemBackend(cacheKey, { pmtilesInstance, mbtilesHandle, cogInstance }) {
+  if (pmtilesInstance) {
+    if (pmtilesCache.get(cacheKey) === pmtilesInstance) pmtilesCache.delete(cacheKey);
+    await closePMtiles(pmtilesInstance);
+  }
+  if (mbtilesHandle) {
+    if (mbtilesCache.get(cacheKey) === mbtilesHandle) mbtilesCache.delete(cacheKey);
+    await closeMBTiles(mbtilesHandle);
+  }
+  if (cogInstance) {
+    await closeCOG(cogInstance);
+  }
+}
+
+// Initialize DEM managers for each source. Sources whose configuration is unchanged
+// from `previousSources` are reused as they are, keeping their open files and caches,
+// and sources reading the same DEM share one manager.
+export async function setupContourEndpoints(currentConfig, previousSources = {}) {
+  const currentContourSources = {};
+  const created = [];
+
+  try {
+    for (const [sourceName, source] of Object.entries(currentConfig.sources)) {
+      const fingerprint = JSON.stringify({
+        source,
+        blankTileSettings: getBlankTileSettings(source, currentConfig),
+        tileCacheSettings: getTileCacheSettings(source, currentConfig),
+        httpSettings: getHttpSettings(source, currentConfig),
+      });
+      const previous = previousSources[sourceName];
+      if (previous && previous.fingerprint === fingerprint) {
+        currentContourSources[sourceName] = previous;
+        continue;
+      }
+
+      currentContourSources[sourceName] = await setupContourSource(sourceName, source, currentConfig);
+      currentContourSources[sourceName].fingerprint = fingerprint;
+      created.push(sourceName);
+    }
+  } catch (error) {
+    // Don't leak the files opened for a configuration that could not be set up
+    for (const sourceName of created) {
+      await closeContourSource(sourceName, currentContourSources[sourceName]);
+    }
+    throw error;
+  }
+
+  return currentContourSources;
+}
+
+// Initialize the DEM manager of a single source
+async function setupContourSource(sourceName, source, currentConfig) {
+  const contourOptions = getContourOptions(source);
+
+  let tileCache = undefined;
+  const tileCacheSettings = getTileCacheSettings(source, currentConfig);
+  if (tileCacheSettings) {
+    tileCache = new DiskTileCache({
+      dir: path.resolve(tileCacheSettings.path, sourceName),
+      maxAge: tileCacheSettings.maxAge,
+      maxSize: tileCacheSettings.maxSize,
+      pruneInterval: tileCacheSettings.pruneInterval,
+    });
+    tileCache.prune().catch((error) => console.error(`Error pruning tile cache for ${sourceName}:`, error.message));
+    console.log(`✓ Tile cache for ${sourceName} at ${tileCache.dir}`);
+  }
+
+  let sourceData;
+  try {
+    sourceData = await acquireDem(sourceName, source, currentConfig);
+  } catch (error) {
+    tileCache?.close();
+    throw error;
+  }
+
+  // Coverage configured on the source takes precedence over the one read from the DEM
+  const getBackendMetadata = sourceData.getDemMetadata;
+  const getDemMetadata = async () => {
+    const metadata = await getBackendMetadata();
+    return {
+      ...metadata,
+      ...(source.bounds !== undefined && { bounds: source.bounds }),
+      ...(source.minzoom !== undefined && { minzoom: source.minzoom }),
+    };
+  };
+
+  return {
+    type: 'contour', 
+    ...sourceData,
+    contourOptions,
+    bandOptions: getBandOptions(source),
+    peakOptions: getPeakOptions(source),
+    sourceConfig: source, 
+    getDemMetadata,
+    tileCache,
+  };
+}
+
+// Set up a source reading a single DEM, where missing tiles are replaced by blank tiles.
+// `getSources` gets the names of the sources sharing it, which its metrics are counted for.
+async function setupSingleDem(sourceName, source, currentConfig, getSources) {
+  // DEM tiles that were replaced by a blank tile, so elevation queries can report them as no data
+  const blankDemTiles = new Set();
+
+  // Determine blank tile settings for this specific source, falling back to global defaults
+  const {
+    blankTileNoDataValue: sourceBlankTileNoDataValue,
+    blankTileSize: sourceBlankTileSize,
+    blankTileFormat: sourceBlankTileFormat,
+  } = getBlankTileSettings(source, currentConfig);
+  const demEncoding = getDemEncoding(source);
+  const blankTileMimeType = demEncoding.type === 'float32' ? 'application/octet-stream' : `image/${sourceBlankTileFormat}`;
+
+  const dem = await openDemBackend(sourceName, source, currentConfig, async (zxy, mimeType, label) => {
+    console.warn(`${label} tile not found for ${sourceName} (${zxy.z}/${zxy.x}/${zxy.y}). Generating blank tile.`);
+    if (blankDemTiles.size >= MAX_TRACKED_BLANK_TILES) {
+      blankDemTiles.delete(blankDemTiles.values().next().value);
+    }
+    blankDemTiles.add(`${zxy.z}/${zxy.x}/${zxy.y}`);
+    for (const name of getSources()) blankTilesTotal.inc({ source: name, backend: dem.backend });
+
+    const blankTileBuffer = await createBlankTileImage(
+      sourceBlankTileSize,
+      sourceBlankTileSize,
+      sourceBlankTileNoDataValue,
+      demEncoding,
+      sourceBlankTileFormat,
+    );
+    return { data: new Blob([blankTileBuffer], { type: mimeType || blankTileMimeType }), mimeType: mimeType || blankTileMimeType };
+  });
+
+  // Always create a LocalDemManager
+  const manager = new mlcontour.LocalDemManager(dem.demManagerOptions);
+  instrumentDemManager(manager, getSources, dem.backend);
+
+  return {
+    manager,
+    getDemMetadata: dem.getDemMetadata,
+    pmtilesInstance: dem.pmtilesInstance,
+    mbtilesHandle: dem.mbtilesHandle,
+    cogInstance: dem.cogInstance,
+    backend: dem.backend,
+    blankDemTiles,
+  };
+}
+
+// Set up a source reading a fallback chain of DEMs. Each DEM has its own manager, missing tiles
+// are left empty so the next DEM fills them, and the source manager composes the tiles.
+async function setupDemChain(sourceName, source, currentConfig, getSources) {
+  const demChain = [];
+  try {
+    for (const [i, demConfig] of getDemChain(source).entries()) {
+      const name = `${sourceName}/${i}`;
+      const dem = await openDemBackend(name, demConfig, currentConfig, async () => ({ data: null }), true);
+      const { decodeImage } = dem.demManagerOptions;
+      const manager = new mlcontour.LocalDemManager({
+        ...dem.demManagerOptions,
+        decodeImage: async (data, encoding, abortController) => data && decodeImage(data, encoding, abortController),
+      });
+      instrumentDemManager(manager, getSources, dem.backend);
+      demChain.push({ ...dem, manager, maxzoom: manager.maxzoom, nodata: demConfig.nodata });
+    }
+  } catch (error) {
+    for (const [i, dem] of demChain.entries()) {
+      await closeDemBackend(`${sourceName}/${i}`, dem);
+    }
+    throw error;
+  }
+
+  const tileSize = source.tileSize || 256;
+  const blend = source.blend ?? 0;
+  const manager = new mlcontour.LocalDemManager({
+    cacheSize: source.cacheSize || 100,
+    encoding: getDemEncoding(source),
+    maxzoom: Math.max(...demChain.map((dem) => dem.maxzoom)),
+    // Composing a tile can wait on every DEM of the chain in turn
+    timeoutMs: demChain.reduce((total, dem) => total + dem.demManagerOptions.timeoutMs, 0),
+    demUrlPattern: '/{z}/{x}/{y}',
+    // Composed tiles are elevations already, so decoding just passes them through
+    decodeImage: async (demTile) => demTile,
+    getTile: async (url, abortController) => {
+      const { z, x, y } = parseZXYFromUrl(url);
+      return { data: await composeDemTile(demChain, z, x, y, { tileSize, blend }, abortController) };
+    },
+  });
+
+  console.log(`✓ Configured DEM fallback chain for ${sourceName}: ${demChain.map((dem) => dem.backend).join(' > ')}${blend ? ` (blend ${blend}px)` : ''}`);
+
+  return {
+    manager,
+    getDemMetadata: async () => mergeDemMetadata(await Promise.all(demChain.map((dem) => dem.getDemMetadata()))),
+    demChain,
+    backend: 'chain',
+  };
+}
+
+/**
+ * Opens the backend of a DEM and creates the options of a `LocalDemManager` reading from it.
+ * @param {string} name - Name of the DEM in logs, and its key in the PMTiles/MBTiles caches.
+ * @param {object} dem - The DEM config: a source, or one DEM of its fallback chain.
+ * @param {object} currentConfig - The server configuration, for the global upstream HTTP settings.
+ * @param {(zxy: object, mimeType: string | undefined, label: string) => Promise<object>} getMissingTile - Gets the
+ *   `getTile` response for a tile missing from a PMTiles, MBTiles or (in a chain) HTTP DEM.
+ * @param {boolean} [httpMissingTiles] - Whether 404 responses of HTTP DEMs are missing tiles rather than errors.
+ * @returns {Promise<object>} `{backend, demManagerOptions, getDemMetadata}` and the handles of the opened file.
+ */
+async function openDemBackend(name, dem, currentConfig, getMissingTile, httpMissingTiles = false) {
+  const demUrl = dem.tiles;
+  const fetchUpstream = createUpstreamFetcher(getHttpSettings(dem, currentConfig), name);
+  const demManagerOptions = {
+    cacheSize: dem.cacheSize || 100,
+    encoding: getDemEncoding(dem),
+    maxzoom: dem.maxzoom || 14,
+    timeoutMs: dem.timeoutMs || 10000,
+    decodeImage: decodeImageInWorker,
+  };
+
+  let pmtilesInstance = undefined;
+  let mbtilesHandle = undefined;
+  let cogInstance = undefined;
+  let backend = 'http';
+  let getDemMetadata = async () => undefined;
+
+  if (pmtilesTester.test(demUrl)) {
+    const pmtilesActualPathOrUrl = demUrl.replace(pmtilesTester, "");
+    backend = 'pmtiles';
+    pmtilesInstance = openPMtiles(pmtilesActualPathOrUrl, fetchUpstream);
+    pmtilesCache.set(name, pmtilesInstance); 
+
+    // The header is only read on first use so remote archives don't slow down startup
+    let pmtilesMetadataPromise;
+    getDemMetadata = () => {
+      pmtilesMetadataPromise ??= getPMtilesMetadata(pmtilesInstance);
+      return pmtilesMetadataPromise;
+    };
+
+    demManagerOptions.getTile = async (url, abortController) => {
+      const zxy = parseZXYFromUrl(url); 
+      if (!zxy) {
+        throw new Error(`Could not extract ZXY from DEM URL for PMTiles: ${url}`);
+      }
+      const { data, mimeType } = await getPMtilesTile(pmtilesInstance, zxy.z, zxy.x, zxy.y);
+      
+      if (!data) {
+        return getMissingTile(zxy, mimeType, 'PMTiles');
+      }
+      return { data: new Blob([data], { type: mimeType || 'application/octet-stream' }), mimeType: mimeType };
+    };
+    demManagerOptions.demUrlPattern = '/{z}/{x}/{y}'; 
+    
+    console.log(`✓ Configured PMTiles terrain source: ${name} from ${pmtilesActualPathOrUrl}`);
+
+  } else if (mbtilesTester.test(demUrl)) {
+    const mbtilesActualPath = demUrl.replace(mbtilesTester, "");
+    backend = 'mbtiles';
+    const mbtiles = await openMBTiles(demUrl);
+    mbtilesHandle = mbtiles.handle;
+    mbtilesCache.set(name, mbtilesHandle); 
+    getDemMetadata = async () => mbtiles.metadata;
+
+    demManagerOptions.getTile = async (url, abortController) => {
+      const zxy = parseZXYFromUrl(url);
+      if (!zxy) {
+        throw new Error(`Could not extract ZXY from DEM URL for MBTiles: ${url}`);
+      }
+      const { data, contentType } = await getMBTilesTile(mbtilesHandle, zxy.z, zxy.x, zxy.y);
+      
+      if (!data) {
+        return getMissingTile(zxy, contentType, 'MBTiles');
+      }
+      return { data: new Blob([data], { type: contentType || 'application/octet-stream' }), mimeType: contentType };
+    };
+    demManagerOptions.demUrlPattern = '/{z}/{x}/{y}'; 
+
+    console.log(`✓ Configured MBTiles terrain source: ${name} from ${mbtilesActualPath}`);
+
+  } else if (cogTester.test(demUrl)) {
+    const cogActualPathOrUrl = demUrl.replace(cogTester, "");
+    backend = 'cog';
+    cogInstance = await openCOG(cogActualPathOrUrl);
+    const cog = cogInstance;
+    const tileSize = dem.tileSize || 256;
+    const cogMetadata = getCOGMetadata(cog, tileSize);
+    getDemMetadata = async () => cogMetadata;
+
+    // Elevations are read straight into DEM tiles, so decoding just passes them through
+    demManagerOptions.maxzoom = dem.maxzoom || cogMetadata.maxzoom;
+    demManagerOptions.decodeImage = async (demTile) => demTile;
+    demManagerOptions.getTile = async (url, abortController) => {
+      const zxy = parseZXYFromUrl(url);
+      if (!zxy) {
+        throw new Error(`Could not extract ZXY from DEM URL for COG: ${url}`);
+      }
+      const demTile = await readCOGTile(cog, zxy.z, zxy.x, zxy.y, tileSize, abortController?.signal);
+      return { data: demTile };
+    };
+    demManagerOptions.demUrlPattern = '/{z}/{x}/{y}';
+
+    console.log(`✓ Configured COG terrain source: ${name} from ${cogActualPathOrUrl} (${cog.crs}, ${cog.levels.length - 1} overviews, maxzoom ${demManagerOptions.maxzoom})`);
+
+  } else {
+    // HTTP DEM tile fetching (URLs starting with http(s)://)
+    demManagerOptions.demUrlPattern = demUrl;
+    demManagerOptions.getTile = async (url, abortController) => {
+      const response = await fetchUpstream(url, { signal: abortController?.signal });
+      // Tile servers answer missing tiles with 404, or 204 for an empty tile
+      if (httpMissingTiles && (response.status === 404 || response.status === 204)) {
+        return getMissingTile(parseZXYFromUrl(url), undefined, 'HTTP');
+      }
+      if (!response.ok) {
+        throw new Error(`Bad response: ${response.status} for ${url}`);
+      }
+      return {
+        data: await response.blob(),
+        expires: response.headers.get('expires') || undefined,
+        cacheControl: response.headers.get('cache-control') || undefined,
+      };
+    };
+    console.log(`✓ Configured HTTP DEM terrain source: ${name} from ${demUrl}`);
+  }
+
+  return {
+    backend,
+    demManagerOptions,
+    getDemMetadata,
+    pmtilesInstance,
+    mbtilesHandle,
+    cogInstance,
+  };
+}
+
+/**
+ * Checks whether a tile is inside the coverage of a source, from its configured or DEM `bounds` and `minzoom`.
+ * Tiles outside of it can be answered without fetching any DEM tile.
+ * @param {object} sourceData - The entry from `contourSources`.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @returns {Promise<'covered' | 'below-minzoom' | 'outside-bounds'>} The coverage of the tile.
+ */
+export async function getTileCoverage(sourceData, z, x, y) {
+  const { bounds, minzoom } = await sourceData.getDemMetadata() ?? {};
+  if (minzoom !== undefined && z < minzoom) {
+    return 'below-minzoom';
+  }
+  if (bounds) {
+    const [west, south, east, north] = getTileBounds(z, x, y);
+    if (west >= bounds[2] || east <= bounds[0] || south >= bounds[3] || north <= bounds[1]) {
+      return 'outside-bounds';
+    }
+  }
+  return 'covered';
+}
+
+/**
+ * Gets the contour options to generate a tile of a source at a zoom level, with the geometry
+ * options of the zoom in place of `geometry`, and the elevation bands and peaks of the zoom, if any,
+ * as `bands` and `peaks`.
+ * @param {object} sourceData - The entry from `contourSources`.
+ * @param {number} zoom - The zoom level.
+ * @param {object} [overrides] - Per-request overrides from `parseContourOverrides`, applied last.
+ * @returns {import('maplibre-contour').IndividualContourTileOptions} The effective options.
+ */
+export function getTileOptions(sourceData, zoom, overrides = {}) {
+  const { contourOptions } = sourceData;
+  const { geometry, ...tileOptions } = contourOptions.thresholds
+    ? getOptionsForZoom(contourOptions, zoom)
+    : contourOptions;
+  const bands = getBandOptionsForZoom(sourceData.bandOptions, zoom);
+  const peaks = getPeakOptionsForZoom(sourceData.peakOptions, zoom);
+  return {
+    ...tileOptions,
+    ...getGeometryOptionsForZoom(geometry, zoom),
+    ...overrides,
+    ...(bands && { bands }),
+    ...(peaks && { peaks }),
+  };
+}
+
+/**
+ * Generates an (uncompressed) contour vector tile for a source. The DEM tiles are fetched here
+ * and the contours are generated on the worker pool. Requests for a tile being generated with
+ * the same options share it.
+ * @param {object} sourceData - The entry from `contourSources`.
+ * @param {number} z - Tile zoom.
+ * @param {number} x - Tile x.
+ * @param {number} y - Tile y.
+ * @param {import('maplibre-contour').IndividualContourTileOptions} tileOptions - The options from `getTileOptions`.
+ * @param {AbortController} [abortController] - Controller to cancel the generation.
+ * @returns {Promise<{arrayBuffer: ArrayBuffer, unprocessedSize?: number}>} The encoded (uncompressed)
+ *   tile, and its size without the geometry options when they changed the lines.
+ */
+export async function renderContourTile(sourceData, z, x, y, tileOptions, abortController = new AbortController()) {
+  const { manager } = sourceData;
+  // No levels means less than the min zoom with levels specified
+  if ((!tileOptions.levels || tileOptions.levels.length === 0) && !tileOptions.bands && !tileOptions.peaks) {
+    return { arrayBuffer: new ArrayBuffer(0) };
+  }
+
+  const key = [z, x, y, hashOptions(tileOptions)].join('/');
+  const tile = manager.contourCache.get(key, async (_, childAbortController) => {
+    const dems = await fetchContourDems(manager, z, x, y, tileOptions, childAbortController);
+    return runWorkerTask('contours', { dems, z, x, y, options: tileOptions }, { signal: childAbortController.signal });
+  }, abortController);
+  return abortable(tile, abortController.signal);
+}
@@ -0,0 +1,291 @@
+// src/style-utils.js
+import { getAttributeSettings } from './attribute-utils.js';
+
+// Colours of the generated styles by `scheme`. `bands` is the ramp of the elevation bands, from low to high.
+export const STYLE_COLOR_SCHEMES = {
+  light: {
+    background: '#f8f4f0',
+    minor: '#c2a68c',
+    major: '#8c6a4f',
+    label: '#6b4f3a',
+    halo: '#f8f4f0',
+    peak: '#3d2b1f',
+    hillshadeOpacity: 0.5,
+    bands: ['#a8c98a', '#dfe3a0', '#e8cf96', '#c9a57a', '#f2efe9'],
+  },
+  dark: {
+    background: '#1d1f21',
+    minor: '#5f574e',
+    major: '#a89682',
+    label: '#d8cbbd',
+    halo: '#1d1f21',
+    peak: '#f0e6da',
+    hillshadeOpacity: 0.35,
+    bands: ['#2f4a35', '#4a5a36', '#5e5238', '#6b5a4a', '#8a8580'],
+  },
+  mono: {
+    background: '#ffffff',
+    minor: '#bdbdbd',
+    major: '#707070',
+    label: '#505050',
+    halo: '#ffffff',
+    peak: '#202020',
+    hillshadeOpacity: 0.4,
+    bands: ['#f2f2f2', '#d9d9d9', '#bfbfbf', '#a6a6a6', '#8c8c8c'],
+  },
+};
+
+// DEM encodings MapLibre can read in a `raster-dem` source
+const RASTER_DEM_ENCODINGS = ['mapbox', 'terrarium'];
+
+/**
+ * Parses the query string options of a generated style.
+ * @param {object} query - The parsed query string (`req.query`).
+ * @returns {{scheme: string, hillshade: boolean, terrain: boolean, fragment: boolean}} The style options.
+ * @throws {Error} If an option has an invalid value.
+ */
+export function parseStyleOptions(query) {
+  const scheme = query.scheme ?? 'light';
+  if (typeof scheme !== 'string' || !Object.hasOwn(STYLE_COLOR_SCHEMES, scheme)) {
+    throw new Error(`"scheme" must be one of ${Object.keys(STYLE_COLOR_SCHEMES).join(', ')}`);
+  }
+  const options = { scheme };
+  for (const key of ['hillshade', 'terrain', 'fragment']) {
+    const value = query[key] ?? 'false';
+    if (value !== 'true' && value !== 'false') {
+      throw new Error(`"${key}" must be true or false`);
+    }
+    options[key] = value === 'true';
+  }
+  return options;
+}
+
+/**
+ * Gets the `raster-dem` source MapLibre can read the DEM of a source from directly, which is only
+ * possible for a single HTTP(S) DEM in the Mapbox or Terrarium encoding that needs no extra headers
+ * or query parameters. These often hold API keys, which must not be published in the style.
+ * @param {object} sourceConfig - The source config.
+ * @param {{headers: object, query: object}} httpSettings - The resolved HTTP settings of the source.
+ * @param {number} maxzoom - The DEM maxzoom.
+ * @returns {object | undefined} The `raster-dem` source, or undefined if the DEM can't be read by MapLibre.
+ */
+export function getRasterDemSource(sourceConfig, httpSettings, maxzoom) {
+  const { tiles, encoding } = sourceConfig;
+  if (typeof tiles !== 'string' || !/^https?:\/\//.test(tiles) || !RASTER_DEM_ENCODINGS.includes(encoding)) {
+    return undefined;
+  }
+  if (Object.keys(httpSettings.headers ?? {}).length > 0 || Object.keys(httpSettings.query ?? {}).length > 0) {
+    return undefined;
+  }
+  return {
+    type: 'raster-dem',
+    tiles: [tiles],
+    encoding,
+    tileSize: sourceConfig.tileSize ?? 256,
+    maxzoom,
+  };
+}
+
+// Split the zoom range of the contours into the runs of thresholds with a major level (more than
+// one interval) or without one, as `{minzoom, maxzoom, major}` with `maxzoom` exclusive
+function getLevelZoomRanges(contourOptions, minzoom) {
+  const thresholds = contourOptions.thresholds ?? { [minzoom]: contourOptions.levels ?? [] };
+  const ranges = [];
+  for (const [zoom, value] of Object.entries(thresholds).sort(([a], [b]) => Number(a) - Number(b))) {
+    const major = Array.isArray(value) && value.length > 1;
+    const previous = ranges[ranges.length - 1];
+    if (previous && previous.major === major) continue;
+    if (previous) previous.maxzoom = Math.max(minzoom, Number(zoom));
+    ranges.push({ minzoom: Math.max(minzoom, Number(zoom)), major });
+  }
+  return ranges.filter((range) => range.maxzoom === undefined || range.maxzoom > range.minzoom);
+}
+
+// Text of the elevation in `key`, followed by the elevation unit of the source `attributes`
+function getElevationText(key, attributes) {
+  return ['concat', ['to-string', ['get', key]], ` ${attributes?.unit ?? 'm'}`];
+}
+
+/**
+ * Creates a MapLibre style (version 8) for the contour tiles of a source: major and minor contour
+ * lines and their labels for each zoom range of the `thresholds`, and the elevation bands and peaks
+ * of the source when it has them. With `fragment`, only the `sources` and `layers` (and `terrain`)
+ * are returned, to be added to another style.
+ * @param {object} params
+ * @param {string} params.name - The source name, also the id of its vector source in the style.
+ * @param {object} params.sourceData - The entry from `contourSources`.
+ * @param {object} params.tileJSON - The TileJSON of the source from `createContourTileJSON`.
+ * @param {string} params.baseUrl - The public base URL of the server.
+ * @param {object} params.options - Style options from `parseStyleOptions`.
+ * @param {{glyphs: string, font: string[]}} params.styleSettings - The glyphs URL and font of labels.
+ * @param {object} [params.rasterDemSource] - The DEM from `getRasterDemSource`, used with `terrain`.
+ * @returns {object} The style, or the style fragment.
+ */
+export function createContourStyle({ name, sourceData, tileJSON, baseUrl, options, styleSettings, rasterDemSource }) {
+  const { contourOptions, bandOptions, peakOptions, sourceConfig } = sourceData;
+  const { contourLayer, elevationKey, levelKey } = contourOptions;
+  const { attributes } = sourceConfig;
+  // Lines are labelled with the formatted label of the source `attributes` when it has one
+  const { label } = getAttributeSettings(attributes ?? {});
+  const colors = STYLE_COLOR_SCHEMES[options.scheme];
+  const { minzoom, maxzoom } = tileJSON;
+  const font = styleSettings.font;
+
+  const sources = {
+    [name]: { type: 'vector', url: `${baseUrl}/contours/${encodeURIComponent(name)}.json` },
+  };
+  const layers = [];
+
+  const terrain = options.terrain && rasterDemSource && { source: `${name}-dem`, exaggeration: 1 };
+  if (terrain) {
+    sources[`${name}-dem`] = rasterDemSource;
+  }
+
+  if (bandOptions) {
+    const { breaks, layer, minKey } = bandOptions;
+    const values = [...new Set(Array.isArray(breaks) ? breaks : Object.values(breaks).flat())].sort((a, b) => a - b);
+    const [low, high] = [values[0], values[values.length - 1]];
+    const stops = colors.bands.flatMap((color, i) => [low + ((high - low) * i) / (colors.bands.length - 1), color]);
+    layers.push({
+      id: `${name}-bands`,
+      type: 'fill',
+      source: name,
+      'source-layer': layer,
+      paint: {
+        'fill-color': ['interpolate', ['linear'], ['get', minKey], ...stops],
+        'fill-opacity': 0.6,
+      },
+    });
+  }
+
+  if (options.hillshade) {
+    sources[`${name}-hillshade`] = {
+      type: 'raster',
+      tiles: [`${baseUrl}/hillshade/${encodeURIComponent(name)}/{z}/{x}/{y}.png`],
+      tileSize: 256,
+      maxzoom: sourceData.manager.maxzoom,
+      bounds: tileJSON.bounds,
+    };
+    layers.push({
+      id: `${name}-hillshade`,
+      type: 'raster',
+      source: `${name}-hillshade`,
+      paint: { 'raster-opacity': colors.hillshadeOpacity },
+    });
+  }
+
+  // Minor lines are the smallest interval of their zoom (level 0), major lines any larger one.
+  // Zooms with a single interval have no minor lines: all their lines are drawn and labelled as major.
+  const ranges = getLevelZoomRanges(contourOptions, minzoom);
+  const lineLayers = [];
+  const labelLayers = [];
+  for (const range of ranges) {
+    const suffix = ranges.length > 1 ? `-z${range.minzoom}` : '';
+    const zooms = { minzoom: range.minzoom, ...(range.maxzoom !== undefined && { maxzoom: range.maxzoom }) };
+    const majorFilter = range.major ? { filter: ['>', ['get', levelKey], 0] } : {};
+    if (range.major) {
+      lineLayers.push({
+        id: `${name}-contours-minor${suffix}`,
+        type: 'line',
+        source: name,
+        'source-layer': contourLayer,
+        ...zooms,
+        filter: ['==', ['get', levelKey], 0],
+        layout: { 'line-join': 'round' },
+        paint: {
+          'line-color': colors.minor,
+          'line-width': ['interpolate', ['linear'], ['zoom'], range.minzoom, 0.5, 16, 1],
+        },
+      });
+    }
+    lineLayers.push({
+      id: `${name}-contours-major${suffix}`,
+      type: 'line',
+      source: name,
+      'source-layer': contourLayer,
+      ...zooms,
+      ...majorFilter,
+      layout: { 'line-join': 'round' },
+      paint: {
+        'line-color': colors.major,
+        'line-width': ['interpolate', ['linear'], ['zoom'], range.minzoom, 1, 16, 2],
+      },
+    });
+    labelLayers.push({
+      id: `${name}-contours-labels${suffix}`,
+      type: 'symbol',
+      source: name,
+      'source-layer': contourLayer,
+      ...zooms,
+      ...majorFilter,
+      layout: {
+        'symbol-placement': 'line',
+        'text-field': label ? ['get', label.key] : getElevationText(elevationKey, attributes),
+        'text-font': font,
+        'text-size': 11,
+        'text-max-angle': 25,
+        'symbol-spacing': 300,
+      },
+      paint: {
+        'text-color': colors.label,
+        'text-halo-color': colors.halo,
+        'text-halo-width': 1.5,
+      },
+    });
+  }
+  layers.push(...lineLayers, ...labelLayers);
+
+  if (peakOptions) {
+    const peakMinzoom = typeof peakOptions.prominence === 'number'
+      ? minzoom
+      : Math.max(minzoom, Math.min(...Object.keys(peakOptions.prominence).map(Number)));
+    const zooms = { minzoom: Math.min(peakMinzoom, maxzoom) };
+    layers.push(
+      {
+        id: `${name}-peaks`,
+        type: 'circle',
+        source: name,
+        'source-layer': peakOptions.layer,
+        ...zooms,
+        paint: {
+          'circle-color': colors.peak,
+          'circle-radius': 2.5,
+          'circle-stroke-color': colors.halo,
+          'circle-stroke-width': 1,
+        },
+      },
+      {
+        id: `${name}-peaks-labels`,
+        type: 'symbol',
+        source: name,
+        'source-layer': peakOptions.layer,
+        ...zooms,
+        layout: {
+          'text-field': getElevationText(peakOptions.elevationKey, attributes),
+          'text-font': font,
+          'text-size': 11,
+          'text-anchor': 'top',
+          'text-offset': [0, 0.5],
+        },
+        paint: {
+          'text-color': colors.peak,
+          'text-halo-color': colors.halo,
+          'text-halo-width': 1.5,
+        },
+      }
+    );
+  }
+
+  if (options.fragment) {
+    return { sources, layers, ...(terrain && { terrain }) };
+  }
+  return {
+    version: 8,
+    name: `${name} contours`,
+    glyphs: styleSettings.glyphs,
+    ...(tileJSON.center && { center: tileJSON.center.slice(0, 2), zoom: tileJSON.center[2] }),
+    sources,
+    layers: [{ id: 'background', type: 'background', paint: { 'background-color': colors.background } }, ...layers],
+    ...(terrain && { terrain }),
+  };
+}
@@ -0,0 +1,207 @@
+// src/tilecache-utils.js
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { getTileRangeForBbox } from "./mlcontour-utils.js";
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal options always produce the same string.
+ * @param {any} value - The value to serialize.
+ * @returns {string} The JSON string.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hashes the effective options a tile was generated with.
+ * @param {object} options - The options (e.g. the output of `getOptionsForZoom`).
+ * @returns {string} A short hex digest.
+ */
+export function hashOptions(options) {
+  return createHash("sha256").update(stableStringify(options)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Recursively lists the files below a directory.
+ * @param {string} dir - The directory to walk.
+ * @returns {Promise<string[]>} The file paths.
+ */
+async function listFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(entryPath)));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Persistent cache of generated (gzipped) contour tiles for one source, stored as a directory tree:
+ * `<path>/<optionsHash>/<z>/<x>/<y>.pbf`. Empty tiles are stored as zero byte files.
+ */
+export class DiskTileCache {
+  dir;
+  maxAge;
+  maxSize;
+  pruneTimer;
+
+  /**
+   * @param {object} options
+   * @param {string} options.dir - The directory tiles of this source are stored in.
+   * @param {number} [options.maxAge] - Maximum age of a cached tile in seconds (0 = unlimited).
+   * @param {number} [options.maxSize] - Maximum total size of the cache in megabytes (0 = unlimited).
+   * @param {number} [options.pruneInterval] - How often to enforce the limits, in seconds.
+   */
+  constructor({ dir, maxAge = 0, maxSize = 0, pruneInterval = 600 }) {
+    this.dir = dir;
+    this.maxAge = maxAge;
+    this.maxSize = maxSize;
+
+    if (maxAge > 0 || maxSize > 0) {
+      this.pruneTimer = setInterval(() => {
+        this.prune().catch((error) =>
+          console.error(`Error pruning tile cache ${this.dir}:`, error.message),
+        );
+      }, pruneInterval * 1000);
+      this.pruneTimer.unref();
+    }
+  }
+
+  tilePath(optionsHash, z, x, y) {
+    return path.join(this.dir, optionsHash, String(z), String(x), `${y}.pbf`);
+  }
+
+  /**
+   * Reads a tile from the cache.
+   * @returns {Promise<Buffer | undefined>} The cached tile (empty for a cached empty tile), or undefined on a miss.
+   */
+  async get(optionsHash, z, x, y) {
+    const tilePath = this.tilePath(optionsHash, z, x, y);
+    try {
+      const stats = await fs.stat(tilePath);
+      if (this.maxAge > 0 && Date.now() - stats.mtimeMs > this.maxAge * 1000) {
+        await fs.rm(tilePath, { force: true });
+        return undefined;
+      }
+      return await fs.readFile(tilePath);
+    } catch (error) {
+      if (error.code === "ENOENT") return undefined;
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a tile to the cache. The file is written under a temporary name and renamed,
+   * so readers never see a partially written tile.
+   * @param {Buffer} data - The gzipped tile, or an empty buffer for an empty tile.
+   */
+  async put(optionsHash, z, x, y, data) {
+    const tilePath = this.tilePath(optionsHash, z, x, y);
+    const tmpPath = `${tilePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.mkdir(path.dirname(tilePath), { recursive: true });
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, tilePath);
+  }
+
+  /**
+   * Removes cached tiles, optionally only those intersecting a bounding box and zoom range.
+   * @param {object} [options]
+   * @param {number[]} [options.bbox] - `[minLon, minLat, maxLon, maxLat]` to limit the purge to.
+   * @param {number} [options.minzoom] - Lowest zoom to purge.
+   * @param {number} [options.maxzoom] - Highest zoom to purge.
+   * @returns {Promise<number>} The number of files removed.
+   */
+  async purge({ bbox, minzoom = 0, maxzoom = Infinity } = {}) {
+    const files = await listFiles(this.dir);
+    let deleted = 0;
+
+    for (const file of files) {
+      const [z, x, yFile] = path.relative(this.dir, file).split(path.sep).slice(1);
+      const zoom = Number(z);
+      if (!Number.isInteger(zoom) || zoom < minzoom || zoom > maxzoom) continue;
+
+      if (bbox) {
+        const tileX = Number(x);
+        const tileY = parseInt(yFile, 10);
+        const range = getTileRangeForBbox(bbox, zoom);
+        if (tileX < range.minX || tileX > range.maxX || tileY < range.minY || tileY > range.maxY) continue;
+      }
+
+      await fs.rm(file, { force: true });
+      deleted++;
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Enforces the age and size limits. Expired tiles are removed first, then the
+   * least recently written tiles until the cache fits in `maxSize`.
+   * @returns {Promise<number>} The number of files removed.
+   */
+  async prune() {
+    const files = await listFiles(this.dir);
+    const now = Date.now();
+    let deleted = 0;
+    let totalSize = 0;
+    const kept = [];
+
+    for (const file of files) {
+      let stats;
+      try {
+        stats = await fs.stat(file);
+      } catch {
+        continue;
+      }
+      if (this.maxAge > 0 && now - stats.mtimeMs > this.maxAge * 1000) {
+        await fs.rm(file, { force: true });
+        deleted++;
+      } else {
+        kept.push({ file, size: stats.size, mtimeMs: stats.mtimeMs });
+        totalSize += stats.size;
+      }
+    }
+
+    const maxBytes = this.maxSize * 1024 * 1024;
+    if (maxBytes > 0 && totalSize > maxBytes) {
+      kept.sort((a, b) => a.mtimeMs - b.mtimeMs);
+      for (const { file, size } of kept) {
+        if (totalSize <= maxBytes) break;
+        await fs.rm(file, { force: true });
+        totalSize -= size;
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      console.log(`Pruned ${deleted} tiles from tile cache ${this.dir}`);
+    }
+    return deleted;
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+  }
+}
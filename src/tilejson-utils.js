@@ -0,0 +1,206 @@
+// src/tilejson-utils.js
+import { getContourFields } from './attribute-utils.js';
+
+const WORLD_BOUNDS = [-180, -85.051129, 180, 85.051129];
+
+/**
+ * Returns the first value of a (possibly comma separated) forwarded header.
+ * @param {import('express').Request} req - The incoming request.
+ * @param {string} name - The header name.
+ * @returns {string | undefined} The trimmed header value, if present.
+ */
+function getForwardedHeader(req, name) {
+  const value = req.get(name);
+  if (!value) {
+    return undefined;
+  }
+  return value.split(',')[0].trim() || undefined;
+}
+
+/**
+ * Builds the public base URL of the server for the current request, honouring
+ * `X-Forwarded-Proto`, `X-Forwarded-Host`, `X-Forwarded-Port` and `X-Forwarded-Prefix`
+ * so that absolute URLs are correct behind a reverse proxy.
+ * @param {import('express').Request} req - The incoming request.
+ * @returns {string} The base URL without a trailing slash (e.g. `https://example.com/contours-api`).
+ */
+export function getPublicBaseUrl(req) {
+  const protocol = getForwardedHeader(req, 'X-Forwarded-Proto') || req.protocol;
+  let host = getForwardedHeader(req, 'X-Forwarded-Host') || req.get('Host');
+  const port = getForwardedHeader(req, 'X-Forwarded-Port');
+
+  if (port && !/:\d+$/.test(host)) {
+    const isDefaultPort = (protocol === 'https' && port === '443') || (protocol === 'http' && port === '80');
+    if (!isDefaultPort) {
+      host = `${host}:${port}`;
+    }
+  }
+
+  let prefix = getForwardedHeader(req, 'X-Forwarded-Prefix') || '';
+  prefix = prefix.replace(/\/+$/, '');
+  if (prefix && !prefix.startsWith('/')) {
+    prefix = `/${prefix}`;
+  }
+
+  return `${protocol}://${host}${prefix}`;
+}
+
+/**
+ * Works out the zoom range the contour tiles of a source are useful for, as reported by its
+ * TileJSON and by `/sources`. Below the lowest threshold zoom no levels are generated, and
+ * contours can be generated past the DEM maxzoom by overzooming the DEM.
+ * @param {object} sourceData - The entry from `contourSources`.
+ * @param {{minzoom?: number, maxzoom?: number} | undefined} demMetadata - Coverage read from the DEM archive, if any.
+ * @param {object} [contourOptions] - The contour options, with any overrides (default: those of the source).
+ * @returns {{minzoom: number, maxzoom: number}} The zoom range.
+ */
+export function getContourZoomRange(sourceData, demMetadata, contourOptions = sourceData.contourOptions) {
+  let minzoom = demMetadata?.minzoom ?? 0;
+  let maxzoom = sourceData.sourceConfig.maxzoom || demMetadata?.maxzoom || 14;
+
+  if (contourOptions.thresholds) {
+    const zooms = Object.keys(contourOptions.thresholds).map(Number).filter(Number.isFinite);
+    if (zooms.length > 0) {
+      minzoom = Math.max(minzoom, Math.min(...zooms));
+      maxzoom = Math.max(maxzoom, Math.max(...zooms));
+    }
+  }
+
+  return { minzoom: Math.min(minzoom, maxzoom), maxzoom };
+}
+
+/**
+ * Describes the vector layers of the contour tiles of a source.
+ * @param {string} name - The source name.
+ * @param {object} layerOptions
+ * @param {object} layerOptions.contourOptions - The merged contour options of the source.
+ * @param {object} [layerOptions.bandOptions] - The merged elevation band options of the source.
+ * @param {object} [layerOptions.peakOptions] - The merged peak options of the source.
+ * @param {object} [layerOptions.attributes] - The extra feature `attributes` of the source.
+ * @param {number} minzoom - Lowest zoom the layers are available at.
+ * @param {number} maxzoom - Highest zoom the layers are available at.
+ * @returns {object[]} The `vector_layers` entries.
+ */
+export function getContourVectorLayers(name, { contourOptions, bandOptions, peakOptions, attributes }, minzoom, maxzoom) {
+  const vectorLayers = [
+    {
+      id: contourOptions.contourLayer,
+      description: `Contour lines generated from ${name}`,
+      minzoom,
+      maxzoom,
+      fields: getContourFields(contourOptions, attributes),
+    },
+  ];
+
+  if (bandOptions) {
+    const { breaks, layer, minKey, maxKey } = bandOptions;
+    const bandMinzoom = Array.isArray(breaks) ? minzoom : Math.max(minzoom, Math.min(...Object.keys(breaks).map(Number)));
+    vectorLayers.push({
+      id: layer,
+      description: `Elevation bands generated from ${name}`,
+      minzoom: Math.min(bandMinzoom, maxzoom),
+      maxzoom,
+      fields: { [minKey]: 'Number', [maxKey]: 'Number' },
+    });
+  }
+  if (peakOptions) {
+    const { prominence, layer, elevationKey } = peakOptions;
+    const peakMinzoom = typeof prominence === 'number'
+      ? minzoom
+      : Math.max(minzoom, Math.min(...Object.keys(prominence).map(Number)));
+    vectorLayers.push({
+      id: layer,
+      description: `Summits found in ${name}`,
+      minzoom: Math.min(peakMinzoom, maxzoom),
+      maxzoom,
+      fields: { [elevationKey]: 'Number' },
+    });
+  }
+  return vectorLayers;
+}
+
+/**
+ * Creates a TileJSON 3.0.0 document describing the contour tiles of a source.
+ * @param {object} params
+ * @param {string} params.name - The source name.
+ * @param {object} params.sourceData - The entry from `contourSources`.
+ * @param {{bounds?: number[], minzoom?: number, maxzoom?: number, center?: number[]} | undefined} params.demMetadata - Coverage read from the DEM archive, if any.
+ * @param {string} params.baseUrl - The public base URL of the server.
+ * @param {object} [params.overrides] - Per-request contour option overrides, passed on to the tile URL.
+ * @returns {object} The TileJSON document.
+ */
+export function createContourTileJSON({ name, sourceData, demMetadata, baseUrl, overrides = {} }) {
+  const { sourceConfig } = sourceData;
+  const contourOptions = { ...sourceData.contourOptions, ...overrides };
+  if (overrides.levels) {
+    delete contourOptions.thresholds;
+  }
+
+  const query = new URLSearchParams(
+    Object.entries(overrides).map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : String(value)])
+  ).toString();
+
+  const { minzoom, maxzoom } = getContourZoomRange(sourceData, demMetadata, contourOptions);
+  const bounds = demMetadata?.bounds ?? WORLD_BOUNDS;
+
+  const tileJSON = {
+    tilejson: '3.0.0',
+    name,
+    scheme: 'xyz',
+    format: 'pbf',
+    tiles: [`${baseUrl}/contours/${encodeURIComponent(name)}/{z}/{x}/{y}.pbf${query ? `?${query}` : ''}`],
+    minzoom,
+    maxzoom,
+    bounds,
+    vector_layers: getContourVectorLayers(
+      name,
+      {
+        contourOptions,
+        bandOptions: sourceData.bandOptions,
+        peakOptions: sourceData.peakOptions,
+        attributes: sourceConfig.attributes,
+      },
+      minzoom,
+      maxzoom
+    ),
+  };
+
+  if (demMetadata?.center) {
+    const [lon, lat, zoom] = demMetadata.center;
+    tileJSON.center = [lon, lat, Math.min(Math.max(zoom ?? minzoom, minzoom), maxzoom)];
+  }
+
+  return tileJSON;
+}
+
+/**
+ * Creates a TileJSON 3.0.0 document describing the tiles of a composite source: the layers of all
+ * its sources, each with its own zoom range, over the zooms and bounds of any of them.
+ * @param {object} params
+ * @param {string} params.name - The composite name.
+ * @param {{name: string, sourceData: object, demMetadata: object | undefined}[]} params.members - The
+ *   sources of the composite, with their entry from `contourSources` and DEM coverage.
+ * @param {string} params.baseUrl - The public base URL of the server.
+ * @returns {object} The TileJSON document.
+ */
+export function createCompositeTileJSON({ name, members, baseUrl }) {
+  const memberTileJSONs = members.map((member) => createContourTileJSON({ ...member, baseUrl }));
+  const bounds = memberTileJSONs.map((tileJSON) => tileJSON.bounds);
+
+  return {
+    tilejson: '3.0.0',
+    name,
+    scheme: 'xyz',
+    format: 'pbf',
+    tiles: [`${baseUrl}/contours/${encodeURIComponent(name)}/{z}/{x}/{y}.pbf`],
+    minzoom: Math.min(...memberTileJSONs.map((tileJSON) => tileJSON.minzoom)),
+    maxzoom: Math.max(...memberTileJSONs.map((tileJSON) => tileJSON.maxzoom)),
+    bounds: [
+      Math.min(...bounds.map((b) => b[0])),
+      Math.min(...bounds.map((b) => b[1])),
+      Math.max(...bounds.map((b) => b[2])),
+      Math.max(...bounds.map((b) => b[3])),
+    ],
+    vector_layers: memberTileJSONs.flatMap((tileJSON) => tileJSON.vector_layers),
+  };
+}
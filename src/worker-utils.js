@@ -0,0 +1,288 @@
+// src/worker-utils.js
+import { Worker } from 'worker_threads';
+import { performance } from 'perf_hooks';
+import { workerRequestsInProgress, workerQueueTasks, workerBusyThreads } from './metrics-utils.js';
+
+const WORKER_SCRIPT = new URL('./contour-worker.js', import.meta.url);
+
+/**
+ * Error of a request rejected because the request queue of the worker pool is full.
+ */
+export class QueueFullError extends Error {
+  /**
+   * @param {number} retryAfter - Estimated seconds until the queue has room again.
+   */
+  constructor(retryAfter) {
+    super('The request queue is full');
+    this.name = 'QueueFullError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Runs the CPU heavy work of tiles (decoding DEM images, generating and encoding contours) on a
+ * pool of worker threads. Tasks over the number of threads wait in order, and tasks canceled while
+ * running stop their worker, which is replaced by a new one.
+ *
+ * A request needs several tasks (decoding each DEM tile, then generating the tile), so load is
+ * shed per request rather than per task: up to `threads` requests are worked on and `maxQueue`
+ * more wait, further ones are rejected before fetching anything.
+ */
+class WorkerPool {
+  threads = 1;
+  maxQueue = Infinity;
+  workers = new Set();
+  idle = [];
+  running = new Map();
+  queue = [];
+  requests = 0;
+  // Moving average of the request durations, to estimate when a full queue has room again
+  averageRequestMs = 0;
+
+  /**
+   * Sets the size of the pool and its queue. Extra workers are stopped once they are idle.
+   * @param {{threads: number, maxQueue: number}} settings - The settings from `getWorkerSettings`.
+   */
+  configure({ threads, maxQueue }) {
+    this.threads = threads;
+    this.maxQueue = maxQueue;
+    while (this.workers.size > this.threads && this.idle.length > 0) {
+      this.idle.pop().terminate();
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Runs the work of a request if the request queue has room.
+   * @param {() => Promise<any>} work - The work, running its tasks with `run`.
+   * @returns {Promise<any>} The result of the work.
+   */
+  async admit(work) {
+    if (this.requests >= this.threads + this.maxQueue) {
+      throw new QueueFullError(this.getRetryAfter());
+    }
+    this.requests++;
+    this.updateMetrics();
+    const start = performance.now();
+    try {
+      return await work();
+    } finally {
+      const elapsed = performance.now() - start;
+      this.averageRequestMs = this.averageRequestMs ? 0.9 * this.averageRequestMs + 0.1 * elapsed : elapsed;
+      this.requests--;
+      this.updateMetrics();
+    }
+  }
+
+  /**
+   * Runs a task on a worker.
+   * @param {string} name - The task, a handler of `contour-worker.js`.
+   * @param {object} data - The task data.
+   * @param {object} [options]
+   * @param {Transferable[]} [options.transfer] - Buffers of the data to move to the worker instead of copying.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the task, waiting or running.
+   * @returns {Promise<any>} The result of the task.
+   */
+  run(name, data, { transfer = [], signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = { name, data, transfer, signal, resolve, reject };
+      task.onAbort = () => this.cancel(task);
+      signal?.addEventListener('abort', task.onAbort, { once: true });
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Estimates the seconds until a full request queue has room again, for `Retry-After`.
+   * @returns {number} The seconds, at least 1.
+   */
+  getRetryAfter() {
+    const waiting = Math.max(1, this.requests - this.threads + 1);
+    return Math.max(1, Math.ceil((waiting * this.averageRequestMs) / this.threads / 1000));
+  }
+
+  // Start waiting tasks on idle workers, starting workers up to the pool size
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.size >= this.threads) break;
+        worker = this.spawn();
+      }
+      const task = this.queue.shift();
+      this.running.set(worker, task);
+      // Busy workers keep the process alive, e.g. while seeding
+      worker.ref();
+      worker.postMessage({ name: task.name, data: task.data }, task.transfer);
+    }
+    this.updateMetrics();
+  }
+
+  spawn() {
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.on('message', ({ result, error }) => this.finish(worker, error, result));
+    worker.on('error', (error) => {
+      this.workers.delete(worker);
+      this.finish(worker, error);
+    });
+    worker.on('exit', (code) => {
+      this.workers.delete(worker);
+      const idleIndex = this.idle.indexOf(worker);
+      if (idleIndex !== -1) this.idle.splice(idleIndex, 1);
+      if (this.running.has(worker)) {
+        this.finish(worker, new Error(`Worker stopped with exit code ${code}`));
+      }
+      this.dispatch();
+    });
+    this.workers.add(worker);
+    return worker;
+  }
+
+  finish(worker, error, result) {
+    const task = this.running.get(worker);
+    if (!task) return;
+    this.running.delete(worker);
+    task.signal?.removeEventListener('abort', task.onAbort);
+    if (error) task.reject(error);
+    else task.resolve(result);
+
+    if (this.workers.has(worker)) {
+      worker.unref();
+      if (this.workers.size > this.threads) worker.terminate();
+      else this.idle.push(worker);
+    }
+    this.dispatch();
+  }
+
+  cancel(task) {
+    const queueIndex = this.queue.indexOf(task);
+    if (queueIndex !== -1) {
+      this.queue.splice(queueIndex, 1);
+    } else {
+      // A running task can't be interrupted, so its worker is stopped and replaced
+      for (const [worker, runningTask] of this.running) {
+        if (runningTask !== task) continue;
+        this.running.delete(worker);
+        this.workers.delete(worker);
+        worker.terminate();
+      }
+    }
+    task.reject(task.signal.reason);
+    this.dispatch();
+  }
+
+  updateMetrics() {
+    workerRequestsInProgress.set({}, this.requests);
+    workerQueueTasks.set({}, this.queue.length);
+    workerBusyThreads.set({}, this.running.size);
+  }
+}
+
+const workerPool = new WorkerPool();
+
+// Work of the requests in progress by `coalesceRequest` key
+const inFlightRequests = new Map();
+
+/**
+ * Sets the number of worker threads and the length of the task queue.
+ * @param {{threads: number, maxQueue: number}} settings - The settings from `getWorkerSettings`.
+ */
+export function configureWorkerPool(settings) {
+  workerPool.configure(settings);
+}
+
+/**
+ * Runs the work of a tile request on the worker pool, or rejects it if the request queue is full.
+ * @param {() => Promise<any>} work - The work, running its CPU heavy parts with `runWorkerTask`.
+ * @returns {Promise<any>} The result of the work.
+ * @throws {QueueFullError} If `threads + maxQueue` requests are already in progress.
+ */
+export function admitRequest(work) {
+  return workerPool.admit(work);
+}
+
+/**
+ * Runs a task of `contour-worker.js` on the worker pool.
+ * @param {string} name - The task name.
+ * @param {object} data - The task data.
+ * @param {object} [options]
+ * @param {Transferable[]} [options.transfer] - Buffers of the data to move to the worker instead of copying.
+ * @param {AbortSignal} [options.signal] - Signal to cancel the task.
+ * @returns {Promise<any>} The result of the task.
+ */
+export function runWorkerTask(name, data, options) {
+  return workerPool.run(name, data, options);
+}
+
+/**
+ * Decodes a DEM image on the worker pool. Same signature as `GetImageData`, to be used as the
+ * `decodeImage` option of a `LocalDemManager`.
+ * @param {Blob} blob - The image blob to decode.
+ * @param {import('maplibre-contour').Encoding | object} encoding - The DEM encoding name, or an encoding from `getDemEncoding`.
+ * @param {AbortController} [abortController] - Controller to cancel the decoding.
+ * @returns {Promise<import('maplibre-contour').DemTile>} The decoded DEM tile data.
+ */
+export async function decodeImageInWorker(blob, encoding, abortController) {
+  const buffer = await blob.arrayBuffer();
+  return runWorkerTask('decodeImage', { buffer, encoding }, { transfer: [buffer], signal: abortController?.signal });
+}
+
+/**
+ * Rejects as soon as a signal is aborted, without waiting for the promise. Work shared with
+ * other requests keeps running for them.
+ * @param {Promise<any>} promise - The promise.
+ * @param {AbortSignal} signal - The signal.
+ * @returns {Promise<any>} The result of the promise.
+ */
+export function abortable(promise, signal) {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Shares the work of concurrent identical requests: the first request starts it, the ones arriving
+ * while it runs wait for the same result. The work is only canceled once every request waiting
+ * for it is aborted, and each request stops waiting as soon as its own signal is aborted.
+ * @param {string} key - Identifies the work, e.g. the source, options and tile.
+ * @param {(abortController: AbortController) => Promise<any>} work - The work.
+ * @param {AbortController} abortController - Controller of the request.
+ * @returns {Promise<any>} The result of the work.
+ */
+export function coalesceRequest(key, work, abortController) {
+  const { signal } = abortController;
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  let entry = inFlightRequests.get(key);
+  if (!entry) {
+    const sharedAbortController = new AbortController();
+    entry = { abortController: sharedAbortController, waiting: 0 };
+    entry.promise = work(sharedAbortController).finally(() => {
+      if (inFlightRequests.get(key) === entry) inFlightRequests.delete(key);
+    });
+    inFlightRequests.set(key, entry);
+  }
+
+  entry.waiting++;
+  const onAbort = () => {
+    if (--entry.waiting === 0) {
+      if (inFlightRequests.get(key) === entry) inFlightRequests.delete(key);
+      entry.abortController.abort(signal.reason);
+    }
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+  const result = abortable(entry.promise, signal);
+  result.catch(() => {}).finally(() => signal.removeEventListener('abort', onAbort));
+  return result;
+}
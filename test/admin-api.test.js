@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { applyMergePatch, isValidSourceName } from '../src/admin-utils.js';
+import { startServer, startDemServer } from './helpers.js';
+
+const TOKEN = 'test-admin-token';
+
+let dem;
+let server;
+let source;
+
+function adminFetch(url, init = {}) {
+  return fetch(`${server.baseUrl}${url}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${TOKEN}`, ...init.headers },
+  });
+}
+
+function sendJson(url, method, body, contentType = 'application/json') {
+  return adminFetch(url, { method, headers: { 'Content-Type': contentType }, body: JSON.stringify(body) });
+}
+
+before(async () => {
+  dem = await startDemServer();
+  source = { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 };
+  server = await startServer({ admin: { persist: true }, sources: { dem: source } }, { env: { ADMIN_TOKEN: TOKEN } });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// The sources of the config file of the server
+function readConfigSources() {
+  return JSON.parse(fs.readFileSync(path.join(server.dir, 'config.json'), 'utf8')).sources;
+}
+
+test('isValidSourceName accepts plain names only', () => {
+  for (const name of ['dem', 'Swiss_DEM-2', 'dem.v2', '_dem']) {
+    assert.ok(isValidSourceName(name), name);
+  }
+  for (const name of ['', '.dem', '..', 'a/b', 'a b', 'dém']) {
+    assert.ok(!isValidSourceName(name), name);
+  }
+});
+
+test('applyMergePatch merges objects, removes null keys and replaces other values', () => {
+  const target = { tiles: 'a', contours: { levels: [10], unit: 'm' }, bounds: [0, 0, 1, 1] };
+  assert.deepEqual(applyMergePatch(target, { contours: { levels: [20, 100], unit: null }, bounds: [1, 1, 2, 2], maxzoom: 12 }), {
+    tiles: 'a',
+    contours: { levels: [20, 100] },
+    bounds: [1, 1, 2, 2],
+    maxzoom: 12,
+  });
+  assert.deepEqual(target.contours, { levels: [10], unit: 'm' }, 'the target is left unchanged');
+  assert.deepEqual(applyMergePatch({ a: 1 }, ['b']), ['b']);
+  assert.deepEqual(applyMergePatch('a', { b: { c: null } }), { b: {} });
+});
+
+test('the admin API needs the admin token', async () => {
+  for (const headers of [{}, { Authorization: 'Bearer wrong-token' }, { Authorization: `Basic ${TOKEN}` }]) {
+    const response = await fetch(`${server.baseUrl}/admin/sources`, { headers });
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer realm="admin"');
+  }
+});
+
+test('GET /admin/sources lists the sources with their statistics', async () => {
+  const response = await adminFetch('/admin/sources');
+  assert.equal(response.status, 200);
+  const [stats] = await response.json();
+  assert.equal(stats.name, 'dem');
+  assert.equal(stats.tiles, dem.tiles);
+  assert.deepEqual(stats.config, source);
+  assert.equal(typeof stats.stats.requests, 'number');
+
+  assert.equal((await adminFetch('/admin/sources/dem')).status, 200);
+  assert.equal((await adminFetch('/admin/sources/missing')).status, 404);
+});
+
+test('POST /admin/sources/:source adds a source and saves it to the config file', async () => {
+  const response = await sendJson('/admin/sources/added', 'POST', source);
+  assert.equal(response.status, 201);
+  const body = await response.json();
+  assert.equal(body.name, 'added');
+  assert.equal(body.persisted, true);
+  assert.deepEqual(readConfigSources().added, source);
+  assert.equal((await fetch(`${server.baseUrl}/contours/added.json`)).status, 200);
+
+  const duplicate = await sendJson('/admin/sources/added', 'POST', source);
+  assert.equal(duplicate.status, 409);
+});
+
+test('POST /admin/sources/:source rejects invalid names and configurations', async () => {
+  const invalidName = await sendJson('/admin/sources/.hidden', 'POST', source);
+  assert.equal(invalidName.status, 400);
+
+  const invalidConfig = await sendJson('/admin/sources/invalid', 'POST', { tiles: dem.tiles });
+  assert.equal(invalidConfig.status, 400);
+  assert.ok((await invalidConfig.json()).error);
+  assert.equal((await fetch(`${server.baseUrl}/contours/invalid.json`)).status, 404);
+  assert.equal(readConfigSources().invalid, undefined);
+});
+
+test('PATCH /admin/sources/:source applies a JSON merge patch', async () => {
+  const response = await sendJson('/admin/sources/dem', 'PATCH', { contours: { levels: [20, 100] } }, 'application/merge-patch+json');
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.deepEqual(body.contours.levels, [20, 100]);
+  assert.deepEqual(readConfigSources().dem, { ...source, contours: { levels: [20, 100] } });
+
+  const invalid = await sendJson('/admin/sources/dem', 'PATCH', { encoding: 'jpeg' });
+  assert.equal(invalid.status, 400);
+  assert.equal((await (await adminFetch('/admin/sources/dem')).json()).config.encoding, 'terrarium', 'an invalid patch is not applied');
+
+  const missing = await sendJson('/admin/sources/missing', 'PATCH', { maxzoom: 10 });
+  assert.equal(missing.status, 404);
+});
+
+test('DELETE /admin/sources/:source/dem-cache flushes the DEM tiles of the source', async () => {
+  assert.equal((await fetch(`${server.baseUrl}/contours/dem/12/2048/2048.pbf`)).status, 200);
+  const response = await adminFetch('/admin/sources/dem/dem-cache', { method: 'DELETE' });
+  assert.equal(response.status, 200);
+  const { source: name, flushed } = await response.json();
+  assert.equal(name, 'dem');
+  assert.ok(flushed > 0);
+  assert.equal((await adminFetch('/admin/sources/missing/dem-cache', { method: 'DELETE' })).status, 404);
+});
+
+test('DELETE /admin/sources/:source removes a source', async () => {
+  assert.equal((await sendJson('/admin/sources/removed', 'POST', source)).status, 201);
+  const response = await adminFetch('/admin/sources/removed', { method: 'DELETE' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { source: 'removed', removed: true, persisted: true });
+  assert.equal((await fetch(`${server.baseUrl}/contours/removed.json`)).status, 404);
+  assert.ok(!('removed' in readConfigSources()));
+
+  assert.equal((await adminFetch('/admin/sources/removed', { method: 'DELETE' })).status, 404);
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startServer, makeTempDir } from './helpers.js';
+
+const TOKEN = 'test-admin-token';
+const DEM = { tiles: 'http://127.0.0.1:9/{z}/{x}/{y}.png', encoding: 'terrarium', maxzoom: 12 };
+
+let server;
+let cache;
+
+// Write cached tiles of the source "dem" at the given z/x/y
+function writeCachedTiles(tiles) {
+  for (const [z, x, y] of tiles) {
+    const tilePath = path.join(cache.dir, 'dem', 'options', String(z), String(x), `${y}.pbf`);
+    fs.mkdirSync(path.dirname(tilePath), { recursive: true });
+    fs.writeFileSync(tilePath, '');
+  }
+}
+
+function adminFetch(url, init = {}) {
+  return fetch(`${server.baseUrl}${url}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${TOKEN}`, ...init.headers },
+  });
+}
+
+before(async () => {
+  cache = makeTempDir('contour-cache-test-');
+  server = await startServer({ tileCache: { path: cache.dir }, sources: { dem: DEM } }, { env: { ADMIN_TOKEN: TOKEN } });
+});
+
+after(async () => {
+  await server?.stop();
+  cache?.remove();
+});
+
+test('DELETE /admin/sources/:source/tile-cache needs the admin token', async () => {
+  writeCachedTiles([[10, 530, 360]]);
+  for (const headers of [{}, { Authorization: 'Bearer wrong-token' }]) {
+    const response = await fetch(`${server.baseUrl}/admin/sources/dem/tile-cache`, { method: 'DELETE', headers });
+    assert.equal(response.status, 401);
+  }
+  assert.ok(fs.existsSync(path.join(cache.dir, 'dem', 'options', '10', '530', '360.pbf')));
+});
+
+test('DELETE /admin/sources/:source/tile-cache purges the tiles in the zoom range', async () => {
+  writeCachedTiles([[10, 530, 360], [11, 1060, 720], [12, 2120, 1440]]);
+  const response = await adminFetch('/admin/sources/dem/tile-cache?minzoom=11', { method: 'DELETE' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { source: 'dem', deleted: 2 });
+  assert.ok(fs.existsSync(path.join(cache.dir, 'dem', 'options', '10', '530', '360.pbf')));
+});
+
+test('DELETE /admin/sources/:source/tile-cache rejects an invalid bbox and unknown sources', async () => {
+  const invalid = await adminFetch('/admin/sources/dem/tile-cache?bbox=1,2,3', { method: 'DELETE' });
+  assert.equal(invalid.status, 400);
+  const unknown = await adminFetch('/admin/sources/missing/tile-cache', { method: 'DELETE' });
+  assert.equal(unknown.status, 404);
+});
+
+test('the public tile cache purge route is gone', async () => {
+  const response = await fetch(`${server.baseUrl}/cache/dem`, { method: 'DELETE' });
+  assert.equal(response.status, 404);
+});
+
+test('the tile cache purge route is disabled without an admin token', async () => {
+  const disabled = await startServer({ tileCache: { path: cache.dir }, sources: { dem: DEM } });
+  try {
+    const response = await fetch(`${disabled.baseUrl}/admin/sources/dem/tile-cache`, { method: 'DELETE' });
+    assert.equal(response.status, 404);
+  } finally {
+    await disabled.stop();
+  }
+});
@@ -0,0 +1,178 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyContourAttributes, getContourAttributes, getAttributeScale, getContourFields } from '../src/attribute-utils.js';
+import { validateConfig } from '../src/config-utils.js';
+import { encodeVectorTile, GEOM_TYPES } from '../src/mvt-utils.js';
+import { readLayerProperties, startServer, startDemServer } from './helpers.js';
+
+const ATTRIBUTES = {
+  elevations: { ele_ft: 'ft' },
+  label: { round: 10 },
+  index: { every: 5 },
+  properties: { dataset: 'test' },
+};
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  server = await startServer({
+    sources: {
+      dem: {
+        tiles: dem.tiles,
+        encoding: 'terrarium',
+        maxzoom: 12,
+        contours: { levels: [100] },
+        attributes: { elevations: { ele_ft: 'ft' }, label: true, index: { every: 5 }, properties: { dataset: 'test' } },
+      },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// The attributes every contour line of the test source should have
+function getExpectedAttributes(ele) {
+  return { ele_ft: Math.round(ele / 0.3048), label: `${ele} m`, index: ele % 500 === 0, dataset: 'test' };
+}
+
+// A contour tile with one line per elevation
+function encodeContourTile(elevations, { contourLayer = 'contours', elevationKey = 'ele' } = {}) {
+  return encodeVectorTile({
+    extent: 4096,
+    layers: {
+      [contourLayer]: {
+        features: elevations.map((ele) => ({
+          type: GEOM_TYPES.LINESTRING,
+          geometry: [[0, 0, 100, 100]],
+          properties: { [elevationKey]: ele, level: 0 },
+        })),
+      },
+    },
+  });
+}
+
+test('getContourAttributes converts the elevation and flags index lines', () => {
+  assert.deepEqual(getContourAttributes(1500, 100, ATTRIBUTES), {
+    dataset: 'test',
+    ele_ft: 4921,
+    label: '1500 m',
+    index: true,
+  });
+  assert.equal(getContourAttributes(1730, 10, ATTRIBUTES).index, false);
+});
+
+test('getContourAttributes converts from the configured unit', () => {
+  const attributes = { unit: 'ft', elevations: { ele_m: 'm' }, label: true };
+  assert.deepEqual(getContourAttributes(5680, 40, attributes), { ele_m: 1731, label: '5680 ft' });
+});
+
+test('getAttributeScale is 1 unless a multiplier override replaces the one of the source', () => {
+  assert.equal(getAttributeScale({ multiplier: 1 }, 1), 1);
+  assert.equal(getAttributeScale({}, undefined), 1);
+  assert.equal(getAttributeScale({ multiplier: 2 }, 1), 0.5);
+  assert.equal(getAttributeScale({ multiplier: 3.28084 }, 3.28084), 1);
+});
+
+test('applyContourAttributes adds the attributes to the contour layer', () => {
+  const tile = encodeContourTile([1500, 1510]);
+  const tileOptions = { levels: [10, 50], multiplier: 1 };
+  const features = readLayerProperties(applyContourAttributes(tile, tileOptions, ATTRIBUTES, 1), 'contours');
+  assert.deepEqual(features, [
+    { ele: 1500, level: 0, dataset: 'test', ele_ft: 4921, label: '1500 m', index: true },
+    { ele: 1510, level: 0, dataset: 'test', ele_ft: 4954, label: '1510 m', index: false },
+  ]);
+});
+
+test('applyContourAttributes converts the elevations of a multiplier override', () => {
+  // 1730 m generated with ?multiplier=3.28084 are 5676 ft
+  const tile = encodeContourTile([5676]);
+  const tileOptions = { levels: [20, 100], multiplier: 3.28084 };
+  const [feature] = readLayerProperties(applyContourAttributes(tile, tileOptions, ATTRIBUTES, 1), 'contours');
+  assert.equal(feature.ele_ft, 5676);
+  assert.equal(feature.label, '1730 m');
+
+  // A source in feet, requested in metres
+  const feet = { unit: 'ft', elevations: { ele_m: 'm' }, label: true };
+  const [metres] = readLayerProperties(
+    applyContourAttributes(encodeContourTile([1730]), { levels: [10], multiplier: 1 }, feet, 3.28084),
+    'contours'
+  );
+  assert.equal(metres.ele_m, 1730);
+  assert.equal(metres.label, '5676 ft');
+});
+
+test('applyContourAttributes uses the layer and elevation key of the tile options', () => {
+  const tile = encodeContourTile([100], { contourLayer: 'lines', elevationKey: 'height' });
+  const tileOptions = { contourLayer: 'lines', elevationKey: 'height', levels: [100] };
+  const [feature] = readLayerProperties(applyContourAttributes(tile, tileOptions, { elevations: { ft: 'ft' } }), 'lines');
+  assert.equal(feature.ft, 328);
+});
+
+test('applyContourAttributes leaves tiles as they are without attributes', () => {
+  const tile = encodeContourTile([100]);
+  assert.equal(applyContourAttributes(tile.buffer, { levels: [10] }, undefined), tile.buffer);
+});
+
+test('getContourFields lists the fields of the contour lines', () => {
+  assert.deepEqual(getContourFields({ elevationKey: 'ele', levelKey: 'level' }, ATTRIBUTES), {
+    ele: 'Number',
+    level: 'Number',
+    dataset: 'String',
+    ele_ft: 'Number',
+    label: 'String',
+    index: 'Boolean',
+  });
+});
+
+test('validateConfig rejects invalid attributes', () => {
+  const DEM = { tiles: 'https://example.com/{z}/{x}/{y}.png', encoding: 'terrarium' };
+  const invalid = [
+    [[], /attributes must be an object/],
+    [{ unit: 'yd' }, /attributes.unit must be one of/],
+    [{ properties: { ele: 'x' } }, /"ele" is already a field of the contours/],
+    [{ properties: { 'my field': 'x' } }, /must be a valid field name/],
+    [{ properties: { tags: ['a'] } }, /properties.tags must be a string, number or boolean/],
+    [{ elevations: ['ft'] }, /elevations must be an object of field names and units/],
+    [{ elevations: { ele_yd: 'yd' } }, /must be one of/],
+    [{ label: 'yes' }, /label must be true or an object/],
+    [{ label: { round: 0 } }, /label.round must be a positive number/],
+  ];
+  for (const [attributes, error] of invalid) {
+    assert.throws(() => validateConfig({ sources: { dem: { ...DEM, attributes } } }), error);
+  }
+});
+
+test('contour tiles and the GeoJSON export have the attributes of their source', async () => {
+  const response = await fetch(`${server.baseUrl}/contours/dem/12/2048/2048.pbf`);
+  assert.equal(response.status, 200);
+  const lines = readLayerProperties(new Uint8Array(await response.arrayBuffer()), 'contours');
+  assert.ok(lines.length > 0);
+  for (const { ele, level, ...attributes } of lines) {
+    assert.equal(level, 0);
+    assert.deepEqual(attributes, getExpectedAttributes(ele));
+  }
+
+  const geojson = await (await fetch(`${server.baseUrl}/contours/dem/geojson?bbox=0.01,-0.07,0.1,-0.01&zoom=12`)).json();
+  assert.ok(geojson.features.length > 0);
+  for (const { properties: { ele, level, ...attributes } } of geojson.features) {
+    assert.equal(level, 0);
+    assert.deepEqual(attributes, getExpectedAttributes(ele));
+  }
+});
+
+test('the TileJSON lists the attribute fields', async () => {
+  const tileJSON = await (await fetch(`${server.baseUrl}/contours/dem.json`)).json();
+  assert.deepEqual(tileJSON.vector_layers[0].fields, {
+    ele: 'Number',
+    level: 'Number',
+    dataset: 'String',
+    ele_ft: 'Number',
+    label: 'String',
+    index: 'Boolean',
+  });
+});
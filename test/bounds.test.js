@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTileCoordinates, getTileBounds, parseBbox, getTileRangeForBbox } from '../src/mlcontour-utils.js';
+import { startServer, startDemServer } from './helpers.js';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  server = await startServer({
+    sources: { dem: { tiles: dem.tiles, encoding: 'terrarium', bounds: [0, -0.2, 0.2, 0], minzoom: 8, maxzoom: 12 } },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+test('parseTileCoordinates accepts the tiles that exist at their zoom', () => {
+  assert.deepEqual(parseTileCoordinates('12', '2048', '4095'), { z: 12, x: 2048, y: 4095 });
+  assert.equal(parseTileCoordinates('12', '4096', '0'), null);
+  assert.equal(parseTileCoordinates('1', '-1', '0'), null);
+  assert.equal(parseTileCoordinates('1.5', '0', '0'), null);
+  assert.equal(parseTileCoordinates('31', '0', '0'), null);
+});
+
+test('getTileBounds and getTileRangeForBbox convert between tiles and degrees', () => {
+  assert.deepEqual(getTileBounds(0, 0, 0).map((v) => Math.round(v * 1e6) / 1e6), [-180, -85.051129, 180, 85.051129]);
+  const [west, south, east, north] = getTileBounds(12, 2048, 2048);
+  assert.equal(west, 0);
+  assert.equal(north, 0);
+  assert.deepEqual(getTileRangeForBbox([west + 1e-9, south + 1e-9, east - 1e-9, north - 1e-9], 12), { minX: 2048, maxX: 2048, minY: 2048, maxY: 2048 });
+  assert.deepEqual(getTileRangeForBbox([-180, -90, 180, 90], 1), { minX: 0, maxX: 1, minY: 0, maxY: 1 });
+});
+
+test('parseBbox accepts strings and arrays of four ordered coordinates', () => {
+  assert.deepEqual(parseBbox('5,45,11,48'), [5, 45, 11, 48]);
+  assert.deepEqual(parseBbox([5, 45, 11, 48]), [5, 45, 11, 48]);
+  for (const invalid of ['5,45,11', '11,45,5,48', '5,45,11,abc', '-181,0,0,1', '0,-91,1,0']) {
+    assert.equal(parseBbox(invalid), null, invalid);
+  }
+});
+
+test('tiles outside the bounds are empty and not fetched from the DEM', async () => {
+  const requests = dem.requests.length;
+  const response = await fetch(`${server.baseUrl}/contours/dem/12/100/100.pbf`);
+  assert.equal(response.status, 204);
+  assert.equal(dem.requests.length, requests);
+
+  assert.equal((await fetch(`${server.baseUrl}/contours/dem/12/2048/2048.pbf`)).status, 200);
+});
+
+test('tiles below the minzoom get a 404, and tiles above the maxzoom overzoom the DEM', async () => {
+  const below = await fetch(`${server.baseUrl}/contours/dem/7/64/64.pbf`);
+  assert.equal(below.status, 404);
+  assert.match((await below.json()).error, /below the minzoom/);
+
+  const requests = dem.requests.length;
+  assert.equal((await fetch(`${server.baseUrl}/contours/dem/14/8192/8192.pbf`)).status, 200);
+  assert.ok(dem.requests.slice(requests).every((url) => url.startsWith('/12/')), 'the DEM is read at its maxzoom');
+});
+
+test('tiles that do not exist get a 400', async () => {
+  assert.equal((await fetch(`${server.baseUrl}/contours/dem/12/4096/0.pbf`)).status, 400);
+  assert.equal((await fetch(`${server.baseUrl}/contours/dem/abc/0/0.pbf`)).status, 400);
+});
+
+test('the TileJSON has the bounds and zoom range of the source', async () => {
+  const tileJSON = await (await fetch(`${server.baseUrl}/contours/dem.json`)).json();
+  assert.deepEqual(tileJSON.bounds, [0, -0.2, 0.2, 0]);
+  assert.equal(tileJSON.minzoom, 8);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { writeArrayBuffer } from 'geotiff';
+import { openCOG, closeCOG, getCOGMetadata, readCOGTile } from '../src/cog-utils.js';
+import { makeTempDir, startServer } from './helpers.js';
+
+// A 0.2° square south-east of the null island at 0.001° per pixel, without data in its top left corner
+const WIDTH = 200;
+const RESOLUTION = 0.001;
+const NODATA = -9999;
+
+let tmp;
+let cogPath;
+
+// The elevation of the test COG, a plane rising to the south-east
+function getCOGElevation(lon, lat) {
+  return 1000 + lon * 10000 - lat * 5000;
+}
+
+function writeCOG(filePath, geoKeys = { GeographicTypeGeoKey: 4326, GTModelTypeGeoKey: 2 }) {
+  const values = new Float32Array(WIDTH * WIDTH);
+  for (let row = 0; row < WIDTH; row++) {
+    for (let column = 0; column < WIDTH; column++) {
+      values[row * WIDTH + column] = row < 10 && column < 10
+        ? NODATA
+        : getCOGElevation((column + 0.5) * RESOLUTION, -(row + 0.5) * RESOLUTION);
+    }
+  }
+  const tiff = writeArrayBuffer(values, {
+    width: WIDTH,
+    height: WIDTH,
+    ModelPixelScale: [RESOLUTION, RESOLUTION, 0],
+    ModelTiepoint: [0, 0, 0, 0, 0, 0],
+    GDAL_NODATA: String(NODATA),
+    ...geoKeys,
+  });
+  fs.writeFileSync(filePath, Buffer.from(tiff));
+}
+
+before(() => {
+  tmp = makeTempDir('contour-cog-test-');
+  cogPath = path.join(tmp.dir, 'dem.tif');
+  writeCOG(cogPath);
+});
+
+after(() => tmp?.remove());
+
+test('openCOG reads the coordinate reference system, extent and nodata of a COG', async () => {
+  const cog = await openCOG(cogPath);
+  try {
+    assert.equal(cog.crs, 'EPSG:4326');
+    assert.deepEqual(cog.bbox, [0, -0.2, 0.2, 0]);
+    assert.equal(cog.nodata, NODATA);
+    assert.equal(cog.levels.length, 1);
+    assert.deepEqual(getCOGMetadata(cog, 256), { bounds: [0, -0.2, 0.2, 0], minzoom: 0, maxzoom: 11, center: [0.1, -0.1] });
+  } finally {
+    await closeCOG(cog);
+  }
+});
+
+test('openCOG rejects unsupported coordinate reference systems', async () => {
+  const utmPath = path.join(tmp.dir, 'utm.tif');
+  writeCOG(utmPath, { ProjectedCSTypeGeoKey: 32632, GTModelTypeGeoKey: 1 });
+  await assert.rejects(openCOG(utmPath), /Unsupported COG coordinate reference system EPSG:32632/);
+});
+
+test('readCOGTile resamples the COG to a web mercator tile', async () => {
+  const cog = await openCOG(cogPath);
+  try {
+    // Spans 0° to 0.0879° of longitude and latitude south of the equator
+    const tile = await readCOGTile(cog, 12, 2048, 2048, 256);
+    assert.equal(tile.width, 256);
+    assert.ok(Number.isNaN(tile.data[0]), 'pixels without data are NaN');
+    const lon = (128.5 / 256) * (360 / 4096);
+    const center = tile.data[128 * 256 + 128];
+    // The pixel rows are spaced in web mercator, which is almost linear this close to the equator
+    assert.ok(Math.abs(center - getCOGElevation(lon, -lon)) < 1, `${center}`);
+
+    const outside = await readCOGTile(cog, 12, 2052, 2048, 256);
+    assert.ok(outside.data.every(Number.isNaN));
+  } finally {
+    await closeCOG(cog);
+  }
+});
+
+test('cog:// sources serve contours and elevations', async () => {
+  const server = await startServer({ sources: { cog: { tiles: `cog://${cogPath}` } } });
+  try {
+    const tileJSON = await (await fetch(`${server.baseUrl}/contours/cog.json`)).json();
+    assert.deepEqual(tileJSON.bounds, [0, -0.2, 0.2, 0]);
+
+    const elevation = await (await fetch(`${server.baseUrl}/elevation/cog?lon=0.05&lat=-0.05`)).json();
+    assert.equal(elevation.zoom, 11);
+    assert.ok(Math.abs(elevation.elevation - getCOGElevation(0.05, -0.05)) < 1, `${elevation.elevation}`);
+
+    const response = await fetch(`${server.baseUrl}/contours/cog/12/2048/2048.pbf`);
+    assert.equal(response.status, 200);
+    assert.ok((await response.arrayBuffer()).byteLength > 0);
+  } finally {
+    await server.stop();
+  }
+});
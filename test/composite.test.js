@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeVectorTile, mergeVectorTiles, GEOM_TYPES } from '../src/mvt-utils.js';
+import { validateConfig } from '../src/config-utils.js';
+import { startServer, startDemServer, readLayerProperties } from './helpers.js';
+
+const TILE = '12/2048/2048';
+// A tile outside the bounds of the "bounded" source
+const OUTSIDE_TILE = '12/2046/2048';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  const source = { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 };
+  server = await startServer({
+    sources: {
+      depth: { ...source, contours: { contourLayer: 'depth_contours', multiplier: -1 } },
+      topo: { ...source, minzoom: 8, contours: { contourLayer: 'elevation_contours' }, bands: { breaks: [1000, 2000], layer: 'topo_bands' } },
+      bounded: { ...source, bounds: [0, -0.2, 0.2, 0], contours: { contourLayer: 'bounded_contours' } },
+    },
+    composites: {
+      both: { sources: ['depth', 'topo'], cacheControl: 'public, max-age=60' },
+      partial: { sources: ['topo', 'bounded'] },
+      boundedOnly: { sources: ['bounded'] },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+async function fetchTile(source, tile) {
+  const response = await fetch(`${server.baseUrl}/contours/${source}/${tile}.pbf`);
+  return { response, tile: new Uint8Array(await response.arrayBuffer()) };
+}
+
+test('mergeVectorTiles concatenates the layers of encoded tiles', () => {
+  const encodeLayer = (name, ele) => encodeVectorTile({
+    extent: 4096,
+    layers: { [name]: { features: [{ type: GEOM_TYPES.POINT, geometry: [[10, 10]], properties: { ele } }] } },
+  });
+  const merged = mergeVectorTiles([encodeLayer('a', 1), encodeLayer('b', 2).buffer]);
+  assert.deepEqual(readLayerProperties(merged, 'a'), [{ ele: 1 }]);
+  assert.deepEqual(readLayerProperties(merged, 'b'), [{ ele: 2 }]);
+});
+
+test('composite tiles have the layers of all their sources', async () => {
+  const { response, tile } = await fetchTile('both', TILE);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('cache-control'), 'public, max-age=60');
+  const depths = readLayerProperties(tile, 'depth_contours');
+  assert.ok(depths.length > 0 && depths.every(({ ele }) => ele < 0));
+  const elevations = readLayerProperties(tile, 'elevation_contours');
+  assert.ok(elevations.length > 0 && elevations.every(({ ele }) => ele > 0));
+  assert.deepEqual(readLayerProperties(tile, 'topo_bands'), [{ min_ele: 1000, max_ele: 2000 }]);
+
+  const { tile: own } = await fetchTile('topo', TILE);
+  assert.deepEqual(readLayerProperties(own, 'elevation_contours'), elevations, 'as the endpoint of the source');
+});
+
+test('sources not covering a tile add no layer to the composite', async () => {
+  const { tile } = await fetchTile('partial', TILE);
+  assert.ok(readLayerProperties(tile, 'bounded_contours').length > 0);
+
+  const { response, tile: outside } = await fetchTile('partial', OUTSIDE_TILE);
+  assert.equal(response.status, 200);
+  assert.ok(readLayerProperties(outside, 'elevation_contours').length > 0);
+  assert.deepEqual(readLayerProperties(outside, 'bounded_contours'), []);
+
+  assert.equal((await fetchTile('boundedOnly', OUTSIDE_TILE)).response.status, 204);
+  // Below the minzoom of the topo source
+  const { tile: low } = await fetchTile('both', '7/64/64');
+  assert.ok(readLayerProperties(low, 'depth_contours').length > 0);
+  assert.deepEqual(readLayerProperties(low, 'elevation_contours'), []);
+});
+
+test('composite tiles reject overrides and invalid coordinates', async () => {
+  const response = await fetch(`${server.baseUrl}/contours/both/${TILE}.pbf?multiplier=2`);
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /not allowed/);
+  assert.equal((await fetchTile('both', '12/4096/0')).response.status, 400);
+});
+
+test('the TileJSON of a composite has the layers of its sources over their zooms and bounds', async () => {
+  const tileJSON = await (await fetch(`${server.baseUrl}/contours/partial.json`)).json();
+  assert.deepEqual(tileJSON.tiles, [`${server.baseUrl}/contours/partial/{z}/{x}/{y}.pbf`]);
+  assert.equal(tileJSON.minzoom, 1);
+  assert.deepEqual(tileJSON.bounds, [-180, -85.051129, 180, 85.051129]);
+  const layers = Object.fromEntries(tileJSON.vector_layers.map(({ id, minzoom }) => [id, minzoom]));
+  assert.deepEqual(layers, { elevation_contours: 8, topo_bands: 8, bounded_contours: 1 });
+
+  const bounded = await (await fetch(`${server.baseUrl}/contours/boundedOnly.json`)).json();
+  assert.deepEqual(bounded.bounds, [0, -0.2, 0.2, 0]);
+});
+
+test('GET /sources lists the composites', async () => {
+  const sources = await (await fetch(`${server.baseUrl}/sources`)).json();
+  assert.deepEqual(sources.both, {
+    type: 'composite',
+    sources: ['depth', 'topo'],
+    endpoint: '/contours/both/{z}/{x}/{y}.pbf',
+    tilejson: '/contours/both.json',
+  });
+});
+
+test('validateConfig rejects invalid composites', () => {
+  const DEM = { tiles: 'https://example.com/{z}/{x}/{y}.png', encoding: 'terrarium' };
+  const sources = { a: DEM, b: { ...DEM, contours: { contourLayer: 'b_contours' } } };
+  const invalid = [
+    [[], /composites must be an object/],
+    [{ a: { sources: ['b'] } }, /Composite "a" has the same name as a source/],
+    [{ c: ['a', 'b'] }, /Composite "c" must be an object/],
+    [{ c: { sources: ['a', 'b'], layers: [] } }, /unknown option "layers"/],
+    [{ c: { sources: [] } }, /non-empty array of source names/],
+    [{ c: { sources: ['a', 'missing'] } }, /unknown source "missing"/],
+    [{ c: { sources: ['b', 'b'] } }, /lists source "b" more than once/],
+    [{ c: { sources: ['a', 'b'], cacheControl: 5 } }, /cacheControl/],
+  ];
+  for (const [composites, error] of invalid) {
+    assert.throws(() => validateConfig({ sources, composites }), error);
+  }
+  assert.throws(
+    () => validateConfig({ sources: { a: DEM, b: DEM }, composites: { c: { sources: ['a', 'b'] } } }),
+    /has layer "contours" in both sources "a" and "b"/
+  );
+  validateConfig({ sources, composites: { c: { sources: ['a', 'b'] } } });
+});
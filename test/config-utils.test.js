@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseConfig, validateConfig } from '../src/config-utils.js';
+import { makeTempDir } from './helpers.js';
+
+const DEM = { tiles: 'https://example.com/{z}/{x}/{y}.png', encoding: 'terrarium' };
+
+test('validateConfig normalizes the tiles of the sources', () => {
+  const config = validateConfig({
+    sources: {
+      single: { ...DEM, tiles: [DEM.tiles] },
+      chain: { tiles: [DEM.tiles, { tiles: 'https://example.com/fallback/{z}/{x}/{y}.png', encoding: 'mapbox' }], encoding: 'terrarium' },
+      bounded: { ...DEM, bounds: [5, 45, 11, 48] },
+    },
+  });
+  assert.equal(config.sources.single.tiles, DEM.tiles);
+  assert.deepEqual(config.sources.chain.tiles.map(({ tiles }) => tiles), [DEM.tiles, 'https://example.com/fallback/{z}/{x}/{y}.png']);
+  assert.deepEqual(config.sources.bounded.bounds, [5, 45, 11, 48]);
+});
+
+test('validateConfig rejects invalid configurations', () => {
+  const invalid = [
+    [{}, /at least one source/],
+    [{ sources: { dem: { tiles: DEM.tiles } } }, /Source "dem" must specify encoding/],
+    [{ sources: { dem: { ...DEM, encoding: 'rgb' } } }, /invalid encoding: "rgb"/],
+    [{ sources: { dem: { ...DEM, tiles: 'ftp://example.com/{z}/{x}/{y}.png' } } }, /Invalid DEM URL/],
+    [{ sources: { dem: { ...DEM, maxzoom: 40 } } }, /maxzoom must be an integer/],
+    [{ sources: { dem: { ...DEM, contours: { levels: [10], thresholds: { 10: [10] } } } } }, /both levels and thresholds/],
+    [{ sources: { dem: DEM }, server: { requestTimeoutMs: 0 } }, /requestTimeoutMs must be a positive integer/],
+    [{ sources: { dem: DEM }, workers: { threads: 0 } }, /workers threads must be a positive integer/],
+  ];
+  for (const [config, message] of invalid) {
+    assert.throws(() => validateConfig(config), message);
+  }
+});
+
+test('parseConfig reads and validates a config file, throwing if it is invalid', () => {
+  const tmp = makeTempDir('contour-config-test-');
+  try {
+    const configPath = path.join(tmp.dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ sources: { dem: DEM } }));
+    assert.deepEqual(parseConfig(configPath).sources.dem, DEM);
+
+    fs.writeFileSync(configPath, '{ "sources": ');
+    assert.throws(() => parseConfig(configPath), SyntaxError);
+    assert.throws(() => parseConfig(path.join(tmp.dir, 'missing.json')), { code: 'ENOENT' });
+  } finally {
+    tmp.remove();
+  }
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDemIdentity } from '../src/config-utils.js';
+import { startServer, startDemServer } from './helpers.js';
+
+const TOKEN = 'test-admin-token';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer({ delayMs: 200 });
+  const source = { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 };
+  server = await startServer({
+    sources: {
+      dem: source,
+      feet: { ...source, contours: { multiplier: 3.28084 } },
+      other: { ...source, http: { headers: { 'X-Test': '1' } } },
+    },
+  }, { env: { ADMIN_TOKEN: TOKEN } });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// The number of DEM requests made while running `action`
+async function countDemRequests(action) {
+  const requests = dem.requests.length;
+  await action();
+  return dem.requests.length - requests;
+}
+
+// The value of a metric series, 0 if it doesn't exist yet
+async function getMetric(series) {
+  const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+  const line = metrics.split('\n').find((metricLine) => metricLine.startsWith(`${series} `));
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+async function fetchTile(source, tile) {
+  const response = await fetch(`${server.baseUrl}/contours/${source}/${tile}.pbf`);
+  assert.equal(response.status, 200);
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+test('getDemIdentity only depends on how the DEM tiles are read', () => {
+  const source = { tiles: 'https://example.com/{z}/{x}/{y}.png', encoding: 'terrarium' };
+  const identity = getDemIdentity(source, {});
+  assert.equal(getDemIdentity({ ...source, contours: { levels: [10] }, cacheControl: 'no-cache' }, {}), identity);
+  assert.notEqual(getDemIdentity({ ...source, encoding: 'mapbox' }, {}), identity);
+  assert.notEqual(getDemIdentity({ ...source, http: { headers: { 'X-Test': '1' } } }, {}), identity);
+  assert.notEqual(getDemIdentity(source, { http: { query: { key: 'a' } } }), identity);
+});
+
+test('identical tile requests share one generation and its DEM fetches', async () => {
+  const generated = 'contour_server_tile_generation_seconds_count{source="dem",type="contours"}';
+  const generations = await getMetric(generated);
+  let tiles;
+  const requests = await countDemRequests(async () => {
+    tiles = await Promise.all([1, 2, 3].map(() => fetchTile('dem', '12/2051/2051')));
+  });
+  // The tile and its 8 neighbours
+  assert.equal(requests, 9);
+  assert.equal(await getMetric(generated), generations + 1);
+  assert.deepEqual(tiles[1], tiles[0]);
+  assert.deepEqual(tiles[2], tiles[0]);
+});
+
+test('sources reading the same DEM share its tiles, the others fetch their own', async () => {
+  assert.equal(await countDemRequests(() => fetchTile('dem', '12/2055/2055')), 9);
+  assert.equal(await countDemRequests(() => fetchTile('feet', '12/2055/2055')), 0);
+  assert.equal(await countDemRequests(() => fetchTile('other', '12/2055/2055')), 9);
+
+  const adminFetch = (url) => fetch(`${server.baseUrl}${url}`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+  assert.equal((await (await adminFetch('/admin/sources/feet')).json()).sharesDemWith, 'dem');
+  assert.equal((await (await adminFetch('/admin/sources/other')).json()).sharesDemWith, undefined);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { composeDemTile, mergeDemMetadata } from '../src/demchain-utils.js';
+import { startServer, startDemServer, readLayerProperties } from './helpers.js';
+
+const TILE_SIZE = 4;
+
+// A DEM of the chain whose pixels are given by `getElevation(z, x, y, column, row)`: NaN without
+// data, or undefined for a missing tile. The fetched tiles are recorded.
+function createDem(getElevation, { maxzoom = 10, nodata } = {}) {
+  const fetched = [];
+  const manager = {
+    fetchAndParseTile: async (z, x, y) => {
+      fetched.push(`${z}/${x}/${y}`);
+      if (getElevation(z, x, y, 0, 0) === undefined) return null;
+      const data = new Float32Array(TILE_SIZE * TILE_SIZE);
+      for (let row = 0; row < TILE_SIZE; row++) {
+        for (let column = 0; column < TILE_SIZE; column++) {
+          data[row * TILE_SIZE + column] = getElevation(z, x, y, column, row);
+        }
+      }
+      return { width: TILE_SIZE, height: TILE_SIZE, data };
+    },
+  };
+  return { manager, maxzoom, nodata, fetched };
+}
+
+test('composeDemTile takes each pixel from the first DEM with data there', async () => {
+  // The left half of the tile has data in the first DEM, the rest is nodata
+  const first = createDem((z, x, y, column) => (column < 2 ? 100 : -1), { nodata: -1 });
+  const second = createDem(() => 500);
+  const { width, data } = await composeDemTile([first, second], 10, 5, 5, { tileSize: TILE_SIZE });
+  assert.equal(width, TILE_SIZE);
+  assert.deepEqual([...data.slice(0, 4)], [100, 100, 500, 500]);
+});
+
+test('composeDemTile skips missing tiles and only fetches the DEMs below where needed', async () => {
+  const missing = createDem(() => undefined);
+  const full = createDem(() => 200);
+  const unused = createDem(() => 300);
+  const { data } = await composeDemTile([missing, full, unused], 10, 5, 5, { tileSize: TILE_SIZE });
+  assert.ok(data.every((value) => value === 200));
+  assert.ok(missing.fetched.length > 0);
+  assert.deepEqual(unused.fetched, []);
+
+  const { data: empty } = await composeDemTile([missing], 10, 5, 5, { tileSize: TILE_SIZE });
+  assert.ok(empty.every(Number.isNaN), 'pixels without data in any DEM are NaN');
+});
+
+test('composeDemTile overzooms DEMs with a lower maxzoom', async () => {
+  const coarse = createDem((z, x, y) => z * 1000 + x, { maxzoom: 8 });
+  const { data } = await composeDemTile([coarse], 10, 21, 21, { tileSize: TILE_SIZE });
+  assert.ok(coarse.fetched.every((tile) => tile.startsWith('8/')));
+  assert.ok(data.every((value) => value === 8005));
+});
+
+test('composeDemTile blends a DEM into the next one at the edge of its data', async () => {
+  // The first DEM only has data in the two left columns of the tile
+  const first = createDem((z, x, y, column) => (x * TILE_SIZE + column < 86 ? 100 : NaN));
+  const second = createDem(() => 500);
+  const { data } = await composeDemTile([first, second], 10, 21, 21, { tileSize: TILE_SIZE, blend: 2 });
+  const row = [...data.slice(0, 4)];
+  assert.ok(row[0] > 100 && row[0] < row[1] && row[1] < 500, `${row}`);
+  assert.deepEqual(row.slice(2), [500, 500]);
+});
+
+test('mergeDemMetadata covers every DEM of the chain', () => {
+  assert.deepEqual(
+    mergeDemMetadata([
+      { bounds: [5, 45, 11, 48], minzoom: 6, center: [8, 46.5, 10] },
+      { bounds: [-180, -85, 180, 85], minzoom: 0 },
+    ]),
+    { bounds: [-180, -85, 180, 85], minzoom: 0, center: [8, 46.5, 10] }
+  );
+  assert.deepEqual(mergeDemMetadata([{ bounds: [5, 45, 11, 48] }, {}]), {});
+  assert.equal(mergeDemMetadata([{ bounds: [5, 45, 11, 48] }, undefined]), undefined);
+});
+
+test('sources fall back to the next DEM of their chain where a DEM has no tile', async () => {
+  const dem = await startDemServer();
+  // The DEM server answers the tiles of this path with a 404
+  const missingTiles = dem.tiles.replace('{z}', 'missing/{z}');
+  const server = await startServer({
+    sources: { chain: { tiles: [{ tiles: missingTiles, encoding: 'terrarium', maxzoom: 12 }, dem.tiles], encoding: 'terrarium', maxzoom: 12 } },
+  });
+  try {
+    const response = await fetch(`${server.baseUrl}/contours/chain/12/2048/2048.pbf`);
+    assert.equal(response.status, 200);
+    assert.ok(readLayerProperties(new Uint8Array(await response.arrayBuffer()), 'contours').length > 0);
+    assert.ok(dem.requests.some((url) => url.startsWith('/missing/12/')));
+    assert.ok(dem.requests.some((url) => url.startsWith('/12/')));
+  } finally {
+    await server.stop();
+    await dem.close();
+  }
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { haversineDistance, isValidPosition, getElevationProfile } from '../src/elevation-utils.js';
+import { startServer, startDemServer, getTestElevation } from './helpers.js';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  server = await startServer({ sources: { dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } } });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// The elevation of the synthetic terrain at a longitude and latitude
+function getExpectedElevation(lon, lat) {
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return getTestElevation((lon + 180) / 360, 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI));
+}
+
+function postProfile(body, query = '') {
+  return fetch(`${server.baseUrl}/profile/dem${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+test('haversineDistance measures great-circle distances', () => {
+  assert.equal(haversineDistance([8, 46], [8, 46]), 0);
+  // A degree of latitude is about 111.2 km
+  assert.ok(Math.abs(haversineDistance([0, 0], [0, 1]) - 111195) < 1);
+  assert.ok(Math.abs(haversineDistance([0, 60], [1, 60]) - 111195 / 2) < 100);
+});
+
+test('isValidPosition accepts positions in the web mercator range only', () => {
+  assert.ok(isValidPosition([8, 46]));
+  assert.ok(isValidPosition([-180, -85, 1200]));
+  assert.ok(!isValidPosition([8]));
+  assert.ok(!isValidPosition([181, 0]));
+  assert.ok(!isValidPosition([0, 86]));
+  assert.ok(!isValidPosition(['8', '46']));
+});
+
+test('getElevationProfile samples at equal distances and sums the ascent and descent', async () => {
+  const elevations = [100, 150, 120, null, 200];
+  let i = 0;
+  const sampler = { getElevation: async () => elevations[i++] };
+  const profile = await getElevationProfile(sampler, [[0, 0], [0, 1], [0, 2]], 5);
+  assert.deepEqual(profile.profile.map(({ coordinates }) => coordinates[1]), [0, 0.5, 1, 1.5, 2]);
+  assert.equal(profile.profile[4].distance, profile.distance);
+  assert.equal(profile.ascent, 50 + 80, 'missing elevations are skipped');
+  assert.equal(profile.descent, 30);
+  assert.equal(profile.minElevation, 100);
+  assert.equal(profile.maxElevation, 200);
+});
+
+test('GET /elevation returns the elevation of a point', async () => {
+  const response = await fetch(`${server.baseUrl}/elevation/dem?lon=0.03&lat=-0.03`);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.deepEqual({ ...body, elevation: undefined }, { source: 'dem', lon: 0.03, lat: -0.03, zoom: 12, elevation: undefined });
+  assert.ok(Math.abs(body.elevation - getExpectedElevation(0.03, -0.03)) < 1, `${body.elevation}`);
+
+  const capped = await (await fetch(`${server.baseUrl}/elevation/dem?lon=0.03&lat=-0.03&z=20`)).json();
+  assert.equal(capped.zoom, 12, 'the zoom is capped at the source maxzoom');
+});
+
+test('GET /elevation rejects invalid coordinates and unknown sources', async () => {
+  for (const query of ['lon=0.03', 'lon=0.03&lat=91', 'lon=abc&lat=0', 'lon=0&lat=0&z=-1']) {
+    assert.equal((await fetch(`${server.baseUrl}/elevation/dem?${query}`)).status, 400, query);
+  }
+  assert.equal((await fetch(`${server.baseUrl}/elevation/missing?lon=0&lat=0`)).status, 404);
+});
+
+test('POST /profile returns the elevation profile of a LineString', async () => {
+  const coordinates = [[0.01, -0.01], [0.05, -0.05]];
+  const response = await postProfile({ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates } }, '?samples=5');
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.profile.length, 5);
+  assert.ok(Math.abs(body.distance - haversineDistance(...coordinates)) < 1e-6);
+  for (const { coordinates: [lon, lat], elevation } of body.profile) {
+    assert.ok(Math.abs(elevation - getExpectedElevation(lon, lat)) < 1);
+  }
+  // The terrain rises to the south-east
+  assert.equal(body.descent, 0);
+  assert.ok(Math.abs(body.ascent - (body.maxElevation - body.minElevation)) < 1e-6);
+});
+
+test('POST /profile rejects invalid lines and sample counts', async () => {
+  const line = { type: 'LineString', coordinates: [[0.01, -0.01], [0.05, -0.05]] };
+  assert.equal((await postProfile({ type: 'Point', coordinates: [0, 0] })).status, 400);
+  assert.equal((await postProfile({ type: 'LineString', coordinates: [[0, 0]] })).status, 400);
+  assert.equal((await postProfile(line, '?samples=1')).status, 400);
+  assert.equal((await postProfile(line, '?samples=abc')).status, 400);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countExportTiles, mergeLines, clipLine } from '../src/geojson-utils.js';
+
+test('countExportTiles counts the tiles covering a bbox', () => {
+  assert.equal(countExportTiles([0.01, -0.07, 0.1, -0.01], 12), 2);
+  assert.equal(countExportTiles([0.01, -0.07, 0.1, -0.01], 10), 1);
+  assert.equal(countExportTiles([-180, -85, 180, 85], 2), 16);
+});
+
+test('mergeLines joins lines end to start, in any order', () => {
+  const merged = mergeLines([
+    [[2, 0], [3, 0]],
+    [[0, 0], [1, 0]],
+    [[1, 0], [2, 0]],
+    [[10, 10], [11, 10]],
+  ]);
+  assert.deepEqual(merged.sort((a, b) => a[0][0] - b[0][0]), [
+    [[0, 0], [1, 0], [2, 0], [3, 0]],
+    [[10, 10], [11, 10]],
+  ]);
+});
+
+test('mergeLines closes rings and never joins lines start to start', () => {
+  const merged = mergeLines([
+    [[0, 0], [1, 0], [1, 1]],
+    [[1, 1], [0, 1], [0, 0]],
+    [[5, 5], [6, 5]],
+    [[5, 5], [4, 5]],
+  ]);
+  assert.equal(merged.length, 3);
+  assert.ok(merged.some((line) => line.length === 5 && line[0].join() === line[4].join()), 'the ring is closed');
+});
+
+test('clipLine splits a line where it leaves and re-enters the rectangle', () => {
+  const line = [[-5, 5], [5, 5], [15, 5], [15, 8], [5, 8]];
+  assert.deepEqual(clipLine(line, [0, 0, 10, 10]), [
+    [[0, 5], [5, 5], [10, 5]],
+    [[10, 8], [5, 8]],
+  ]);
+  assert.deepEqual(clipLine([[20, 20], [30, 30]], [0, 0, 10, 10]), []);
+  assert.deepEqual(clipLine([[1, 1], [2, 2]], [0, 0, 10, 10]), [[[1, 1], [2, 2]]]);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, startDemServer } from './helpers.js';
+
+// A bbox south-east of the null island, covering 2 tiles at zoom 12
+const BBOX = '0.01,-0.07,0.1,-0.01';
+
+let dem;
+let slowDem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  slowDem = await startDemServer({ delayMs: 8000 });
+  server = await startServer({
+    server: { requestTimeoutMs: 2000 },
+    sources: {
+      dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 },
+      slow: { tiles: slowDem.tiles, encoding: 'terrarium', maxzoom: 12 },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+  await slowDem?.close();
+});
+
+test('GET /contours/:source/geojson returns the contour lines of the bbox', async () => {
+  const response = await fetch(`${server.baseUrl}/contours/dem/geojson?bbox=${BBOX}&zoom=12&levels=100`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^application\/geo\+json/);
+  const { type, features } = await response.json();
+  assert.equal(type, 'FeatureCollection');
+  assert.ok(features.length > 0);
+  const [minLon, minLat, maxLon, maxLat] = BBOX.split(',').map(Number);
+  for (const feature of features) {
+    assert.equal(feature.geometry.type, 'LineString');
+    assert.equal(feature.properties.ele % 100, 0);
+    for (const [lon, lat] of feature.geometry.coordinates) {
+      assert.ok(lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat, 'the lines are clipped to the bbox');
+    }
+  }
+  // The terrain is a plane, so each contour crosses the bbox once, joined across the tiles
+  const elevations = features.map(({ properties }) => properties.ele);
+  assert.equal(new Set(elevations).size, elevations.length);
+});
+
+test('GET /contours/:source/geojson rejects invalid bboxes, zooms and levels', async () => {
+  const queries = [
+    '',
+    'bbox=0.1,-0.07,0.01,-0.01',
+    `bbox=${BBOX}&zoom=23`,
+    `bbox=${BBOX}&zoom=1.5`,
+    `bbox=${BBOX}&levels=0`,
+    'bbox=-10,-10,10,10&zoom=12',
+  ];
+  for (const query of queries) {
+    const response = await fetch(`${server.baseUrl}/contours/dem/geojson?${query}`);
+    assert.equal(response.status, 400, query);
+    assert.equal(typeof (await response.json()).error, 'string');
+  }
+  assert.equal((await fetch(`${server.baseUrl}/contours/missing/geojson?bbox=${BBOX}`)).status, 404);
+});
+
+test('GET /contours/:source/geojson gets a 504 when the contours take longer than the request timeout', async () => {
+  const started = Date.now();
+  const response = await fetch(`${server.baseUrl}/contours/slow/geojson?bbox=${BBOX}&zoom=12`);
+  assert.equal(response.status, 504);
+  assert.deepEqual(await response.json(), { error: 'The request timed out' });
+  assert.ok(Date.now() - started < 6000, 'the request is answered before the DEM');
+});
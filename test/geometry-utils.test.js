@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getGeometryOptionsForZoom,
+  processContourLine,
+  processContourLines,
+  hasGeometryProcessing,
+} from '../src/geometry-utils.js';
+import { validateConfig } from '../src/config-utils.js';
+import { startServer, startDemServer } from './helpers.js';
+
+const BBOX = '0.01,-0.07,0.1,-0.01';
+const SQUARE = [0, 0, 100, 0, 100, 100, 0, 100, 0, 0];
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  const source = { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 };
+  server = await startServer({
+    sources: {
+      plain: source,
+      simplified: { ...source, contours: { geometry: { 0: { simplify: 8, minLength: 64 } } } },
+      smoothed: { ...source, contours: { geometry: { 0: { smooth: 'chaikin' } } } },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+test('getGeometryOptionsForZoom applies each entry from its zoom up to the next one', () => {
+  const geometry = { 0: { simplify: 4 }, 10: { smooth: 'bezier' } };
+  assert.deepEqual(getGeometryOptionsForZoom(geometry, 9), { simplify: 4 });
+  assert.deepEqual(getGeometryOptionsForZoom(geometry, 10), { smooth: 'bezier' });
+  assert.deepEqual(getGeometryOptionsForZoom(geometry, 16), { smooth: 'bezier' });
+  assert.deepEqual(getGeometryOptionsForZoom({ 10: { simplify: 4 } }, 9), {});
+  assert.deepEqual(getGeometryOptionsForZoom(undefined, 9), {});
+});
+
+test('simplification removes the points closer to the line than the tolerance', () => {
+  assert.deepEqual(processContourLine([0, 0, 50, 1, 100, 0, 150, 20], { simplify: 2 }), [0, 0, 100, 0, 150, 20]);
+  assert.deepEqual(processContourLine([0, 0, 50, 1, 100, 0, 150, 20], { simplify: 0.5 }), [0, 0, 50, 1, 100, 0, 150, 20]);
+  // A thin ring simplified down to a segment is dropped
+  assert.equal(processContourLine([0, 0, 100, 1, 200, 0, 100, -1, 0, 0], { simplify: 2 }), null);
+});
+
+test('Chaikin smoothing cuts the corners, keeping the ends of open lines and closing rings', () => {
+  assert.deepEqual(
+    processContourLine([0, 0, 100, 0, 100, 100], { smooth: 'chaikin', smoothIterations: 1 }),
+    [0, 0, 25, 0, 75, 0, 100, 25, 100, 75, 100, 100]
+  );
+  const ring = processContourLine(SQUARE, { smooth: 'chaikin', smoothIterations: 1 });
+  assert.deepEqual(ring, [25, 0, 75, 0, 100, 25, 100, 75, 75, 100, 25, 100, 0, 75, 0, 25, 25, 0]);
+  assert.equal(processContourLine(SQUARE, { smooth: 'chaikin' }).length, 4 * 4 * 2 + 2, 'two passes by default');
+});
+
+test('Bezier smoothing goes through every point of the line', () => {
+  const line = processContourLine([0, 0, 100, 0, 100, 100], { smooth: 'bezier', smoothIterations: 1 });
+  assert.equal(line.length, 10);
+  assert.deepEqual(line.slice(0, 2), [0, 0]);
+  assert.deepEqual(line.slice(4, 6), [100, 0]);
+  assert.deepEqual(line.slice(8), [100, 100]);
+
+  const ring = processContourLine(SQUARE, { smooth: 'bezier', smoothIterations: 2 });
+  assert.equal(ring.length, 4 * 4 * 2 + 2);
+  assert.deepEqual(ring.slice(-2), ring.slice(0, 2), 'rings stay closed');
+});
+
+test('minLength drops short lines, except open lines cut by the tile edge', () => {
+  const options = { minLength: 50 };
+  assert.equal(processContourLine([10, 10, 20, 10, 20, 20, 10, 10], options, 4096), null);
+  assert.equal(processContourLine([100, 100, 120, 100], options, 4096), null);
+  assert.deepEqual(processContourLine([0, 100, 20, 100], options, 4096), [0, 100, 20, 100]);
+  assert.deepEqual(processContourLine([4080, 100, 4096, 100], options, 4096), [4080, 100, 4096, 100]);
+  // Without an extent, as for the joined lines of the GeoJSON export, no line is cut
+  assert.equal(processContourLine([0, 100, 20, 100], options), null);
+  assert.deepEqual(processContourLine([100, 100, 200, 100], options, 4096), [100, 100, 200, 100]);
+});
+
+test('processContourLines leaves out the elevations without lines left', () => {
+  const processed = processContourLines({ 100: [[10, 10, 12, 10]], 200: [[10, 10, 12, 10], [0, 0, 100, 0]] }, { minLength: 50 }, 4096);
+  assert.deepEqual(processed, { 200: [[0, 0, 100, 0]] });
+});
+
+test('hasGeometryProcessing is false for options leaving the lines unchanged', () => {
+  assert.ok(!hasGeometryProcessing({}));
+  assert.ok(!hasGeometryProcessing({ smooth: 'none', simplify: 0, minLength: 0 }));
+  assert.ok(hasGeometryProcessing({ smooth: 'bezier' }));
+  assert.ok(hasGeometryProcessing({ simplify: 1 }));
+  assert.ok(hasGeometryProcessing({ minLength: 1 }));
+});
+
+test('validateConfig rejects invalid geometry options', () => {
+  const DEM = { tiles: 'https://example.com/{z}/{x}/{y}.png', encoding: 'terrarium' };
+  const invalid = [
+    [[], /must be an object of options by zoom/],
+    [{ high: {} }, /keys must be zoom levels/],
+    [{ 10: 'bezier' }, /geometry\.10 must be an object/],
+    [{ 10: { smoothing: 'bezier' } }, /unknown option "smoothing"/],
+    [{ 10: { smooth: 'spline' } }, /smooth must be one of 'none', 'chaikin', 'bezier'/],
+    [{ 10: { smooth: 'chaikin', smoothIterations: 6 } }, /smoothIterations must be an integer between 1 and 5/],
+    [{ 10: { simplify: -1 } }, /simplify must be a non-negative number/],
+    [{ 10: { minLength: '10' } }, /minLength must be a non-negative number/],
+  ];
+  for (const [geometry, error] of invalid) {
+    assert.throws(() => validateConfig({ sources: { dem: { ...DEM, contours: { geometry } } } }), error);
+  }
+  validateConfig({ sources: { dem: { ...DEM, contours: { geometry: { 0: { smooth: 'none' }, 12: { smooth: 'bezier', smoothIterations: 3, simplify: 1.5, minLength: 0 } } } } } });
+});
+
+// The number of positions of the GeoJSON export of a source
+async function countExportPositions(source) {
+  const response = await fetch(`${server.baseUrl}/contours/${source}/geojson?bbox=${BBOX}&zoom=12`);
+  assert.equal(response.status, 200);
+  const { features } = await response.json();
+  assert.ok(features.length > 0);
+  return features.reduce((total, { geometry }) => total + geometry.coordinates.length, 0);
+}
+
+test('sources apply their geometry options to the tiles and the GeoJSON export', async () => {
+  const tileSize = async (source) => (await (await fetch(`${server.baseUrl}/contours/${source}/12/2048/2048.pbf`)).arrayBuffer()).byteLength;
+  const plain = await tileSize('plain');
+  assert.ok(await tileSize('simplified') < plain);
+  assert.ok(await tileSize('smoothed') > plain);
+
+  const positions = await countExportPositions('plain');
+  assert.ok(await countExportPositions('simplified') < positions);
+  assert.ok(await countExportPositions('smoothed') > positions);
+});
@@ -0,0 +1,193 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { addVectorTileProperties } from '../src/mvt-utils.js';
+
+const SERVER = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+// A port nothing listens on
+export function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Elevation of the synthetic terrain at a point given in world coordinates (0..1 from the
+ * top left corner): a slope rising to the south-east of the null island, so every tile near
+ * it has contours at any zoom.
+ * @param {number} u - The world x coordinate.
+ * @param {number} v - The world y coordinate.
+ * @returns {number} The elevation in metres.
+ */
+export function getTestElevation(u, v) {
+  return Math.min(Math.max(1000 + (u - 0.5) * 4e6 + (v - 0.5) * 2e6, -1000), 8000);
+}
+
+/**
+ * Encodes a tile of the synthetic terrain as a Terrarium PNG.
+ * @param {number} z - The zoom level.
+ * @param {number} x - The tile column.
+ * @param {number} y - The tile row.
+ * @param {number} [tileSize] - The size of the tile in pixels.
+ * @returns {Promise<Buffer>} The PNG.
+ */
+export function encodeTestDemTile(z, x, y, tileSize = 256) {
+  const pixels = Buffer.alloc(tileSize * tileSize * 3);
+  const worldSize = tileSize * 2 ** z;
+  for (let py = 0; py < tileSize; py++) {
+    for (let px = 0; px < tileSize; px++) {
+      const elevation = getTestElevation((x * tileSize + px + 0.5) / worldSize, (y * tileSize + py + 0.5) / worldSize);
+      const value = elevation + 32768;
+      const offset = (py * tileSize + px) * 3;
+      pixels[offset] = Math.floor(value / 256);
+      pixels[offset + 1] = Math.floor(value) % 256;
+      pixels[offset + 2] = Math.floor((value % 1) * 256);
+    }
+  }
+  return sharp(pixels, { raw: { width: tileSize, height: tileSize, channels: 3 } }).png().toBuffer();
+}
+
+/**
+ * Encodes a tile of the synthetic terrain as raw little-endian float32 elevations.
+ * @param {number} z - The zoom level.
+ * @param {number} x - The tile column.
+ * @param {number} y - The tile row.
+ * @param {number} [tileSize] - The size of the tile in pixels.
+ * @returns {Buffer} The tile.
+ */
+export function encodeTestFloat32Tile(z, x, y, tileSize = 256) {
+  const tile = Buffer.alloc(tileSize * tileSize * 4);
+  const worldSize = tileSize * 2 ** z;
+  for (let py = 0; py < tileSize; py++) {
+    for (let px = 0; px < tileSize; px++) {
+      const elevation = getTestElevation((x * tileSize + px + 0.5) / worldSize, (y * tileSize + py + 0.5) / worldSize);
+      tile.writeFloatLE(elevation, (py * tileSize + px) * 4);
+    }
+  }
+  return tile;
+}
+
+/**
+ * Starts an HTTP server of DEM tiles of the synthetic terrain.
+ * @param {object} [options]
+ * @param {number} [options.delayMs] - How long to wait before answering each request.
+ * @param {'terrarium' | 'float32'} [options.encoding] - Terrarium PNGs (`.png`) or raw float32 tiles (`.bin`).
+ * @returns {Promise<{ tiles: string, requests: string[], close: () => Promise<void> }>}
+ *   The tile URL template, the paths requested so far and a function stopping the server.
+ */
+export async function startDemServer({ delayMs = 0, encoding = 'terrarium' } = {}) {
+  const extension = encoding === 'float32' ? 'bin' : 'png';
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    requests.push(req.url);
+    const match = new RegExp(`^/(\\d+)/(\\d+)/(\\d+)\\.${extension}$`).exec(req.url);
+    if (!match) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+    const [z, x, y] = match.slice(1).map(Number);
+    if (encoding === 'float32') {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' }).end(encodeTestFloat32Tile(z, x, y));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png' }).end(await encodeTestDemTile(z, x, y));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    tiles: `http://127.0.0.1:${server.address().port}/{z}/{x}/{y}.${extension}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+// The properties of the features of a layer of an encoded vector tile
+export function readLayerProperties(tile, layerName) {
+  const features = [];
+  addVectorTileProperties(tile, layerName, (properties) => {
+    features.push(properties);
+    return {};
+  });
+  return features;
+}
+
+// A temporary directory, removed by the returned function
+export function makeTempDir(prefix = 'contour-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  return { dir, remove: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Starts the server with a config in a temporary directory and waits until it listens.
+ * @param {object} config - The config file, without `server.port`.
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment variables of the server, added to those of the test.
+ * @returns {Promise<{ baseUrl: string, dir: string, output: () => string, signal: (signal: string) => void, stop: () => Promise<void> }>}
+ */
+export async function startServer(config, { env = {} } = {}) {
+  const port = await getFreePort();
+  const { dir, remove } = makeTempDir('contour-server-test-');
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    ...config,
+    server: { watchConfig: false, ...config.server, port },
+  }));
+
+  // An ADMIN_TOKEN of the test environment would enable the admin API, and a proxy would get
+  // the requests to the local test servers
+  const childEnv = { ...process.env, ADMIN_TOKEN: undefined, NO_PROXY: '*', ...env };
+  const child = spawn(process.execPath, [SERVER, configPath], { stdio: ['ignore', 'pipe', 'pipe'], env: childEnv });
+  let output = '';
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+  try {
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error(`The server did not start:\n${output}`)), 10000);
+      const onData = (chunk) => {
+        output += chunk;
+        if (output.includes('running on port')) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      };
+      child.stdout.on('data', onData);
+      child.stderr.on('data', onData);
+      exited.then((code) => {
+        clearTimeout(timeout);
+        reject(new Error(`The server exited with code ${code}:\n${output}`));
+      });
+    });
+  } catch (error) {
+    child.kill();
+    await exited;
+    remove();
+    throw error;
+  }
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    dir,
+    output: () => output,
+    signal: (signal) => child.kill(signal),
+    stop: async () => {
+      child.kill();
+      await exited;
+      remove();
+    },
+  };
+}
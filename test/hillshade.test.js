@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { parseHexColor } from '../src/hillshade-utils.js';
+import { validateConfig } from '../src/config-utils.js';
+import { startServer, startDemServer } from './helpers.js';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  server = await startServer({
+    sources: {
+      dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 },
+      // Lit from the south-east, the side the test terrain rises to
+      southeast: {
+        tiles: dem.tiles,
+        encoding: 'terrarium',
+        maxzoom: 12,
+        minzoom: 8,
+        bounds: [0, -0.2, 0.2, 0],
+        cacheControl: 'public, max-age=60',
+        hillshade: { azimuth: 135, shadowColor: '#102030', opacity: 1, tileSize: 512 },
+      },
+      // Nothing listens on port 9, so every DEM fetch fails
+      broken: { tiles: 'http://127.0.0.1:9/{z}/{x}/{y}.png', encoding: 'terrarium', maxzoom: 12, http: { retries: 0 } },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// The count of the tile_generation_seconds histogram of a source and tile type
+async function getGenerationCount(source, type) {
+  const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+  const line = metrics.split('\n').find((metricLine) =>
+    metricLine.startsWith(`contour_server_tile_generation_seconds_count{source="${source}",type="${type}"}`)
+  );
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+// The RGBA pixels of a hillshade tile
+async function readHillshadePixels(response) {
+  const { data, info } = await sharp(Buffer.from(await response.arrayBuffer())).raw().toBuffer({ resolveWithObject: true });
+  return { pixels: data, width: info.width };
+}
+
+test('parseHexColor parses #rrggbb colours only', () => {
+  assert.deepEqual(parseHexColor('#102030'), [16, 32, 48]);
+  assert.deepEqual(parseHexColor('#FFffFF'), [255, 255, 255]);
+  for (const invalid of ['#fff', '102030', '#10203g', undefined]) {
+    assert.equal(parseHexColor(invalid), null, String(invalid));
+  }
+});
+
+test('validateConfig rejects invalid hillshade options', () => {
+  const DEM = { tiles: 'https://example.com/{z}/{x}/{y}.png', encoding: 'terrarium' };
+  const invalid = [
+    ['shade', /hillshade must be an object/],
+    [{ azimuth: 400 }, /hillshade.azimuth must be a number between 0 and 360/],
+    [{ altitude: '45' }, /hillshade.altitude must be a number between 0 and 90/],
+    [{ opacity: 2 }, /hillshade.opacity must be a number between 0 and 1/],
+    [{ shadowColor: 'black' }, /hillshade.shadowColor must be a "#rrggbb" colour/],
+    [{ tileSize: 300 }, /hillshade.tileSize must be 256 or 512/],
+  ];
+  for (const [hillshade, error] of invalid) {
+    assert.throws(() => validateConfig({ sources: { dem: { ...DEM, hillshade } } }), error);
+  }
+});
+
+test('GET /hillshade renders a PNG from the tile and its neighbours without listener warnings', async () => {
+  const response = await fetch(`${server.baseUrl}/hillshade/dem/12/2048/2048.png`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/png');
+  const { width, height, channels } = await sharp(Buffer.from(await response.arrayBuffer())).metadata();
+  assert.deepEqual({ width, height, channels }, { width: 256, height: 256, channels: 4 });
+  assert.ok(dem.requests.includes('/12/2047/2047.png'), 'the neighbours are fetched');
+  assert.doesNotMatch(server.output(), /MaxListenersExceededWarning/);
+});
+
+test('GET /hillshade times the generation of tiles that fail', async () => {
+  const before = await getGenerationCount('broken', 'hillshade');
+  const response = await fetch(`${server.baseUrl}/hillshade/broken/12/2048/2048.png`);
+  assert.equal(response.status, 500);
+  assert.equal(await getGenerationCount('broken', 'hillshade'), before + 1);
+});
+
+test('hillshade tiles light the slopes facing the light and shade the others', async () => {
+  // The test terrain rises to the south-east, so its slopes face the default light from the north-west
+  const lit = await readHillshadePixels(await fetch(`${server.baseUrl}/hillshade/dem/12/2048/2048.png`));
+  assert.deepEqual([...lit.pixels.subarray(0, 3)], [255, 255, 255]);
+  assert.ok(lit.pixels[3] > 0 && lit.pixels[3] <= 128, 'the default opacity is 0.5');
+
+  const shaded = await readHillshadePixels(await fetch(`${server.baseUrl}/hillshade/southeast/12/2048/2048.png`));
+  assert.equal(shaded.width, 512);
+  assert.deepEqual([...shaded.pixels.subarray(0, 3)], [16, 32, 48]);
+  assert.ok(shaded.pixels[3] > 0);
+});
+
+test('GET /hillshade serves WebP tiles with caching headers and conditional requests', async () => {
+  const response = await fetch(`${server.baseUrl}/hillshade/southeast/12/2048/2048.webp`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/webp');
+  assert.equal(response.headers.get('cache-control'), 'public, max-age=60');
+  assert.equal((await sharp(Buffer.from(await response.arrayBuffer())).metadata()).format, 'webp');
+
+  const etag = response.headers.get('etag');
+  const notModified = await fetch(`${server.baseUrl}/hillshade/southeast/12/2048/2048.webp`, { headers: { 'If-None-Match': etag } });
+  assert.equal(notModified.status, 304);
+});
+
+test('GET /hillshade answers tiles outside the bounds, below the minzoom or unknown', async () => {
+  assert.equal((await fetch(`${server.baseUrl}/hillshade/southeast/12/100/100.png`)).status, 204);
+  assert.equal((await fetch(`${server.baseUrl}/hillshade/southeast/7/64/64.png`)).status, 404);
+  assert.equal((await fetch(`${server.baseUrl}/hillshade/dem/12/4096/0.png`)).status, 400);
+  assert.equal((await fetch(`${server.baseUrl}/hillshade/missing/12/2048/2048.png`)).status, 404);
+});
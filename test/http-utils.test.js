@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { gunzipSync, brotliDecompressSync, gzipSync } from 'zlib';
+import { negotiateEncoding, createETag, etagMatches, encodeGzippedBody } from '../src/http-utils.js';
+import { startServer, startDemServer } from './helpers.js';
+
+const TILE = '12/2048/2048';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  server = await startServer({
+    cacheControl: 'public, max-age=600',
+    sources: { dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// A GET request with exactly the given headers, returning the raw body (fetch would add and
+// decode content codings by itself)
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`${server.baseUrl}${path}`, { headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+test('negotiateEncoding prefers br, then gzip, within the qualities of the client', () => {
+  assert.equal(negotiateEncoding(undefined), 'identity');
+  assert.equal(negotiateEncoding(''), 'identity');
+  assert.equal(negotiateEncoding('gzip, deflate, br'), 'br');
+  assert.equal(negotiateEncoding('gzip, br;q=0.5'), 'gzip');
+  assert.equal(negotiateEncoding('deflate'), 'identity');
+  assert.equal(negotiateEncoding('*'), 'br');
+  assert.equal(negotiateEncoding('GZIP;Q=0.8, identity;q=0.1'), 'gzip');
+  assert.equal(negotiateEncoding('identity;q=0'), null);
+  assert.equal(negotiateEncoding('*;q=0'), null);
+  assert.equal(negotiateEncoding('*;q=0, gzip'), 'gzip');
+});
+
+test('createETag depends on the options, the content and the coding', () => {
+  const etag = createETag('key', Buffer.from('tile'), 'gzip');
+  assert.match(etag, /^"[0-9a-f]{24}-gzip"$/);
+  assert.equal(createETag('key', Buffer.from('tile'), 'gzip'), etag);
+  assert.notEqual(createETag('other', Buffer.from('tile'), 'gzip'), etag);
+  assert.notEqual(createETag('key', Buffer.from('tile 2'), 'gzip'), etag);
+  assert.notEqual(createETag('key', Buffer.from('tile'), 'br'), etag);
+});
+
+test('etagMatches uses the weak comparison of If-None-Match', () => {
+  const etag = '"abc-gzip"';
+  assert.ok(!etagMatches(undefined, etag));
+  assert.ok(etagMatches('"abc-gzip"', etag));
+  assert.ok(etagMatches('W/"abc-gzip"', etag));
+  assert.ok(etagMatches('"other", "abc-gzip"', etag));
+  assert.ok(etagMatches('*', etag));
+  assert.ok(!etagMatches('"abc-br"', etag));
+});
+
+test('encodeGzippedBody re-encodes gzipped bodies', async () => {
+  const gzipped = gzipSync('tile');
+  assert.equal(await encodeGzippedBody(gzipped, 'gzip'), gzipped);
+  assert.equal((await encodeGzippedBody(gzipped, 'identity')).toString(), 'tile');
+  assert.equal(brotliDecompressSync(await encodeGzippedBody(gzipped, 'br')).toString(), 'tile');
+});
+
+test('contour tiles are sent in the negotiated coding with caching headers', async () => {
+  const gzip = await get(`/contours/dem/${TILE}.pbf`, { 'Accept-Encoding': 'gzip' });
+  assert.equal(gzip.status, 200);
+  assert.equal(gzip.headers['content-encoding'], 'gzip');
+  assert.equal(gzip.headers.vary, 'Accept-Encoding');
+  assert.equal(gzip.headers['cache-control'], 'public, max-age=600');
+  assert.equal(gzip.headers['content-type'], 'application/x-protobuf');
+  const tile = gunzipSync(gzip.body);
+
+  const br = await get(`/contours/dem/${TILE}.pbf`, { 'Accept-Encoding': 'br, gzip' });
+  assert.equal(br.headers['content-encoding'], 'br');
+  assert.deepEqual(brotliDecompressSync(br.body), tile);
+  assert.notEqual(br.headers.etag, gzip.headers.etag, 'each coding has its own ETag');
+
+  const identity = await get(`/contours/dem/${TILE}.pbf`);
+  assert.equal(identity.headers['content-encoding'], undefined);
+  assert.deepEqual(identity.body, tile);
+
+  const refused = await get(`/contours/dem/${TILE}.pbf`, { 'Accept-Encoding': 'identity;q=0' });
+  assert.equal(refused.status, 406);
+});
+
+test('conditional requests of a current tile get a 304', async () => {
+  const { headers } = await get(`/contours/dem/${TILE}.pbf`, { 'Accept-Encoding': 'gzip' });
+  const notModified = await get(`/contours/dem/${TILE}.pbf`, { 'Accept-Encoding': 'gzip', 'If-None-Match': headers.etag });
+  assert.equal(notModified.status, 304);
+  assert.equal(notModified.headers.etag, headers.etag);
+  assert.equal(notModified.body.length, 0);
+
+  const otherCoding = await get(`/contours/dem/${TILE}.pbf`, { 'Accept-Encoding': 'br', 'If-None-Match': headers.etag });
+  assert.equal(otherCoding.status, 200);
+});
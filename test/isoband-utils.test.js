@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBandOptionsForZoom, generateIsobands } from '../src/isoband-utils.js';
+import { validateConfig } from '../src/config-utils.js';
+import { startServer, startDemServer, readLayerProperties } from './helpers.js';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  const source = { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 };
+  server = await startServer({
+    sources: {
+      banded: { ...source, bands: { breaks: [1000, 1500, 2000, 3000] } },
+      tinted: { ...source, bands: { breaks: { 12: [0, 2000, 9000] }, layer: 'tint', minKey: 'lo', maxKey: 'hi' } },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// A height tile of `size` pixels whose pixels beyond the edges repeat those of the edges
+function createTile(size, getElevation) {
+  const clamp = (value) => Math.max(0, Math.min(size - 1, value));
+  return { width: size, height: size, get: (x, y) => getElevation(clamp(x), clamp(y)) };
+}
+
+// Signed area of a ring, positive when it is clockwise with y down
+function getRingArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 2; i += 2) {
+    area += ring[i] * ring[i + 3] - ring[i + 2] * ring[i + 1];
+  }
+  return area / 2;
+}
+
+test('getBandOptionsForZoom resolves the breaks of a zoom', () => {
+  const options = { layer: 'bands', minKey: 'min_ele', maxKey: 'max_ele' };
+  assert.deepEqual(getBandOptionsForZoom({ ...options, breaks: [0, 100] }, 3), { ...options, breaks: [0, 100] });
+  const byZoom = { ...options, breaks: { 8: [0, 500, 1000], 12: [0, 100] } };
+  assert.equal(getBandOptionsForZoom(byZoom, 7), undefined);
+  assert.deepEqual(getBandOptionsForZoom(byZoom, 10).breaks, [0, 500, 1000]);
+  assert.deepEqual(getBandOptionsForZoom(byZoom, 14).breaks, [0, 100]);
+  assert.equal(getBandOptionsForZoom(undefined, 10), undefined);
+});
+
+test('generateIsobands covers the tile with the band of a flat DEM, and nothing with the others', () => {
+  const flat = createTile(3, () => 50);
+  assert.deepEqual(generateIsobands([0, 100, 200], flat, 4096, 0), [[[0, 0, 4096, 0, 4096, 4096, 0, 4096, 0, 0]], []]);
+  assert.deepEqual(generateIsobands([0, 100], flat, 4096, 1), [[[-2048, -2048, 6144, -2048, 6144, 6144, -2048, 6144, -2048, -2048]]], 'bands extend into the buffer');
+});
+
+test('generateIsobands encloses bands clockwise with their holes counterclockwise', () => {
+  // A single high pixel in the middle of a 4 x 4 pixel tile, crossing 100 at (100 - 10) / 190 of a pixel
+  const tile = createTile(5, (x, y) => (x === 2 && y === 2 ? 200 : 10));
+  const [lower, upper] = generateIsobands([0, 100, 300], tile, 4096, 0);
+  const diamond = [2048, 1509, 1509, 2048, 2048, 2587, 2587, 2048, 2048, 1509];
+  assert.deepEqual(lower, [[0, 0, 4096, 0, 4096, 4096, 0, 4096, 0, 0], diamond]);
+  assert.ok(getRingArea(lower[0]) > 0);
+  assert.ok(getRingArea(lower[1]) < 0);
+  assert.equal(upper.length, 1);
+  assert.equal(getRingArea(upper[0]), -getRingArea(lower[1]), 'the hole of the lower band is the upper band');
+});
+
+test('generateIsobands leaves out the pixels without data', () => {
+  const tile = createTile(3, (x) => (x === 0 ? NaN : 50));
+  assert.deepEqual(generateIsobands([0, 100], tile, 4096, 0), [[[2048, 0, 4096, 0, 4096, 4096, 2048, 4096, 2048, 0]]]);
+});
+
+test('validateConfig rejects invalid band options', () => {
+  const DEM = { tiles: 'https://example.com/{z}/{x}/{y}.png', encoding: 'terrarium' };
+  const invalid = [
+    [[0, 100], /bands must be an object/],
+    [{ breaks: [0, 100], color: 'red' }, /unknown option "color"/],
+    [{ breaks: [100] }, /bands.breaks must be an array of 2 to 100 increasing numbers/],
+    [{ breaks: [100, 0] }, /bands.breaks must be an array of 2 to 100 increasing numbers/],
+    [{ breaks: { 10: [0, 'high'] } }, /bands.breaks.10 must be an array/],
+    [{ breaks: { high: [0, 100] } }, /keys must be zoom levels/],
+    [{ breaks: 100 }, /must be an array of elevations, or arrays of elevations by zoom/],
+    [{ breaks: [0, 100], layer: 'my layer' }, /bands.layer must be a valid layer name/],
+    [{ breaks: [0, 100], minKey: 'ele', maxKey: 'ele' }, /must be different/],
+    [{ breaks: [0, 100], layer: 'contours' }, /already the contour layer/],
+  ];
+  for (const [bands, error] of invalid) {
+    assert.throws(() => validateConfig({ sources: { dem: { ...DEM, bands } } }), error);
+  }
+});
+
+test('contour tiles have a band layer next to the contour lines', async () => {
+  const response = await fetch(`${server.baseUrl}/contours/banded/12/2048/2048.pbf`);
+  assert.equal(response.status, 200);
+  const tile = new Uint8Array(await response.arrayBuffer());
+  assert.ok(readLayerProperties(tile, 'contours').length > 0);
+  // The tile goes from 1000 m up to about 2500 m
+  const bands = readLayerProperties(tile, 'bands').map((properties) => [properties.min_ele, properties.max_ele]);
+  assert.deepEqual(bands, [[1000, 1500], [1500, 2000], [2000, 3000]]);
+});
+
+test('band layers take their name, keys and breaks by zoom from the source', async () => {
+  const tile = new Uint8Array(await (await fetch(`${server.baseUrl}/contours/tinted/12/2048/2048.pbf`)).arrayBuffer());
+  assert.deepEqual(readLayerProperties(tile, 'tint'), [{ lo: 0, hi: 2000 }, { lo: 2000, hi: 9000 }]);
+  const lower = new Uint8Array(await (await fetch(`${server.baseUrl}/contours/tinted/11/1024/1024.pbf`)).arrayBuffer());
+  assert.deepEqual(readLayerProperties(lower, 'tint'), []);
+
+  const tileJSON = await (await fetch(`${server.baseUrl}/contours/tinted.json`)).json();
+  const layer = tileJSON.vector_layers.find(({ id }) => id === 'tint');
+  assert.equal(layer.minzoom, 12);
+  assert.deepEqual(layer.fields, { lo: 'Number', hi: 'Number' });
+});
@@ -0,0 +1,78 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { gzipSync, gunzipSync } from 'zlib';
+import { MBTilesWriter, openMBTiles, closeMBTiles, getMBTilesTile } from '../src/mbtiles-utils.js';
+import { makeTempDir } from './helpers.js';
+
+const FINALIZE_OPTIONS = { bounds: [5, 45, 11, 48], minzoom: 8, maxzoom: 10, metadata: { name: 'test' } };
+
+let tmp;
+let out;
+
+beforeEach(() => {
+  tmp = makeTempDir('contour-mbtiles-test-');
+  out = path.join(tmp.dir, 'out.mbtiles');
+});
+
+afterEach(() => tmp.remove());
+
+// Read the tiles of a file back, gunzipped
+async function readMBTiles(tiles) {
+  const { handle, metadata } = await openMBTiles(`mbtiles://${out}`);
+  try {
+    const result = {};
+    for (const [z, x, y] of tiles) {
+      const { data } = await getMBTilesTile(handle, z, x, y);
+      result[`${z}/${x}/${y}`] = data && gunzipSync(data).toString();
+    }
+    return { tiles: result, metadata };
+  } finally {
+    await closeMBTiles(handle);
+  }
+}
+
+test('MBTilesWriter writes the tiles and the metadata', async () => {
+  const writer = await MBTilesWriter.open(out);
+  await writer.putTile(8, 133, 90, gzipSync('tile a'));
+  await writer.putTile(10, 535, 360, gzipSync('tile b'));
+  await writer.putTile(10, 536, 360, Buffer.alloc(0));
+  assert.ok(await writer.has(10, 536, 360), 'empty tiles are recorded');
+  await writer.finalize(FINALIZE_OPTIONS);
+  assert.ok(!fs.existsSync(`${out}.journal`), 'the journal is removed');
+
+  const { tiles, metadata } = await readMBTiles([[8, 133, 90], [10, 535, 360], [10, 536, 360]]);
+  assert.deepEqual(tiles, { '8/133/90': 'tile a', '10/535/360': 'tile b', '10/536/360': undefined });
+  assert.deepEqual(metadata, { format: 'pbf', bounds: [5, 45, 11, 48], minzoom: 8, maxzoom: 10, center: [8, 46.5, 8] });
+});
+
+test('MBTilesWriter resumes with the tiles and the empty tiles of an interrupted run', async () => {
+  const first = await MBTilesWriter.open(out);
+  await first.putTile(10, 1, 1, gzipSync('first'));
+  await first.putTile(10, 1, 2, Buffer.alloc(0));
+  await first.close();
+
+  const resumed = await MBTilesWriter.open(out);
+  assert.equal(resumed.resumedTiles, 1);
+  assert.ok(await resumed.has(10, 1, 1));
+  assert.ok(await resumed.has(10, 1, 2));
+  assert.ok(!(await resumed.has(10, 1, 3)));
+  await resumed.putTile(10, 1, 3, gzipSync('second'));
+  await resumed.finalize(FINALIZE_OPTIONS);
+
+  const { tiles } = await readMBTiles([[10, 1, 1], [10, 1, 3]]);
+  assert.deepEqual(tiles, { '10/1/1': 'first', '10/1/3': 'second' });
+});
+
+test('MBTilesWriter starts over with overwrite', async () => {
+  const first = await MBTilesWriter.open(out);
+  await first.putTile(10, 1, 1, gzipSync('first'));
+  await first.putTile(10, 1, 2, Buffer.alloc(0));
+  await first.close();
+
+  const writer = await MBTilesWriter.open(out, { overwrite: true });
+  assert.equal(writer.resumedTiles, 0);
+  assert.ok(!(await writer.has(10, 1, 1)));
+  await writer.close();
+});
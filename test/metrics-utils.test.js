@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Counter, Gauge, Histogram, instrumentDemManager, demFetchSeconds, demFetchFailuresTotal, renderMetrics } from '../src/metrics-utils.js';
+
+test('Counter keeps a series per label values and escapes them', () => {
+  const counter = new Counter('test_requests_total', 'Test requests.', ['source', 'status']);
+  counter.inc({ source: 'dem', status: 200 });
+  counter.inc({ source: 'dem', status: 200 }, 2);
+  counter.inc({ source: 'say "hi"\n', status: 500 });
+  assert.equal(counter.sum({ source: 'dem' }), 3);
+  assert.equal(counter.sum({ status: '500' }), 1);
+  assert.equal(counter.render(), [
+    '# HELP test_requests_total Test requests.',
+    '# TYPE test_requests_total counter',
+    'test_requests_total{source="dem",status="200"} 3',
+    'test_requests_total{source="say \\"hi\\"\\n",status="500"} 1',
+  ].join('\n'));
+});
+
+test('Gauge goes up and down, and collects its value before rendering', () => {
+  const gauge = new Gauge('test_in_flight', 'Test gauge.', ['endpoint']);
+  gauge.inc({ endpoint: 'contours' }, 3);
+  gauge.dec({ endpoint: 'contours' });
+  assert.equal(gauge.sum({ endpoint: 'contours' }), 2);
+
+  let collected = 0;
+  const collectedGauge = new Gauge('test_collected', 'Test collected gauge.', [], function () {
+    this.set({}, ++collected);
+  });
+  assert.match(collectedGauge.render(), /^test_collected 1$/m);
+  assert.match(renderMetrics(), /^test_collected 2$/m);
+});
+
+test('Histogram counts observations in cumulative buckets', () => {
+  const histogram = new Histogram('test_seconds', 'Test histogram.', ['source'], [0.1, 1]);
+  for (const value of [0.05, 0.5, 5]) histogram.observe({ source: 'dem' }, value);
+  assert.equal(histogram.sum({ source: 'dem' }), 3);
+  assert.equal(histogram.render(), [
+    '# HELP test_seconds Test histogram.',
+    '# TYPE test_seconds histogram',
+    'test_seconds_bucket{source="dem",le="0.1"} 1',
+    'test_seconds_bucket{source="dem",le="1"} 2',
+    'test_seconds_bucket{source="dem",le="+Inf"} 3',
+    'test_seconds_sum{source="dem"} 5.55',
+    'test_seconds_count{source="dem"} 3',
+  ].join('\n'));
+
+  const stopTimer = histogram.startTimer({ source: 'timed' });
+  assert.ok(stopTimer() >= 0);
+  assert.equal(histogram.sum({ source: 'timed' }), 1);
+});
+
+test('instrumentDemManager times the fetches and counts the failures of every source reading the DEM', async () => {
+  const manager = {
+    getTile: async (url) => {
+      if (url.includes('missing')) throw new Error('not found');
+      return { data: url };
+    },
+  };
+  const sources = new Set(['a', 'b']);
+  instrumentDemManager(manager, () => sources, 'test');
+
+  assert.deepEqual(await manager.getTile('tile'), { data: 'tile' });
+  await assert.rejects(manager.getTile('missing'), /not found/);
+  const aborted = new AbortController();
+  aborted.abort();
+  await assert.rejects(manager.getTile('missing', aborted));
+
+  for (const source of sources) {
+    assert.equal(demFetchSeconds.sum({ source, backend: 'test' }), 3);
+    assert.equal(demFetchFailuresTotal.sum({ source, backend: 'test' }), 1, 'aborted fetches are not failures');
+  }
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, startDemServer } from './helpers.js';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  server = await startServer({
+    sources: {
+      dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 },
+      // Shares the DEM of "dem"
+      feet: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12, contours: { multiplier: 3.28084 } },
+      // Nothing listens on port 9, so every DEM fetch fails
+      broken: { tiles: 'http://127.0.0.1:9/{z}/{x}/{y}.png', encoding: 'terrarium', maxzoom: 12, http: { retries: 0 } },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// The value of a metric series, 0 if it doesn't exist yet
+async function getMetric(series) {
+  const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+  const line = metrics.split('\n').find((metricLine) => metricLine.startsWith(`${series} `));
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+test('GET /metrics exports the metrics in the Prometheus text format', async () => {
+  const response = await fetch(`${server.baseUrl}/metrics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  const metrics = await response.text();
+  assert.match(metrics, /^# TYPE contour_server_tile_generation_seconds histogram$/m);
+  assert.match(metrics, /^process_start_time_seconds \d+/m);
+});
+
+test('contour tiles are counted and timed', async () => {
+  const requests = await getMetric('contour_server_requests_total{source="dem",endpoint="contours",status="200"}');
+  const generated = await getMetric('contour_server_tile_generation_seconds_count{source="dem",type="contours"}');
+  const response = await fetch(`${server.baseUrl}/contours/dem/12/2048/2047.pbf`);
+  assert.equal(response.status, 200);
+  await response.arrayBuffer();
+  assert.equal(await getMetric('contour_server_requests_total{source="dem",endpoint="contours",status="200"}'), requests + 1);
+  assert.equal(await getMetric('contour_server_tile_generation_seconds_count{source="dem",type="contours"}'), generated + 1);
+});
+
+test('contour tiles that fail are timed and their DEM fetches counted as failed', async () => {
+  const generated = await getMetric('contour_server_tile_generation_seconds_count{source="broken",type="contours"}');
+  const response = await fetch(`${server.baseUrl}/contours/broken/12/2048/2048.pbf`);
+  assert.equal(response.status, 500);
+  assert.equal(await getMetric('contour_server_tile_generation_seconds_count{source="broken",type="contours"}'), generated + 1);
+  assert.ok(await getMetric('contour_server_dem_fetch_failures_total{source="broken",backend="http"}') > 0);
+});
+
+test('the DEM fetches of a shared DEM are counted for every source reading it', async () => {
+  const series = (source) => `contour_server_dem_fetch_seconds_count{source="${source}",backend="http"}`;
+  const fetches = { dem: await getMetric(series('dem')), feet: await getMetric(series('feet')) };
+  const response = await fetch(`${server.baseUrl}/contours/feet/12/2051/2051.pbf`);
+  assert.equal(response.status, 200);
+  await response.arrayBuffer();
+  // The tile and its 8 neighbours
+  assert.equal(await getMetric(series('feet')), fetches.feet + 9);
+  assert.equal(await getMetric(series('dem')), fetches.dem + 9);
+});
@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import {
+  getDemEncoding,
+  encodeElevationRGB,
+  decodeFloat32Tile,
+  GetImageData,
+  createBlankTileImage,
+} from '../src/mlcontour-utils.js';
+import { startServer, startDemServer, getTestElevation, readLayerProperties } from './helpers.js';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer({ encoding: 'float32' });
+  server = await startServer({ sources: { float: { tiles: dem.tiles, encoding: 'float32', maxzoom: 12 } } });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// Decodes a one pixel RGB image with an encoding
+async function decodePixel([r, g, b], encoding) {
+  const png = await sharp(Buffer.from([r, g, b]), { raw: { width: 1, height: 1, channels: 3 } }).png().toBuffer();
+  const { data } = await GetImageData(new Blob([png]), encoding);
+  return data[0];
+}
+
+test('getDemEncoding resolves the presets and the defaults of custom encodings', () => {
+  assert.deepEqual(getDemEncoding({ encoding: 'mapbox' }), { type: 'rgb', redFactor: 6553.6, greenFactor: 25.6, blueFactor: 0.1, baseShift: 10000 });
+  assert.deepEqual(getDemEncoding({ encoding: 'custom', interval: 0.01, baseShift: 500 }), {
+    type: 'rgb',
+    redFactor: 655.36,
+    greenFactor: 2.56,
+    blueFactor: 0.01,
+    baseShift: 500,
+  });
+  assert.equal(getDemEncoding({ encoding: 'custom', redFactor: 100 }).redFactor, 100);
+  assert.deepEqual(getDemEncoding({ encoding: 'float32' }), { type: 'float32' });
+});
+
+test('encodeElevationRGB is the inverse of decoding', async () => {
+  const encodings = [
+    getDemEncoding({ encoding: 'terrarium' }),
+    getDemEncoding({ encoding: 'mapbox' }),
+    getDemEncoding({ encoding: 'custom', interval: 0.01, baseShift: 1000 }),
+  ];
+  for (const encoding of encodings) {
+    for (const elevation of [-412.5, 0, 1234.5, 8848]) {
+      const decoded = await decodePixel(encodeElevationRGB(elevation, encoding), encoding);
+      assert.ok(Math.abs(decoded - elevation) <= encoding.blueFactor / 2 + 1e-6, `${elevation} decoded as ${decoded}`);
+    }
+  }
+});
+
+test('decodeFloat32Tile reads square grids of little-endian floats', () => {
+  const buffer = Buffer.alloc(16);
+  [1.5, -2, 1000.25, 8848].forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  const tile = decodeFloat32Tile(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + 16));
+  assert.equal(tile.width, 2);
+  assert.deepEqual([...tile.data], [1.5, -2, 1000.25, 8848]);
+  assert.throws(() => decodeFloat32Tile(new ArrayBuffer(12)), /Invalid float32 DEM tile of 12 bytes/);
+});
+
+test('createBlankTileImage encodes the elevation in the encoding of the source', async () => {
+  const float32 = await createBlankTileImage(2, 2, 150.5, 'float32', 'png');
+  assert.equal(float32.length, 16);
+  assert.equal(float32.readFloatLE(12), 150.5);
+
+  const encoding = getDemEncoding({ encoding: 'custom', interval: 0.5 });
+  const png = await createBlankTileImage(2, 2, 150.5, encoding, 'png');
+  const { data } = await GetImageData(new Blob([png]), encoding);
+  assert.deepEqual([...data], [150.5, 150.5, 150.5, 150.5]);
+});
+
+test('float32 sources serve contours and elevations', async () => {
+  const response = await fetch(`${server.baseUrl}/contours/float/12/2048/2048.pbf`);
+  assert.equal(response.status, 200);
+  assert.ok(readLayerProperties(new Uint8Array(await response.arrayBuffer()), 'contours').length > 0);
+
+  const { elevation } = await (await fetch(`${server.baseUrl}/elevation/float?lon=0&lat=0`)).json();
+  assert.ok(Math.abs(elevation - getTestElevation(0.5, 0.5)) < 1, `${elevation}`);
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseContourOverrides } from '../src/config-utils.js';
+import { startServer, startDemServer, readLayerProperties } from './helpers.js';
+
+const TILE = '12/2048/2048';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  server = await startServer({
+    sources: {
+      dem: {
+        tiles: dem.tiles,
+        encoding: 'terrarium',
+        maxzoom: 12,
+        overrides: { levels: { maxCount: 2 }, contourLayer: true, elevationKey: true },
+      },
+      fixed: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+test('parseContourOverrides parses the allowed overrides within their limits', () => {
+  const allowed = { levels: true, multiplier: { max: 10 }, extent: true, contourLayer: true };
+  assert.deepEqual(parseContourOverrides({}, allowed), {});
+  assert.deepEqual(
+    parseContourOverrides({ levels: '10,50', multiplier: '3.28084', extent: '512', contourLayer: 'contours_ft', other: 'x' }, allowed),
+    { levels: [10, 50], multiplier: 3.28084, extent: 512, contourLayer: 'contours_ft' }
+  );
+});
+
+test('parseContourOverrides rejects overrides that are not allowed or out of their limits', () => {
+  const allowed = { levels: { maxCount: 2 }, multiplier: { max: 10 }, extent: true, contourLayer: true };
+  const invalid = [
+    [{ buffer: '8' }, /Overriding "buffer" is not allowed/],
+    [{ levels: '10,50,100' }, /at most 2 values/],
+    [{ levels: '10,abc' }, /"levels" must be numbers of at least 1/],
+    [{ multiplier: '20' }, /"multiplier" must be a number between 0.001 and 10/],
+    [{ extent: '300.5' }, /"extent" must be an integer/],
+    [{ contourLayer: '1layer' }, /"contourLayer" must start with a letter/],
+    [{ contourLayer: ['a', 'b'] }, /"contourLayer" must be given once/],
+  ];
+  for (const [query, message] of invalid) {
+    assert.throws(() => parseContourOverrides(query, allowed), message);
+  }
+});
+
+test('parseContourOverrides rejects names already used by the other layers and fields of the source', () => {
+  const allowed = { contourLayer: true, elevationKey: true, levelKey: true };
+  const source = { bands: { breaks: [0, 1000] }, attributes: { properties: { unit: 'm' } } };
+  assert.throws(() => parseContourOverrides({ contourLayer: 'bands' }, allowed, source), /already the bands layer/);
+  assert.throws(() => parseContourOverrides({ elevationKey: 'level' }, allowed, source), /must be different/);
+  assert.throws(() => parseContourOverrides({ levelKey: 'unit' }, allowed, source), /already a field of the contours/);
+  assert.deepEqual(parseContourOverrides({ contourLayer: 'lines' }, allowed, source), { contourLayer: 'lines' });
+});
+
+test('contour tiles apply the overrides of the query string', async () => {
+  const response = await fetch(`${server.baseUrl}/contours/dem/${TILE}.pbf?levels=100&contourLayer=lines&elevationKey=height`);
+  assert.equal(response.status, 200);
+  const tile = new Uint8Array(await response.arrayBuffer());
+  assert.deepEqual(readLayerProperties(tile, 'contours'), []);
+  const features = readLayerProperties(tile, 'lines');
+  assert.ok(features.length > 0);
+  assert.ok(features.every(({ height }) => height % 100 === 0));
+});
+
+test('contour tiles and TileJSON reject overrides the source does not allow', async () => {
+  for (const url of [`/contours/fixed/${TILE}.pbf?levels=100`, `/contours/dem/${TILE}.pbf?levels=10,20,50`, '/contours/fixed.json?levels=100']) {
+    const response = await fetch(`${server.baseUrl}${url}`);
+    assert.equal(response.status, 400, url);
+    assert.ok((await response.json()).error);
+  }
+});
@@ -0,0 +1,153 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { writeArrayBuffer } from 'geotiff';
+import { getPeakOptionsForZoom, findPeaks } from '../src/peak-utils.js';
+import { validateConfig } from '../src/config-utils.js';
+import { makeTempDir, startServer, readLayerProperties } from './helpers.js';
+
+const SIZE = 16;
+
+// Two cones of `[x, y, height]` in the pixels of a 16 pixel tile
+const HILLS = [[4, 4, 500], [11, 11, 300]];
+
+// A height tile with its neighbours around it, as HeightTile.combineNeighbors returns them
+function createTile(getElevation) {
+  return { width: SIZE, height: SIZE, get: getElevation };
+}
+
+function getHillsElevation(hills) {
+  return (x, y) => Math.max(0, ...hills.map(([hx, hy, height]) => height - 50 * Math.hypot(x - hx, y - hy)));
+}
+
+// The tile coordinates of the centre of a pixel of a 16 pixel tile
+const toTile = (pixel) => ((pixel + 0.5) * 4096) / SIZE;
+
+let tmp;
+let server;
+
+// A 0.2° square south-east of the null island at 0.001° per pixel, with a high hill in its middle
+// and a lower one in its bottom right corner
+function writeHillsCOG(filePath) {
+  const width = 200;
+  const values = new Float32Array(width * width);
+  for (let row = 0; row < width; row++) {
+    for (let column = 0; column < width; column++) {
+      values[row * width + column] = 500 + getHillsElevation([[50, 50, 1500], [150, 150, 700]])(column, row);
+    }
+  }
+  const tiff = writeArrayBuffer(values, {
+    width,
+    height: width,
+    ModelPixelScale: [0.001, 0.001, 0],
+    ModelTiepoint: [0, 0, 0, 0, 0, 0],
+    GeographicTypeGeoKey: 4326,
+    GTModelTypeGeoKey: 2,
+  });
+  fs.writeFileSync(filePath, Buffer.from(tiff));
+}
+
+before(async () => {
+  tmp = makeTempDir('contour-peaks-test-');
+  const cogPath = path.join(tmp.dir, 'hills.tif');
+  writeHillsCOG(cogPath);
+  const source = { tiles: `cog://${cogPath}` };
+  server = await startServer({
+    sources: {
+      hills: { ...source, peaks: { prominence: 300, round: 100 } },
+      summits: { ...source, peaks: { prominence: { 11: 1000 }, layer: 'summits', elevationKey: 'height' } },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  tmp?.remove();
+});
+
+test('getPeakOptionsForZoom resolves the prominence of a zoom', () => {
+  const options = { layer: 'peaks', isolation: 32, round: 1 };
+  assert.deepEqual(getPeakOptionsForZoom({ ...options, prominence: 100 }, 3), { ...options, prominence: 100 });
+  const byZoom = { ...options, prominence: { 8: 500, 12: 100 } };
+  assert.equal(getPeakOptionsForZoom(byZoom, 7), undefined);
+  assert.equal(getPeakOptionsForZoom(byZoom, 10).prominence, 500);
+  assert.equal(getPeakOptionsForZoom(byZoom, 14).prominence, 100);
+  assert.equal(getPeakOptionsForZoom(undefined, 10), undefined);
+});
+
+test('findPeaks finds the summits rising the prominence above their col, highest first', () => {
+  const tile = createTile(getHillsElevation(HILLS));
+  const options = { isolation: 32 };
+  assert.deepEqual(findPeaks(tile, { ...options, prominence: 100 }, 4096), [
+    { x: toTile(4), y: toTile(4), ele: 500 },
+    { x: toTile(11), y: toTile(11), ele: 300 },
+  ]);
+  // The col between the hills is at 0, the higher hill has no higher ground around
+  assert.deepEqual(findPeaks(tile, { ...options, prominence: 400 }, 4096).map(({ ele }) => ele), [500]);
+  assert.deepEqual(findPeaks(tile, { ...options, prominence: 100, multiplier: 2 }, 4096).map(({ ele }) => ele), [1000, 600]);
+});
+
+test('findPeaks only keeps summits without higher ground within the isolation', () => {
+  const tile = createTile(getHillsElevation(HILLS));
+  // The nearest ground above the lower summit is 6.4 pixels away, 102 pixels of a 256 pixel tile
+  assert.deepEqual(findPeaks(tile, { prominence: 0, isolation: 100 }, 4096).map(({ ele }) => ele), [500, 300]);
+  assert.deepEqual(findPeaks(tile, { prominence: 0, isolation: 128 }, 4096).map(({ ele }) => ele), [500]);
+});
+
+test('findPeaks decides from the neighbouring tiles, and keeps one pixel of a flat summit', () => {
+  // A higher hill just across the left edge of the tile
+  const neighbour = createTile(getHillsElevation([...HILLS, [-2, 4, 800]]));
+  assert.deepEqual(findPeaks(neighbour, { prominence: 100, isolation: 32 }, 4096).map(({ ele }) => ele), [300]);
+
+  const plateau = createTile((x, y) => (x >= 7 && x <= 8 && y === 7 ? 100 : 0));
+  assert.deepEqual(findPeaks(plateau, { prominence: 50, isolation: 32 }, 4096), [{ x: toTile(7), y: toTile(7), ele: 100 }]);
+
+  assert.deepEqual(findPeaks(createTile(() => NaN), { prominence: 0, isolation: 32 }, 4096), []);
+});
+
+test('validateConfig rejects invalid peak options', () => {
+  const DEM = { tiles: 'https://example.com/{z}/{x}/{y}.png', encoding: 'terrarium' };
+  const invalid = [
+    [100, /peaks must be an object/],
+    [{ prominence: 100, radius: 10 }, /unknown option "radius"/],
+    [{}, /prominence must be a non-negative number, or numbers by zoom/],
+    [{ prominence: -1 }, /prominence must be a non-negative number/],
+    [{ prominence: {} }, /prominence must not be empty/],
+    [{ prominence: { high: 100 } }, /keys must be zoom levels/],
+    [{ prominence: { 10: '100' } }, /prominence.10 must be a non-negative number/],
+    [{ prominence: 100, elevationKey: 'a b' }, /peaks.elevationKey must be a valid field name/],
+    [{ prominence: 100, isolation: 300 }, /isolation must be a number of pixels between 0 and 256/],
+    [{ prominence: 100, round: 0 }, /round must be a positive number/],
+    [{ prominence: 100, layer: 'contours' }, /already the contour layer/],
+  ];
+  for (const [peaks, error] of invalid) {
+    assert.throws(() => validateConfig({ sources: { dem: { ...DEM, peaks } } }), error);
+  }
+  assert.throws(
+    () => validateConfig({ sources: { dem: { ...DEM, bands: { breaks: [0, 100] }, peaks: { prominence: 100, layer: 'bands' } } } }),
+    /already the bands layer/
+  );
+});
+
+test('contour tiles have a peak layer with the rounded elevations of the summits', async () => {
+  const response = await fetch(`${server.baseUrl}/contours/hills/11/1024/1024.pbf`);
+  assert.equal(response.status, 200);
+  const tile = new Uint8Array(await response.arrayBuffer());
+  assert.deepEqual(readLayerProperties(tile, 'peaks'), [{ ele: 2000 }, { ele: 1200 }]);
+  assert.ok(readLayerProperties(tile, 'contours').length > 0);
+});
+
+test('peak layers take their name, key and prominence by zoom from the source', async () => {
+  const tile = new Uint8Array(await (await fetch(`${server.baseUrl}/contours/summits/11/1024/1024.pbf`)).arrayBuffer());
+  const [summit] = readLayerProperties(tile, 'summits');
+  assert.ok(Math.abs(summit.height - 2000) < 20, `${summit.height}`);
+  assert.equal(readLayerProperties(tile, 'summits').length, 1);
+  const lower = new Uint8Array(await (await fetch(`${server.baseUrl}/contours/summits/10/512/512.pbf`)).arrayBuffer());
+  assert.deepEqual(readLayerProperties(lower, 'summits'), []);
+
+  const tileJSON = await (await fetch(`${server.baseUrl}/contours/summits.json`)).json();
+  const layer = tileJSON.vector_layers.find(({ id }) => id === 'summits');
+  assert.equal(layer.minzoom, 11);
+  assert.deepEqual(layer.fields, { height: 'Number' });
+});
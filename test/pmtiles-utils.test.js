@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { PMTilesWriter, openPMtiles, closePMtiles, getPMtilesMetadata } from '../src/pmtiles-utils.js';
+import { makeTempDir } from './helpers.js';
+
+const FINALIZE_OPTIONS = { bounds: [5, 45, 11, 48], minzoom: 8, maxzoom: 10, metadata: { name: 'test', vector_layers: [] } };
+
+let tmp;
+let out;
+
+beforeEach(() => {
+  tmp = makeTempDir('contour-pmtiles-test-');
+  out = path.join(tmp.dir, 'out.pmtiles');
+});
+
+afterEach(() => tmp.remove());
+
+// Read the tiles of an archive back with the pmtiles library, which decompresses them
+async function readArchive(tiles) {
+  const pmtiles = openPMtiles(out);
+  try {
+    const result = {};
+    for (const [z, x, y] of tiles) {
+      const tile = await pmtiles.getZxy(z, x, y);
+      result[`${z}/${x}/${y}`] = tile && Buffer.from(tile.data).toString();
+    }
+    return { tiles: result, metadata: await pmtiles.getMetadata(), coverage: await getPMtilesMetadata(pmtiles) };
+  } finally {
+    await closePMtiles(pmtiles);
+  }
+}
+
+test('PMTilesWriter writes a clustered archive the pmtiles library reads', async () => {
+  const writer = await PMTilesWriter.open(out);
+  const a = gzipSync('tile a');
+  const b = gzipSync('tile b');
+  await Promise.all([
+    writer.putTile(10, 535, 360, b),
+    writer.putTile(8, 133, 90, a),
+    writer.putTile(9, 267, 180, a),
+    writer.putTile(10, 536, 360, Buffer.alloc(0)),
+  ]);
+  assert.ok(writer.has(10, 536, 360), 'empty tiles are recorded');
+  const stats = await writer.finalize(FINALIZE_OPTIONS);
+  assert.deepEqual(stats, { addressedTiles: 3, tileContents: 2 });
+  assert.ok(!fs.existsSync(`${out}.journal`) && !fs.existsSync(`${out}.tiles.tmp`), 'the temporary files are removed');
+
+  const { tiles, metadata, coverage } = await readArchive([[8, 133, 90], [9, 267, 180], [10, 535, 360], [10, 536, 360]]);
+  assert.deepEqual(tiles, { '8/133/90': 'tile a', '9/267/180': 'tile a', '10/535/360': 'tile b', '10/536/360': undefined });
+  assert.deepEqual(metadata, FINALIZE_OPTIONS.metadata);
+  assert.deepEqual(coverage, { bounds: [5, 45, 11, 48], minzoom: 8, maxzoom: 10, center: [8, 46.5, 8] });
+});
+
+test('PMTilesWriter resumes from the journal of an interrupted run', async () => {
+  const first = await PMTilesWriter.open(out);
+  await first.putTile(10, 1, 1, gzipSync('first'));
+  await first.putTile(10, 1, 2, Buffer.alloc(0));
+  await first.close();
+  // A partially written journal line of the interrupted run is ignored
+  fs.appendFileSync(`${out}.journal`, '12345 0');
+
+  const resumed = await PMTilesWriter.open(out);
+  assert.equal(resumed.resumedTiles, 2);
+  assert.ok(resumed.has(10, 1, 1) && resumed.has(10, 1, 2));
+  assert.ok(!resumed.has(10, 1, 3));
+  await resumed.putTile(10, 1, 3, gzipSync('second'));
+  await resumed.finalize(FINALIZE_OPTIONS);
+
+  const { tiles } = await readArchive([[10, 1, 1], [10, 1, 3]]);
+  assert.deepEqual(tiles, { '10/1/1': 'first', '10/1/3': 'second' });
+});
+
+test('PMTilesWriter starts over with overwrite', async () => {
+  const first = await PMTilesWriter.open(out);
+  await first.putTile(10, 1, 1, gzipSync('first'));
+  await first.close();
+  const writer = await PMTilesWriter.open(out, { overwrite: true });
+  assert.equal(writer.resumedTiles, 0);
+  await writer.close();
+});
+
+test('PMTilesWriter keeps writing tiles after a failed write', async () => {
+  const writer = await PMTilesWriter.open(out);
+  const write = writer.dataHandle.write.bind(writer.dataHandle);
+  writer.dataHandle.write = async () => {
+    writer.dataHandle.write = write;
+    throw new Error('disk full');
+  };
+  const results = await Promise.allSettled([
+    writer.putTile(10, 1, 1, gzipSync('failed')),
+    writer.putTile(10, 1, 2, gzipSync('written')),
+  ]);
+  assert.deepEqual(results.map(({ status }) => status), ['rejected', 'fulfilled']);
+  assert.ok(!writer.has(10, 1, 1));
+  await writer.finalize(FINALIZE_OPTIONS);
+  const { tiles } = await readArchive([[10, 1, 1], [10, 1, 2]]);
+  assert.deepEqual(tiles, { '10/1/1': undefined, '10/1/2': 'written' });
+});
+
+test('PMTilesWriter moves large directories into leaf directories', async () => {
+  const writer = await PMTilesWriter.open(out);
+  // Tiles of varied sizes at scattered ids, so the directory doesn't compress into the root
+  const tiles = [];
+  let seed = 1;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let x = 0; x < 1024; x++) {
+    for (let y = 0; y < 1024; y++) {
+      if (random() < 0.012) tiles.push([10, x, y, `tile ${tiles.length} `.repeat(1 + Math.floor(random() * 200))]);
+    }
+  }
+  for (const [z, x, y, data] of tiles) {
+    writer.putTile(z, x, y, gzipSync(data));
+  }
+  await writer.finalize({ ...FINALIZE_OPTIONS, minzoom: 10, maxzoom: 10 });
+
+  const pmtiles = openPMtiles(out);
+  try {
+    assert.ok((await pmtiles.getHeader()).leafDirectoryLength > 0);
+    for (const [z, x, y, data] of [tiles[0], tiles[6789], tiles[tiles.length - 1]]) {
+      assert.equal(Buffer.from((await pmtiles.getZxy(z, x, y)).data).toString(), data);
+    }
+  } finally {
+    await closePMtiles(pmtiles);
+  }
+});
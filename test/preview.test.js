@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, startDemServer } from './helpers.js';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  const source = { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 };
+  server = await startServer({
+    sources: {
+      dem: {
+        ...source,
+        minzoom: 8,
+        contours: { thresholds: { 8: [100], 11: [20, 100] }, geometry: { 10: { simplify: 2 } } },
+        bands: { breaks: { 9: [0, 1000, 2000] } },
+        peaks: { prominence: 100 },
+      },
+      'a&b': source,
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// The base URL and source of a preview page
+async function fetchPreviewPage(path) {
+  const response = await fetch(`${server.baseUrl}${path}`);
+  const html = await response.text();
+  return {
+    response,
+    base: html.match(/<base href="([^"]*)">/)?.[1],
+    source: html.match(/data-source="([^"]*)"/)?.[1],
+  };
+}
+
+test('the preview page shows the first source at the root and a source under /preview', async () => {
+  const root = await fetchPreviewPage('/');
+  assert.equal(root.response.status, 200);
+  assert.match(root.response.headers.get('content-type'), /^text\/html/);
+  assert.equal(root.base, './');
+  assert.equal(root.source, '');
+
+  const page = await fetchPreviewPage('/preview/dem');
+  assert.equal(page.response.status, 200);
+  assert.equal(page.base, '../', 'the URLs of the page are relative to the server root');
+  assert.equal(page.source, 'dem');
+
+  assert.equal((await fetchPreviewPage('/preview/a%26b')).source, 'a&#38;b');
+  assert.equal((await fetch(`${server.baseUrl}/preview/missing`)).status, 404);
+});
+
+test('the preview assets and MapLibre GL JS are served locally', async () => {
+  for (const [asset, type] of [
+    ['preview.js', /javascript/],
+    ['preview.css', /css/],
+    ['maplibre-gl/maplibre-gl.js', /javascript/],
+    ['maplibre-gl/maplibre-gl.css', /css/],
+  ]) {
+    const response = await fetch(`${server.baseUrl}/preview/assets/${asset}`);
+    assert.equal(response.status, 200, asset);
+    assert.match(response.headers.get('content-type'), type, asset);
+    await response.arrayBuffer();
+  }
+});
+
+test('GET /preview/:source/options.json has the effective tile options of each zoom', async () => {
+  const response = await fetch(`${server.baseUrl}/preview/dem/options.json`);
+  assert.equal(response.status, 200);
+  const { source, minzoom, maxzoom, zooms } = await response.json();
+  assert.equal(source, 'dem');
+  assert.equal(minzoom, 8);
+  assert.ok(maxzoom >= 12);
+  assert.deepEqual(Object.keys(zooms).map(Number), Array.from({ length: maxzoom - minzoom + 1 }, (_, i) => minzoom + i));
+
+  assert.deepEqual(zooms[8].levels, [100]);
+  assert.equal(zooms[8].bands, undefined);
+  assert.equal(zooms[8].simplify, undefined);
+  assert.deepEqual(zooms[9].bands.breaks, [0, 1000, 2000]);
+  assert.equal(zooms[10].simplify, 2);
+  assert.deepEqual(zooms[11].levels, [20, 100]);
+  assert.equal(zooms[11].peaks.prominence, 100);
+  assert.equal(zooms[11].geometry, undefined, 'the geometry options are those of the zoom');
+
+  assert.equal((await fetch(`${server.baseUrl}/preview/missing/options.json`)).status, 404);
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startServer, startDemServer } from './helpers.js';
+
+let dem;
+
+before(async () => {
+  dem = await startDemServer();
+});
+
+after(async () => {
+  await dem?.close();
+});
+
+// How many times the server has written a line matching `pattern`
+function countOutput(server, pattern) {
+  return server.output().split('\n').filter((line) => pattern.test(line)).length;
+}
+
+// Waits until the server has written a line matching `pattern` more than `count` times
+async function waitForOutput(server, pattern, count = 0) {
+  const started = Date.now();
+  while (countOutput(server, pattern) <= count) {
+    if (Date.now() - started > 10000) {
+      throw new Error(`The server did not write ${pattern}:\n${server.output()}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+function writeConfig(server, config) {
+  fs.writeFileSync(path.join(server.dir, 'config.json'), typeof config === 'string' ? config : JSON.stringify(config));
+}
+
+// Reloads on SIGHUP, resolving once the reload has succeeded or failed
+const RELOAD_DONE = /Configuration reloaded|Error reloading config/;
+async function reload(server) {
+  const count = countOutput(server, RELOAD_DONE);
+  server.signal('SIGHUP');
+  await waitForOutput(server, RELOAD_DONE, count);
+}
+
+test('SIGHUP reloads the config, adding and removing sources', async () => {
+  const server = await startServer({ sources: { a: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } } });
+  try {
+    writeConfig(server, {
+      server: { watchConfig: false, port: Number(new URL(server.baseUrl).port) },
+      sources: { b: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 10 } },
+    });
+    await reload(server);
+    assert.match(server.output(), /\+ Added source: b/);
+    assert.match(server.output(), /✗ Removed source: a/);
+    assert.equal((await fetch(`${server.baseUrl}/contours/a.json`)).status, 404);
+    const response = await fetch(`${server.baseUrl}/contours/b.json`);
+    assert.equal(response.status, 200);
+    assert.match((await response.json()).tiles[0], /\/contours\/b\/\{z\}/);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('an invalid config is reported and the current one kept', async () => {
+  const server = await startServer({ sources: { a: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } } });
+  try {
+    writeConfig(server, { sources: { a: { tiles: dem.tiles, maxzoom: 12 } } });
+    await reload(server);
+    assert.match(server.output(), /Error reloading config, keeping the current configuration: Source "a" must specify encoding/);
+
+    writeConfig(server, '{ "sources": ');
+    await reload(server);
+    assert.equal(countOutput(server, /Error reloading config/), 2);
+
+    const response = await fetch(`${server.baseUrl}/contours/a/12/2048/2048.pbf`);
+    assert.equal(response.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('changes to the config file are reloaded when watchConfig is on', async () => {
+  const config = { server: { watchConfig: true }, sources: { a: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } } };
+  const server = await startServer(config);
+  try {
+    writeConfig(server, {
+      server: { port: Number(new URL(server.baseUrl).port) },
+      sources: { ...config.sources, b: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } },
+    });
+    await waitForOutput(server, /Configuration reloaded/);
+    assert.match(server.output(), /\(file changed\)/);
+    assert.doesNotMatch(server.output(), /Replaced source: a/, 'unchanged sources are kept');
+    assert.equal((await fetch(`${server.baseUrl}/contours/b.json`)).status, 200);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { gunzipSync } from 'zlib';
+import { openPMtiles, closePMtiles, getPMtilesMetadata } from '../src/pmtiles-utils.js';
+import { openMBTiles, closeMBTiles, getMBTilesTile } from '../src/mbtiles-utils.js';
+import { makeTempDir, startDemServer, readLayerProperties } from './helpers.js';
+
+const SERVER = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+let dem;
+let tmp;
+let configPath;
+
+before(async () => {
+  dem = await startDemServer();
+  tmp = makeTempDir('contour-seed-test-');
+  configPath = path.join(tmp.dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ sources: { dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } } }));
+});
+
+after(async () => {
+  await dem?.close();
+  tmp?.remove();
+});
+
+// Runs the seed command, resolving with its exit code and output. The DEM server runs in this
+// process, so the command must not block it.
+function seed(args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [SERVER, 'seed', configPath, ...args], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, NO_PROXY: '*' },
+    });
+    let output = '';
+    child.stdout.on('data', (chunk) => (output += chunk));
+    child.stderr.on('data', (chunk) => (output += chunk));
+    child.once('exit', (code) => resolve({ code, output }));
+  });
+}
+
+test('seed renders the tiles of a bbox into a PMTiles archive', async () => {
+  const out = path.join(tmp.dir, 'dem.pmtiles');
+  const { code, output } = await seed(['--source', 'dem', '--out', out, '--bbox', '0.01,-0.08,0.08,-0.01', '--minzoom', '11', '--maxzoom', '12']);
+  assert.equal(code, 0, output);
+  assert.match(output, /Seeding 2 tiles of dem/);
+
+  const pmtiles = openPMtiles(out);
+  try {
+    const header = await pmtiles.getHeader();
+    assert.equal(header.numAddressedTiles, 2);
+    assert.deepEqual(await getPMtilesMetadata(pmtiles), { bounds: [0.01, -0.08, 0.08, -0.01], minzoom: 11, maxzoom: 12, center: [0.045, -0.045, 11] });
+    const tile = await pmtiles.getZxy(12, 2048, 2048);
+    assert.ok(readLayerProperties(Buffer.from(tile.data), 'contours').length > 0);
+  } finally {
+    await closePMtiles(pmtiles);
+  }
+
+  // A second run finds every tile done
+  const resumed = await seed(['--source', 'dem', '--out', out, '--bbox', '0.01,-0.08,0.08,-0.01', '--minzoom', '11', '--maxzoom', '12']);
+  assert.equal(resumed.code, 0, resumed.output);
+});
+
+test('seed writes MBTiles archives', async () => {
+  const out = path.join(tmp.dir, 'dem.mbtiles');
+  const { code, output } = await seed(['--source', 'dem', '--out', out, '--bbox', '0.01,-0.08,0.08,-0.01', '--minzoom', '12', '--maxzoom', '12']);
+  assert.equal(code, 0, output);
+  const { handle } = await openMBTiles(`mbtiles://${out}`);
+  try {
+    const { data } = await getMBTilesTile(handle, 12, 2048, 2048);
+    assert.ok(readLayerProperties(gunzipSync(data), 'contours').length > 0);
+  } finally {
+    await closeMBTiles(handle);
+  }
+});
+
+test('seed rejects invalid arguments', async () => {
+  const missingOut = await seed(['--source', 'dem']);
+  assert.notEqual(missingOut.code, 0);
+  assert.match(missingOut.output, /--out is required/);
+  const unknownSource = await seed(['--source', 'missing', '--out', path.join(tmp.dir, 'x.pmtiles')]);
+  assert.notEqual(unknownSource.code, 0);
+  assert.match(unknownSource.output, /Source "missing" not found/);
+});
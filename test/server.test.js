@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = await startServer({
+    sources: {
+      // Never fetched: the requests tested here are answered before reading the DEM
+      dem: { tiles: 'http://127.0.0.1:9/{z}/{x}/{y}.png', encoding: 'terrarium', maxzoom: 12 },
+    },
+  });
+  baseUrl = server.baseUrl;
+});
+
+after(() => server?.stop());
+
+test('POST /profile answers a malformed body with a JSON 400', async () => {
+  const response = await fetch(`${baseUrl}/profile/dem`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"type": "LineString", "coordinates": [',
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.headers.get('content-type'), /^application\/json/);
+  const body = await response.json();
+  assert.equal(typeof body.error, 'string');
+  assert.ok(!body.error.includes('    at '), 'the error has no stack trace');
+});
+
+test('POST /profile answers a body over the size limit with a JSON 413', async () => {
+  const response = await fetch(`${baseUrl}/profile/dem`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'LineString', coordinates: [], padding: 'x'.repeat(3 * 1024 * 1024) }),
+  });
+  assert.equal(response.status, 413);
+  assert.equal(typeof (await response.json()).error, 'string');
+});
+
+test('GET /contours/:source.json returns the TileJSON of a source', async () => {
+  const response = await fetch(`${baseUrl}/contours/dem.json`);
+  assert.equal(response.status, 200);
+  const tileJSON = await response.json();
+  assert.deepEqual(tileJSON.tiles, [`${baseUrl}/contours/dem/{z}/{x}/{y}.pbf`]);
+  assert.equal(tileJSON.maxzoom, 16);
+  assert.equal(tileJSON.vector_layers[0].id, 'contours');
+});
+
+test('GET /contours/:source.json answers unknown sources with a 404 listing the sources', async () => {
+  const response = await fetch(`${baseUrl}/contours/missing.json`);
+  assert.equal(response.status, 404);
+  assert.deepEqual((await response.json()).available, ['dem']);
+});
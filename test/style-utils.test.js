@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStyleOptions, getRasterDemSource, createContourStyle } from '../src/style-utils.js';
+import { getContourOptions, getHttpSettings, validateConfig, DEFAULT_STYLE_SETTINGS } from '../src/config-utils.js';
+import { startServer, startDemServer } from './helpers.js';
+
+const TILES = 'https://dem.example.com/{z}/{x}/{y}.png';
+const GLYPHS = 'https://fonts.example.com/{fontstack}/{range}.pbf';
+
+let dem;
+let server;
+
+before(async () => {
+  dem = await startDemServer();
+  server = await startServer({
+    styles: { glyphs: GLYPHS, font: ['Noto Sans Regular'] },
+    sources: {
+      dem: {
+        tiles: dem.tiles,
+        encoding: 'terrarium',
+        maxzoom: 12,
+        contours: { thresholds: { 0: [100], 10: [20, 100] } },
+        bands: { breaks: [0, 1000, 2000] },
+        peaks: { prominence: { 12: 100 } },
+      },
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await dem?.close();
+});
+
+// Style of a source with terrain, and the raster-dem source it was given
+function getTerrainStyle(sourceConfig, config = {}) {
+  const rasterDemSource = getRasterDemSource(sourceConfig, getHttpSettings(sourceConfig, config), 12);
+  const style = createContourStyle({
+    name: 'dem',
+    sourceData: { sourceConfig, contourOptions: getContourOptions(sourceConfig), manager: { maxzoom: 12 } },
+    tileJSON: { minzoom: 0, maxzoom: 12, bounds: [-180, -85.0511, 180, 85.0511] },
+    baseUrl: 'https://contours.example.com',
+    options: { scheme: 'light', hillshade: false, terrain: true, fragment: false },
+    styleSettings: DEFAULT_STYLE_SETTINGS,
+    rasterDemSource,
+  });
+  return { style, rasterDemSource };
+}
+
+test('getRasterDemSource adds the terrain of an HTTP DEM without headers or query parameters', () => {
+  const { style, rasterDemSource } = getTerrainStyle({ tiles: TILES, encoding: 'terrarium' });
+  assert.deepEqual(rasterDemSource, { type: 'raster-dem', tiles: [TILES], encoding: 'terrarium', tileSize: 256, maxzoom: 12 });
+  assert.deepEqual(style.terrain, { source: 'dem-dem', exaggeration: 1 });
+});
+
+test('getRasterDemSource skips DEMs that need query parameters, which never appear in the style', () => {
+  const secrets = ['${DEM_API_KEY}', 'literal-api-key', 'global-token'];
+  const cases = [
+    { tiles: TILES, encoding: 'terrarium', http: { query: { key: secrets[0] } } },
+    { tiles: TILES, encoding: 'mapbox', http: { query: { access_token: secrets[1] } } },
+  ];
+  for (const sourceConfig of cases) {
+    const { style, rasterDemSource } = getTerrainStyle(sourceConfig, { http: { query: { token: secrets[2] } } });
+    assert.equal(rasterDemSource, undefined);
+    assert.equal(style.terrain, undefined);
+    const json = JSON.stringify(style);
+    for (const secret of secrets) {
+      assert.ok(!json.includes(secret), `style contains "${secret}"`);
+      assert.ok(!json.includes(encodeURIComponent(secret)), `style contains "${encodeURIComponent(secret)}"`);
+    }
+  }
+});
+
+test('getRasterDemSource skips DEMs that need headers', () => {
+  const sourceConfig = { tiles: TILES, encoding: 'terrarium', http: { headers: { Authorization: 'Bearer secret' } } };
+  const { style, rasterDemSource } = getTerrainStyle(sourceConfig);
+  assert.equal(rasterDemSource, undefined);
+  assert.ok(!JSON.stringify(style).includes('secret'));
+});
+
+test('parseStyleOptions defaults to a light style without hillshade or terrain', () => {
+  assert.deepEqual(parseStyleOptions({}), { scheme: 'light', hillshade: false, terrain: false, fragment: false });
+  assert.deepEqual(
+    parseStyleOptions({ scheme: 'dark', hillshade: 'true', terrain: 'true', fragment: 'false' }),
+    { scheme: 'dark', hillshade: true, terrain: true, fragment: false }
+  );
+  assert.throws(() => parseStyleOptions({ scheme: 'sepia' }), /"scheme" must be one of light, dark, mono/);
+  assert.throws(() => parseStyleOptions({ scheme: ['light', 'dark'] }), /"scheme" must be one of/);
+  assert.throws(() => parseStyleOptions({ hillshade: '1' }), /"hillshade" must be true or false/);
+});
+
+test('validateConfig rejects invalid style settings', () => {
+  const sources = { dem: { tiles: TILES, encoding: 'terrarium' } };
+  assert.throws(() => validateConfig({ sources, styles: [] }), /styles must be an object/);
+  assert.throws(() => validateConfig({ sources, styles: { glyphs: 'https://fonts.example.com/{range}.pbf' } }), /glyphs must be a URL with \{fontstack\} and \{range\}/);
+  assert.throws(() => validateConfig({ sources, styles: { font: [] } }), /font must be a non-empty array/);
+});
+
+test('GET /styles/:source.json returns a MapLibre style of the contours, bands and peaks', async () => {
+  const response = await fetch(`${server.baseUrl}/styles/dem.json`);
+  assert.equal(response.status, 200);
+  const style = await response.json();
+  assert.equal(style.version, 8);
+  assert.equal(style.glyphs, GLYPHS);
+  assert.deepEqual(style.sources, { dem: { type: 'vector', url: `${server.baseUrl}/contours/dem.json` } });
+  assert.equal(style.terrain, undefined);
+
+  const layers = Object.fromEntries(style.layers.map((layer) => [layer.id, layer]));
+  assert.deepEqual(Object.keys(layers), [
+    'background',
+    'dem-bands',
+    // Below zoom 10 the zooms have a single interval, so every line is major
+    'dem-contours-major-z0',
+    'dem-contours-minor-z10',
+    'dem-contours-major-z10',
+    'dem-contours-labels-z0',
+    'dem-contours-labels-z10',
+    'dem-peaks',
+    'dem-peaks-labels',
+  ]);
+  assert.equal(layers['dem-contours-major-z0'].maxzoom, 10);
+  assert.equal(layers['dem-contours-major-z0'].filter, undefined);
+  assert.deepEqual(layers['dem-contours-major-z10'].filter, ['>', ['get', 'level'], 0]);
+  assert.deepEqual(layers['dem-contours-minor-z10'].filter, ['==', ['get', 'level'], 0]);
+  assert.deepEqual(layers['dem-contours-labels-z10'].layout['text-font'], ['Noto Sans Regular']);
+  assert.equal(layers['dem-bands']['source-layer'], 'bands');
+  assert.equal(layers['dem-peaks'].minzoom, 12);
+});
+
+test('style options add hillshade and terrain, change the colours or return a fragment', async () => {
+  const light = await (await fetch(`${server.baseUrl}/styles/dem.json`)).json();
+  const style = await (await fetch(`${server.baseUrl}/styles/dem.json?scheme=dark&hillshade=true&terrain=true`)).json();
+  assert.notDeepEqual(style.layers[0].paint, light.layers[0].paint);
+  assert.deepEqual(style.sources['dem-hillshade'].tiles, [`${server.baseUrl}/hillshade/dem/{z}/{x}/{y}.png`]);
+  assert.ok(style.layers.some((layer) => layer.id === 'dem-hillshade'));
+  assert.deepEqual(style.sources['dem-dem'], { type: 'raster-dem', tiles: [dem.tiles], encoding: 'terrarium', tileSize: 256, maxzoom: 12 });
+  assert.deepEqual(style.terrain, { source: 'dem-dem', exaggeration: 1 });
+
+  const fragment = await (await fetch(`${server.baseUrl}/styles/dem.json?fragment=true`)).json();
+  assert.deepEqual(Object.keys(fragment), ['sources', 'layers']);
+  assert.ok(!fragment.layers.some((layer) => layer.id === 'background'));
+});
+
+test('GET /styles/:source.json rejects invalid options and unknown sources', async () => {
+  const invalid = await fetch(`${server.baseUrl}/styles/dem.json?scheme=sepia`);
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error, /"scheme" must be one of/);
+  assert.equal((await fetch(`${server.baseUrl}/styles/missing.json`)).status, 404);
+});
@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startServer, startDemServer, makeTempDir } from './helpers.js';
+import { countVectorTileFeatures } from '../src/mvt-utils.js';
+
+const TILE = '12/2048/2048';
+
+let dem;
+let tmp;
+
+before(async () => {
+  dem = await startDemServer();
+  tmp = makeTempDir('contour-cache-test-');
+});
+
+after(async () => {
+  await dem?.close();
+  tmp?.remove();
+});
+
+test('tiles are cached and served from the tile cache', async () => {
+  const cacheDir = path.join(tmp.dir, 'cache');
+  const server = await startServer({
+    tileCache: { path: cacheDir },
+    sources: { dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } },
+  });
+  try {
+    const miss = await fetch(`${server.baseUrl}/contours/dem/${TILE}.pbf`);
+    assert.equal(miss.status, 200);
+    assert.equal(miss.headers.get('x-tile-cache'), 'MISS');
+    const tile = new Uint8Array(await miss.arrayBuffer());
+    assert.ok(countVectorTileFeatures(tile) > 0);
+
+    const hit = await fetch(`${server.baseUrl}/contours/dem/${TILE}.pbf`);
+    assert.equal(hit.headers.get('x-tile-cache'), 'HIT');
+    assert.deepEqual(new Uint8Array(await hit.arrayBuffer()), tile);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('tiles are still sent when the tile cache cannot be written', async () => {
+  // A directory can't be created below a file, whatever the permissions of the test user
+  const cacheDir = path.join(tmp.dir, 'not-a-directory');
+  fs.writeFileSync(cacheDir, '');
+  const server = await startServer({
+    tileCache: { path: cacheDir },
+    sources: { dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } },
+  });
+  try {
+    for (let i = 0; i < 2; i++) {
+      const response = await fetch(`${server.baseUrl}/contours/dem/${TILE}.pbf`);
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-tile-cache'), 'MISS');
+      assert.ok(countVectorTileFeatures(new Uint8Array(await response.arrayBuffer())) > 0);
+    }
+    assert.match(server.output(), /Error writing tile dem\/12\/2048\/2048 to the tile cache/);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,94 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { DiskTileCache, hashOptions } from '../src/tilecache-utils.js';
+import { makeTempDir } from './helpers.js';
+
+let tmp;
+let cache;
+
+beforeEach(() => {
+  tmp = makeTempDir('contour-tilecache-test-');
+});
+
+afterEach(() => {
+  cache?.close();
+  tmp.remove();
+});
+
+// Set the modification time of a cached tile, in seconds ago
+function age(tilePath, seconds) {
+  const time = new Date(Date.now() - seconds * 1000);
+  fs.utimesSync(tilePath, time, time);
+}
+
+test('hashOptions is the same for equal options in any key order', () => {
+  assert.equal(hashOptions({ a: 1, b: [1, 2], c: { d: 'x' } }), hashOptions({ c: { d: 'x' }, b: [1, 2], a: 1 }));
+  assert.equal(hashOptions({ a: 1, b: undefined }), hashOptions({ a: 1 }));
+  assert.notEqual(hashOptions({ levels: [10, 50] }), hashOptions({ levels: [10, 100] }));
+  assert.match(hashOptions({}), /^[0-9a-f]{16}$/);
+});
+
+test('DiskTileCache stores tiles by options hash and coordinates', async () => {
+  cache = new DiskTileCache({ dir: tmp.dir });
+  assert.equal(await cache.get('abc', 12, 1, 2), undefined);
+
+  await cache.put('abc', 12, 1, 2, Buffer.from('tile'));
+  await cache.put('abc', 12, 1, 3, Buffer.alloc(0));
+  assert.deepEqual(await cache.get('abc', 12, 1, 2), Buffer.from('tile'));
+  assert.equal((await cache.get('abc', 12, 1, 3)).length, 0, 'empty tiles are cached');
+  assert.equal(await cache.get('def', 12, 1, 2), undefined, 'tiles of other options are separate');
+  assert.ok(fs.existsSync(path.join(tmp.dir, 'abc', '12', '1', '2.pbf')));
+  assert.deepEqual(fs.readdirSync(path.join(tmp.dir, 'abc', '12', '1')).sort(), ['2.pbf', '3.pbf'], 'no temporary files are left');
+});
+
+test('DiskTileCache treats tiles older than maxAge as missing', async () => {
+  cache = new DiskTileCache({ dir: tmp.dir, maxAge: 60 });
+  await cache.put('abc', 5, 1, 1, Buffer.from('old'));
+  age(cache.tilePath('abc', 5, 1, 1), 120);
+  assert.equal(await cache.get('abc', 5, 1, 1), undefined);
+  assert.ok(!fs.existsSync(cache.tilePath('abc', 5, 1, 1)), 'the expired tile is removed');
+});
+
+test('DiskTileCache purges all tiles, or those in a zoom range and bbox', async () => {
+  cache = new DiskTileCache({ dir: tmp.dir });
+  // Tiles at the null island, and one far away
+  const tiles = [[1, 1, 1], [10, 512, 512], [12, 2048, 2048], [12, 0, 0]];
+  for (const [z, x, y] of tiles) {
+    await cache.put('abc', z, x, y, Buffer.from('tile'));
+    await cache.put('def', z, x, y, Buffer.from('tile'));
+  }
+
+  assert.equal(await cache.purge({ minzoom: 12, bbox: [0, -1, 1, 0] }), 2, 'the 12/2048/2048 tiles of both hashes');
+  assert.equal(await cache.get('abc', 12, 2048, 2048), undefined);
+  assert.ok(await cache.get('abc', 12, 0, 0));
+  assert.equal(await cache.purge({ maxzoom: 1 }), 2);
+  assert.ok(await cache.get('abc', 10, 512, 512));
+  assert.equal(await cache.purge(), 4);
+  assert.equal(await cache.purge(), 0);
+});
+
+test('DiskTileCache prunes expired tiles, then the oldest ones until it fits in maxSize', async () => {
+  cache = new DiskTileCache({ dir: tmp.dir, maxAge: 3600, maxSize: 1 });
+  const tile = Buffer.alloc(400 * 1024);
+  for (const [y, seconds] of [[0, 7200], [1, 300], [2, 200], [3, 100]]) {
+    await cache.put('abc', 10, 0, y, tile);
+    age(cache.tilePath('abc', 10, 0, y), seconds);
+  }
+
+  // The expired tile, then the oldest one: two tiles of 400 kB fit in 1 MB
+  assert.equal(await cache.prune(), 2);
+  assert.ok(!fs.existsSync(cache.tilePath('abc', 10, 0, 0)));
+  assert.ok(!fs.existsSync(cache.tilePath('abc', 10, 0, 1)));
+  assert.ok(fs.existsSync(cache.tilePath('abc', 10, 0, 2)));
+  assert.ok(fs.existsSync(cache.tilePath('abc', 10, 0, 3)));
+});
+
+test('DiskTileCache.prune keeps everything without limits', async () => {
+  cache = new DiskTileCache({ dir: tmp.dir });
+  await cache.put('abc', 10, 0, 0, Buffer.from('tile'));
+  age(cache.tilePath('abc', 10, 0, 0), 365 * 24 * 3600);
+  assert.equal(await cache.prune(), 0);
+  assert.equal(await new DiskTileCache({ dir: path.join(tmp.dir, 'missing') }).prune(), 0);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPublicBaseUrl, getContourZoomRange, createContourTileJSON } from '../src/tilejson-utils.js';
+import { getContourOptions } from '../src/config-utils.js';
+
+// A request with headers, as Express passes it
+function createRequest(headers, protocol = 'http') {
+  const lowerCaseHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { protocol, get: (name) => lowerCaseHeaders[name.toLowerCase()] };
+}
+
+// The entry of `contourSources` of a source configuration
+function createSourceData(sourceConfig) {
+  return { sourceConfig, contourOptions: getContourOptions(sourceConfig) };
+}
+
+test('getPublicBaseUrl uses the Host header of direct requests', () => {
+  assert.equal(getPublicBaseUrl(createRequest({ Host: 'localhost:3000' })), 'http://localhost:3000');
+});
+
+test('getPublicBaseUrl honours the X-Forwarded headers of a reverse proxy', () => {
+  const req = createRequest({
+    Host: 'internal:3000',
+    'X-Forwarded-Proto': 'https, http',
+    'X-Forwarded-Host': 'maps.example.com',
+    'X-Forwarded-Port': '8443',
+    'X-Forwarded-Prefix': 'contours/',
+  });
+  assert.equal(getPublicBaseUrl(req), 'https://maps.example.com:8443/contours');
+  const defaultPort = createRequest({ Host: 'internal:3000', 'X-Forwarded-Proto': 'https', 'X-Forwarded-Host': 'maps.example.com', 'X-Forwarded-Port': '443' });
+  assert.equal(getPublicBaseUrl(defaultPort), 'https://maps.example.com');
+});
+
+test('getContourZoomRange starts at the lowest threshold zoom and reaches the source maxzoom', () => {
+  const sourceData = createSourceData({ maxzoom: 12, contours: { thresholds: { 9: [50, 250], 11: [20, 100] } } });
+  assert.deepEqual(getContourZoomRange(sourceData, undefined), { minzoom: 9, maxzoom: 12 });
+  // Thresholds past the DEM maxzoom overzoom it
+  const overzoomed = createSourceData({ maxzoom: 10, contours: { thresholds: { 9: [50, 250], 14: [5, 25] } } });
+  assert.deepEqual(getContourZoomRange(overzoomed, { minzoom: 10 }), { minzoom: 10, maxzoom: 14 });
+});
+
+test('createContourTileJSON describes the tiles and layers of a source', () => {
+  const sourceData = createSourceData({ maxzoom: 12, contours: { contourLayer: 'lines', thresholds: { 10: [20, 100] } } });
+  const tileJSON = createContourTileJSON({
+    name: 'my dem',
+    sourceData,
+    demMetadata: { bounds: [5, 45, 11, 48], center: [8, 46.5, 4] },
+    baseUrl: 'https://maps.example.com',
+  });
+  assert.equal(tileJSON.tilejson, '3.0.0');
+  assert.deepEqual(tileJSON.tiles, ['https://maps.example.com/contours/my%20dem/{z}/{x}/{y}.pbf']);
+  assert.equal(tileJSON.minzoom, 10);
+  assert.equal(tileJSON.maxzoom, 12);
+  assert.deepEqual(tileJSON.bounds, [5, 45, 11, 48]);
+  assert.deepEqual(tileJSON.center, [8, 46.5, 10], 'the center zoom is clamped to the zoom range');
+  assert.deepEqual(tileJSON.vector_layers, [{
+    id: 'lines',
+    description: 'Contour lines generated from my dem',
+    minzoom: 10,
+    maxzoom: 12,
+    fields: { ele: 'Number', level: 'Number' },
+  }]);
+});
+
+test('createContourTileJSON passes overrides on to the tile URL and the layers', () => {
+  const tileJSON = createContourTileJSON({
+    name: 'dem',
+    sourceData: createSourceData({ maxzoom: 12 }),
+    demMetadata: undefined,
+    baseUrl: 'http://localhost:3000',
+    overrides: { levels: [25, 100], contourLayer: 'custom' },
+  });
+  assert.deepEqual(tileJSON.tiles, ['http://localhost:3000/contours/dem/{z}/{x}/{y}.pbf?levels=25%2C100&contourLayer=custom']);
+  assert.equal(tileJSON.minzoom, 0, 'levels replace the thresholds');
+  assert.equal(tileJSON.vector_layers[0].id, 'custom');
+  assert.deepEqual(tileJSON.bounds, [-180, -85.051129, 180, 85.051129]);
+});
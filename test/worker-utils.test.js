@@ -0,0 +1,157 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QueueFullError,
+  configureWorkerPool,
+  admitRequest,
+  runWorkerTask,
+  abortable,
+  coalesceRequest,
+} from '../src/worker-utils.js';
+import { encodeTestDemTile, startServer, startDemServer } from './helpers.js';
+
+// A promise with its resolve function
+function createDeferred() {
+  let resolve;
+  const promise = new Promise((resolvePromise) => (resolve = resolvePromise));
+  return { promise, resolve };
+}
+
+let png;
+
+before(async () => {
+  png = await encodeTestDemTile(12, 2048, 2048);
+});
+
+// Decodes a DEM tile on the pool, starting the task right away
+function decodeTestTile(signal) {
+  const buffer = png.buffer.slice(png.byteOffset, png.byteOffset + png.length);
+  return runWorkerTask('decodeImage', { buffer, encoding: 'terrarium' }, { transfer: [buffer], signal });
+}
+
+test('admitRequest rejects requests over the threads and queue with a QueueFullError', async () => {
+  configureWorkerPool({ threads: 1, maxQueue: 1 });
+  const first = createDeferred();
+  const second = createDeferred();
+  const running = [admitRequest(() => first.promise), admitRequest(() => second.promise)];
+
+  await assert.rejects(admitRequest(async () => 'rejected'), (error) => {
+    assert.ok(error instanceof QueueFullError);
+    assert.ok(error.retryAfter >= 1);
+    return true;
+  });
+
+  first.resolve('first');
+  assert.equal(await running[0], 'first');
+  assert.equal(await admitRequest(async () => 'admitted'), 'admitted');
+  second.resolve('second');
+  assert.equal(await running[1], 'second');
+});
+
+test('runWorkerTask runs tasks on worker threads', async () => {
+  configureWorkerPool({ threads: 2, maxQueue: 10 });
+  const tiles = await Promise.all([decodeTestTile(), decodeTestTile(), decodeTestTile()]);
+  for (const { width, height, data } of tiles) {
+    assert.equal(width, 256);
+    assert.equal(height, 256);
+    assert.equal(data.length, 256 * 256);
+  }
+});
+
+test('runWorkerTask cancels waiting and running tasks', async () => {
+  configureWorkerPool({ threads: 1, maxQueue: 10 });
+  const running = new AbortController();
+  const waiting = new AbortController();
+  const runningTask = decodeTestTile(running.signal);
+  const waitingTask = decodeTestTile(waiting.signal);
+  const otherTask = decodeTestTile();
+
+  waiting.abort(new Error('waiting aborted'));
+  running.abort(new Error('running aborted'));
+  await Promise.all([
+    assert.rejects(waitingTask, /waiting aborted/),
+    assert.rejects(runningTask, /running aborted/),
+  ]);
+  // The worker of the canceled task is replaced
+  assert.equal((await otherTask).width, 256);
+
+  const aborted = new AbortController();
+  aborted.abort(new Error('already aborted'));
+  await assert.rejects(decodeTestTile(aborted.signal), /already aborted/);
+});
+
+test('abortable rejects as soon as the signal is aborted', async () => {
+  assert.equal(await abortable(Promise.resolve('done'), new AbortController().signal), 'done');
+
+  const abortController = new AbortController();
+  const pending = createDeferred();
+  const result = abortable(pending.promise, abortController.signal);
+  abortController.abort(new Error('aborted'));
+  await assert.rejects(result, /aborted/);
+});
+
+test('coalesceRequest shares the work of identical requests until all of them are aborted', async () => {
+  const work = createDeferred();
+  let calls = 0;
+  let sharedController;
+  const start = (abortController) => {
+    calls++;
+    sharedController = abortController;
+    return work.promise;
+  };
+
+  const first = new AbortController();
+  const second = new AbortController();
+  const results = [coalesceRequest('tile', start, first), coalesceRequest('tile', start, second)];
+  assert.equal(calls, 1);
+
+  first.abort(new Error('first aborted'));
+  await assert.rejects(results[0], /first aborted/);
+  assert.ok(!sharedController.signal.aborted, 'the work goes on for the second request');
+  work.resolve('tile data');
+  assert.equal(await results[1], 'tile data');
+
+  // The work is done, so the next request starts it again
+  const third = new AbortController();
+  const never = coalesceRequest('tile', () => {
+    calls++;
+    return createDeferred().promise;
+  }, third);
+  assert.equal(calls, 2);
+  third.abort(new Error('third aborted'));
+  await assert.rejects(never, /third aborted/);
+});
+
+test('coalesceRequest cancels the work once every request waiting for it is aborted', async () => {
+  let sharedController;
+  const start = (abortController) => {
+    sharedController = abortController;
+    return createDeferred().promise;
+  };
+  const first = new AbortController();
+  const second = new AbortController();
+  const results = [coalesceRequest('other', start, first), coalesceRequest('other', start, second)];
+  first.abort();
+  second.abort();
+  await Promise.allSettled(results);
+  assert.ok(sharedController.signal.aborted);
+});
+
+test('requests over the queue of the server get a 503 with Retry-After', async () => {
+  const dem = await startDemServer({ delayMs: 1000 });
+  const server = await startServer({
+    workers: { threads: 1, maxQueue: 0 },
+    sources: { dem: { tiles: dem.tiles, encoding: 'terrarium', maxzoom: 12 } },
+  });
+  try {
+    const responses = await Promise.all(['2048/2048', '2050/2050'].map((tile) => fetch(`${server.baseUrl}/contours/dem/12/${tile}.pbf`)));
+    const statuses = responses.map(({ status }) => status).sort();
+    assert.deepEqual(statuses, [200, 503]);
+    const rejected = responses.find(({ status }) => status === 503);
+    assert.ok(Number(rejected.headers.get('retry-after')) >= 1);
+    assert.deepEqual(await rejected.json(), { error: 'The server is busy, retry later' });
+  } finally {
+    await server.stop();
+    await dem.close();
+  }
+});